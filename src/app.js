@@ -14,14 +14,23 @@ console.log('✅ HTTP server loaded.');
 // Kiểm tra các module cần thiết trước khi import
 try {
   console.log('📋 Đang tải các module cần thiết trong app.js...');
-  const { initDatabase, closeDatabase } = require('./config/database');
+  const { initDatabase, closeDatabase, isDatabaseReady } = require('./config/database');
   console.log('✅ Database module loaded.');
+
+  const Migrator = require('./database/migrator');
+  console.log('✅ Migrator module loaded.');
   
-  const { logInfo, logError } = require('./config/logger');
+  const { logInfo, logWarn, logError } = require('./config/logger');
   console.log('✅ Logger module loaded.');
   
   const morganMiddleware = require('./middlewares/morganMiddleware');
   console.log('✅ Morgan middleware loaded.');
+
+  const { notFoundHandler, errorHandler } = require('./middlewares/errorHandler');
+  console.log('✅ Error handler loaded.');
+
+  const localeMiddleware = require('./middlewares/localeMiddleware');
+  console.log('✅ Locale middleware loaded.');
   
   // ================= KHỞI TẠO DATABASE TRƯỚC ================= //
   // Khởi tạo database ngay từ đầu trước khi import routes
@@ -32,17 +41,23 @@ try {
     try {
       await initDatabase();
       console.log('✅ Database đã được khởi tạo trước khi tải routes.');
-      loadRoutes(); // Chỉ tải routes sau khi database đã sẵn sàng
     } catch (dbError) {
       console.error('⚠️ Lỗi kết nối database:', dbError);
       logError('Database initialization failed, continuing without database', dbError);
       console.warn('⚠️ WARNING: Database connection failed, will continue without database support');
-      loadRoutes(); // Vẫn tải routes nhưng sẽ hiển thị lỗi khi truy cập database
     }
+
+    // Schema chưa migrate xong thì không phục vụ (route sẽ lỗi vì thiếu bảng / cột)
+    // Chạy sau initDatabase: backend Supabase kiểm tra qua client vừa kết nối
+    if (!(await Migrator.verifyOnStartup())) {
+      process.exit(1);
+    }
+
+    loadRoutes();
   })();
   
   // Biến lưu trữ routes
-  let authRoutes, healthRoutes;
+  let authRoutes, healthRoutes, dungeonRoutes, playerRoutes, inventoryRoutes, leaderboardRoutes, runRoutes, friendRoutes, adminRoutes;
   
   // Hàm tải routes sau khi database đã sẵn sàng
   function loadRoutes() {
@@ -64,6 +79,76 @@ try {
       // Không thoát ứng dụng, vì có thể không cần auth routes để chạy server
       console.warn('⚠️ WARNING: Auth routes failed to load, continuing without auth functionality');
     }
+
+    try {
+      console.log('📋 Đang tải dungeon routes...');
+      dungeonRoutes = require('./routes/dungeonRoutes');
+      console.log('✅ Dungeon routes loaded.');
+    } catch (routeError) {
+      console.error('❌ Lỗi khi tải dungeon routes:', routeError);
+      console.warn('⚠️ WARNING: Dungeon routes failed to load, continuing without dungeon functionality');
+    }
+
+    // Route game đọc bảng game qua Supabase client, DB_BACKEND chỉ đổi backend của bảng tài khoản
+    // (xem src/repositories) => chưa kết nối Supabase thì không tải, endpoint báo 'không khả dụng'
+    if (isDatabaseReady()) {
+      try {
+        console.log('📋 Đang tải player routes...');
+        playerRoutes = require('./routes/playerRoutes');
+        console.log('✅ Player routes loaded.');
+      } catch (routeError) {
+        console.error('❌ Lỗi khi tải player routes:', routeError);
+        console.warn('⚠️ WARNING: Player routes failed to load, continuing without player functionality');
+      }
+
+      try {
+        console.log('📋 Đang tải inventory routes...');
+        inventoryRoutes = require('./routes/inventoryRoutes');
+        console.log('✅ Inventory routes loaded.');
+      } catch (routeError) {
+        console.error('❌ Lỗi khi tải inventory routes:', routeError);
+        console.warn('⚠️ WARNING: Inventory routes failed to load, continuing without inventory functionality');
+      }
+
+      try {
+        console.log('📋 Đang tải leaderboard routes...');
+        leaderboardRoutes = require('./routes/leaderboardRoutes');
+        console.log('✅ Leaderboard routes loaded.');
+      } catch (routeError) {
+        console.error('❌ Lỗi khi tải leaderboard routes:', routeError);
+        console.warn('⚠️ WARNING: Leaderboard routes failed to load, continuing without leaderboard functionality');
+      }
+
+      try {
+        console.log('📋 Đang tải run routes...');
+        runRoutes = require('./routes/runRoutes');
+        console.log('✅ Run routes loaded.');
+      } catch (routeError) {
+        console.error('❌ Lỗi khi tải run routes:', routeError);
+        console.warn('⚠️ WARNING: Run routes failed to load, continuing without run functionality');
+      }
+
+      try {
+        console.log('📋 Đang tải friend routes...');
+        friendRoutes = require('./routes/friendRoutes');
+        console.log('✅ Friend routes loaded.');
+      } catch (routeError) {
+        console.error('❌ Lỗi khi tải friend routes:', routeError);
+        console.warn('⚠️ WARNING: Friend routes failed to load, continuing without friend functionality');
+      }
+    } else {
+      console.warn('⚠️ WARNING: Supabase not connected, skipping player / inventory / leaderboard / run / friend routes');
+      logWarn('Game routes skipped: Supabase not connected', { backend: process.env.DB_BACKEND || 'supabase' });
+    }
+
+    try {
+      console.log('📋 Đang tải admin routes...');
+      adminRoutes = require('./routes/adminRoutes');
+      console.log('✅ Admin routes loaded.');
+    } catch (routeError) {
+      console.error('❌ Lỗi khi tải admin routes:', routeError);
+      console.warn('⚠️ WARNING: Admin routes failed to load, continuing without admin functionality');
+    }
     
     // Sau khi tải routes, khởi động server
     if (require.main === module) {
@@ -92,6 +177,8 @@ try {
         origin: process.env.CORS_ORIGIN || '*',
         credentials: true
       }));
+      // Trước express.json() để lỗi body JSON cũng trả theo ngôn ngữ của client
+      app.use(localeMiddleware);
       app.use(express.json());
       app.use(express.urlencoded({ extended: true }));
       app.use(morganMiddleware);
@@ -120,6 +207,41 @@ try {
         console.log('✅ Auth routes đã được thiết lập.');
       }
 
+      if (dungeonRoutes) {
+        app.use('/api/dungeon', dungeonRoutes);
+        console.log('✅ Dungeon routes đã được thiết lập.');
+      }
+
+      if (playerRoutes) {
+        app.use('/api/players', playerRoutes);
+        console.log('✅ Player routes đã được thiết lập.');
+      }
+
+      if (inventoryRoutes) {
+        app.use('/api/inventory', inventoryRoutes);
+        console.log('✅ Inventory routes đã được thiết lập.');
+      }
+
+      if (leaderboardRoutes) {
+        app.use('/api/leaderboards', leaderboardRoutes);
+        console.log('✅ Leaderboard routes đã được thiết lập.');
+      }
+
+      if (runRoutes) {
+        app.use('/api/runs', runRoutes);
+        console.log('✅ Run routes đã được thiết lập.');
+      }
+
+      if (friendRoutes) {
+        app.use('/api/friends', friendRoutes);
+        console.log('✅ Friend routes đã được thiết lập.');
+      }
+
+      if (adminRoutes) {
+        app.use('/api/admin', adminRoutes);
+        console.log('✅ Admin routes đã được thiết lập.');
+      }
+
       // Root endpoint
       app.get('/', (req, res) => {
         res.json({
@@ -128,41 +250,29 @@ try {
           version: '1.0.0',
           endpoints: {
             health: healthRoutes ? '/health' : 'không khả dụng',
-            auth: authRoutes ? '/api/auth' : 'không khả dụng'
+            auth: authRoutes ? '/api/auth' : 'không khả dụng',
+            dungeon: dungeonRoutes ? '/api/dungeon' : 'không khả dụng',
+            players: playerRoutes ? '/api/players' : 'không khả dụng',
+            inventory: inventoryRoutes ? '/api/inventory' : 'không khả dụng',
+            leaderboards: leaderboardRoutes ? '/api/leaderboards' : 'không khả dụng',
+            runs: runRoutes ? '/api/runs' : 'không khả dụng',
+            friends: friendRoutes ? '/api/friends' : 'không khả dụng',
+            admin: adminRoutes ? '/api/admin' : 'không khả dụng'
           }
         });
       });
 
-      // 404 Handler
-      app.use((req, res) => {
-        logError('Route not found', null, {
-          method: req.method,
-          url: req.url,
-          ip: req.ip
-        });
-        
-        res.status(404).json({
-          success: false,
-          message: 'Route not found',
-          requestedUrl: req.url
-        });
-      });
+      // 404 + Error Handler (mọi lỗi => { success: false, code, message, errors? })
+      app.use(notFoundHandler);
+      app.use(errorHandler);
 
-      // Error Handler
-      app.use((err, req, res, next) => {
-        console.error('❌ Express error handler:', err);
-        logError('Unhandled error', err, {
-          method: req.method,
-          url: req.url,
-          ip: req.ip
-        });
+      // ============= Scheduled Jobs =============
+      // Require ở đây vì service dùng database client (đã init trước khi startAPIServer chạy)
+      const AuthService = require('./services/authService');
+      const { GUEST } = require('./config/auth');
 
-        res.status(500).json({
-          success: false,
-          message: 'Internal server error',
-          error: process.env.NODE_ENV === 'development' ? err.message : undefined
-        });
-      });
+      setInterval(() => AuthService.cleanupInactiveGuests(), GUEST.CLEANUP_INTERVAL_MS).unref();
+      console.log(`✅ Đã lên lịch dọn tài khoản khách không hoạt động (${GUEST.INACTIVE_DAYS} ngày).`);
 
       console.log(`📋 Bắt đầu lắng nghe trên cổng ${API_PORT}...`);
       
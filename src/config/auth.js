@@ -0,0 +1,67 @@
+// src/config/auth.js - Thông số xác thực tài khoản
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+module.exports = {
+  // Quên mật khẩu
+  PASSWORD_RESET: {
+    TOKEN_TTL_MS: 60 * 60 * 1000
+  },
+
+  // Xác thực email sau khi đăng ký
+  EMAIL_VERIFICATION: {
+    TOKEN_TTL_MS: 24 * 60 * 60 * 1000,
+    RESEND_COOLDOWN_MS: 60 * 1000,
+    // Tính năng bị chặn khi chưa xác thực email: 'ranked' (tìm trận, bảng xếp hạng), 'trading'
+    // VD: EMAIL_VERIFICATION_REQUIRED_FOR=ranked,trading
+    REQUIRED_FOR: parseList(process.env.EMAIL_VERIFICATION_REQUIRED_FOR),
+    FEATURES: ['ranked', 'trading']
+  },
+
+  // Chống brute-force cho login / forgot-password / reset-password
+  // Đếm lần thất bại theo IP và theo tài khoản (email) trong cửa sổ trượt
+  BRUTE_FORCE: {
+    WINDOW_MS: 15 * 60 * 1000,
+    MAX_FAILURES_PER_IP: 20,
+    MAX_FAILURES_PER_ACCOUNT: 5,
+    // Khoá lần n kéo dài LOCKOUT_BASE_MS * 2^(n-1), tối đa LOCKOUT_MAX_MS
+    LOCKOUT_BASE_MS: 60 * 1000,
+    LOCKOUT_MAX_MS: 60 * 60 * 1000,
+    // Không bị khoá thêm trong khoảng này => đếm lại từ lần khoá đầu
+    LOCKOUT_RESET_MS: 24 * 60 * 60 * 1000,
+    // Thất bại từ lần thứ này trở đi => phải giải challenge (proof-of-work)
+    CHALLENGE_AFTER: 3,
+    CHALLENGE_DIFFICULTY_BITS: 18,
+    CHALLENGE_TTL_MS: 5 * 60 * 1000,
+    // Số lần thử đang xử lý (chưa có kết quả) đã chạm ngưỡng khoá => request mới chờ chừng này rồi thử lại
+    PENDING_RETRY_AFTER_MS: 5 * 1000,
+    CLEANUP_INTERVAL_MS: 60 * 1000
+  },
+
+  // Xác thực 2 bước (TOTP, app authenticator)
+  TWO_FACTOR: {
+    ISSUER: process.env.TWO_FACTOR_ISSUER || 'SoulDungeon',
+    DIGITS: 6,
+    PERIOD_SECONDS: 30,
+    // Chấp nhận mã của step trước / sau (đồng hồ điện thoại lệch tới 30 giây)
+    WINDOW: 1,
+    SECRET_BYTES: 20,
+    // Token tạm giữa bước mật khẩu và bước nhập mã (/api/auth/login/2fa)
+    CHALLENGE_TTL: '5m',
+    // Nhập sai chừng này lần với 1 challenge token => token bị huỷ, phải đăng nhập lại bằng mật khẩu
+    MAX_CHALLENGE_ATTEMPTS: 5,
+    RECOVERY_CODE_COUNT: 10
+  },
+
+  // Tài khoản khách (gắn với device ID, nâng cấp thành tài khoản đầy đủ sau)
+  GUEST: {
+    USERNAME_PREFIX: 'guest_',
+    // Không login / refresh trong khoảng này => bị xoá cùng toàn bộ tiến trình
+    INACTIVE_DAYS: parseInt(process.env.GUEST_INACTIVE_DAYS, 10) || 30,
+    CLEANUP_INTERVAL_MS: 6 * 60 * 60 * 1000,
+    CLEANUP_BATCH_SIZE: 200
+  }
+};
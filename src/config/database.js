@@ -1,8 +1,18 @@
 // src/config/database.js - Supabase Client Configuration (Publishable Key)
+// + pg Pool cho repository backend postgres (DB_BACKEND=postgres, xem src/repositories) và migration (src/database)
 const { createClient } = require('@supabase/supabase-js');
+const { Pool, types } = require('pg');
 const { logInfo, logError } = require('./logger');
 
 let supabase = null;
+let pool = null;
+
+// Đọc cột giống Supabase trả về: timestamp => chuỗi ISO UTC, bigint / count => number
+const PG_TYPE_PARSERS = {
+  20: (value) => Number(value),
+  1114: (value) => `${value.replace(' ', 'T')}Z`,
+  1184: (value) => new Date(value).toISOString()
+};
 
 /**
  * Khởi tạo kết nối Supabase với Publishable Key
@@ -57,43 +67,7 @@ const initDatabase = async () => {
       // Nếu table chưa tồn tại
       if (error.code === '42P01' || error.code === 'PGRST116' || error.message.includes('does not exist')) {
         console.warn('⚠️  Table "users" does not exist');
-        console.log('\n💡 Please create table manually in Supabase Dashboard:');
-        console.log('   Go to: https://supabase.com/dashboard/project/vdlkktbikkofouugivxu/editor\n');
-        console.log('📋 Run this SQL in SQL Editor:');
-        console.log('─'.repeat(60));
-        console.log(`
--- Create users table
-CREATE TABLE IF NOT EXISTS users (
-  id SERIAL PRIMARY KEY,
-  username VARCHAR(30) UNIQUE NOT NULL,
-  email VARCHAR(255) UNIQUE NOT NULL,
-  password VARCHAR(255) NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  last_login TIMESTAMP,
-  login_count INTEGER DEFAULT 0,
-  is_active BOOLEAN DEFAULT true,
-  email_verified BOOLEAN DEFAULT false
-);
-
--- Create indexes
-CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-
--- Enable Row Level Security (RLS)
-ALTER TABLE users ENABLE ROW LEVEL SECURITY;
-
--- Create policies (cho phép server đọc/ghi)
-CREATE POLICY "Enable read access for authenticated users" ON users
-  FOR SELECT USING (true);
-
-CREATE POLICY "Enable insert for authenticated users" ON users
-  FOR INSERT WITH CHECK (true);
-
-CREATE POLICY "Enable update for users based on id" ON users
-  FOR UPDATE USING (true);
-        `);
-        console.log('─'.repeat(60));
+        console.log('💡 Tạo schema bằng migration: npm run migrate:up (cần DATABASE_URL, xem src/database/migrations)\n');
         
         logInfo('Supabase connected but table "users" not found');
         
@@ -161,6 +135,38 @@ const getDatabase = () => {
   return supabase;
 };
 
+/**
+ * Supabase client đã khởi tạo chưa (route / room đọc bảng game cần client này)
+ */
+const isDatabaseReady = () => supabase !== null;
+
+/**
+ * Lấy pg Pool (tạo ở lần gọi đầu từ DATABASE_URL)
+ */
+const getPool = () => {
+  if (!pool) {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL is not defined in .env file');
+    }
+
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
+      types: {
+        getTypeParser: (oid, format) => PG_TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+      }
+    });
+
+    // Lỗi của connection đang rảnh trong pool, không bắt thì process bị crash
+    pool.on('error', (error) => {
+      logError('Postgres pool error', error);
+    });
+
+    logInfo('Postgres pool created');
+  }
+  return pool;
+};
+
 /**
  * Kiểm tra kết nối database (dùng cho health check)
  */
@@ -248,6 +254,12 @@ const testQuery = async () => {
  */
 const closeDatabase = async () => {
   try {
+    if (pool) {
+      await pool.end();
+      pool = null;
+      logInfo('Postgres pool closed');
+    }
+
     if (supabase) {
       // Supabase client không cần close explicitly
       // Nhưng có thể clear reference
@@ -264,6 +276,8 @@ const closeDatabase = async () => {
 module.exports = {
   initDatabase,
   getDatabase,
+  isDatabaseReady,
+  getPool,
   checkDatabaseHealth,
   testQuery,
   closeDatabase,
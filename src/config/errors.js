@@ -0,0 +1,141 @@
+// src/config/errors.js - Mã lỗi cố định trả về cho client (Unity so theo `code`, không so message)
+// Response lỗi: { success: false, code, message, errors? } - xem src/middlewares/errorHandler.js
+// Mỗi mã: HTTP status, message theo ngôn ngữ ở src/locales/<locale>.js (errors.<MÃ>),
+// {name} trong message được thay bằng params khi tạo lỗi.
+// Đã phát hành thì không đổi tên mã; bỏ mã nào thì giữ lại ở đây tới khi client cũ không còn dùng.
+
+const ERRORS = {
+  // ============= Chung =============
+  VALIDATION_FAILED: { status: 400 },
+  INVALID_JSON: { status: 400 },
+  PAYLOAD_TOO_LARGE: { status: 413 },
+  ROUTE_NOT_FOUND: { status: 404 },
+  INTERNAL_ERROR: { status: 500 },
+  USER_NOT_FOUND: { status: 404 },
+  PLAYER_NOT_FOUND: { status: 404 },
+
+  // ============= Access token / quyền =============
+  TOKEN_MISSING: { status: 401 },
+  TOKEN_INVALID: { status: 401 },
+  TOKEN_EXPIRED: { status: 401 },
+  TOKEN_REVOKED: { status: 401 },
+  PERMISSION_DENIED: { status: 403 },
+  EMAIL_NOT_VERIFIED: { status: 403 },
+  TOO_MANY_ATTEMPTS: { status: 429 },
+  CHALLENGE_REQUIRED: { status: 428 },
+
+  // ============= Đăng nhập / tài khoản =============
+  AUTH_INVALID_CREDENTIALS: { status: 401 },
+  AUTH_WRONG_PASSWORD: { status: 401 },
+  AUTH_PASSWORD_NOT_SET: { status: 400 },
+  AUTH_ACCOUNT_LOCKED: { status: 403 },
+  AUTH_PASSWORD_RESET_REQUIRED: { status: 403 },
+  AUTH_EMAIL_TAKEN: { status: 409 },
+  AUTH_USERNAME_TAKEN: { status: 409 },
+  AUTH_ALREADY_REGISTERED: { status: 409 },
+  REFRESH_TOKEN_MISSING: { status: 400 },
+  REFRESH_TOKEN_INVALID: { status: 401 },
+  REFRESH_TOKEN_EXPIRED: { status: 401 },
+  SESSION_COMPROMISED: { status: 401 },
+  SESSION_NOT_FOUND: { status: 404 },
+  PASSWORD_RESET_TOKEN_INVALID: { status: 400 },
+  PASSWORD_RESET_TOKEN_EXPIRED: { status: 400 },
+  EMAIL_VERIFICATION_TOKEN_INVALID: { status: 400 },
+  EMAIL_VERIFICATION_TOKEN_EXPIRED: { status: 400 },
+  EMAIL_ALREADY_VERIFIED: { status: 409 },
+  EMAIL_RESEND_COOLDOWN: { status: 429 },
+  MAIL_DELIVERY_FAILED: { status: 502 },
+
+  // ============= Xác thực 2 bước =============
+  TWO_FACTOR_CHALLENGE_EXPIRED: { status: 401 },
+  TWO_FACTOR_INVALID_CODE: { status: 401 },
+  TWO_FACTOR_ALREADY_ENABLED: { status: 409 },
+  TWO_FACTOR_NOT_ENABLED: { status: 409 },
+  TWO_FACTOR_NOT_STARTED: { status: 409 },
+  TWO_FACTOR_GUEST_NOT_ALLOWED: { status: 403 },
+
+  // ============= Tài khoản ngoài (Google, Apple, Steam...) =============
+  IDENTITY_PROVIDER_UNSUPPORTED: { status: 400 },
+  IDENTITY_TOKEN_INVALID: { status: 401 },
+  IDENTITY_EMAIL_REGISTERED: { status: 409 },
+  IDENTITY_ALREADY_LINKED: { status: 409 },
+  IDENTITY_LINKED_TO_OTHER: { status: 409 },
+  IDENTITY_NOT_FOUND: { status: 404 },
+  IDENTITY_LAST_LOGIN_METHOD: { status: 409 },
+
+  // ============= Quản trị =============
+  ADMIN_SELF_ACTION: { status: 403 },
+  ADMIN_TARGET_OUTRANKS: { status: 403 },
+  ADMIN_GRANT_FORBIDDEN: { status: 403 },
+  ACCOUNT_ALREADY_BANNED: { status: 409 },
+  ACCOUNT_NOT_BANNED: { status: 409 },
+  USER_EMAIL_MISSING: { status: 409 },
+  ROLE_INVALID: { status: 400 },
+  ROLE_SELF_CHANGE: { status: 403 },
+  ROLE_UNCHANGED: { status: 409 },
+
+  // ============= Player / túi đồ =============
+  PROFILE_NOTHING_TO_UPDATE: { status: 400 },
+  CLASS_LOCKED: { status: 403 },
+  SKIN_NOT_FOUND: { status: 404 },
+  SKIN_LEVEL_REQUIRED: { status: 403 },
+  ITEM_NOT_FOUND: { status: 404 },
+  ITEM_TEMPLATE_NOT_FOUND: { status: 400 },
+  ITEM_INVALID_QUANTITY: { status: 400 },
+  ITEM_INVALID_RARITY: { status: 400 },
+  ITEM_TOO_MANY_AFFIXES: { status: 400 },
+  ITEM_INVALID_AFFIX: { status: 400 },
+  ITEM_NOT_EQUIPPABLE: { status: 400 },
+  ITEM_BROKEN: { status: 409 },
+  ITEM_LEVEL_REQUIRED: { status: 403 },
+  ITEM_SLOT_MISMATCH: { status: 400 },
+  ITEM_NOT_EQUIPPED: { status: 409 },
+  ITEM_EQUIPPED: { status: 409 },
+  ITEM_NOT_SPLITTABLE: { status: 400 },
+  ITEM_INVALID_SPLIT: { status: 400 },
+  INVENTORY_FULL: { status: 409 },
+
+  // ============= Run / bảng xếp hạng =============
+  RUN_TICKET_INVALID: { status: 422 },
+  RUN_ALREADY_SUBMITTED: { status: 409 },
+  RUN_DURATION_INVALID: { status: 422 },
+  RUN_OVERLAPPING: { status: 422 },
+  RUN_TOO_FAST: { status: 422 },
+  RUN_TOO_MANY_KILLS: { status: 422 },
+  RUN_TOO_MUCH_LOOT: { status: 422 },
+  RUN_LOOT_TOO_DEEP: { status: 422 },
+  RUN_LOOT_BOSS_ALIVE: { status: 422 },
+  RUN_LOOT_NOT_DROPPED: { status: 422 },
+  NO_ACTIVE_SEASON: { status: 404 },
+
+  // ============= Bạn bè =============
+  FRIEND_SELF: { status: 400 },
+  FRIEND_REQUEST_BLOCKED: { status: 403 },
+  FRIEND_REQUEST_ALREADY_SENT: { status: 409 },
+  FRIEND_REQUEST_NOT_FOUND: { status: 404 },
+  FRIEND_ALREADY_FRIENDS: { status: 409 },
+  FRIEND_NOT_FRIENDS: { status: 404 },
+  FRIEND_LIST_FULL: { status: 409 },
+  BLOCK_SELF: { status: 400 },
+  BLOCK_ALREADY_BLOCKED: { status: 409 },
+  BLOCK_NOT_BLOCKED: { status: 404 },
+
+  // ============= Party (gửi qua SocialRoom 'partyError', giữ nguyên mã cũ) =============
+  NOT_IN_PARTY: { status: 409 },
+  ALREADY_IN_PARTY: { status: 409 },
+  NOT_LEADER: { status: 403 },
+  PARTY_DISBANDED: { status: 410 },
+  PARTY_FULL: { status: 409 },
+  INVITE_NOT_FOUND: { status: 404 },
+  NOT_FRIEND: { status: 403 },
+  PLAYER_OFFLINE: { status: 409 },
+  ALREADY_MEMBER: { status: 409 },
+  NOT_MEMBER: { status: 404 },
+  MEMBERS_NOT_READY: { status: 409 },
+  PARTY_QUEUED: { status: 409 },
+  REGION_REQUIRED: { status: 400 }
+};
+
+module.exports = {
+  ERRORS
+};
@@ -0,0 +1,184 @@
+// src/config/game.js - Thông số gameplay (server authoritative)
+// Các giá trị này là nguồn sự thật duy nhất, client không được tự tính
+
+const TICK_RATE = Number(process.env.GAME_TICK_RATE) || 20; // ticks / giây
+
+module.exports = {
+  TICK_RATE,
+  TICK_INTERVAL_MS: 1000 / TICK_RATE,
+
+  // Phòng chơi
+  MAX_PLAYERS_PER_ROOM: 4,
+  RECONNECT_TIMEOUT_SECONDS: 15,
+
+  // Kích thước tile (1 tile = 1 đơn vị world ở Unity)
+  TILE_SIZE: 1,
+
+  // Loại tile trong floor layout (đồng bộ với Unity)
+  TILE: {
+    WALL: 0,
+    FLOOR: 1,
+    DOOR: 2
+  },
+
+  // Sinh floor theo seed - đổi thuật toán thì phải tăng GENERATOR_VERSION
+  DUNGEON: {
+    GENERATOR_VERSION: 1,
+    MAX_DEPTH: 100,
+    BASE_WIDTH: 40,
+    BASE_HEIGHT: 30,
+    MAX_WIDTH: 80,
+    MAX_HEIGHT: 60,
+    MIN_ROOMS: 6,
+    MAX_ROOMS: 14,
+    ROOM_MIN_SIZE: 5,
+    ROOM_MAX_WIDTH: 11,
+    ROOM_MAX_HEIGHT: 9,
+    ROOM_PADDING: 2,
+    PLACEMENT_ATTEMPTS: 200,
+    EXTRA_CORRIDOR_CHANCE: 0.15,
+    TREASURE_ROOM_CHANCE: 0.3,
+    MAX_ENEMIES_PER_ROOM: 6,
+    FLOOR_TRANSITION_MS: 3000 // boss chết -> nạp floor tiếp theo
+  },
+
+  PLAYER: {
+    MAX_HP: 100,
+    SPEED: 5, // đơn vị / giây
+    RADIUS: 0.4,
+    ATTACK_COOLDOWN_MS: 350
+  },
+
+  PROJECTILE: {
+    SPEED: 12,
+    RADIUS: 0.2,
+    DAMAGE: 20,
+    LIFETIME_MS: 1500
+  },
+
+  ENEMY: {
+    MAX_HP: 60,
+    SPEED: 2.5,
+    RADIUS: 0.45,
+    AGGRO_RANGE: 8,
+    CONTACT_DAMAGE: 10,
+    CONTACT_COOLDOWN_MS: 800,
+    // HP tăng theo độ sâu: MAX_HP * (1 + HP_PER_DEPTH * (depth - 1))
+    HP_PER_DEPTH: 0.15
+  },
+
+  // Tiến trình nhân vật: XP cần để lên level kế tiếp = BASE_XP * level^EXPONENT
+  PROGRESSION: {
+    MAX_LEVEL: 60,
+    BASE_XP: 100,
+    EXPONENT: 1.5,
+    STARTING_GOLD: 0,
+    STARTING_SOULS: 0
+  },
+
+  // Class và skin mở khoá theo level
+  DEFAULT_CLASS: 'warrior',
+  DEFAULT_SKIN: 'default',
+
+  CLASSES: [
+    { id: 'warrior', minLevel: 1 },
+    { id: 'ranger', minLevel: 3 },
+    { id: 'mage', minLevel: 6 },
+    { id: 'rogue', minLevel: 10 }
+  ],
+
+  SKINS: [
+    { id: 'default', minLevel: 1 },
+    { id: 'ashen', minLevel: 5 },
+    { id: 'crimson', minLevel: 10 },
+    { id: 'hollow_king', minLevel: 25 }
+  ],
+
+  // Bảng xếp hạng: mỗi user giữ 1 kết quả tốt nhất / board / kỳ
+  LEADERBOARD: {
+    BOARDS: {
+      deepest_floor: { order: 'desc' },
+      fastest_clear: { order: 'asc' }, // duration (ms), chỉ run đã clear
+      highest_score: { order: 'desc' }
+    },
+    PERIODS: ['alltime', 'weekly', 'season'],
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100,
+    NEIGHBOR_RANGE: 5,
+    SEASONS: [
+      { id: 1, name: 'Season 1', startsAt: '2026-01-01T00:00:00Z', endsAt: '2026-07-01T00:00:00Z' },
+      { id: 2, name: 'Season 2', startsAt: '2026-07-01T00:00:00Z', endsAt: '2027-01-01T00:00:00Z' }
+    ]
+  },
+
+  BOSS: {
+    MAX_HP: 400,
+    SPEED: 2,
+    RADIUS: 0.8,
+    AGGRO_RANGE: 10,
+    CONTACT_DAMAGE: 25,
+    CONTACT_COOLDOWN_MS: 1000,
+    HP_PER_DEPTH: 0.25
+  },
+
+  // Hàng chờ ghép nhóm co-op: luật ghép nới dần theo thời gian chờ
+  MATCHMAKING: {
+    MIN_PLAYERS: 2,
+    MAX_PLAYERS: 4,
+    REGIONS: ['asia', 'eu', 'na', 'sa', 'oce'],
+    DIFFICULTIES: ['normal', 'hard', 'nightmare'],
+    DEFAULT_DIFFICULTY: 'normal',
+    CYCLE_MS: 1000,
+    BASE_LEVEL_BAND: 3, // chênh lệch level tối đa lúc mới vào hàng
+    LEVEL_BAND_STEP: 2,
+    LEVEL_BAND_WIDEN_MS: 10000, // mỗi 10s chờ => band +LEVEL_BAND_STEP
+    MAX_LEVEL_BAND: 20,
+    PARTIAL_GROUP_AFTER_MS: 20000, // sau 20s chấp nhận nhóm MIN_PLAYERS người
+    ANY_REGION_AFTER_MS: 45000, // sau 45s ghép khác region
+    RECONNECT_TIMEOUT_SECONDS: 20
+  },
+
+  // Bạn bè & presence realtime (SocialRoom)
+  SOCIAL: {
+    MAX_FRIENDS: 200,
+    WHISPER_MAX_LENGTH: 200,
+    FRIENDS_REFRESH_MS: 60000,
+    RECONNECT_TIMEOUT_SECONDS: 10 // rớt mạng ngắn không báo offline
+  },
+
+  // Party (nhóm trước khi vào dungeon), lưu trong Colyseus presence
+  PARTY: {
+    MAX_SIZE: 4,
+    INVITE_TTL_MS: 60000,
+    START_MODES: ['private', 'matchmaking']
+  },
+
+  // Kết quả run: ngưỡng chống gian lận, điểm và phần thưởng
+  RUNS: {
+    CLEAR_DEPTH: 10, // qua hết floor này = clear run (tính cho fastest_clear)
+    MIN_TIME_TOLERANCE: 0.8, // chừa 20% cho lag / sai số đồng hồ client
+    MAX_DURATION_MS: 4 * 60 * 60 * 1000,
+    MAX_LOOT_ENTRIES: 100,
+    // Số item mỗi rương theo tier (drop sinh từ seed, xem lootService)
+    DROPS_PER_TREASURE: {
+      common: 1,
+      rare: 2,
+      boss: 3
+    },
+    MAX_DROP_STACK: 5, // số lượng tối đa của 1 drop item stack được (potion, material)
+    TICKET_TTL: '1h', // DungeonRoom ký kết quả run, client phải nộp trong thời gian này
+    HISTORY_PAGE_SIZE: 20,
+    SCORE: {
+      PER_FLOOR: 1000,
+      PER_KILL: 10,
+      CLEAR_BONUS: 5000
+    },
+    REWARDS: {
+      XP_PER_FLOOR: 50,
+      XP_PER_KILL: 5,
+      GOLD_PER_FLOOR: 25,
+      GOLD_PER_KILL: 1,
+      SOULS_PER_FLOOR: 1
+    }
+  }
+};
@@ -0,0 +1,7 @@
+// src/config/i18n.js - Ngôn ngữ của response API (message ở src/locales)
+// Thêm ngôn ngữ: tạo src/locales/<locale>.js cùng cấu trúc với vi.js rồi thêm vào LOCALES
+
+module.exports = {
+  DEFAULT_LOCALE: 'vi',
+  LOCALES: ['vi', 'en']
+};
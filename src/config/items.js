@@ -0,0 +1,34 @@
+// src/config/items.js - Item Template Catalog
+// Dữ liệu nằm trong src/data/items.json (designer chỉnh, tăng "version" mỗi lần đổi)
+const itemData = require('../data/items.json');
+
+// Slot trang bị -> loại item được phép
+const EQUIPMENT_SLOTS = {
+  weapon: 'weapon',
+  armor: 'armor',
+  trinket1: 'trinket',
+  trinket2: 'trinket'
+};
+
+const INVENTORY_CAPACITY = 60;
+
+const templates = new Map(itemData.items.map((item) => [item.id, item]));
+
+const getTemplate = (templateId) => templates.get(templateId) || null;
+
+const getRarity = (rarity) => itemData.rarities[rarity] || null;
+
+const getAffix = (affixId) => itemData.affixes[affixId] || null;
+
+const affixIds = Object.keys(itemData.affixes);
+
+module.exports = {
+  ITEM_CATALOG_VERSION: itemData.version,
+  EQUIPMENT_SLOTS,
+  INVENTORY_CAPACITY,
+  getTemplate,
+  getRarity,
+  getAffix,
+  getAllTemplates: () => [...templates.values()],
+  getAllAffixIds: () => [...affixIds]
+};
@@ -0,0 +1,35 @@
+// src/config/mail.js - Cấu hình gửi email (reset password, xác thực email)
+const path = require('path');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+module.exports = {
+  // 'smtp' | 'file' | 'console' - mặc định chỉ production mới gửi thật
+  TRANSPORT: process.env.MAIL_TRANSPORT || (isProduction ? 'smtp' : 'console'),
+  FROM: process.env.MAIL_FROM || 'SoulDungeon <no-reply@souldungeon.local>',
+  DEFAULT_LOCALE: 'vi',
+  LOCALES: ['vi', 'en'],
+
+  SMTP: {
+    HOST: process.env.SMTP_HOST,
+    PORT: Number(process.env.SMTP_PORT) || 587,
+    SECURE: process.env.SMTP_SECURE === 'true',
+    USER: process.env.SMTP_USER,
+    PASS: process.env.SMTP_PASS
+  },
+
+  // Transport 'file' ghi mỗi email ra 1 file .json để xem khi dev
+  FILE_DIR: process.env.MAIL_FILE_DIR || path.join(__dirname, '../../logs/mail'),
+
+  // Gửi lỗi => thử lại với delay tăng dần (BASE_DELAY_MS * 2^n)
+  RETRY: {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 1000
+  },
+
+  // Link trong email, {token} được thay bằng token thật
+  LINKS: {
+    RESET_PASSWORD: process.env.MAIL_RESET_PASSWORD_URL || 'http://localhost:3000/reset-password?token={token}',
+    VERIFY_EMAIL: process.env.MAIL_VERIFY_EMAIL_URL || 'http://localhost:3000/verify-email?token={token}'
+  }
+};
@@ -0,0 +1,53 @@
+// src/config/oauth.js - Cấu hình đăng nhập bằng tài khoản ngoài (Google, Apple, Steam...)
+// Provider chỉ được bật khi đã cấu hình client ID / app ID tương ứng.
+//   type 'oidc'  : ID token JWT, verify bằng JWKS_URI hoặc PUBLIC_KEY (PEM)
+//   type 'steam' : session ticket, verify qua Steam Web API
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+module.exports = {
+  PROVIDERS: {
+    google: {
+      TYPE: 'oidc',
+      ENABLED: Boolean(process.env.GOOGLE_CLIENT_ID),
+      ISSUERS: ['https://accounts.google.com', 'accounts.google.com'],
+      AUDIENCE: process.env.GOOGLE_CLIENT_ID,
+      JWKS_URI: 'https://www.googleapis.com/oauth2/v3/certs'
+    },
+
+    apple: {
+      TYPE: 'oidc',
+      ENABLED: Boolean(process.env.APPLE_CLIENT_ID),
+      ISSUERS: ['https://appleid.apple.com'],
+      AUDIENCE: process.env.APPLE_CLIENT_ID,
+      JWKS_URI: 'https://appleid.apple.com/auth/keys'
+    },
+
+    steam: {
+      TYPE: 'steam',
+      ENABLED: Boolean(process.env.STEAM_APP_ID && process.env.STEAM_WEB_API_KEY),
+      APP_ID: process.env.STEAM_APP_ID,
+      API_KEY: process.env.STEAM_WEB_API_KEY,
+      API_URL: 'https://partner.steam-api.com/ISteamUserAuth/AuthenticateUserTicket/v1/'
+    },
+
+    // Provider giả cho dev / test: tự ký ID token bằng private key, server verify bằng public key
+    // Không bao giờ bật trên production
+    local: {
+      TYPE: 'oidc',
+      ENABLED: !isProduction && Boolean(process.env.OAUTH_LOCAL_PUBLIC_KEY),
+      ISSUERS: ['souldungeon-local'],
+      AUDIENCE: 'souldungeon',
+      PUBLIC_KEY: process.env.OAUTH_LOCAL_PUBLIC_KEY
+    }
+  },
+
+  // Thuật toán chữ ký chấp nhận cho ID token
+  ALGORITHMS: ['RS256', 'ES256'],
+
+  // Cache public key của provider, key lạ (provider xoay key) thì tải lại nhưng không quá 1 lần / REFETCH_COOLDOWN_MS
+  JWKS_CACHE_MS: 60 * 60 * 1000,
+  JWKS_REFETCH_COOLDOWN_MS: 60 * 1000,
+
+  REQUEST_TIMEOUT_MS: 5000
+};
@@ -0,0 +1,61 @@
+// src/config/roles.js - Vai trò và quyền (RBAC)
+// Quyền được tính từ role lúc ký access token và nằm trong claim `permissions`.
+// Route kiểm tra quyền bằng requirePermission('users:ban'), không kiểm tra tên role.
+
+const ROLES = {
+  PLAYER: 'player',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_BAN: 'users:ban',
+  USERS_FORCE_LOGOUT: 'users:force_logout',
+  USERS_FORCE_PASSWORD_RESET: 'users:force_password_reset',
+  USERS_LOGIN_HISTORY: 'users:login_history',
+  USERS_ROLE_UPDATE: 'users:role',
+  AUDIT_READ: 'audit:read'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.PLAYER]: [],
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_BAN,
+    PERMISSIONS.USERS_FORCE_LOGOUT,
+    PERMISSIONS.USERS_LOGIN_HISTORY
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+// Thứ bậc role: chỉ quản lý được user có role thấp hơn mình (admin không thao tác được admin khác)
+const ROLE_RANK = {
+  [ROLES.PLAYER]: 0,
+  [ROLES.MODERATOR]: 1,
+  [ROLES.ADMIN]: 2
+};
+
+/**
+ * Quyền của role (role lạ => không có quyền gì)
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLE_RANK,
+  DEFAULT_ROLE: ROLES.PLAYER,
+  getRolePermissions,
+
+  // Admin API
+  ADMIN: {
+    PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100
+  },
+
+  // Cache token_version của user trong process: role đổi => token cũ bị từ chối
+  // chậm nhất sau khoảng này ở các process khác (process đổi role xoá cache ngay)
+  TOKEN_VERSION_CACHE_MS: 10 * 1000
+};
@@ -0,0 +1,302 @@
+// src/controllers/adminController.js - Quản trị user (cần quyền RBAC, xem src/config/roles.js)
+const { validationResult } = require('express-validator');
+const AdminService = require('../services/adminService');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logError } = require('../config/logger');
+const MAIL = require('../config/mail');
+const { ADMIN } = require('../config/roles');
+
+/**
+ * List Users Controller
+ */
+const listUsers = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { search, active, verified, role, createdFrom, createdTo, page, limit } = req.query;
+
+    const result = await AdminService.listUsers(getActor(req), {
+      search: search || null,
+      isActive: active === undefined ? null : active,
+      emailVerified: verified === undefined ? null : verified,
+      role: role || null,
+      createdFrom: createdFrom || null,
+      createdTo: createdTo || null,
+      page: page || 1,
+      limit: limit || ADMIN.PAGE_SIZE
+    });
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.USERS_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Admin list users controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get User Controller
+ */
+const getUser = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AdminService.getUser(getActor(req), req.params.userId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.USER_INFO_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Admin get user controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Ban User Controller
+ */
+const banUser = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AdminService.banUser(getActor(req), req.params.userId, req.body.reason || null);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Admin ban user controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Unban User Controller
+ */
+const unbanUser = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AdminService.unbanUser(getActor(req), req.params.userId, req.body.reason || null);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Admin unban user controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Force Logout Controller
+ */
+const forceLogout = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AdminService.forceLogout(getActor(req), req.params.userId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Admin force logout controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Force Password Reset Controller
+ */
+const forcePasswordReset = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AdminService.forcePasswordReset(
+      getActor(req),
+      req.params.userId,
+      req.acceptsLanguages(...MAIL.LOCALES)
+    );
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Admin force password reset controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Change User Role Controller
+ */
+const changeUserRole = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AdminService.changeRole(getActor(req), req.params.userId, req.body.role);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Change user role controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get Login History Controller
+ */
+const getLoginHistory = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { page, limit } = req.query;
+
+    const result = await AdminService.getLoginHistory(getActor(req), req.params.userId, {
+      page: page || 1,
+      limit: limit || ADMIN.PAGE_SIZE
+    });
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.LOGIN_HISTORY_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Admin get login history controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get Audit Log Controller
+ */
+const getAuditLog = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { actorId, targetUserId, action, page, limit } = req.query;
+
+    const result = await AdminService.getAuditLog(getActor(req), {
+      actorId: actorId || null,
+      targetUserId: targetUserId || null,
+      action: action || null,
+      page: page || 1,
+      limit: limit || ADMIN.PAGE_SIZE
+    });
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.AUDIT_LOG_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Admin get audit log controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+// ============= Helper Functions =============
+
+// Người đang thao tác (ghi vào audit log)
+function getActor(req) {
+  return {
+    id: req.user.id,
+    role: req.user.role,
+    ipAddress: req.ip || req.connection.remoteAddress
+  };
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  banUser,
+  unbanUser,
+  forceLogout,
+  forcePasswordReset,
+  changeUserRole,
+  getLoginHistory,
+  getAuditLog
+};
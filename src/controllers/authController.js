@@ -1,13 +1,14 @@
 // src/controllers/authController.js - Complete Auth Controller
 const { validationResult } = require('express-validator');
 const AuthService = require('../services/authService');
-const { successResponse, errorResponse } = require('../utils/response');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
 const { logInfo, logError } = require('../config/logger');
 
 /**
  * Register Controller
  */
-const register = async (req, res) => {
+const register = async (req, res, next) => {
   const startTime = Date.now();
   
   try {
@@ -15,23 +16,23 @@ const register = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logInfo('Register validation failed', { errors: errors.array() });
-      return errorResponse(res, 'Dữ liệu không hợp lệ', 400, errors.array());
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
     }
 
     const { username, email, password } = req.body;
 
     // Gọi AuthService
-    const result = await AuthService.register(username, email, password);
+    const result = await AuthService.register(username, email, password, req.locale);
 
     const duration = Date.now() - startTime;
 
     if (!result.success) {
       logInfo('Register failed', { 
         email, 
-        reason: result.message, 
+        reason: result.code, 
         duration: `${duration}ms` 
       });
-      return errorResponse(res, result.message, 400);
+      return next(AppError.fromResult(result));
     }
 
     logInfo('Register successful', { 
@@ -40,7 +41,7 @@ const register = async (req, res) => {
       duration: `${duration}ms` 
     });
 
-    return successResponse(res, result.message, result.data, 201);
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data, 201);
 
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -48,14 +49,14 @@ const register = async (req, res) => {
       email: req.body.email,
       duration: `${duration}ms`
     });
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
   }
 };
 
 /**
  * Login Controller
  */
-const login = async (req, res) => {
+const login = async (req, res, next) => {
   const startTime = Date.now();
   const ipAddress = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('user-agent');
@@ -65,7 +66,7 @@ const login = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       logInfo('Login validation failed', { errors: errors.array() });
-      return errorResponse(res, 'Dữ liệu không hợp lệ', 400, errors.array());
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
     }
 
     const { email, password } = req.body;
@@ -79,20 +80,20 @@ const login = async (req, res) => {
       logInfo('Login failed', { 
         email, 
         ip: ipAddress,
-        reason: result.message, 
+        reason: result.code, 
         duration: `${duration}ms` 
       });
-      return errorResponse(res, result.message, 401);
+      return next(AppError.fromResult(result));
     }
 
-    logInfo('Login successful', { 
-      userId: result.data.user.id, 
+    logInfo(result.data.twoFactorRequired ? 'Login password verified, 2FA required' : 'Login successful', { 
+      userId: result.data.user?.id, 
       email,
       ip: ipAddress,
       duration: `${duration}ms` 
     });
 
-    return successResponse(res, result.message, result.data);
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
 
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -101,110 +102,208 @@ const login = async (req, res) => {
       ip: ipAddress,
       duration: `${duration}ms`
     });
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
+  }
+};
+
+/**
+ * Login 2FA Controller (bước 2 khi tài khoản bật xác thực 2 bước)
+ */
+const loginTwoFactor = async (req, res, next) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent');
+
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const result = await AuthService.loginWithTwoFactor(challengeToken, code, ipAddress, userAgent);
+
+    if (!result.success) {
+      logInfo('Login 2FA failed', { ip: ipAddress, reason: result.code });
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Login 2FA controller error', error, { ip: ipAddress });
+    return next(error);
+  }
+};
+
+/**
+ * Guest Login Controller
+ */
+const guestLogin = async (req, res, next) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent');
+
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AuthService.loginAsGuest(req.body.deviceId, ipAddress, userAgent);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Guest login controller error', error, { ip: ipAddress });
+    return next(error);
+  }
+};
+
+/**
+ * Upgrade Guest Controller
+ */
+const upgradeGuest = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { username, email, password } = req.body;
+
+    const result = await AuthService.upgradeGuest(
+      req.user.id,
+      username,
+      email,
+      password,
+      req.locale,
+      req.ip || req.connection.remoteAddress,
+      req.get('user-agent')
+    );
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Upgrade guest controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
   }
 };
 
 /**
  * Logout Controller
  */
-const logout = async (req, res) => {
+const logout = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
 
     const result = await AuthService.logout(refreshToken);
 
     if (!result.success) {
-      return errorResponse(res, result.message, 400);
+      return next(AppError.fromResult(result));
     }
 
     logInfo('Logout successful');
-    return successResponse(res, result.message);
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
 
   } catch (error) {
     logError('Logout controller error', error);
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
   }
 };
 
 /**
  * Logout All Devices Controller
  */
-const logoutAllDevices = async (req, res) => {
+const logoutAllDevices = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
     const result = await AuthService.logoutAllDevices(userId);
 
     if (!result.success) {
-      return errorResponse(res, result.message, 400);
+      return next(AppError.fromResult(result));
     }
 
     logInfo('Logout all devices successful', { userId });
-    return successResponse(res, result.message);
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
 
   } catch (error) {
     logError('Logout all devices controller error', error, { 
       userId: req.user?.id 
     });
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
   }
 };
 
 /**
  * Refresh Token Controller
  */
-const refreshToken = async (req, res) => {
+const refreshToken = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('user-agent');
 
-    const result = await AuthService.refreshAccessToken(refreshToken);
+    const result = await AuthService.refreshAccessToken(refreshToken, ipAddress, userAgent);
 
     if (!result.success) {
-      return errorResponse(res, result.message, 401);
+      return next(AppError.fromResult(result));
     }
 
     logInfo('Refresh token successful');
-    return successResponse(res, result.message, result.data);
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
 
   } catch (error) {
     logError('Refresh token controller error', error);
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
   }
 };
 
 /**
  * Get User Info Controller
  */
-const getUserInfo = async (req, res) => {
+const getUserInfo = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
     const result = await AuthService.getUserInfo(userId);
 
     if (!result.success) {
-      return errorResponse(res, result.message, 404);
+      return next(AppError.fromResult(result));
     }
 
-    return successResponse(res, 'Lấy thông tin user thành công', result.data);
+    return successResponse(res, req.t('messages.USER_INFO_FETCHED'), result.data);
 
   } catch (error) {
     logError('Get user info controller error', error, { 
       userId: req.user?.id 
     });
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
   }
 };
 
 /**
  * Change Password Controller
  */
-const changePassword = async (req, res) => {
+const changePassword = async (req, res, next) => {
   try {
     // Validate input
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return errorResponse(res, 'Dữ liệu không hợp lệ', 400, errors.array());
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
     }
 
     const userId = req.user.id;
@@ -213,53 +312,87 @@ const changePassword = async (req, res) => {
     const result = await AuthService.changePassword(userId, oldPassword, newPassword);
 
     if (!result.success) {
-      return errorResponse(res, result.message, 400);
+      return next(AppError.fromResult(result));
     }
 
     logInfo('Password changed successfully', { userId });
-    return successResponse(res, result.message);
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
 
   } catch (error) {
     logError('Change password controller error', error, { 
       userId: req.user?.id 
     });
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
+  }
+};
+
+/**
+ * Update Locale Controller
+ */
+const updateLocale = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const userId = req.user.id;
+
+    const result = await AuthService.updateLocale(userId, req.body.locale ?? null, req.user.sessionId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    // Trả lời bằng ngôn ngữ vừa chọn
+    if (result.data.locale) {
+      req.locale = result.data.locale;
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Update locale controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
   }
 };
 
 /**
  * Forgot Password Controller
  */
-const forgotPassword = async (req, res) => {
+const forgotPassword = async (req, res, next) => {
   try {
     // Validate input
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return errorResponse(res, 'Dữ liệu không hợp lệ', 400, errors.array());
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
     }
 
     const { email } = req.body;
 
-    const result = await AuthService.forgotPassword(email);
+    const result = await AuthService.forgotPassword(email, req.locale);
 
     // Always return success (security best practice)
-    return successResponse(res, result.message, result.data);
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
 
   } catch (error) {
     logError('Forgot password controller error', error);
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
   }
 };
 
 /**
  * Reset Password Controller
  */
-const resetPassword = async (req, res) => {
+const resetPassword = async (req, res, next) => {
   try {
     // Validate input
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return errorResponse(res, 'Dữ liệu không hợp lệ', 400, errors.array());
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
     }
 
     const { token, newPassword } = req.body;
@@ -267,26 +400,212 @@ const resetPassword = async (req, res) => {
     const result = await AuthService.resetPassword(token, newPassword);
 
     if (!result.success) {
-      return errorResponse(res, result.message, 400);
+      return next(AppError.fromResult(result));
     }
 
     logInfo('Password reset successful');
-    return successResponse(res, result.message);
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
 
   } catch (error) {
     logError('Reset password controller error', error);
-    return errorResponse(res, 'Lỗi server', 500);
+    return next(error);
+  }
+};
+
+/**
+ * Verify Email Controller
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { token } = req.body;
+
+    const result = await AuthService.verifyEmail(token);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Verify email controller error', error);
+    return next(error);
+  }
+};
+
+/**
+ * Resend Verification Controller
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await AuthService.resendVerification(userId, req.locale);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Resend verification controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get Sessions Controller
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const result = await AuthService.getSessions(req.user.id, req.user.sessionId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.SESSIONS_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get sessions controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Revoke Session Controller
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AuthService.revokeSession(req.user.id, req.params.id);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Revoke session controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Enroll 2FA Controller
+ */
+const enrollTwoFactor = async (req, res, next) => {
+  try {
+    const result = await AuthService.enrollTwoFactor(req.user.id);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Enroll 2FA controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Confirm 2FA Controller
+ */
+const confirmTwoFactor = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await AuthService.confirmTwoFactor(req.user.id, req.body.code);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Confirm 2FA controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Disable 2FA Controller
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { password, code } = req.body;
+
+    const result = await AuthService.disableTwoFactor(req.user.id, password, code);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Disable 2FA controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
   }
 };
 
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  guestLogin,
+  upgradeGuest,
   logout,
   logoutAllDevices,
   refreshToken,
   getUserInfo,
   changePassword,
+  updateLocale,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor
 };
\ No newline at end of file
@@ -0,0 +1,38 @@
+// src/controllers/dungeonController.js - Dungeon Floor Controller
+const { validationResult } = require('express-validator');
+const DungeonService = require('../services/dungeonService');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logInfo, logError } = require('../config/logger');
+
+/**
+ * Get Floor Controller
+ */
+const getFloor = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logInfo('Get floor validation failed', { errors: errors.array() });
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { seed, depth = 1 } = req.query;
+
+    const result = await DungeonService.getFloor(seed, depth);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Get floor controller error', error, { query: req.query });
+    return next(error);
+  }
+};
+
+module.exports = {
+  getFloor
+};
@@ -0,0 +1,221 @@
+// src/controllers/friendController.js - Friend Controller
+const { validationResult } = require('express-validator');
+const FriendService = require('../services/friendService');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logError } = require('../config/logger');
+
+/**
+ * Get Friends Controller
+ */
+const getFriends = async (req, res, next) => {
+  try {
+    const result = await FriendService.getFriends(req.user.id);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.FRIENDS_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get friends controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get Blocked Users Controller
+ */
+const getBlocked = async (req, res, next) => {
+  try {
+    const result = await FriendService.getBlocked(req.user.id);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.BLOCKS_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get blocked users controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Send Friend Request Controller
+ */
+const sendRequest = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await FriendService.sendRequest(req.user.id, req.body.username);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data, 201);
+
+  } catch (error) {
+    logError('Send friend request controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Accept Friend Request Controller
+ */
+const acceptRequest = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await FriendService.acceptRequest(req.user.id, req.params.requestId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Accept friend request controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Decline Friend Request Controller
+ */
+const declineRequest = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await FriendService.declineRequest(req.user.id, req.params.requestId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Decline friend request controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Remove Friend Controller
+ */
+const removeFriend = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await FriendService.removeFriend(req.user.id, req.params.userId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Remove friend controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Block User Controller
+ */
+const blockUser = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await FriendService.blockUser(req.user.id, req.params.userId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Block user controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Unblock User Controller
+ */
+const unblockUser = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await FriendService.unblockUser(req.user.id, req.params.userId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Unblock user controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+module.exports = {
+  getFriends,
+  getBlocked,
+  sendRequest,
+  acceptRequest,
+  declineRequest,
+  removeFriend,
+  blockUser,
+  unblockUser
+};
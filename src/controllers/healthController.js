@@ -1,5 +1,5 @@
 // src/controllers/healthController.js - Health Check Controller
-const { supabase } = require('../config/database');
+const { getDatabase } = require('../config/database');
 const { successResponse, errorResponse } = require('../utils/response');
 const os = require('os');
 
@@ -168,6 +168,9 @@ async function checkDatabaseHealth() {
   const startTime = Date.now();
   
   try {
+    // Chưa kết nối Supabase (vd. DB_BACKEND=memory không có SUPABASE_URL) => throw, báo disconnected
+    const supabase = getDatabase();
+
     // Test connection với simple query
     const { data, error } = await supabase
       .from('users')
@@ -0,0 +1,128 @@
+// src/controllers/identityController.js - Đăng nhập / liên kết tài khoản ngoài
+const { validationResult } = require('express-validator');
+const IdentityService = require('../services/identityService');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logInfo, logError } = require('../config/logger');
+
+/**
+ * Get Providers Controller
+ */
+const getProviders = (req, res) => {
+  const result = IdentityService.getProviders();
+  return successResponse(res, req.t('messages.PROVIDERS_FETCHED'), result.data);
+};
+
+/**
+ * Identity Login Controller
+ */
+const loginWithProvider = async (req, res, next) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent');
+
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { provider } = req.params;
+
+    const result = await IdentityService.loginWithProvider(provider, req.body.idToken, ipAddress, userAgent);
+
+    if (!result.success) {
+      logInfo('Identity login failed', { provider, ip: ipAddress, reason: result.code });
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data, result.data.isNewUser ? 201 : 200);
+
+  } catch (error) {
+    logError('Identity login controller error', error, { ip: ipAddress });
+    return next(error);
+  }
+};
+
+/**
+ * List Identities Controller
+ */
+const listIdentities = async (req, res, next) => {
+  try {
+    const result = await IdentityService.listIdentities(req.user.id);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.IDENTITIES_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('List identities controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Link Identity Controller
+ */
+const linkIdentity = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await IdentityService.linkIdentity(req.user.id, req.params.provider, req.body.idToken);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data, 201);
+
+  } catch (error) {
+    logError('Link identity controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Unlink Identity Controller
+ */
+const unlinkIdentity = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await IdentityService.unlinkIdentity(req.user.id, req.params.id);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Unlink identity controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+module.exports = {
+  getProviders,
+  loginWithProvider,
+  listIdentities,
+  linkIdentity,
+  unlinkIdentity
+};
@@ -0,0 +1,159 @@
+// src/controllers/inventoryController.js - Inventory Controller
+const { validationResult } = require('express-validator');
+const InventoryService = require('../services/inventoryService');
+const { ITEM_CATALOG_VERSION, getAllTemplates } = require('../config/items');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logError } = require('../config/logger');
+
+/**
+ * Get Item Templates Controller
+ */
+const getTemplates = (req, res) => {
+  return successResponse(res, req.t('messages.ITEM_CATALOG_FETCHED'), {
+    version: ITEM_CATALOG_VERSION,
+    items: getAllTemplates()
+  });
+};
+
+/**
+ * Get Inventory Controller
+ */
+const getInventory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await InventoryService.getInventory(userId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.INVENTORY_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get inventory controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Equip Item Controller
+ */
+const equipItem = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await InventoryService.equipItem(req.user.id, req.params.itemId, req.body.slot);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Equip item controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Unequip Item Controller
+ */
+const unequipItem = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await InventoryService.unequipItem(req.user.id, req.params.itemId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Unequip item controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Split Stack Controller
+ */
+const splitStack = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const result = await InventoryService.splitStack(req.user.id, req.params.itemId, req.body.quantity);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data, 201);
+
+  } catch (error) {
+    logError('Split stack controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Discard Item Controller
+ */
+const discardItem = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const quantity = req.body.quantity !== undefined ? req.body.quantity : null;
+
+    const result = await InventoryService.discardItem(req.user.id, req.params.itemId, quantity);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`));
+
+  } catch (error) {
+    logError('Discard item controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getInventory,
+  equipItem,
+  unequipItem,
+  splitStack,
+  discardItem
+};
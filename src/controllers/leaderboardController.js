@@ -0,0 +1,70 @@
+// src/controllers/leaderboardController.js - Leaderboard Controller
+const { validationResult } = require('express-validator');
+const LeaderboardService = require('../services/leaderboardService');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logError } = require('../config/logger');
+
+/**
+ * Get Leaderboard Controller
+ */
+const getBoard = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { board } = req.params;
+    const { period, season, page, limit } = req.query;
+
+    const result = await LeaderboardService.getBoard(board, { period, season, page, limit });
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.LEADERBOARD_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get leaderboard controller error', error, { board: req.params.board });
+    return next(error);
+  }
+};
+
+/**
+ * Get My Rank Controller
+ */
+const getMyRank = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { board } = req.params;
+    const { period, season, range } = req.query;
+
+    const result = await LeaderboardService.getMyRank(req.user.id, board, { period, season, range });
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.RANK_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get my rank controller error', error, {
+      userId: req.user?.id,
+      board: req.params.board
+    });
+    return next(error);
+  }
+};
+
+module.exports = {
+  getBoard,
+  getMyRank
+};
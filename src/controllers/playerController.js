@@ -0,0 +1,65 @@
+// src/controllers/playerController.js - Player Profile Controller
+const { validationResult } = require('express-validator');
+const PlayerService = require('../services/playerService');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logInfo, logError } = require('../config/logger');
+
+/**
+ * Get My Profile Controller
+ */
+const getMyProfile = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await PlayerService.getProfile(userId);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.PROFILE_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get my profile controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Update My Profile Controller
+ */
+const updateMyProfile = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const userId = req.user.id;
+    const { selectedClass, selectedSkin } = req.body;
+
+    const result = await PlayerService.updateProfile(userId, { selectedClass, selectedSkin });
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    logInfo('Player profile updated', { userId });
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data);
+
+  } catch (error) {
+    logError('Update my profile controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+module.exports = {
+  getMyProfile,
+  updateMyProfile
+};
@@ -0,0 +1,82 @@
+// src/controllers/runController.js - Run Controller
+const { validationResult } = require('express-validator');
+const RunService = require('../services/runService');
+const { successResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
+const { logError } = require('../config/logger');
+
+/**
+ * Submit Run Controller
+ */
+const submitRun = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('user-agent');
+    const { ticket, classId, loot = [] } = req.body;
+
+    const submission = {
+      ticket,
+      classId,
+      loot: loot.map((item) => ({
+        templateId: item.templateId,
+        quantity: item.quantity !== undefined ? item.quantity : 1,
+        rarity: item.rarity || 'common',
+        affixes: item.affixes || []
+      }))
+    };
+
+    const result = await RunService.submitRun(req.user.id, submission, ipAddress, userAgent);
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t(`messages.${result.messageKey}`), result.data, 201);
+
+  } catch (error) {
+    logError('Submit run controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Get My Runs Controller
+ */
+const getMyRuns = async (req, res, next) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('VALIDATION_FAILED', { details: errors.array() }));
+    }
+
+    const { page, limit } = req.query;
+
+    const result = await RunService.getMyRuns(req.user.id, { page, limit });
+
+    if (!result.success) {
+      return next(AppError.fromResult(result));
+    }
+
+    return successResponse(res, req.t('messages.RUN_HISTORY_FETCHED'), result.data);
+
+  } catch (error) {
+    logError('Get my runs controller error', error, {
+      userId: req.user?.id
+    });
+    return next(error);
+  }
+};
+
+module.exports = {
+  submitRun,
+  getMyRuns
+};
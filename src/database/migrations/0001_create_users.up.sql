@@ -0,0 +1,35 @@
+-- Bảng users ban đầu (trước đây initDatabase() in ra để chạy tay trong Supabase SQL Editor)
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(30) UNIQUE NOT NULL,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login TIMESTAMP,
+  login_count INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  email_verified BOOLEAN DEFAULT false
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+
+-- Row Level Security: server dùng publishable key nên cần policy cho phép đọc / ghi
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'users' AND policyname = 'Enable read access for authenticated users') THEN
+    CREATE POLICY "Enable read access for authenticated users" ON users FOR SELECT USING (true);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'users' AND policyname = 'Enable insert for authenticated users') THEN
+    CREATE POLICY "Enable insert for authenticated users" ON users FOR INSERT WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'users' AND policyname = 'Enable update for users based on id') THEN
+    CREATE POLICY "Enable update for users based on id" ON users FOR UPDATE USING (true);
+  END IF;
+END
+$$;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS login_history;
+DROP TABLE IF EXISTS password_resets;
+DROP TABLE IF EXISTS refresh_tokens;
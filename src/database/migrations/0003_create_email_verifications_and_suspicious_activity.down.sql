@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS suspicious_activity;
+DROP TABLE IF EXISTS email_verifications;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS friendships;
+DROP TABLE IF EXISTS game_runs;
+DROP TABLE IF EXISTS leaderboard_entries;
+DROP TABLE IF EXISTS inventory_items;
+DROP TABLE IF EXISTS player_profiles;
@@ -0,0 +1,83 @@
+-- Hồ sơ người chơi (1-1 với users)
+CREATE TABLE IF NOT EXISTS player_profiles (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  level INTEGER NOT NULL DEFAULT 1,
+  xp INTEGER NOT NULL DEFAULT 0,
+  gold INTEGER NOT NULL DEFAULT 0,
+  souls INTEGER NOT NULL DEFAULT 0,
+  unlocked_classes TEXT[] NOT NULL DEFAULT '{}',
+  selected_class VARCHAR(50),
+  selected_skin VARCHAR(50),
+  stats JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- equipped_slot = null | 'weapon' | 'armor' | 'trinket1' | 'trinket2'
+CREATE TABLE IF NOT EXISTS inventory_items (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  template_id VARCHAR(100) NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  rarity VARCHAR(20) NOT NULL,
+  affixes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  durability INTEGER,
+  catalog_version INTEGER,
+  equipped_slot VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_items_user_id ON inventory_items(user_id);
+
+-- Mỗi user 1 dòng / bảng xếp hạng / kỳ (giữ thành tích tốt nhất)
+CREATE TABLE IF NOT EXISTS leaderboard_entries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  board VARCHAR(50) NOT NULL,
+  period_key VARCHAR(64) NOT NULL,
+  value INTEGER NOT NULL,
+  run_id INTEGER,
+  achieved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (board, period_key, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_board_period ON leaderboard_entries(board, period_key, value);
+
+-- 1 seed chỉ được nộp 1 lần / user
+CREATE TABLE IF NOT EXISTS game_runs (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  seed VARCHAR(64) NOT NULL,
+  generator_version INTEGER NOT NULL,
+  class_id VARCHAR(50) NOT NULL,
+  floors_cleared INTEGER NOT NULL DEFAULT 0,
+  kills INTEGER NOT NULL DEFAULT 0,
+  duration_ms INTEGER NOT NULL,
+  loot JSONB NOT NULL DEFAULT '[]'::jsonb,
+  score INTEGER NOT NULL DEFAULT 0,
+  cleared BOOLEAN NOT NULL DEFAULT false,
+  started_at TIMESTAMP NOT NULL,
+  finished_at TIMESTAMP NOT NULL,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, seed)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_runs_user_finished ON game_runs(user_id, finished_at DESC);
+
+-- status = 'pending' | 'accepted' | 'blocked'
+CREATE TABLE IF NOT EXISTS friendships (
+  id SERIAL PRIMARY KEY,
+  requester_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  addressee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  responded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (requester_id, addressee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee_id ON friendships(addressee_id);
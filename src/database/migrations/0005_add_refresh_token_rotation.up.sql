@@ -0,0 +1,6 @@
+-- Refresh token rotation: family = 1 phiên đăng nhập, parent_id / replaced_by = chuỗi token
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id VARCHAR(64);
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS parent_id INTEGER;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS replaced_by INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
@@ -0,0 +1,9 @@
+-- Chỉ chạy được khi không còn tài khoản khách (email / password null)
+DROP POLICY IF EXISTS "Enable delete for users based on id" ON users;
+DROP INDEX IF EXISTS idx_users_guest_created;
+
+ALTER TABLE users ALTER COLUMN password SET NOT NULL;
+ALTER TABLE users ALTER COLUMN email SET NOT NULL;
+
+ALTER TABLE users DROP COLUMN IF EXISTS device_id;
+ALTER TABLE users DROP COLUMN IF EXISTS is_guest;
@@ -0,0 +1,17 @@
+-- Tài khoản khách gắn với thiết bị: chưa có email / mật khẩu cho tới khi nâng cấp
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_guest BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS device_id VARCHAR(128) UNIQUE;
+
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_guest_created ON users(created_at) WHERE is_guest = true;
+
+-- Dọn tài khoản khách không hoạt động cần quyền xoá
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'users' AND policyname = 'Enable delete for users based on id') THEN
+    CREATE POLICY "Enable delete for users based on id" ON users FOR DELETE USING (true);
+  END IF;
+END
+$$;
@@ -0,0 +1,3 @@
+-- Role (player / moderator / admin), token_version tăng khi đổi role => access token cũ hết hiệu lực
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'player';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
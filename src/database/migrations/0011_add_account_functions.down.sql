@@ -0,0 +1,2 @@
+DROP FUNCTION IF EXISTS reset_account_password(INTEGER, INTEGER, VARCHAR);
+DROP FUNCTION IF EXISTS register_account(VARCHAR, VARCHAR, VARCHAR, TEXT, VARCHAR, TIMESTAMP, VARCHAR, TEXT);
@@ -0,0 +1,64 @@
+-- Hàm thao tác nhiều bảng cho backend Supabase (PostgREST không có transaction, gọi qua rpc()).
+-- Mỗi lần gọi hàm là 1 transaction: lỗi ở bước nào cũng rollback toàn bộ.
+-- Logic phải giống PostgresAccountRepository / MemoryAccountRepository (src/repositories).
+
+-- Tạo user + refresh token của phiên đầu tiên
+CREATE OR REPLACE FUNCTION register_account(
+  p_username VARCHAR,
+  p_email VARCHAR,
+  p_password VARCHAR,
+  p_token TEXT,
+  p_family_id VARCHAR,
+  p_expires_at TIMESTAMP,
+  p_ip_address VARCHAR,
+  p_user_agent TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_user users;
+  new_token refresh_tokens;
+BEGIN
+  INSERT INTO users (username, email, password)
+  VALUES (p_username, p_email, p_password)
+  RETURNING * INTO new_user;
+
+  INSERT INTO refresh_tokens (user_id, token, family_id, expires_at, ip_address, user_agent)
+  VALUES (new_user.id, p_token, p_family_id, p_expires_at, p_ip_address, p_user_agent)
+  RETURNING * INTO new_token;
+
+  RETURN jsonb_build_object('user', to_jsonb(new_user), 'refresh_token', to_jsonb(new_token));
+END;
+$$;
+
+-- Dùng token reset: đánh dấu đã dùng, đổi mật khẩu, thu hồi mọi refresh token
+-- false => token đã được dùng trước đó, không ghi gì
+CREATE OR REPLACE FUNCTION reset_account_password(
+  p_reset_id INTEGER,
+  p_user_id INTEGER,
+  p_password VARCHAR
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  now_utc TIMESTAMP := timezone('utc', now());
+BEGIN
+  UPDATE password_resets
+  SET used = true, used_at = now_utc
+  WHERE id = p_reset_id AND used = false;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  UPDATE users
+  SET password = p_password, password_reset_required = false, updated_at = now_utc
+  WHERE id = p_user_id;
+
+  UPDATE refresh_tokens
+  SET revoked = true, revoked_at = now_utc
+  WHERE user_id = p_user_id AND revoked = false;
+
+  RETURN true;
+END;
+$$;
@@ -0,0 +1,2 @@
+-- Ngôn ngữ user đã chọn cho response API / email (NULL => theo Accept-Language)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS verify_account_email(INTEGER, INTEGER);
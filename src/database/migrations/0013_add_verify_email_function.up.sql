@@ -0,0 +1,33 @@
+-- Xác thực email cho backend Supabase (giống reset_account_password ở 0011_add_account_functions).
+-- Logic phải giống PostgresAccountRepository / MemoryAccountRepository (src/repositories).
+
+-- Dùng token xác thực email: đánh dấu đã dùng, xác thực email, bỏ các token còn lại của user
+-- false => token đã được dùng trước đó, không ghi gì
+CREATE OR REPLACE FUNCTION verify_account_email(
+  p_verification_id INTEGER,
+  p_user_id INTEGER
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  now_utc TIMESTAMP := timezone('utc', now());
+BEGIN
+  UPDATE email_verifications
+  SET used = true, used_at = now_utc
+  WHERE id = p_verification_id AND used = false;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  UPDATE users
+  SET email_verified = true, updated_at = now_utc
+  WHERE id = p_user_id;
+
+  UPDATE email_verifications
+  SET used = true, used_at = now_utc
+  WHERE user_id = p_user_id AND used = false;
+
+  RETURN true;
+END;
+$$;
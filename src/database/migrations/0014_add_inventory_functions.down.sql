@@ -0,0 +1,3 @@
+DROP FUNCTION IF EXISTS add_inventory_item(INTEGER, VARCHAR, INTEGER, INTEGER, VARCHAR, JSONB, INTEGER, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS discard_inventory_item(INTEGER, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS split_inventory_stack(INTEGER, INTEGER, INTEGER, INTEGER);
@@ -0,0 +1,149 @@
+-- Thao tác inventory nhiều bước cho InventoryService (gọi qua rpc(), mỗi lần gọi là 1 transaction).
+-- Số lượng được cộng / trừ ngay trong câu UPDATE (không ghi lại giá trị đọc từ trước),
+-- hàm thêm / tách item giữ khoá advisory theo user để 2 request song song không cùng vượt số ô.
+
+-- Tách p_quantity item khỏi stack thành stack mới
+-- Trả về { item } hoặc { error: 'ITEM_NOT_FOUND' | 'ITEM_INVALID_SPLIT' | 'INVENTORY_FULL' }
+CREATE OR REPLACE FUNCTION split_inventory_stack(
+  p_user_id INTEGER,
+  p_item_id INTEGER,
+  p_quantity INTEGER,
+  p_capacity INTEGER
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  source inventory_items;
+  new_stack inventory_items;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('inventory_items'), p_user_id);
+
+  IF (SELECT COUNT(*) FROM inventory_items WHERE user_id = p_user_id) >= p_capacity THEN
+    RETURN jsonb_build_object('error', 'INVENTORY_FULL');
+  END IF;
+
+  UPDATE inventory_items
+  SET quantity = quantity - p_quantity, updated_at = timezone('utc', now())
+  WHERE id = p_item_id AND user_id = p_user_id AND quantity > p_quantity
+  RETURNING * INTO source;
+
+  IF NOT FOUND THEN
+    IF EXISTS (SELECT 1 FROM inventory_items WHERE id = p_item_id AND user_id = p_user_id) THEN
+      RETURN jsonb_build_object('error', 'ITEM_INVALID_SPLIT');
+    END IF;
+    RETURN jsonb_build_object('error', 'ITEM_NOT_FOUND');
+  END IF;
+
+  INSERT INTO inventory_items (user_id, template_id, quantity, rarity, affixes, durability, catalog_version)
+  VALUES (p_user_id, source.template_id, p_quantity, source.rarity, source.affixes, source.durability, source.catalog_version)
+  RETURNING * INTO new_stack;
+
+  RETURN jsonb_build_object('item', to_jsonb(new_stack));
+END;
+$$;
+
+-- Vứt item chưa trang bị: p_quantity = NULL => cả stack, bằng đúng số lượng hiện có => xoá dòng
+-- Trả về {} hoặc { error: 'ITEM_NOT_FOUND' | 'ITEM_EQUIPPED' | 'ITEM_INVALID_QUANTITY' }
+CREATE OR REPLACE FUNCTION discard_inventory_item(
+  p_user_id INTEGER,
+  p_item_id INTEGER,
+  p_quantity INTEGER
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  current_item inventory_items;
+BEGIN
+  IF p_quantity IS NULL THEN
+    DELETE FROM inventory_items
+    WHERE id = p_item_id AND user_id = p_user_id AND equipped_slot IS NULL;
+  ELSE
+    UPDATE inventory_items
+    SET quantity = quantity - p_quantity, updated_at = timezone('utc', now())
+    WHERE id = p_item_id AND user_id = p_user_id AND equipped_slot IS NULL AND quantity > p_quantity;
+
+    IF NOT FOUND THEN
+      DELETE FROM inventory_items
+      WHERE id = p_item_id AND user_id = p_user_id AND equipped_slot IS NULL AND quantity = p_quantity;
+    END IF;
+  END IF;
+
+  IF FOUND THEN
+    RETURN '{}'::jsonb;
+  END IF;
+
+  SELECT * INTO current_item FROM inventory_items WHERE id = p_item_id AND user_id = p_user_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'ITEM_NOT_FOUND');
+  END IF;
+  IF current_item.equipped_slot IS NOT NULL THEN
+    RETURN jsonb_build_object('error', 'ITEM_EQUIPPED');
+  END IF;
+  RETURN jsonb_build_object('error', 'ITEM_INVALID_QUANTITY');
+END;
+$$;
+
+-- Thêm item: gộp vào stack chưa đầy (p_max_stack = 1 => không gộp) rồi tạo stack mới cho phần còn lại
+-- Kiểm tra đủ ô cho toàn bộ số lượng trước khi ghi; false => inventory đầy, không ghi gì
+CREATE OR REPLACE FUNCTION add_inventory_item(
+  p_user_id INTEGER,
+  p_template_id VARCHAR,
+  p_quantity INTEGER,
+  p_max_stack INTEGER,
+  p_rarity VARCHAR,
+  p_affixes JSONB,
+  p_durability INTEGER,
+  p_catalog_version INTEGER,
+  p_capacity INTEGER
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  free_in_stacks INTEGER := 0;
+  remaining INTEGER := p_quantity;
+  amount INTEGER;
+  stack RECORD;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('inventory_items'), p_user_id);
+
+  IF p_max_stack > 1 THEN
+    SELECT COALESCE(SUM(p_max_stack - quantity), 0) INTO free_in_stacks
+    FROM inventory_items
+    WHERE user_id = p_user_id AND template_id = p_template_id AND quantity < p_max_stack;
+  END IF;
+
+  IF (SELECT COUNT(*) FROM inventory_items WHERE user_id = p_user_id)
+    + CEIL(GREATEST(p_quantity - free_in_stacks, 0)::NUMERIC / p_max_stack) > p_capacity THEN
+    RETURN false;
+  END IF;
+
+  IF p_max_stack > 1 THEN
+    FOR stack IN
+      SELECT id, quantity FROM inventory_items
+      WHERE user_id = p_user_id AND template_id = p_template_id AND quantity < p_max_stack
+      ORDER BY created_at, id
+    LOOP
+      EXIT WHEN remaining = 0;
+      amount := LEAST(remaining, p_max_stack - stack.quantity);
+
+      UPDATE inventory_items
+      SET quantity = quantity + amount, updated_at = timezone('utc', now())
+      WHERE id = stack.id;
+
+      remaining := remaining - amount;
+    END LOOP;
+  END IF;
+
+  WHILE remaining > 0 LOOP
+    amount := LEAST(remaining, p_max_stack);
+
+    INSERT INTO inventory_items (user_id, template_id, quantity, rarity, affixes, durability, catalog_version)
+    VALUES (p_user_id, p_template_id, amount, p_rarity, p_affixes, p_durability, p_catalog_version);
+
+    remaining := remaining - amount;
+  END LOOP;
+
+  RETURN true;
+END;
+$$;
@@ -0,0 +1,2 @@
+DROP FUNCTION IF EXISTS record_player_run_stats(INTEGER, INTEGER, INTEGER, INTEGER, BOOLEAN);
+DROP FUNCTION IF EXISTS grant_player_rewards(INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, TEXT[]);
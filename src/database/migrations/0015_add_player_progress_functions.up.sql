@@ -0,0 +1,72 @@
+-- Cộng phần thưởng / thống kê run vào player_profiles cho PlayerService (gọi qua rpc()).
+-- Gold, souls, stats được cộng ngay trong câu UPDATE, level / xp ghi có điều kiện
+-- => 2 run nộp cùng lúc không ghi đè phần thưởng của nhau.
+
+-- Ghi level / XP mới (PlayerService tính theo curve ở src/utils/progression.js), cộng gold, souls
+-- và thêm các class trong p_unlocked_classes chưa có. Chỉ ghi nếu level / xp vẫn là p_expected_level /
+-- p_expected_xp mà PlayerService đã đọc để tính => 2 lần cộng cùng lúc không ghi đè XP của nhau.
+-- Trả về profile đã cập nhật, NULL nếu level / xp đã đổi (PlayerService đọc lại rồi thử lại) hoặc chưa có profile
+CREATE OR REPLACE FUNCTION grant_player_rewards(
+  p_user_id INTEGER,
+  p_expected_level INTEGER,
+  p_expected_xp INTEGER,
+  p_level INTEGER,
+  p_xp INTEGER,
+  p_gold INTEGER,
+  p_souls INTEGER,
+  p_unlocked_classes TEXT[]
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  profile player_profiles;
+BEGIN
+  UPDATE player_profiles
+  SET level = p_level,
+      xp = p_xp,
+      gold = gold + GREATEST(p_gold, 0),
+      souls = souls + GREATEST(p_souls, 0),
+      unlocked_classes = unlocked_classes || ARRAY(
+        SELECT unlock.id
+        FROM unnest(p_unlocked_classes) WITH ORDINALITY AS unlock(id, sort_order)
+        WHERE unlock.id <> ALL(unlocked_classes)
+        ORDER BY unlock.sort_order
+      ),
+      updated_at = timezone('utc', now())
+  WHERE user_id = p_user_id AND level = p_expected_level AND xp = p_expected_xp
+  RETURNING * INTO profile;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN to_jsonb(profile);
+END;
+$$;
+
+-- Cộng thống kê của 1 run đã xác thực vào stats (key thiếu tính là 0)
+-- false => user chưa có profile
+CREATE OR REPLACE FUNCTION record_player_run_stats(
+  p_user_id INTEGER,
+  p_floors_cleared INTEGER,
+  p_kills INTEGER,
+  p_play_time_seconds INTEGER,
+  p_cleared BOOLEAN
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE player_profiles
+  SET stats = stats || jsonb_build_object(
+        'runsPlayed', COALESCE((stats->>'runsPlayed')::INTEGER, 0) + 1,
+        'runsCleared', COALESCE((stats->>'runsCleared')::INTEGER, 0) + CASE WHEN p_cleared THEN 1 ELSE 0 END,
+        'deepestFloor', GREATEST(COALESCE((stats->>'deepestFloor')::INTEGER, 0), p_floors_cleared),
+        'totalKills', COALESCE((stats->>'totalKills')::INTEGER, 0) + p_kills,
+        'playTimeSeconds', COALESCE((stats->>'playTimeSeconds')::INTEGER, 0) + p_play_time_seconds
+      ),
+      updated_at = timezone('utc', now())
+  WHERE user_id = p_user_id;
+
+  RETURN FOUND;
+END;
+$$;
@@ -0,0 +1,2 @@
+DROP FUNCTION IF EXISTS equip_inventory_item(INTEGER, INTEGER, VARCHAR, TEXT[]);
+DROP INDEX IF EXISTS idx_inventory_items_user_equipped_slot;
@@ -0,0 +1,71 @@
+-- Trang bị item cho InventoryService (gọi qua rpc()): gỡ item đang ở slot đích và gắn item mới
+-- trong cùng 1 transaction, giữ khoá advisory theo user như các hàm inventory ở migration 0014.
+-- Unique index bảo đảm mỗi slot của 1 user chỉ có 1 item kể cả khi 2 request trang bị chạy song song.
+
+-- Dữ liệu cũ bị trùng slot (2 lần trang bị song song trước migration này) => giữ item trang bị sau cùng
+UPDATE inventory_items AS item
+SET equipped_slot = NULL
+WHERE item.equipped_slot IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM inventory_items AS other
+    WHERE other.user_id = item.user_id
+      AND other.equipped_slot = item.equipped_slot
+      AND (COALESCE(other.updated_at, '-infinity'::TIMESTAMP), other.id)
+        > (COALESCE(item.updated_at, '-infinity'::TIMESTAMP), item.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_items_user_equipped_slot
+  ON inventory_items(user_id, equipped_slot)
+  WHERE equipped_slot IS NOT NULL;
+
+-- p_slot = NULL => slot đầu tiên trong p_allowed_slots đang trống, tất cả đã có item => slot đầu tiên
+-- Trả về { item } hoặc { error: 'ITEM_NOT_FOUND' | 'ITEM_BROKEN' }
+CREATE OR REPLACE FUNCTION equip_inventory_item(
+  p_user_id INTEGER,
+  p_item_id INTEGER,
+  p_slot VARCHAR,
+  p_allowed_slots TEXT[]
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  equipped inventory_items;
+  target_slot VARCHAR := p_slot;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('inventory_items'), p_user_id);
+
+  -- Đọc lại sau khi giữ khoá: item có thể đã bị vứt / hỏng từ lúc InventoryService kiểm tra
+  SELECT * INTO equipped FROM inventory_items WHERE id = p_item_id AND user_id = p_user_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'ITEM_NOT_FOUND');
+  END IF;
+  IF equipped.durability IS NOT NULL AND equipped.durability <= 0 THEN
+    RETURN jsonb_build_object('error', 'ITEM_BROKEN');
+  END IF;
+
+  IF target_slot IS NULL THEN
+    SELECT allowed.slot INTO target_slot
+    FROM unnest(p_allowed_slots) WITH ORDINALITY AS allowed(slot, sort_order)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM inventory_items
+      WHERE user_id = p_user_id AND equipped_slot = allowed.slot AND id <> p_item_id
+    )
+    ORDER BY allowed.sort_order
+    LIMIT 1;
+
+    target_slot := COALESCE(target_slot, p_allowed_slots[1]);
+  END IF;
+
+  UPDATE inventory_items
+  SET equipped_slot = NULL, updated_at = timezone('utc', now())
+  WHERE user_id = p_user_id AND equipped_slot = target_slot AND id <> p_item_id;
+
+  UPDATE inventory_items
+  SET equipped_slot = target_slot, updated_at = timezone('utc', now())
+  WHERE id = p_item_id
+  RETURNING * INTO equipped;
+
+  RETURN jsonb_build_object('item', to_jsonb(equipped));
+END;
+$$;
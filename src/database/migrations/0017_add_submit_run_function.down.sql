@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS submit_game_run(INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER, TEXT[], JSONB, JSONB, INTEGER, INTEGER);
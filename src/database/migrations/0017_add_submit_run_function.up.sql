@@ -0,0 +1,67 @@
+-- Ghi nhận 1 run đã xác thực cho RunService (gọi qua rpc()): cộng phần thưởng, ghi game_runs, cộng stats
+-- và thêm loot trong cùng 1 transaction => lỗi giữa chừng không để lại run thiếu phần thưởng / loot
+-- hay phần thưởng không có run. Dùng lại các hàm của migration 0014 / 0015.
+
+-- p_expected_level ... p_unlocked_classes: như grant_player_rewards
+-- p_run: các cột của game_runs (trừ id, user_id, created_at)
+-- p_loot: mảng tham số add_inventory_item { p_template_id, p_quantity, p_max_stack, p_rarity, p_affixes, p_durability },
+-- item không đủ ô thì bỏ qua (loot_added[i] = false), run vẫn được ghi nhận
+-- Trả về { run, loot_added }, { error: 'PROFILE_CHANGED' } nếu level / xp đã đổi (chưa ghi gì).
+-- Seed đã nộp => unique_violation (23505), huỷ cả transaction
+CREATE OR REPLACE FUNCTION submit_game_run(
+  p_user_id INTEGER,
+  p_expected_level INTEGER,
+  p_expected_xp INTEGER,
+  p_level INTEGER,
+  p_xp INTEGER,
+  p_gold INTEGER,
+  p_souls INTEGER,
+  p_unlocked_classes TEXT[],
+  p_run JSONB,
+  p_loot JSONB,
+  p_catalog_version INTEGER,
+  p_capacity INTEGER
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  saved_run game_runs;
+  entry JSONB;
+  loot_added JSONB := '[]'::jsonb;
+BEGIN
+  IF grant_player_rewards(
+    p_user_id, p_expected_level, p_expected_xp, p_level, p_xp, p_gold, p_souls, p_unlocked_classes
+  ) IS NULL THEN
+    RETURN jsonb_build_object('error', 'PROFILE_CHANGED');
+  END IF;
+
+  INSERT INTO game_runs (
+    user_id, seed, generator_version, class_id, floors_cleared, kills, duration_ms,
+    loot, score, cleared, started_at, finished_at, ip_address
+  )
+  SELECT p_user_id, run.seed, run.generator_version, run.class_id, run.floors_cleared, run.kills, run.duration_ms,
+    run.loot, run.score, run.cleared, run.started_at, run.finished_at, run.ip_address
+  FROM jsonb_populate_record(NULL::game_runs, p_run) AS run
+  RETURNING * INTO saved_run;
+
+  PERFORM record_player_run_stats(
+    p_user_id, saved_run.floors_cleared, saved_run.kills, saved_run.duration_ms / 1000, saved_run.cleared
+  );
+
+  FOR entry IN SELECT value FROM jsonb_array_elements(p_loot) LOOP
+    loot_added := loot_added || to_jsonb(add_inventory_item(
+      p_user_id,
+      (entry->>'p_template_id')::VARCHAR,
+      (entry->>'p_quantity')::INTEGER,
+      (entry->>'p_max_stack')::INTEGER,
+      (entry->>'p_rarity')::VARCHAR,
+      entry->'p_affixes',
+      (entry->>'p_durability')::INTEGER,
+      p_catalog_version,
+      p_capacity
+    ));
+  END LOOP;
+
+  RETURN jsonb_build_object('run', to_jsonb(saved_run), 'loot_added', loot_added);
+END;
+$$;
@@ -0,0 +1,281 @@
+// src/database/migrator.js - Chạy migration SQL theo phiên bản (pg, DATABASE_URL)
+// Kiểm tra lúc khởi động chạy qua backend đang dùng: Supabase không cần DATABASE_URL (đọc schema_migrations qua client).
+// File trong src/database/migrations: NNNN_ten.up.sql (bắt buộc) + NNNN_ten.down.sql (để rollback).
+// Đã chạy migration nào được ghi vào bảng schema_migrations kèm checksum (sha256 file up),
+// sửa file đã chạy => checksum lệch => không chạy tiếp cho tới khi xử lý.
+// Mỗi migration chạy trong 1 transaction, cả lượt chạy giữ advisory lock
+// để 2 process (vd. 2 instance deploy cùng lúc) không chạy chồng nhau.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getPool, getDatabase } = require('../config/database');
+const { logInfo, logError } = require('../config/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Khoá advisory cố định cho migration (số bất kỳ, chỉ cần không trùng khoá khác của app)
+const ADVISORY_LOCK_KEY = 74201;
+
+class Migrator {
+  /**
+   * Đọc danh sách migration từ thư mục (sắp theo version)
+   */
+  static loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    fs.readdirSync(directory).forEach((file) => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        return;
+      }
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+      if (migration.name !== name) {
+        throw new Error(`Trùng version migration ${version}: ${migration.name} và ${name}`);
+      }
+
+      migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+      migrations.set(version, migration);
+    });
+
+    return [...migrations.values()]
+      .map((migration) => {
+        if (migration.up === null) {
+          throw new Error(`Migration ${migration.version}_${migration.name} thiếu file .up.sql`);
+        }
+        return { ...migration, checksum: checksum(migration.up) };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * So sánh file migration với schema_migrations
+   * applied: đã chạy, pending: chưa chạy, changed: file bị sửa sau khi chạy,
+   * missing: đã chạy nhưng không còn file (database mới hơn code)
+   * Truyền `supabase` => đọc qua Supabase client thay vì pg
+   */
+  static async status({ pool = null, supabase = null, directory = MIGRATIONS_DIR } = {}) {
+    const migrations = this.loadMigrations(directory);
+    const appliedRows = supabase
+      ? await loadAppliedFromSupabase(supabase)
+      : await loadAppliedIfExists(pool || getPool());
+
+    return compare(migrations, appliedRows);
+  }
+
+  /**
+   * Chạy các migration chưa chạy (tới version `to` nếu có), trả về các migration đã chạy
+   */
+  static async up({ pool = getPool(), directory = MIGRATIONS_DIR, to = null } = {}) {
+    const migrations = this.loadMigrations(directory);
+
+    return withLock(pool, async (client) => {
+      const report = compare(migrations, await loadApplied(client));
+
+      if (report.changed.length > 0) {
+        throw new Error(`Migration đã chạy nhưng file bị sửa: ${report.changed.map(label).join(', ')}`);
+      }
+
+      const targets = report.pending.filter((migration) => to === null || migration.version <= to);
+
+      for (const migration of targets) {
+        await runInTransaction(client, migration, async () => {
+          await client.query(migration.up);
+          await client.query(
+            `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+            [migration.version, migration.name, migration.checksum]
+          );
+        });
+        logInfo('Migration applied', { version: migration.version, name: migration.name });
+      }
+
+      return targets;
+    });
+  }
+
+  /**
+   * Rollback `steps` migration chạy gần nhất, trả về các migration đã rollback
+   */
+  static async down({ pool = getPool(), directory = MIGRATIONS_DIR, steps = 1 } = {}) {
+    const migrations = new Map(this.loadMigrations(directory).map((migration) => [migration.version, migration]));
+
+    return withLock(pool, async (client) => {
+      const appliedRows = await loadApplied(client);
+      const targets = appliedRows.slice(-steps).reverse().map((row) => {
+        const migration = migrations.get(row.version);
+        if (!migration || migration.down === null) {
+          throw new Error(`Không có file .down.sql cho migration ${row.version}_${row.name}`);
+        }
+        return migration;
+      });
+
+      for (const migration of targets) {
+        await runInTransaction(client, migration, async () => {
+          await client.query(migration.down);
+          await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+        });
+        logInfo('Migration reverted', { version: migration.version, name: migration.name });
+      }
+
+      return targets;
+    });
+  }
+
+  /**
+   * Throw nếu còn migration chưa chạy hoặc file đã chạy bị sửa (kiểm tra lúc khởi động server)
+   */
+  static async assertUpToDate(options = {}) {
+    const report = await this.status(options);
+
+    if (report.pending.length > 0 || report.changed.length > 0) {
+      const error = new Error([
+        report.pending.length > 0 ? `chưa chạy: ${report.pending.map(label).join(', ')}` : null,
+        report.changed.length > 0 ? `file bị sửa: ${report.changed.map(label).join(', ')}` : null
+      ].filter(Boolean).join('; '));
+      error.code = 'MIGRATIONS_PENDING';
+      error.report = report;
+      throw error;
+    }
+
+    return report;
+  }
+
+  /**
+   * Kiểm tra lúc khởi động API / game server (sau initDatabase): false => không được phục vụ request
+   * DB_BACKEND=memory không dùng database thật nên bỏ qua
+   * DB_BACKEND=supabase (mặc định) đọc qua Supabase client, trừ khi có DATABASE_URL (khi đó đọc thẳng bằng pg)
+   */
+  static async verifyOnStartup() {
+    const backend = process.env.DB_BACKEND || 'supabase';
+
+    if (backend === 'memory') {
+      console.log('⏭️  DB_BACKEND=memory, bỏ qua kiểm tra migration');
+      return true;
+    }
+
+    try {
+      const report = await this.assertUpToDate(
+        backend === 'supabase' && !process.env.DATABASE_URL ? { supabase: getDatabase() } : {}
+      );
+      console.log(`✅ Database schema mới nhất (${report.applied.length} migration đã chạy)`);
+      if (report.missing.length > 0) {
+        console.warn(`⚠️  Database có migration không có trong code: ${report.missing.map(label).join(', ')}`);
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Database chưa sẵn sàng:', error.message);
+      console.error('💡 Chạy "npm run migrate:up" (cần DATABASE_URL) rồi khởi động lại server');
+      logError('Startup migration check failed', error);
+      return false;
+    }
+  }
+}
+
+// ============= Helper Functions =============
+
+// Bỏ khác biệt CRLF / LF giữa các máy để checksum ổn định
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+function label(migration) {
+  return `${migration.version}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(queryable) {
+  await queryable.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version VARCHAR(4) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+// Chỉ đọc: database chưa từng migrate (chưa có bảng) => mọi migration đều pending
+async function loadAppliedIfExists(pool) {
+  const { rows: [{ exists }] } = await pool.query('SELECT to_regclass($1) IS NOT NULL AS exists', [MIGRATIONS_TABLE]);
+  return exists ? loadApplied(pool) : [];
+}
+
+async function loadAppliedFromSupabase(supabase) {
+  const { data, error } = await supabase
+    .from(MIGRATIONS_TABLE)
+    .select('version, name, checksum, applied_at')
+    .order('version', { ascending: true });
+
+  if (error) {
+    // Bảng chưa có (PostgREST báo PGRST205, Postgres báo 42P01)
+    if (error.code === 'PGRST205' || error.code === '42P01') {
+      return [];
+    }
+    throw new Error(`Không đọc được ${MIGRATIONS_TABLE} qua Supabase: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+async function loadApplied(queryable) {
+  const { rows } = await queryable.query(
+    `SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version ASC`
+  );
+  return rows;
+}
+
+function compare(migrations, appliedRows) {
+  const appliedByVersion = new Map(appliedRows.map((row) => [row.version, row]));
+  const known = new Set(migrations.map((migration) => migration.version));
+  const report = { applied: [], pending: [], changed: [], missing: [] };
+
+  migrations.forEach((migration) => {
+    const row = appliedByVersion.get(migration.version);
+    if (!row) {
+      report.pending.push(migration);
+    } else if (row.checksum !== migration.checksum) {
+      report.changed.push({ ...migration, appliedAt: row.applied_at });
+    } else {
+      report.applied.push({ ...migration, appliedAt: row.applied_at });
+    }
+  });
+
+  appliedRows
+    .filter((row) => !known.has(row.version))
+    .forEach((row) => report.missing.push({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+
+  return report;
+}
+
+async function withLock(pool, work) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+
+    try {
+      await ensureMigrationsTable(client);
+      return await work(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, migration, work) {
+  try {
+    await client.query('BEGIN');
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logError('Migration failed', error, { version: migration.version, name: migration.name });
+    throw new Error(`Migration ${label(migration)} thất bại: ${error.message}`);
+  }
+}
+
+module.exports = Migrator;
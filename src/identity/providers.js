@@ -0,0 +1,140 @@
+// src/identity/providers.js - Verify token của nhà cung cấp đăng nhập ngoài
+// Mỗi provider có dạng { name, verify(token) } và verify trả về
+//   { subject, email, emailVerified, displayName }
+// Token không hợp lệ => verify throw Error
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAUTH = require('../config/oauth');
+const { logInfo } = require('../config/logger');
+
+const providers = new Map();
+
+/**
+ * OpenID Connect (Google, Apple, provider local) - ID token là JWT ký bằng key của provider
+ */
+const createOidcProvider = (name, config) => {
+  const keys = new Map();
+  let fetchedAt = 0;
+
+  const loadKeys = async () => {
+    const body = await fetchJson(config.JWKS_URI);
+
+    keys.clear();
+    (body.keys || []).forEach((jwk) => {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    });
+    fetchedAt = Date.now();
+
+    logInfo('OAuth JWKS loaded', { provider: name, keys: keys.size });
+  };
+
+  const getKey = async (kid) => {
+    if (config.PUBLIC_KEY) {
+      return config.PUBLIC_KEY;
+    }
+
+    const age = Date.now() - fetchedAt;
+    if (age > OAUTH.JWKS_CACHE_MS || (!keys.has(kid) && age > OAUTH.JWKS_REFETCH_COOLDOWN_MS)) {
+      await loadKeys();
+    }
+
+    const key = keys.get(kid);
+    if (!key) {
+      throw new Error('Không tìm thấy public key của provider');
+    }
+    return key;
+  };
+
+  return {
+    name,
+    verify: async (idToken) => {
+      const decoded = jwt.decode(idToken, { complete: true });
+      if (!decoded) {
+        throw new Error('ID token không đúng định dạng JWT');
+      }
+
+      const payload = jwt.verify(idToken, await getKey(decoded.header.kid), {
+        algorithms: OAUTH.ALGORITHMS,
+        issuer: config.ISSUERS,
+        audience: config.AUDIENCE
+      });
+
+      if (!payload.sub) {
+        throw new Error('ID token thiếu subject');
+      }
+
+      return {
+        subject: String(payload.sub),
+        email: payload.email || null,
+        // Apple trả email_verified dạng chuỗi
+        emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+        displayName: payload.name || null
+      };
+    }
+  };
+};
+
+/**
+ * Steam - client gửi session ticket (GetAuthSessionTicket), server hỏi Steam Web API
+ */
+const createSteamProvider = (name, config) => ({
+  name,
+  verify: async (ticket) => {
+    const url = `${config.API_URL}?${new URLSearchParams({ key: config.API_KEY, appid: config.APP_ID, ticket })}`;
+    const body = await fetchJson(url);
+    const params = body.response && body.response.params;
+
+    if (!params || params.result !== 'OK' || !params.steamid) {
+      const reason = body.response && body.response.error ? body.response.error.errordesc : null;
+      throw new Error(reason || 'Steam ticket không hợp lệ');
+    }
+
+    return {
+      subject: String(params.steamid),
+      email: null,
+      emailVerified: false,
+      displayName: null
+    };
+  }
+});
+
+const FACTORIES = {
+  oidc: createOidcProvider,
+  steam: createSteamProvider
+};
+
+/**
+ * Lấy provider theo tên, null nếu không tồn tại hoặc chưa được bật
+ */
+const getProvider = (name) => {
+  const config = Object.prototype.hasOwnProperty.call(OAUTH.PROVIDERS, name) ? OAUTH.PROVIDERS[name] : null;
+  if (!config || !config.ENABLED) {
+    return null;
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, FACTORIES[config.TYPE](name, config));
+  }
+  return providers.get(name);
+};
+
+/**
+ * Tên các provider đang bật (client hiện nút đăng nhập tương ứng)
+ */
+const listProviders = () => Object.keys(OAUTH.PROVIDERS).filter((name) => OAUTH.PROVIDERS[name].ENABLED);
+
+// ============= Helper Functions =============
+
+async function fetchJson(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(OAUTH.REQUEST_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`Provider trả về HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+module.exports = {
+  getProvider,
+  listProviders
+};
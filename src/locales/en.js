@@ -0,0 +1,268 @@
+// src/locales/en.js - Message tiếng Anh
+
+module.exports = {
+  errors: {
+    // ============= Chung =============
+    VALIDATION_FAILED: 'Invalid data',
+    INVALID_JSON: 'Request body is not valid JSON',
+    PAYLOAD_TOO_LARGE: 'Request body is too large',
+    ROUTE_NOT_FOUND: 'Route not found',
+    INTERNAL_ERROR: 'Server error',
+    USER_NOT_FOUND: 'User not found',
+    PLAYER_NOT_FOUND: 'Player not found',
+
+    // ============= Access token / quyền =============
+    TOKEN_MISSING: 'Invalid token',
+    TOKEN_INVALID: 'Invalid token',
+    TOKEN_EXPIRED: 'Token has expired',
+    TOKEN_REVOKED: 'Token has been revoked',
+    PERMISSION_DENIED: 'You do not have permission to perform this action',
+    EMAIL_NOT_VERIFIED: 'Please verify your email to use this feature',
+    TOO_MANY_ATTEMPTS: 'Too many failed attempts. Please try again in {seconds} seconds.',
+    CHALLENGE_REQUIRED: 'Please complete the verification challenge before trying again',
+
+    // ============= Đăng nhập / tài khoản =============
+    AUTH_INVALID_CREDENTIALS: 'Incorrect email or password',
+    AUTH_WRONG_PASSWORD: 'Incorrect password',
+    AUTH_PASSWORD_NOT_SET: 'This account has no password set',
+    AUTH_ACCOUNT_LOCKED: 'This account has been locked. Please contact an admin.',
+    AUTH_PASSWORD_RESET_REQUIRED: 'You need to reset your password before logging in. Please check your email.',
+    AUTH_EMAIL_TAKEN: 'Email is already in use',
+    AUTH_USERNAME_TAKEN: 'Username is already in use',
+    AUTH_ALREADY_REGISTERED: 'This account is already registered',
+    REFRESH_TOKEN_MISSING: 'Refresh token is required',
+    REFRESH_TOKEN_INVALID: 'Refresh token is invalid or has been revoked',
+    REFRESH_TOKEN_EXPIRED: 'Refresh token has expired. Please log in again.',
+    SESSION_COMPROMISED: 'This session is no longer secure. Please log in again.',
+    SESSION_NOT_FOUND: 'Session does not exist or has already been logged out',
+    PASSWORD_RESET_TOKEN_INVALID: 'Token is invalid or has already been used',
+    PASSWORD_RESET_TOKEN_EXPIRED: 'Token has expired. Please request a new password reset.',
+    EMAIL_VERIFICATION_TOKEN_INVALID: 'Token is invalid or has already been used',
+    EMAIL_VERIFICATION_TOKEN_EXPIRED: 'Token has expired. Please request a new verification email.',
+    EMAIL_ALREADY_VERIFIED: 'Email is already verified',
+    EMAIL_RESEND_COOLDOWN: 'Please wait {seconds} seconds before requesting another verification email',
+    MAIL_DELIVERY_FAILED: 'Could not send email',
+
+    // ============= Xác thực 2 bước =============
+    TWO_FACTOR_CHALLENGE_EXPIRED: 'Login session has expired. Please log in again.',
+    TWO_FACTOR_INVALID_CODE: 'Incorrect verification code',
+    TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+    TWO_FACTOR_NOT_STARTED: 'Two-factor setup has not been started',
+    TWO_FACTOR_GUEST_NOT_ALLOWED: 'Please upgrade your guest account before enabling two-factor authentication',
+
+    // ============= Tài khoản ngoài (Google, Apple, Steam...) =============
+    IDENTITY_PROVIDER_UNSUPPORTED: 'This login method is not supported',
+    IDENTITY_TOKEN_INVALID: 'Login token is invalid or has expired',
+    IDENTITY_EMAIL_REGISTERED: 'An account with this email already exists. Please log in with your email and link this account in settings.',
+    IDENTITY_ALREADY_LINKED: 'This account is already linked',
+    IDENTITY_LINKED_TO_OTHER: 'This account is already linked to another player',
+    IDENTITY_NOT_FOUND: 'Linked account not found',
+    IDENTITY_LAST_LOGIN_METHOD: 'You cannot unlink your only login method. Please set a password or link another account first.',
+
+    // ============= Quản trị =============
+    ADMIN_SELF_ACTION: 'You cannot perform this action on yourself',
+    ADMIN_TARGET_OUTRANKS: 'You cannot act on a user with an equal or higher role',
+    ADMIN_GRANT_FORBIDDEN: 'Only admins can grant the admin role',
+    ACCOUNT_ALREADY_BANNED: 'This account is already locked',
+    ACCOUNT_NOT_BANNED: 'This account is not locked',
+    USER_EMAIL_MISSING: 'This user has no email to send a password reset link to',
+    ROLE_INVALID: 'Invalid role',
+    ROLE_SELF_CHANGE: 'You cannot change your own role',
+    ROLE_UNCHANGED: 'User already has this role',
+
+    // ============= Player / túi đồ =============
+    PROFILE_NOTHING_TO_UPDATE: 'Nothing to update',
+    CLASS_LOCKED: 'This class is not unlocked yet',
+    SKIN_NOT_FOUND: 'Skin not found',
+    SKIN_LEVEL_REQUIRED: 'This skin requires level {level}',
+    ITEM_NOT_FOUND: 'Item not found',
+    ITEM_TEMPLATE_NOT_FOUND: 'Item template not found',
+    ITEM_INVALID_QUANTITY: 'Invalid quantity',
+    ITEM_INVALID_RARITY: 'Invalid rarity for this item',
+    ITEM_TOO_MANY_AFFIXES: 'Too many affixes for this rarity',
+    ITEM_INVALID_AFFIX: 'Invalid affix',
+    ITEM_NOT_EQUIPPABLE: 'This item cannot be equipped',
+    ITEM_BROKEN: 'This item is broken and cannot be equipped',
+    ITEM_LEVEL_REQUIRED: 'This item requires level {level}',
+    ITEM_SLOT_MISMATCH: 'This slot does not match the item type',
+    ITEM_NOT_EQUIPPED: 'This item is not equipped',
+    ITEM_EQUIPPED: 'Unequip this item before discarding it',
+    ITEM_NOT_SPLITTABLE: 'This item cannot be split',
+    ITEM_INVALID_SPLIT: 'Invalid split quantity',
+    INVENTORY_FULL: 'Inventory is full',
+
+    // ============= Run / bảng xếp hạng =============
+    RUN_TICKET_INVALID: 'Run ticket is invalid or expired',
+    RUN_ALREADY_SUBMITTED: 'A run with this seed has already been recorded',
+    RUN_DURATION_INVALID: 'Invalid run duration',
+    RUN_OVERLAPPING: 'Run time overlaps with the previous run',
+    RUN_TOO_FAST: 'Completion time is below the minimum',
+    RUN_TOO_MANY_KILLS: 'Kill count exceeds the monsters in this seed',
+    RUN_TOO_MUCH_LOOT: 'Loot count exceeds what this seed allows',
+    RUN_LOOT_TOO_DEEP: 'This item cannot drop at the depth reached',
+    RUN_LOOT_BOSS_ALIVE: 'This item only drops from a boss that was not defeated',
+    RUN_LOOT_NOT_DROPPED: 'This item was not in any chest of this run',
+    NO_ACTIVE_SEASON: 'There is no active season',
+
+    // ============= Bạn bè =============
+    FRIEND_SELF: 'You cannot add yourself as a friend',
+    FRIEND_REQUEST_BLOCKED: 'You cannot send a friend request to this player',
+    FRIEND_REQUEST_ALREADY_SENT: 'You have already sent a request to this player',
+    FRIEND_REQUEST_NOT_FOUND: 'Friend request not found',
+    FRIEND_ALREADY_FRIENDS: 'You are already friends',
+    FRIEND_NOT_FRIENDS: 'You are not friends',
+    FRIEND_LIST_FULL: 'Your friend list has reached the maximum of {max}',
+    BLOCK_SELF: 'You cannot block yourself',
+    BLOCK_ALREADY_BLOCKED: 'You have already blocked this player',
+    BLOCK_NOT_BLOCKED: 'You have not blocked this player',
+
+    // ============= Party =============
+    NOT_IN_PARTY: 'You are not in a party',
+    ALREADY_IN_PARTY: 'You are already in a party. Leave it first.',
+    NOT_LEADER: 'Only the party leader can do this',
+    PARTY_DISBANDED: 'The party has been disbanded',
+    PARTY_FULL: 'The party already has {max} members',
+    INVITE_NOT_FOUND: 'Invite does not exist or has expired',
+    NOT_FRIEND: 'You can only invite friends to a party',
+    PLAYER_OFFLINE: 'Player is offline',
+    ALREADY_MEMBER: 'Player is already in the party',
+    NOT_MEMBER: 'Player is not in the party',
+    MEMBERS_NOT_READY: 'Some members are offline or in a dungeon',
+    PARTY_QUEUED: 'The party is searching for a match',
+    REGION_REQUIRED: 'A region is required to search for a match'
+  },
+
+  messages: {
+    // ============= Đăng nhập / tài khoản =============
+    REGISTERED: 'Registration successful. Please check your email to verify your account.',
+    GUEST_UPGRADED: 'Account upgraded. Please check your email to verify your account.',
+    LOGIN_SUCCESS: 'Logged in successfully',
+    TWO_FACTOR_REQUIRED: 'Please enter your two-factor authentication code',
+    LOGGED_OUT: 'Logged out successfully',
+    LOGGED_OUT_ALL: 'Logged out of all devices',
+    TOKEN_REFRESHED: 'Token refreshed successfully',
+    USER_INFO_FETCHED: 'User info retrieved successfully',
+    PASSWORD_CHANGED: 'Password changed. Please log in again on all devices.',
+    PASSWORD_RESET_REQUESTED: 'If the email exists in our system, a password reset link has been sent to it',
+    PASSWORD_RESET: 'Password reset successfully. Please log in with your new password.',
+    EMAIL_VERIFIED: 'Email verified successfully',
+    VERIFICATION_RESENT: 'Verification email has been resent',
+    SESSIONS_FETCHED: 'Sessions retrieved successfully',
+    SESSION_REVOKED: 'Device logged out',
+    TWO_FACTOR_ENROLL_STARTED: 'Scan the QR code with your authenticator app, then enter the code to finish',
+    TWO_FACTOR_ENABLED: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; each code can only be used once.',
+    TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+    LOCALE_UPDATED: 'Language updated',
+
+    // ============= Tài khoản ngoài =============
+    PROVIDERS_FETCHED: 'Sign-in methods retrieved successfully',
+    IDENTITIES_FETCHED: 'Linked accounts retrieved successfully',
+    IDENTITY_LINKED: 'Account linked successfully',
+    IDENTITY_UNLINKED: 'Account unlinked',
+
+    // ============= Quản trị =============
+    USERS_FETCHED: 'Users retrieved successfully',
+    USER_BANNED: 'Account locked',
+    USER_UNBANNED: 'Account unlocked',
+    USER_SESSIONS_REVOKED: 'User logged out of all devices',
+    USER_PASSWORD_RESET_FORCED: 'The user must reset their password; instructions have been emailed',
+    ROLE_CHANGED: 'Role changed successfully',
+    LOGIN_HISTORY_FETCHED: 'Login history retrieved successfully',
+    AUDIT_LOG_FETCHED: 'Audit log retrieved successfully',
+
+    // ============= Player / túi đồ =============
+    PROFILE_FETCHED: 'Profile retrieved successfully',
+    PROFILE_UPDATED: 'Profile updated successfully',
+    ITEM_CATALOG_FETCHED: 'Item catalog retrieved successfully',
+    INVENTORY_FETCHED: 'Inventory retrieved successfully',
+    ITEM_EQUIP_SUCCESS: 'Item equipped',
+    ITEM_UNEQUIP_SUCCESS: 'Item unequipped',
+    STACK_SPLIT: 'Stack split successfully',
+    ITEM_DISCARDED: 'Item discarded',
+    ITEM_ADDED: 'Item added',
+
+    // ============= Dungeon / run / bảng xếp hạng =============
+    FLOOR_GENERATED: 'Floor generated successfully',
+    RUN_SUBMITTED: 'Run recorded successfully',
+    RUN_HISTORY_FETCHED: 'Run history retrieved successfully',
+    LEADERBOARD_FETCHED: 'Leaderboard retrieved successfully',
+    RANK_FETCHED: 'Rank retrieved successfully',
+
+    // ============= Bạn bè =============
+    FRIENDS_FETCHED: 'Friends retrieved successfully',
+    BLOCKS_FETCHED: 'Blocked players retrieved successfully',
+    FRIEND_REQUEST_SENT: 'Friend request sent',
+    FRIEND_REQUEST_ACCEPTED: 'Friend request accepted',
+    FRIEND_REQUEST_DECLINED: 'Friend request declined',
+    FRIEND_REMOVED: 'Friend removed',
+    PLAYER_BLOCKED: 'Player blocked',
+    PLAYER_UNBLOCKED: 'Player unblocked'
+  },
+
+  validation: {
+    // ============= Đăng nhập / tài khoản =============
+    USERNAME_LENGTH: 'Username must be {min}-{max} characters',
+    USERNAME_FORMAT: 'Username may only contain letters, numbers and underscores',
+    EMAIL_INVALID: 'Invalid email',
+    PASSWORD_REQUIRED: 'Password is required',
+    PASSWORD_MIN_LENGTH: 'Password must be at least {min} characters',
+    OLD_PASSWORD_REQUIRED: 'Current password is required',
+    NEW_PASSWORD_MIN_LENGTH: 'New password must be at least {min} characters',
+    NEW_PASSWORD_SAME_AS_OLD: 'New password must be different from the current one',
+    DEVICE_ID_LENGTH: 'Device ID must be {min}-{max} characters',
+    DEVICE_ID_INVALID: 'Invalid device ID',
+    TOKEN_REQUIRED: 'Token is required',
+    CHALLENGE_TOKEN_REQUIRED: 'Challenge token is required',
+    CODE_REQUIRED: 'Verification code is required',
+    CODE_FORMAT: 'Verification code must be 6 digits',
+    PROVIDER_INVALID: 'Invalid provider',
+    ID_TOKEN_REQUIRED: 'ID token is required',
+    IDENTITY_ID_INVALID: 'Invalid linked account ID',
+    SESSION_ID_INVALID: 'Invalid session ID',
+    LOCALE_INVALID: 'Unsupported language ({locales})',
+
+    // ============= Chung =============
+    USER_ID_INVALID: 'Invalid user ID',
+    PAGE_INVALID: 'Page must be a positive integer',
+    LIMIT_RANGE: 'Limit must be {min}-{max}',
+    QUANTITY_INVALID: 'Quantity must be a positive integer',
+    CLASS_INVALID: 'Invalid class',
+
+    // ============= Quản trị =============
+    SEARCH_LENGTH: 'Search term must be at most {max} characters',
+    SEARCH_FORMAT: 'Search term may only contain letters, numbers and _ @ . + -',
+    BOOLEAN_INVALID: '{field} must be true or false',
+    DATE_INVALID: '{field} must be an ISO 8601 date',
+    ROLE_INVALID: 'Role must be one of: {roles}',
+    REASON_LENGTH: 'Reason must be at most {max} characters',
+    ACTOR_ID_INVALID: 'Invalid actor ID',
+    TARGET_USER_ID_INVALID: 'Invalid target user ID',
+    ACTION_INVALID: 'Invalid action',
+
+    // ============= Dungeon / player / túi đồ =============
+    SEED_LENGTH: 'Seed must be {min}-{max} characters',
+    SEED_FORMAT: 'Seed may only contain letters, numbers, hyphens and underscores',
+    DEPTH_RANGE: 'Depth must be {min}-{max}',
+    SKIN_INVALID: 'Invalid skin',
+    ITEM_ID_INVALID: 'Invalid item ID',
+    SLOT_INVALID: 'Invalid slot',
+
+    // ============= Run / bảng xếp hạng =============
+    RUN_TICKET_REQUIRED: 'Run ticket is required',
+    LOOT_INVALID: 'Loot must be an array of at most {max} entries',
+    ITEM_TEMPLATE_INVALID: 'Invalid item template',
+    RARITY_INVALID: 'Invalid rarity',
+    AFFIXES_INVALID: 'Affixes must be an array',
+    AFFIX_INVALID: 'Each affix must be an object { id, value }',
+    AFFIX_ID_INVALID: 'Invalid affix id',
+    AFFIX_VALUE_INVALID: 'Affix value must be an integer',
+    BOARD_INVALID: 'Leaderboard does not exist',
+    PERIOD_INVALID: 'Period must be one of: {periods}',
+    SEASON_INVALID: 'Invalid season',
+    RANGE_INVALID: 'Range must be {min}-{max}',
+
+    // ============= Bạn bè =============
+    REQUEST_ID_INVALID: 'Invalid request ID'
+  }
+};
@@ -0,0 +1,270 @@
+// src/locales/vi.js - Message tiếng Việt (ngôn ngữ mặc định)
+// errors: theo mã trong src/config/errors.js, messages: response thành công, validation: lỗi từng field.
+// {name} được thay bằng params. Thiếu key ở ngôn ngữ khác => dùng bản tiếng Việt ở đây.
+
+module.exports = {
+  errors: {
+    // ============= Chung =============
+    VALIDATION_FAILED: 'Dữ liệu không hợp lệ',
+    INVALID_JSON: 'Body không phải JSON hợp lệ',
+    PAYLOAD_TOO_LARGE: 'Dữ liệu gửi lên quá lớn',
+    ROUTE_NOT_FOUND: 'Route not found',
+    INTERNAL_ERROR: 'Lỗi server',
+    USER_NOT_FOUND: 'User không tồn tại',
+    PLAYER_NOT_FOUND: 'Không tìm thấy người chơi',
+
+    // ============= Access token / quyền =============
+    TOKEN_MISSING: 'Token không hợp lệ',
+    TOKEN_INVALID: 'Token không hợp lệ',
+    TOKEN_EXPIRED: 'Token đã hết hạn',
+    TOKEN_REVOKED: 'Token đã bị thu hồi',
+    PERMISSION_DENIED: 'Bạn không có quyền thực hiện thao tác này',
+    EMAIL_NOT_VERIFIED: 'Vui lòng xác thực email để sử dụng tính năng này',
+    TOO_MANY_ATTEMPTS: 'Quá nhiều lần thử không thành công. Vui lòng thử lại sau {seconds} giây.',
+    CHALLENGE_REQUIRED: 'Vui lòng hoàn thành xác minh trước khi thử lại',
+
+    // ============= Đăng nhập / tài khoản =============
+    AUTH_INVALID_CREDENTIALS: 'Email hoặc mật khẩu không đúng',
+    AUTH_WRONG_PASSWORD: 'Mật khẩu không đúng',
+    AUTH_PASSWORD_NOT_SET: 'Tài khoản chưa đặt mật khẩu',
+    AUTH_ACCOUNT_LOCKED: 'Tài khoản đã bị khóa. Vui lòng liên hệ admin.',
+    AUTH_PASSWORD_RESET_REQUIRED: 'Bạn cần đặt lại mật khẩu trước khi đăng nhập. Vui lòng kiểm tra email.',
+    AUTH_EMAIL_TAKEN: 'Email đã được sử dụng',
+    AUTH_USERNAME_TAKEN: 'Username đã được sử dụng',
+    AUTH_ALREADY_REGISTERED: 'Tài khoản đã được đăng ký',
+    REFRESH_TOKEN_MISSING: 'Refresh token không được để trống',
+    REFRESH_TOKEN_INVALID: 'Refresh token không hợp lệ hoặc đã bị thu hồi',
+    REFRESH_TOKEN_EXPIRED: 'Refresh token đã hết hạn. Vui lòng đăng nhập lại.',
+    SESSION_COMPROMISED: 'Phiên đăng nhập không còn an toàn. Vui lòng đăng nhập lại.',
+    SESSION_NOT_FOUND: 'Phiên đăng nhập không tồn tại hoặc đã đăng xuất',
+    PASSWORD_RESET_TOKEN_INVALID: 'Token không hợp lệ hoặc đã được sử dụng',
+    PASSWORD_RESET_TOKEN_EXPIRED: 'Token đã hết hạn. Vui lòng yêu cầu reset password lại.',
+    EMAIL_VERIFICATION_TOKEN_INVALID: 'Token không hợp lệ hoặc đã được sử dụng',
+    EMAIL_VERIFICATION_TOKEN_EXPIRED: 'Token đã hết hạn. Vui lòng yêu cầu gửi lại email xác thực.',
+    EMAIL_ALREADY_VERIFIED: 'Email đã được xác thực',
+    EMAIL_RESEND_COOLDOWN: 'Vui lòng đợi {seconds} giây trước khi gửi lại email xác thực',
+    MAIL_DELIVERY_FAILED: 'Không gửi được email',
+
+    // ============= Xác thực 2 bước =============
+    TWO_FACTOR_CHALLENGE_EXPIRED: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.',
+    TWO_FACTOR_INVALID_CODE: 'Mã xác thực không đúng',
+    TWO_FACTOR_ALREADY_ENABLED: 'Xác thực 2 bước đã được bật',
+    TWO_FACTOR_NOT_ENABLED: 'Xác thực 2 bước chưa được bật',
+    TWO_FACTOR_NOT_STARTED: 'Chưa bắt đầu bật xác thực 2 bước',
+    TWO_FACTOR_GUEST_NOT_ALLOWED: 'Vui lòng nâng cấp tài khoản khách trước khi bật xác thực 2 bước',
+
+    // ============= Tài khoản ngoài (Google, Apple, Steam...) =============
+    IDENTITY_PROVIDER_UNSUPPORTED: 'Phương thức đăng nhập không được hỗ trợ',
+    IDENTITY_TOKEN_INVALID: 'Token đăng nhập không hợp lệ hoặc đã hết hạn',
+    IDENTITY_EMAIL_REGISTERED: 'Email này đã có tài khoản. Vui lòng đăng nhập bằng email rồi liên kết trong phần cài đặt.',
+    IDENTITY_ALREADY_LINKED: 'Tài khoản này đã được liên kết',
+    IDENTITY_LINKED_TO_OTHER: 'Tài khoản này đã được liên kết với người chơi khác',
+    IDENTITY_NOT_FOUND: 'Liên kết không tồn tại',
+    IDENTITY_LAST_LOGIN_METHOD: 'Không thể huỷ liên kết cách đăng nhập duy nhất. Vui lòng đặt mật khẩu hoặc liên kết tài khoản khác trước.',
+
+    // ============= Quản trị =============
+    ADMIN_SELF_ACTION: 'Không thể thực hiện thao tác này với chính mình',
+    ADMIN_TARGET_OUTRANKS: 'Không thể thao tác với user có role ngang hoặc cao hơn',
+    ADMIN_GRANT_FORBIDDEN: 'Chỉ admin mới được cấp quyền admin',
+    ACCOUNT_ALREADY_BANNED: 'Tài khoản đã bị khóa',
+    ACCOUNT_NOT_BANNED: 'Tài khoản không bị khóa',
+    USER_EMAIL_MISSING: 'User chưa có email để gửi link đặt lại mật khẩu',
+    ROLE_INVALID: 'Role không hợp lệ',
+    ROLE_SELF_CHANGE: 'Không thể tự đổi role của chính mình',
+    ROLE_UNCHANGED: 'User đã có role này',
+
+    // ============= Player / túi đồ =============
+    PROFILE_NOTHING_TO_UPDATE: 'Không có thông tin để cập nhật',
+    CLASS_LOCKED: 'Class chưa được mở khoá',
+    SKIN_NOT_FOUND: 'Skin không tồn tại',
+    SKIN_LEVEL_REQUIRED: 'Skin yêu cầu level {level}',
+    ITEM_NOT_FOUND: 'Item không tồn tại',
+    ITEM_TEMPLATE_NOT_FOUND: 'Item template không tồn tại',
+    ITEM_INVALID_QUANTITY: 'Số lượng không hợp lệ',
+    ITEM_INVALID_RARITY: 'Độ hiếm không hợp lệ cho item này',
+    ITEM_TOO_MANY_AFFIXES: 'Quá nhiều affix cho độ hiếm này',
+    ITEM_INVALID_AFFIX: 'Affix không hợp lệ',
+    ITEM_NOT_EQUIPPABLE: 'Item này không thể trang bị',
+    ITEM_BROKEN: 'Item đã hỏng, không thể trang bị',
+    ITEM_LEVEL_REQUIRED: 'Item yêu cầu level {level}',
+    ITEM_SLOT_MISMATCH: 'Slot không phù hợp với loại item',
+    ITEM_NOT_EQUIPPED: 'Item chưa được trang bị',
+    ITEM_EQUIPPED: 'Hãy tháo trang bị trước khi vứt',
+    ITEM_NOT_SPLITTABLE: 'Item này không thể tách',
+    ITEM_INVALID_SPLIT: 'Số lượng tách không hợp lệ',
+    INVENTORY_FULL: 'Túi đồ đã đầy',
+
+    // ============= Run / bảng xếp hạng =============
+    RUN_TICKET_INVALID: 'Run ticket không hợp lệ hoặc đã hết hạn',
+    RUN_ALREADY_SUBMITTED: 'Run với seed này đã được ghi nhận',
+    RUN_DURATION_INVALID: 'Thời gian run không hợp lệ',
+    RUN_OVERLAPPING: 'Thời gian run trùng với run trước',
+    RUN_TOO_FAST: 'Thời gian hoàn thành nhỏ hơn mức tối thiểu',
+    RUN_TOO_MANY_KILLS: 'Số quái tiêu diệt vượt quá số quái của seed',
+    RUN_TOO_MUCH_LOOT: 'Số lượng loot vượt quá mức seed cho phép',
+    RUN_LOOT_TOO_DEEP: 'Item không thể rơi ở độ sâu đã đạt',
+    RUN_LOOT_BOSS_ALIVE: 'Item chỉ rơi từ boss chưa bị hạ',
+    RUN_LOOT_NOT_DROPPED: 'Item không có trong rương của run này',
+    NO_ACTIVE_SEASON: 'Không có season nào đang diễn ra',
+
+    // ============= Bạn bè =============
+    FRIEND_SELF: 'Không thể kết bạn với chính mình',
+    FRIEND_REQUEST_BLOCKED: 'Không thể gửi lời mời kết bạn tới người chơi này',
+    FRIEND_REQUEST_ALREADY_SENT: 'Bạn đã gửi lời mời cho người chơi này',
+    FRIEND_REQUEST_NOT_FOUND: 'Lời mời kết bạn không tồn tại',
+    FRIEND_ALREADY_FRIENDS: 'Hai bạn đã là bạn bè',
+    FRIEND_NOT_FRIENDS: 'Hai bạn không phải bạn bè',
+    FRIEND_LIST_FULL: 'Danh sách bạn bè đã đạt tối đa {max} người',
+    BLOCK_SELF: 'Không thể chặn chính mình',
+    BLOCK_ALREADY_BLOCKED: 'Bạn đã chặn người chơi này',
+    BLOCK_NOT_BLOCKED: 'Bạn chưa chặn người chơi này',
+
+    // ============= Party =============
+    NOT_IN_PARTY: 'Bạn không ở trong party nào',
+    ALREADY_IN_PARTY: 'Bạn đã ở trong một party, hãy rời party trước',
+    NOT_LEADER: 'Chỉ trưởng nhóm mới làm được việc này',
+    PARTY_DISBANDED: 'Party đã giải tán',
+    PARTY_FULL: 'Party đã đủ {max} người',
+    INVITE_NOT_FOUND: 'Lời mời không tồn tại hoặc đã hết hạn',
+    NOT_FRIEND: 'Chỉ có thể mời bạn bè vào party',
+    PLAYER_OFFLINE: 'Người chơi đang offline',
+    ALREADY_MEMBER: 'Người chơi đã ở trong party',
+    NOT_MEMBER: 'Người chơi không ở trong party',
+    MEMBERS_NOT_READY: 'Có thành viên đang offline hoặc đang ở trong dungeon',
+    PARTY_QUEUED: 'Party đang tìm trận',
+    REGION_REQUIRED: 'Cần chọn region khi tìm trận'
+  },
+
+  messages: {
+    // ============= Đăng nhập / tài khoản =============
+    REGISTERED: 'Đăng ký thành công. Vui lòng kiểm tra email để xác thực tài khoản.',
+    GUEST_UPGRADED: 'Nâng cấp tài khoản thành công. Vui lòng kiểm tra email để xác thực tài khoản.',
+    LOGIN_SUCCESS: 'Đăng nhập thành công',
+    TWO_FACTOR_REQUIRED: 'Vui lòng nhập mã xác thực 2 bước',
+    LOGGED_OUT: 'Đăng xuất thành công',
+    LOGGED_OUT_ALL: 'Đã đăng xuất khỏi tất cả thiết bị',
+    TOKEN_REFRESHED: 'Refresh token thành công',
+    USER_INFO_FETCHED: 'Lấy thông tin user thành công',
+    PASSWORD_CHANGED: 'Đổi mật khẩu thành công. Vui lòng đăng nhập lại trên tất cả thiết bị.',
+    PASSWORD_RESET_REQUESTED: 'Nếu email tồn tại trong hệ thống, link reset password đã được gửi đến email của bạn',
+    PASSWORD_RESET: 'Đặt lại mật khẩu thành công. Vui lòng đăng nhập với mật khẩu mới.',
+    EMAIL_VERIFIED: 'Xác thực email thành công',
+    VERIFICATION_RESENT: 'Email xác thực đã được gửi lại',
+    SESSIONS_FETCHED: 'Lấy danh sách phiên đăng nhập thành công',
+    SESSION_REVOKED: 'Đã đăng xuất thiết bị',
+    TWO_FACTOR_ENROLL_STARTED: 'Quét mã QR bằng app xác thực rồi nhập mã để hoàn tất',
+    TWO_FACTOR_ENABLED: 'Đã bật xác thực 2 bước. Hãy lưu các mã khôi phục ở nơi an toàn, mỗi mã chỉ dùng được 1 lần.',
+    TWO_FACTOR_DISABLED: 'Đã tắt xác thực 2 bước',
+    LOCALE_UPDATED: 'Đã cập nhật ngôn ngữ',
+
+    // ============= Tài khoản ngoài =============
+    PROVIDERS_FETCHED: 'Lấy danh sách phương thức đăng nhập thành công',
+    IDENTITIES_FETCHED: 'Lấy danh sách liên kết thành công',
+    IDENTITY_LINKED: 'Liên kết tài khoản thành công',
+    IDENTITY_UNLINKED: 'Đã huỷ liên kết tài khoản',
+
+    // ============= Quản trị =============
+    USERS_FETCHED: 'Lấy danh sách user thành công',
+    USER_BANNED: 'Đã khóa tài khoản',
+    USER_UNBANNED: 'Đã mở khóa tài khoản',
+    USER_SESSIONS_REVOKED: 'Đã đăng xuất user khỏi tất cả thiết bị',
+    USER_PASSWORD_RESET_FORCED: 'Đã yêu cầu user đặt lại mật khẩu và gửi email hướng dẫn',
+    ROLE_CHANGED: 'Đổi role thành công',
+    LOGIN_HISTORY_FETCHED: 'Lấy lịch sử đăng nhập thành công',
+    AUDIT_LOG_FETCHED: 'Lấy audit log thành công',
+
+    // ============= Player / túi đồ =============
+    PROFILE_FETCHED: 'Lấy profile thành công',
+    PROFILE_UPDATED: 'Cập nhật profile thành công',
+    ITEM_CATALOG_FETCHED: 'Lấy danh sách item thành công',
+    INVENTORY_FETCHED: 'Lấy túi đồ thành công',
+    ITEM_EQUIP_SUCCESS: 'Trang bị thành công',
+    ITEM_UNEQUIP_SUCCESS: 'Tháo trang bị thành công',
+    STACK_SPLIT: 'Tách stack thành công',
+    ITEM_DISCARDED: 'Đã vứt item',
+    ITEM_ADDED: 'Đã thêm item',
+
+    // ============= Dungeon / run / bảng xếp hạng =============
+    FLOOR_GENERATED: 'Sinh floor thành công',
+    RUN_SUBMITTED: 'Ghi nhận run thành công',
+    RUN_HISTORY_FETCHED: 'Lấy lịch sử run thành công',
+    LEADERBOARD_FETCHED: 'Lấy bảng xếp hạng thành công',
+    RANK_FETCHED: 'Lấy hạng thành công',
+
+    // ============= Bạn bè =============
+    FRIENDS_FETCHED: 'Lấy danh sách bạn bè thành công',
+    BLOCKS_FETCHED: 'Lấy danh sách chặn thành công',
+    FRIEND_REQUEST_SENT: 'Đã gửi lời mời kết bạn',
+    FRIEND_REQUEST_ACCEPTED: 'Đã chấp nhận lời mời kết bạn',
+    FRIEND_REQUEST_DECLINED: 'Đã từ chối lời mời kết bạn',
+    FRIEND_REMOVED: 'Đã xoá bạn',
+    PLAYER_BLOCKED: 'Đã chặn người chơi',
+    PLAYER_UNBLOCKED: 'Đã bỏ chặn người chơi'
+  },
+
+  validation: {
+    // ============= Đăng nhập / tài khoản =============
+    USERNAME_LENGTH: 'Username phải từ {min}-{max} ký tự',
+    USERNAME_FORMAT: 'Username chỉ chứa chữ, số và dấu gạch dưới',
+    EMAIL_INVALID: 'Email không hợp lệ',
+    PASSWORD_REQUIRED: 'Mật khẩu không được để trống',
+    PASSWORD_MIN_LENGTH: 'Mật khẩu phải có ít nhất {min} ký tự',
+    OLD_PASSWORD_REQUIRED: 'Mật khẩu cũ không được để trống',
+    NEW_PASSWORD_MIN_LENGTH: 'Mật khẩu mới phải có ít nhất {min} ký tự',
+    NEW_PASSWORD_SAME_AS_OLD: 'Mật khẩu mới phải khác mật khẩu cũ',
+    DEVICE_ID_LENGTH: 'Device ID phải từ {min}-{max} ký tự',
+    DEVICE_ID_INVALID: 'Device ID không hợp lệ',
+    TOKEN_REQUIRED: 'Token không được để trống',
+    CHALLENGE_TOKEN_REQUIRED: 'Challenge token không được để trống',
+    CODE_REQUIRED: 'Mã xác thực không được để trống',
+    CODE_FORMAT: 'Mã xác thực gồm 6 chữ số',
+    PROVIDER_INVALID: 'Provider không hợp lệ',
+    ID_TOKEN_REQUIRED: 'ID token không được để trống',
+    IDENTITY_ID_INVALID: 'ID liên kết không hợp lệ',
+    SESSION_ID_INVALID: 'Session ID không hợp lệ',
+    LOCALE_INVALID: 'Ngôn ngữ không được hỗ trợ ({locales})',
+
+    // ============= Chung =============
+    USER_ID_INVALID: 'User ID không hợp lệ',
+    PAGE_INVALID: 'Page phải là số nguyên dương',
+    LIMIT_RANGE: 'Limit phải từ {min}-{max}',
+    QUANTITY_INVALID: 'Số lượng phải là số nguyên dương',
+    CLASS_INVALID: 'Class không hợp lệ',
+
+    // ============= Quản trị =============
+    SEARCH_LENGTH: 'Từ khoá tìm kiếm tối đa {max} ký tự',
+    SEARCH_FORMAT: 'Từ khoá chỉ chứa chữ, số và các ký tự _ @ . + -',
+    BOOLEAN_INVALID: '{field} phải là true / false',
+    DATE_INVALID: '{field} phải là ngày ISO 8601',
+    ROLE_INVALID: 'Role phải là một trong: {roles}',
+    REASON_LENGTH: 'Lý do tối đa {max} ký tự',
+    ACTOR_ID_INVALID: 'Actor ID không hợp lệ',
+    TARGET_USER_ID_INVALID: 'Target user ID không hợp lệ',
+    ACTION_INVALID: 'Action không hợp lệ',
+
+    // ============= Dungeon / player / túi đồ =============
+    SEED_LENGTH: 'Seed phải từ {min}-{max} ký tự',
+    SEED_FORMAT: 'Seed chỉ chứa chữ, số, dấu gạch ngang và gạch dưới',
+    DEPTH_RANGE: 'Depth phải từ {min}-{max}',
+    SKIN_INVALID: 'Skin không hợp lệ',
+    ITEM_ID_INVALID: 'Item ID không hợp lệ',
+    SLOT_INVALID: 'Slot không hợp lệ',
+
+    // ============= Run / bảng xếp hạng =============
+    RUN_TICKET_REQUIRED: 'Run ticket là bắt buộc',
+    LOOT_INVALID: 'Loot phải là mảng tối đa {max} phần tử',
+    ITEM_TEMPLATE_INVALID: 'Item template không hợp lệ',
+    RARITY_INVALID: 'Độ hiếm không hợp lệ',
+    AFFIXES_INVALID: 'Affix phải là mảng',
+    AFFIX_INVALID: 'Affix phải là object { id, value }',
+    AFFIX_ID_INVALID: 'Affix id không hợp lệ',
+    AFFIX_VALUE_INVALID: 'Giá trị affix phải là số nguyên',
+    BOARD_INVALID: 'Bảng xếp hạng không tồn tại',
+    PERIOD_INVALID: 'Period phải là một trong: {periods}',
+    SEASON_INVALID: 'Season không hợp lệ',
+    RANGE_INVALID: 'Range phải từ {min}-{max}',
+
+    // ============= Bạn bè =============
+    REQUEST_ID_INVALID: 'Request ID không hợp lệ'
+  }
+};
@@ -0,0 +1,112 @@
+// src/mail/templates.js - Nội dung email (tiếng Việt / tiếng Anh)
+// Mỗi template nhận params và trả về { subject, text, html }
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = ({ title, greeting, lines, buttonLabel, link, token, tokenLabel, footer }) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+  <h2 style="color: #6b2fb3;">${escapeHtml(title)}</h2>
+  <p>${escapeHtml(greeting)}</p>
+  ${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n  ')}
+  <p style="margin: 24px 0;">
+    <a href="${escapeHtml(link)}" style="background: #6b2fb3; color: #fff; padding: 12px 20px; border-radius: 4px; text-decoration: none;">${escapeHtml(buttonLabel)}</a>
+  </p>
+  <p>${escapeHtml(tokenLabel)} <code>${escapeHtml(token)}</code></p>
+  <p style="color: #888; font-size: 12px;">${escapeHtml(footer)}</p>
+</body>
+</html>`;
+
+const TEMPLATES = {
+  vi: {
+    passwordReset: ({ username, link, token, expiresInMinutes }) => {
+      const title = 'Đặt lại mật khẩu SoulDungeon';
+      const greeting = `Xin chào ${username},`;
+      const lines = [
+        'Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn.',
+        `Link bên dưới có hiệu lực trong ${expiresInMinutes} phút và chỉ dùng được 1 lần.`
+      ];
+      const footer = 'Nếu bạn không yêu cầu, hãy bỏ qua email này. Mật khẩu của bạn sẽ không thay đổi.';
+
+      return {
+        subject: title,
+        text: [greeting, '', ...lines, '', link, '', `Mã reset: ${token}`, '', footer].join('\n'),
+        html: layout({ title, greeting, lines, buttonLabel: 'Đặt lại mật khẩu', link, token, tokenLabel: 'Hoặc nhập mã trong game:', footer })
+      };
+    },
+
+    emailVerification: ({ username, link, token, expiresInHours }) => {
+      const title = 'Xác thực email SoulDungeon';
+      const greeting = `Xin chào ${username},`;
+      const lines = [
+        'Cảm ơn bạn đã đăng ký. Hãy xác thực email để mở khoá tìm trận xếp hạng và giao dịch.',
+        `Link bên dưới có hiệu lực trong ${expiresInHours} giờ.`
+      ];
+      const footer = 'Nếu bạn không tạo tài khoản này, hãy bỏ qua email này.';
+
+      return {
+        subject: title,
+        text: [greeting, '', ...lines, '', link, '', `Mã xác thực: ${token}`, '', footer].join('\n'),
+        html: layout({ title, greeting, lines, buttonLabel: 'Xác thực email', link, token, tokenLabel: 'Hoặc nhập mã trong game:', footer })
+      };
+    }
+  },
+
+  en: {
+    passwordReset: ({ username, link, token, expiresInMinutes }) => {
+      const title = 'Reset your SoulDungeon password';
+      const greeting = `Hi ${username},`;
+      const lines = [
+        'We received a request to reset the password for your account.',
+        `The link below is valid for ${expiresInMinutes} minutes and can only be used once.`
+      ];
+      const footer = 'If you did not request this, you can ignore this email. Your password will not change.';
+
+      return {
+        subject: title,
+        text: [greeting, '', ...lines, '', link, '', `Reset code: ${token}`, '', footer].join('\n'),
+        html: layout({ title, greeting, lines, buttonLabel: 'Reset password', link, token, tokenLabel: 'Or enter this code in game:', footer })
+      };
+    },
+
+    emailVerification: ({ username, link, token, expiresInHours }) => {
+      const title = 'Verify your SoulDungeon email';
+      const greeting = `Hi ${username},`;
+      const lines = [
+        'Thanks for signing up. Verify your email to unlock ranked matchmaking and trading.',
+        `The link below is valid for ${expiresInHours} hours.`
+      ];
+      const footer = 'If you did not create this account, you can ignore this email.';
+
+      return {
+        subject: title,
+        text: [greeting, '', ...lines, '', link, '', `Verification code: ${token}`, '', footer].join('\n'),
+        html: layout({ title, greeting, lines, buttonLabel: 'Verify email', link, token, tokenLabel: 'Or enter this code in game:', footer })
+      };
+    }
+  }
+};
+
+/**
+ * Render template theo locale (không có => tiếng Việt)
+ */
+const renderTemplate = (name, locale, params) => {
+  const templates = TEMPLATES[locale] || TEMPLATES.vi;
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Mail template không tồn tại: ${name}`);
+  }
+
+  return template(params);
+};
+
+module.exports = {
+  renderTemplate
+};
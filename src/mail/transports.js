@@ -0,0 +1,80 @@
+// src/mail/transports.js - Các cách gửi email
+// Mỗi transport có dạng { name, send(message) }, message = { from, to, subject, text, html }
+const fs = require('fs/promises');
+const path = require('path');
+const { logInfo } = require('../config/logger');
+
+/**
+ * SMTP (production) - dùng nodemailer, kết nối được tái sử dụng giữa các lần gửi
+ */
+const createSmtpTransport = (config) => {
+  const nodemailer = require('nodemailer');
+
+  if (!config.SMTP.HOST) {
+    throw new Error('SMTP_HOST chưa được cấu hình');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: config.SMTP.HOST,
+    port: config.SMTP.PORT,
+    secure: config.SMTP.SECURE,
+    pool: true,
+    auth: config.SMTP.USER ? { user: config.SMTP.USER, pass: config.SMTP.PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/**
+ * File (dev) - ghi email ra thư mục để mở xem nội dung
+ */
+const createFileTransport = (config) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(config.FILE_DIR, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    const filePath = path.join(config.FILE_DIR, fileName);
+
+    await fs.writeFile(filePath, JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2));
+    return { filePath };
+  }
+});
+
+/**
+ * Console (dev) - in bản text ra log
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    logInfo('Mail (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+    return {};
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const createTransport = (config) => {
+  const factory = TRANSPORTS[config.TRANSPORT];
+
+  if (!factory) {
+    throw new Error(`Mail transport không hợp lệ: ${config.TRANSPORT}`);
+  }
+
+  return factory(config);
+};
+
+module.exports = {
+  createTransport
+};
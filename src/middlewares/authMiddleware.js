@@ -1,9 +1,11 @@
 // src/middlewares/authMiddleware.js - JWT Authentication Middleware
-const jwt = require('jsonwebtoken');
-const { errorResponse } = require('../utils/response');
+const { AppError } = require('../utils/errors');
 const { logInfo, logError } = require('../config/logger');
+const { verifyAccessToken } = require('../utils/token');
+const AccessControlService = require('../services/accessControlService');
+const { resolveLocale } = require('../utils/i18n');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     // Lấy token từ header
     const authHeader = req.headers.authorization;
@@ -13,20 +15,30 @@ const authMiddleware = (req, res, next) => {
         ip: req.ip,
         url: req.originalUrl 
       });
-      return errorResponse(res, 'Token không hợp lệ', 401);
+      return next(new AppError('TOKEN_MISSING'));
     }
 
     const token = authHeader.split(' ')[1];
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Role đổi / user bị xoá sau khi cấp token => token cũ không còn hiệu lực
+    if (!(await AccessControlService.isAccessTokenCurrent(decoded))) {
+      logInfo('Auth failed: Token revoked', {
+        userId: decoded.id,
+        ip: req.ip
+      });
+      return next(new AppError('TOKEN_REVOKED'));
+    }
 
     // Gắn user info vào request
-    req.user = {
-      id: decoded.id,
-      email: decoded.email,
-      username: decoded.username
-    };
+    req.user = decoded;
+
+    // Ngôn ngữ user đã chọn ưu tiên hơn Accept-Language
+    if (decoded.locale) {
+      req.locale = resolveLocale(decoded.locale);
+    }
 
     logInfo('Auth successful', { 
       userId: decoded.id,
@@ -41,7 +53,7 @@ const authMiddleware = (req, res, next) => {
         ip: req.ip,
         error: error.message 
       });
-      return errorResponse(res, 'Token không hợp lệ', 401);
+      return next(new AppError('TOKEN_INVALID'));
     }
 
     if (error.name === 'TokenExpiredError') {
@@ -49,11 +61,11 @@ const authMiddleware = (req, res, next) => {
         ip: req.ip,
         expiredAt: error.expiredAt 
       });
-      return errorResponse(res, 'Token đã hết hạn', 401);
+      return next(new AppError('TOKEN_EXPIRED'));
     }
 
     logError('Auth middleware error', error, { ip: req.ip });
-    return errorResponse(res, 'Lỗi xác thực', 500);
+    return next(error);
   }
 };
 
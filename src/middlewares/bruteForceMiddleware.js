@@ -0,0 +1,85 @@
+// src/middlewares/bruteForceMiddleware.js - Chống brute-force cho các route xác thực
+// Đặt sau validation (để email đã được normalize) và trước controller:
+//   router.post('/login', loginValidation, bruteForceProtection('login', { accountField: 'email' }), ...)
+// Mỗi request giữ chỗ 1 lần thử trước khi vào controller, kết quả (status code) quyết định thành công / thất bại:
+//   - 2xx => thành công (xoá số lần thất bại), trừ khi countAll (mỗi request đều tính)
+//   - 4xx => thất bại
+// Client gửi lời giải challenge qua header X-Challenge-Token và X-Challenge-Solution.
+// accountField là tên field trong body hoặc hàm (req) => account (null => chỉ đếm theo IP).
+const ThrottleService = require('../services/throttleService');
+const { AppError } = require('../utils/errors');
+const { logInfo } = require('../config/logger');
+const { BRUTE_FORCE } = require('../config/auth');
+
+const bruteForceProtection = (action, { accountField = null, countAll = false } = {}) => (req, res, next) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const account = resolveAccount(req, accountField);
+
+  const keys = [{ key: `${action}:ip:${ipAddress}`, maxFailures: BRUTE_FORCE.MAX_FAILURES_PER_IP }];
+  if (account) {
+    keys.push({ key: `${action}:account:${account}`, maxFailures: BRUTE_FORCE.MAX_FAILURES_PER_ACCOUNT });
+  }
+
+  const status = ThrottleService.check(keys);
+
+  if (status.locked) {
+    const retryAfterSeconds = Math.ceil(status.retryAfterMs / 1000);
+
+    logInfo('Request blocked: Too many failed attempts', { action, ip: ipAddress, retryAfterSeconds });
+    res.set('Retry-After', String(retryAfterSeconds));
+    return next(new AppError('TOO_MANY_ATTEMPTS', { params: { seconds: retryAfterSeconds } }));
+  }
+
+  // Challenge gắn với action + IP để không giải sẵn ở nơi khác rồi dùng lại
+  const scope = `${action}:${ipAddress}`;
+
+  if (status.challengeRequired) {
+    const solved = ThrottleService.verifyChallenge(scope, req.get('X-Challenge-Token'), req.get('X-Challenge-Solution'));
+
+    if (!solved) {
+      logInfo('Request blocked: Challenge required', { action, ip: ipAddress });
+      return next(new AppError('CHALLENGE_REQUIRED', {
+        details: { challenge: ThrottleService.createChallenge(scope) }
+      }));
+    }
+  }
+
+  // Giữ chỗ lần thử trước khi vào controller (check() tính cả các lần đang xử lý)
+  // => request song song bị chặn ngay, không đợi lần thất bại trước được ghi
+  ThrottleService.reserve(keys);
+
+  let settled = false;
+  const settle = (outcome) => {
+    if (!settled) {
+      settled = true;
+      ThrottleService.release(keys, outcome);
+    }
+  };
+
+  res.on('finish', () => {
+    // Lỗi server không phải lỗi của người dùng
+    if (res.statusCode >= 500) {
+      return settle(null);
+    }
+
+    settle(countAll || res.statusCode >= 400 ? 'failure' : 'success');
+  });
+
+  // Client ngắt kết nối trước khi có response => tính là thất bại (không né đếm bằng cách huỷ request)
+  res.on('close', () => settle('failure'));
+
+  next();
+};
+
+// ============= Helper Functions =============
+
+function resolveAccount(req, accountField) {
+  if (!accountField) {
+    return null;
+  }
+
+  const value = typeof accountField === 'function' ? accountField(req) : req.body[accountField];
+  return typeof value === 'string' && value ? value.trim().toLowerCase() : null;
+}
+
+module.exports = bruteForceProtection;
@@ -0,0 +1,72 @@
+// src/middlewares/errorHandler.js - Xử lý lỗi tập trung cho API (đặt sau mọi route trong app.js)
+// Controller / middleware gọi next(error):
+//   - AppError => status + { success: false, code, message, errors? } theo mã lỗi,
+//     message theo ngôn ngữ của request (req.locale, xem localeMiddleware)
+//   - lỗi body JSON của express.json() => INVALID_JSON / PAYLOAD_TOO_LARGE
+//   - lỗi khác => 500 INTERNAL_ERROR (chi tiết chỉ hiện ở development)
+const { AppError } = require('../utils/errors');
+const { translate } = require('../utils/i18n');
+const { errorResponse } = require('../utils/response');
+const { logError } = require('../config/logger');
+
+// express.json() / urlencoded() đặt err.type
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE'
+};
+
+/**
+ * 404 cho route không tồn tại
+ */
+const notFoundHandler = (req, res, next) => {
+  logError('Route not found', null, {
+    method: req.method,
+    url: req.url,
+    ip: req.ip
+  });
+
+  next(new AppError('ROUTE_NOT_FOUND', { details: { requestedUrl: req.url } }));
+};
+
+/**
+ * Error handler (Express nhận diện qua đủ 4 tham số, kể cả next không dùng)
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    console.error('❌ Express error handler:', err);
+    logError('Unhandled error', err, {
+      method: req.method,
+      url: req.url,
+      ip: req.ip
+    });
+  }
+
+  const details = error.code === 'INTERNAL_ERROR' && process.env.NODE_ENV === 'development'
+    ? { error: err.message }
+    : error.details;
+
+  const message = translate(req.locale, `errors.${error.code}`, error.params);
+
+  return errorResponse(res, message, error.status, details ?? null, error.code);
+};
+
+// ============= Helper Functions =============
+
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (BODY_PARSER_ERRORS[err.type]) {
+    return new AppError(BODY_PARSER_ERRORS[err.type]);
+  }
+
+  return new AppError('INTERNAL_ERROR');
+}
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,17 @@
+// src/middlewares/localeMiddleware.js - Chọn ngôn ngữ response theo Accept-Language
+// authMiddleware ghi đè req.locale bằng ngôn ngữ user đã chọn (claim lng trong access token).
+// Controller / errorHandler dịch message qua req.t('messages.LOGIN_SUCCESS'), req.t('errors.TOKEN_EXPIRED', params)
+const I18N = require('../config/i18n');
+const { translate } = require('../utils/i18n');
+
+const localeMiddleware = (req, res, next) => {
+  req.locale = req.acceptsLanguages(...I18N.LOCALES) || I18N.DEFAULT_LOCALE;
+  req.t = (key, params) => translate(req.locale, key, params);
+
+  // Cache / CDN không được trả response tiếng Việt cho client xin tiếng Anh
+  res.vary('Accept-Language');
+
+  next();
+};
+
+module.exports = localeMiddleware;
@@ -0,0 +1,50 @@
+// src/middlewares/monitorAuthMiddleware.js - Basic Auth cho Colyseus Monitor (admin)
+const crypto = require('crypto');
+const { logInfo, logWarn } = require('../config/logger');
+
+// So sánh constant-time để tránh timing attack
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+const monitorAuthMiddleware = (req, res, next) => {
+  const adminUser = process.env.MONITOR_USERNAME;
+  const adminPassword = process.env.MONITOR_PASSWORD;
+
+  // Không cấu hình credentials => tắt monitor hoàn toàn
+  if (!adminUser || !adminPassword) {
+    logWarn('Monitor access denied: MONITOR_USERNAME/MONITOR_PASSWORD not configured', { ip: req.ip });
+    return res.status(503).json({
+      success: false,
+      message: 'Monitor chưa được cấu hình'
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const [scheme, encoded] = authHeader.split(' ');
+
+  if (scheme === 'Basic' && encoded) {
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separatorIndex = decoded.indexOf(':');
+    const username = decoded.slice(0, separatorIndex);
+    const password = decoded.slice(separatorIndex + 1);
+
+    if (separatorIndex !== -1 && safeEqual(username, adminUser) && safeEqual(password, adminPassword)) {
+      return next();
+    }
+  }
+
+  logInfo('Monitor auth failed', { ip: req.ip, url: req.originalUrl });
+  res.set('WWW-Authenticate', 'Basic realm="SoulDungeon Monitor"');
+  return res.status(401).json({
+    success: false,
+    message: 'Không có quyền truy cập'
+  });
+};
+
+module.exports = monitorAuthMiddleware;
@@ -0,0 +1,24 @@
+// src/middlewares/permissionMiddleware.js - Kiểm tra quyền (RBAC) từ claim permissions của access token
+// Dùng sau authMiddleware: router.get('/x', authMiddleware, requirePermission(PERMISSIONS.USERS_READ), ...)
+// Truyền nhiều quyền => phải có đủ tất cả
+const { AppError } = require('../utils/errors');
+const { logInfo } = require('../config/logger');
+
+const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = req.user && Array.isArray(req.user.permissions) ? req.user.permissions : [];
+  const missing = permissions.filter((permission) => !granted.includes(permission));
+
+  if (missing.length === 0) {
+    return next();
+  }
+
+  logInfo('Permission denied', {
+    userId: req.user?.id,
+    role: req.user?.role,
+    missing,
+    url: req.originalUrl
+  });
+  return next(new AppError('PERMISSION_DENIED'));
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,26 @@
+// src/middlewares/verifiedEmailMiddleware.js - Chặn tính năng khi chưa xác thực email
+// Dùng sau authMiddleware: router.post('/x', authMiddleware, requireVerifiedEmail('trading'), ...)
+const AuthService = require('../services/authService');
+const { AppError } = require('../utils/errors');
+const { logInfo, logError } = require('../config/logger');
+
+const requireVerifiedEmail = (feature) => async (req, res, next) => {
+  try {
+    if (await AuthService.canUseFeature(req.user.id, feature)) {
+      return next();
+    }
+
+    logInfo('Feature blocked: Email not verified', {
+      userId: req.user.id,
+      feature,
+      url: req.originalUrl
+    });
+    return next(new AppError('EMAIL_NOT_VERIFIED'));
+
+  } catch (error) {
+    logError('Verified email middleware error', error, { userId: req.user?.id, feature });
+    return next(error);
+  }
+};
+
+module.exports = requireVerifiedEmail;
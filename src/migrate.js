@@ -0,0 +1,91 @@
+// migrate.js - CLI migration database (xem src/database/migrator.js)
+//   node src/migrate.js status           Xem migration đã chạy / chưa chạy
+//   node src/migrate.js up [version]     Chạy migration chưa chạy (tới version nếu có, vd. 0005)
+//   node src/migrate.js down [steps]     Rollback `steps` migration gần nhất (mặc định 1)
+require('dotenv').config();
+
+const Migrator = require('./database/migrator');
+const { closeDatabase } = require('./config/database');
+const { logError } = require('./config/logger');
+
+const COMMANDS = {
+  status: async () => {
+    const report = await Migrator.status();
+
+    console.log('\n📋 Migration status:');
+    report.applied.forEach((migration) => {
+      console.log(`   ✅ ${migration.version}_${migration.name} (${new Date(migration.appliedAt).toISOString()})`);
+    });
+    report.changed.forEach((migration) => {
+      console.log(`   ⚠️  ${migration.version}_${migration.name} - file đã bị sửa sau khi chạy`);
+    });
+    report.pending.forEach((migration) => {
+      console.log(`   ⏳ ${migration.version}_${migration.name} - chưa chạy`);
+    });
+    report.missing.forEach((migration) => {
+      console.log(`   ❓ ${migration.version}_${migration.name} - đã chạy nhưng không còn file`);
+    });
+
+    console.log(`\n📊 ${report.applied.length} đã chạy, ${report.pending.length} chưa chạy, ${report.changed.length} bị sửa, ${report.missing.length} thiếu file\n`);
+    return report.pending.length === 0 && report.changed.length === 0;
+  },
+
+  up: async (to = null) => {
+    if (to !== null && !/^\d{4}$/.test(to)) {
+      throw new Error(`Version không hợp lệ: ${to} (dạng 0005)`);
+    }
+
+    const applied = await Migrator.up({ to });
+
+    if (applied.length === 0) {
+      console.log('✅ Database đã ở phiên bản mới nhất');
+      return true;
+    }
+
+    applied.forEach((migration) => console.log(`⬆️  ${migration.version}_${migration.name}`));
+    console.log(`✅ Đã chạy ${applied.length} migration`);
+    return true;
+  },
+
+  down: async (steps = '1') => {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Số bước không hợp lệ: ${steps}`);
+    }
+
+    const reverted = await Migrator.down({ steps: count });
+
+    if (reverted.length === 0) {
+      console.log('✅ Không có migration nào để rollback');
+      return true;
+    }
+
+    reverted.forEach((migration) => console.log(`⬇️  ${migration.version}_${migration.name}`));
+    console.log(`✅ Đã rollback ${reverted.length} migration`);
+    return true;
+  }
+};
+
+const run = async () => {
+  const [command = 'status', argument] = process.argv.slice(2);
+  const handler = COMMANDS[command];
+
+  if (!handler) {
+    console.error(`❌ Lệnh không hợp lệ: ${command}. Dùng: ${Object.keys(COMMANDS).join(' | ')}`);
+    return false;
+  }
+
+  try {
+    return await handler(argument);
+  } catch (error) {
+    console.error('❌ Migration error:', error.message);
+    logError('Migration command failed', error, { command });
+    return false;
+  } finally {
+    await closeDatabase();
+  }
+};
+
+run().then((ok) => {
+  process.exitCode = ok ? 0 : 1;
+});
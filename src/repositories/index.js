@@ -0,0 +1,108 @@
+// src/repositories/index.js - Data access layer cho các bảng tài khoản (users, token, 2FA, liên kết, audit log...)
+// Service gọi repository (repositories.users.findByEmail(...)) thay vì tự dựng query Supabase / SQL.
+// Backend chọn bằng DB_BACKEND:
+//   supabase (mặc định) - Supabase client ở config/database.js
+//   postgres            - kết nối thẳng Postgres bằng pg (DATABASE_URL)
+//   memory              - lưu trong RAM, dùng cho test / chạy thử không cần database
+//
+// DB_BACKEND chỉ áp dụng cho các bảng liệt kê bên dưới (auth, admin). Bảng game (player_profiles,
+// inventory_items, game_runs, leaderboard_entries, friendships) và các hàm SQL của chúng vẫn đọc qua
+// Supabase client: route player / inventory / leaderboard / run / friend, room matchmaking / social
+// chỉ được tải khi đã kết nối Supabase (SUPABASE_URL + SUPABASE_PUBLISHABLE_KEY), kể cả khi DB_BACKEND=postgres.
+// Không có Supabase => server vẫn chạy auth, admin, dungeon, health; các route game báo 'không khả dụng'.
+//
+// Quy ước chung của mọi backend:
+//   - Dòng trả về giữ tên cột snake_case như trong database, timestamp là chuỗi ISO
+//   - Không tìm thấy => null (hoặc mảng rỗng), lỗi database => throw
+//   - Vi phạm unique => throw lỗi có code '23505', message chứa tên constraint (vd. users_email_key)
+//   - `columns` là danh sách cột kiểu Supabase ('id, username'), mặc định '*'
+//   - `where` là điều kiện bằng thêm vào (vd. { is_guest: true }) để cập nhật có điều kiện
+//
+// users:          findById, findByEmail, findByUsername, findActiveByUsername, findGuestByDevice,
+//                 findManyByIds, search, findInactiveGuestIds, create, update, claimTwoFactorStep,
+//                 delete, deleteGuests
+// refreshTokens:  create, findByToken, listActiveForUser, findUserIdsActiveSince,
+//                 rotate, revokeByToken, revokeAllForUser, revokeFamily
+// passwordResets: create, findUnusedByToken, markUsed
+// loginHistory:   create, listForUser
+// emailVerifications: create, findUnusedByToken, findLatestForUser, markUsed, markAllUsedForUser
+// recoveryCodes:  replaceForUser, deleteForUser, claim (two_factor_recovery_codes)
+// suspiciousActivity: create
+// auditLog:       create, list (admin_audit_log)
+// identities:     create, findByProviderSubject, listForUser, touch, deleteForUser (user_identities)
+// accounts:       register, resetPassword, verifyEmail (ghi nhiều bảng, tất cả hoặc không gì)
+const { logInfo } = require('../config/logger');
+
+const BACKENDS = {
+  supabase: () => require('./supabaseRepository'),
+  postgres: () => require('./postgresRepository'),
+  memory: () => require('./memoryRepository')
+};
+
+let repositories = null;
+
+/**
+ * Tạo bộ repository cho 1 backend
+ */
+const createRepositories = (backend = process.env.DB_BACKEND || 'supabase', options = {}) => {
+  const load = BACKENDS[backend];
+  if (!load) {
+    throw new Error(`DB_BACKEND không hợp lệ: ${backend}. Hỗ trợ: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return load().createRepositories(options);
+};
+
+/**
+ * Bộ repository dùng chung (tạo ở lần gọi đầu theo DB_BACKEND)
+ */
+const getRepositories = () => {
+  if (!repositories) {
+    repositories = createRepositories();
+    logInfo('Repositories initialized', { backend: process.env.DB_BACKEND || 'supabase' });
+  }
+  return repositories;
+};
+
+/**
+ * Thay bộ repository dùng chung (test: useRepositories(createRepositories('memory')))
+ */
+const useRepositories = (replacement) => {
+  repositories = replacement;
+};
+
+module.exports = {
+  createRepositories,
+  getRepositories,
+  useRepositories,
+  get users() {
+    return getRepositories().users;
+  },
+  get refreshTokens() {
+    return getRepositories().refreshTokens;
+  },
+  get passwordResets() {
+    return getRepositories().passwordResets;
+  },
+  get loginHistory() {
+    return getRepositories().loginHistory;
+  },
+  get emailVerifications() {
+    return getRepositories().emailVerifications;
+  },
+  get recoveryCodes() {
+    return getRepositories().recoveryCodes;
+  },
+  get suspiciousActivity() {
+    return getRepositories().suspiciousActivity;
+  },
+  get auditLog() {
+    return getRepositories().auditLog;
+  },
+  get identities() {
+    return getRepositories().identities;
+  },
+  get accounts() {
+    return getRepositories().accounts;
+  }
+};
@@ -0,0 +1,707 @@
+// src/repositories/memoryRepository.js - Repository backend lưu trong RAM (test / chạy thử)
+// Mô phỏng những gì service dựa vào ở database thật: id tự tăng, giá trị mặc định của cột,
+// unique constraint (lỗi 23505) và xoá user => xoá dữ liệu liên quan (ON DELETE CASCADE).
+// Mỗi lần createRepositories() là 1 database rỗng riêng.
+
+const DEFAULTS = {
+  users: () => ({
+    email: null,
+    password: null,
+    role: 'player',
+    token_version: 0,
+    is_active: true,
+    email_verified: false,
+    is_guest: false,
+    device_id: null,
+    two_factor_enabled: false,
+    two_factor_secret: null,
+    two_factor_last_step: null,
+    password_reset_required: false,
+    login_count: 0,
+    last_login: null,
+    updated_at: new Date().toISOString()
+  }),
+  refresh_tokens: () => ({
+    family_id: null,
+    parent_id: null,
+    replaced_by: null,
+    ip_address: null,
+    user_agent: null,
+    revoked: false,
+    revoked_at: null
+  }),
+  password_resets: () => ({
+    used: false,
+    used_at: null
+  }),
+  login_history: () => ({
+    user_id: null,
+    ip_address: null,
+    user_agent: null,
+    success: false
+  }),
+  email_verifications: () => ({
+    used: false,
+    used_at: null
+  }),
+  two_factor_recovery_codes: () => ({
+    used: false,
+    used_at: null
+  }),
+  suspicious_activity: () => ({
+    user_id: null,
+    details: {},
+    ip_address: null,
+    user_agent: null
+  }),
+  admin_audit_log: () => ({
+    actor_id: null,
+    actor_role: null,
+    target_user_id: null,
+    details: {},
+    ip_address: null
+  }),
+  user_identities: () => ({
+    email: null,
+    last_used_at: null
+  })
+};
+
+// Mảng cột => unique nhiều cột (vd. UNIQUE (provider, subject))
+const UNIQUE_COLUMNS = {
+  users: ['username', 'email', 'device_id'],
+  refresh_tokens: ['token'],
+  password_resets: ['token'],
+  email_verifications: ['token'],
+  user_identities: [['provider', 'subject']]
+};
+
+// Bảng có user_id bị xoá theo user
+const USER_CHILD_TABLES = [
+  'refresh_tokens',
+  'password_resets',
+  'login_history',
+  'email_verifications',
+  'two_factor_recovery_codes',
+  'suspicious_activity',
+  'user_identities'
+];
+
+// Cột tham chiếu user bị đặt về null khi xoá user (ON DELETE SET NULL)
+const USER_NULLABLE_REFERENCES = {
+  admin_audit_log: ['actor_id', 'target_user_id']
+};
+
+class MemoryTable {
+  constructor(name) {
+    this.name = name;
+    this.rows = [];
+    this.nextId = 1;
+  }
+
+  insert(fields) {
+    const row = {
+      id: this.nextId,
+      ...DEFAULTS[this.name](),
+      created_at: new Date().toISOString(),
+      ...fields
+    };
+
+    this.checkUnique(row);
+    this.nextId++;
+    this.rows.push(row);
+    return { ...row };
+  }
+
+  find(predicate) {
+    const row = this.rows.find(predicate);
+    return row ? { ...row } : null;
+  }
+
+  filter(predicate) {
+    return this.rows.filter(predicate).map((row) => ({ ...row }));
+  }
+
+  update(predicate, changes) {
+    const updated = [];
+
+    this.rows.forEach((row, index) => {
+      if (!predicate(row)) {
+        return;
+      }
+
+      const next = { ...row, ...changes };
+      this.checkUnique(next, row);
+      this.rows[index] = next;
+      updated.push({ ...next });
+    });
+
+    return updated;
+  }
+
+  delete(predicate) {
+    const deleted = this.rows.filter(predicate);
+    this.rows = this.rows.filter((row) => !predicate(row));
+    return deleted;
+  }
+
+  snapshot() {
+    return { rows: this.rows.map((row) => ({ ...row })), nextId: this.nextId };
+  }
+
+  restore({ rows, nextId }) {
+    this.rows = rows;
+    this.nextId = nextId;
+  }
+
+  checkUnique(row, current = null) {
+    (UNIQUE_COLUMNS[this.name] || []).forEach((key) => {
+      const columns = [].concat(key);
+      if (columns.some((column) => row[column] === null || row[column] === undefined)) {
+        return;
+      }
+
+      const duplicate = this.rows.some((other) => (
+        other !== current && columns.every((column) => other[column] === row[column])
+      ));
+      if (duplicate) {
+        const error = new Error(`duplicate key value violates unique constraint "${this.name}_${columns.join('_')}_key"`);
+        error.code = '23505';
+        throw error;
+      }
+    });
+  }
+}
+
+class MemoryUserRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id, columns = '*') {
+    return pick(this.store.users.find((user) => sameId(user.id, id)), columns);
+  }
+
+  async findByEmail(email, columns = '*') {
+    return pick(this.store.users.find((user) => user.email === email), columns);
+  }
+
+  async findByUsername(username, columns = '*') {
+    return pick(this.store.users.find((user) => user.username === username), columns);
+  }
+
+  async findActiveByUsername(username, columns = '*') {
+    return pick(this.store.users.find((user) => user.username === username && user.is_active), columns);
+  }
+
+  async findGuestByDevice(deviceId, columns = '*') {
+    return pick(this.store.users.find((user) => user.device_id === deviceId && user.is_guest), columns);
+  }
+
+  async findManyByIds(ids, columns = '*') {
+    return this.store.users
+      .filter((user) => ids.some((id) => sameId(user.id, id)))
+      .map((user) => pick(user, columns));
+  }
+
+  /**
+   * Tìm theo username / email (chứa chuỗi, không phân biệt hoa thường) + lọc, mới tạo trước
+   */
+  async search({ search = null, isActive = null, emailVerified = null, role = null, createdFrom = null, createdTo = null, offset = 0, limit }, columns = '*') {
+    const keyword = search ? search.toLowerCase() : null;
+
+    const matches = this.store.users
+      .filter((user) => (
+        (!keyword || [user.username, user.email].some((value) => value && value.toLowerCase().includes(keyword))) &&
+        (isActive === null || user.is_active === isActive) &&
+        (emailVerified === null || user.email_verified === emailVerified) &&
+        (!role || user.role === role) &&
+        (!createdFrom || user.created_at >= new Date(createdFrom).toISOString()) &&
+        (!createdTo || user.created_at <= new Date(createdTo).toISOString())
+      ))
+      .sort(newestFirst);
+
+    return {
+      rows: matches.slice(offset, offset + limit).map((user) => pick(user, columns)),
+      total: matches.length
+    };
+  }
+
+  /**
+   * ID tài khoản khách tạo trước `cutoff` và không login từ `cutoff` (cũ nhất trước)
+   */
+  async findInactiveGuestIds(cutoff, { offset = 0, limit }) {
+    return this.store.users
+      .filter((user) => user.is_guest && user.created_at < cutoff && (!user.last_login || user.last_login < cutoff))
+      .sort((a, b) => newestFirst(b, a))
+      .slice(offset, offset + limit)
+      .map((user) => user.id);
+  }
+
+  async create(fields) {
+    return this.store.users.insert(fields);
+  }
+
+  /**
+   * Cập nhật 1 user, trả về dòng sau khi cập nhật (null nếu không khớp id / where)
+   */
+  async update(id, changes, where = {}) {
+    const [updated] = this.store.users.update((user) => sameId(user.id, id) && matchesWhere(user, where), changes);
+    return updated || null;
+  }
+
+  /**
+   * Ghi step TOTP đã dùng nếu mới hơn step cũ (chống dùng lại mã), true nếu ghi được
+   */
+  async claimTwoFactorStep(id, step) {
+    const updated = this.store.users.update(
+      (user) => sameId(user.id, id) && (user.two_factor_last_step === null || user.two_factor_last_step < step),
+      { two_factor_last_step: step }
+    );
+    return updated.length > 0;
+  }
+
+  async delete(id, where = {}) {
+    const deleted = this.store.users.delete((user) => sameId(user.id, id) && matchesWhere(user, where));
+    this.cascade(deleted);
+    return deleted.length > 0;
+  }
+
+  /**
+   * Xoá các tài khoản (chỉ xoá nếu vẫn là khách), trả về số dòng đã xoá
+   */
+  async deleteGuests(ids) {
+    const deleted = this.store.users.delete((user) => user.is_guest && ids.some((id) => sameId(user.id, id)));
+    this.cascade(deleted);
+    return deleted.length;
+  }
+
+  // ============= Helper Methods =============
+
+  cascade(deletedUsers) {
+    const ids = new Set(deletedUsers.map((user) => String(user.id)));
+    USER_CHILD_TABLES.forEach((table) => {
+      this.store[table].delete((row) => ids.has(String(row.user_id)));
+    });
+    Object.entries(USER_NULLABLE_REFERENCES).forEach(([table, columns]) => {
+      columns.forEach((column) => {
+        this.store[table].update((row) => ids.has(String(row[column])), { [column]: null });
+      });
+    });
+  }
+}
+
+class MemoryRefreshTokenRepository {
+  constructor(store) {
+    this.table = store.refresh_tokens;
+  }
+
+  async create(fields) {
+    return this.table.insert(fields);
+  }
+
+  async findByToken(token) {
+    return this.table.find((row) => row.token === token);
+  }
+
+  /**
+   * Token chưa thu hồi, chưa hết hạn của user (mới nhất trước)
+   */
+  async listActiveForUser(userId, now = new Date().toISOString()) {
+    return this.table
+      .filter((row) => sameId(row.user_id, userId) && !row.revoked && row.expires_at > now)
+      .sort(newestFirst);
+  }
+
+  /**
+   * Trong `userIds`, những user có token được cấp từ `since` trở đi
+   */
+  async findUserIdsActiveSince(userIds, since) {
+    const active = this.table
+      .filter((row) => row.created_at >= since && userIds.some((id) => sameId(row.user_id, id)))
+      .map((row) => row.user_id);
+    return [...new Set(active)];
+  }
+
+  /**
+   * Thu hồi token đã được thay bằng token mới, chỉ khi token vẫn còn hiệu lực
+   * false => token đã bị thu hồi trước đó (request khác vừa rotate / dùng lại token)
+   */
+  async rotate(id, { familyId, replacedBy }) {
+    const updated = this.table.update((row) => sameId(row.id, id) && !row.revoked, {
+      revoked: true,
+      revoked_at: new Date().toISOString(),
+      family_id: familyId,
+      replaced_by: replacedBy
+    });
+    return updated.length > 0;
+  }
+
+  async revokeByToken(token) {
+    return this.revokeWhere((row) => row.token === token);
+  }
+
+  async revokeAllForUser(userId) {
+    return this.revokeWhere((row) => sameId(row.user_id, userId));
+  }
+
+  /**
+   * Thu hồi cả family (1 phiên đăng nhập), userId để chặn thu hồi phiên của người khác
+   */
+  async revokeFamily(familyId, userId = null) {
+    return this.revokeWhere((row) => row.family_id === familyId && (userId === null || sameId(row.user_id, userId)));
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * Thu hồi các token còn hiệu lực khớp predicate, trả về số token đã thu hồi
+   */
+  async revokeWhere(predicate) {
+    const updated = this.table.update((row) => !row.revoked && predicate(row), {
+      revoked: true,
+      revoked_at: new Date().toISOString()
+    });
+    return updated.length;
+  }
+}
+
+class MemoryPasswordResetRepository {
+  constructor(store) {
+    this.table = store.password_resets;
+  }
+
+  async create(fields) {
+    return this.table.insert(fields);
+  }
+
+  async findUnusedByToken(token) {
+    return this.table.find((row) => row.token === token && !row.used);
+  }
+
+  /**
+   * Đánh dấu đã dùng, false nếu token đã được dùng trước đó
+   */
+  async markUsed(id) {
+    const updated = this.table.update((row) => sameId(row.id, id) && !row.used, {
+      used: true,
+      used_at: new Date().toISOString()
+    });
+    return updated.length > 0;
+  }
+}
+
+class MemoryLoginHistoryRepository {
+  constructor(store) {
+    this.table = store.login_history;
+  }
+
+  async create(fields) {
+    return this.table.insert(fields);
+  }
+
+  /**
+   * Lịch sử đăng nhập của user (mới nhất trước)
+   */
+  async listForUser(userId, { offset = 0, limit }) {
+    const matches = this.table
+      .filter((row) => sameId(row.user_id, userId))
+      .sort(newestFirst);
+
+    return {
+      rows: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+}
+
+class MemoryEmailVerificationRepository {
+  constructor(store) {
+    this.table = store.email_verifications;
+  }
+
+  async create(fields) {
+    return this.table.insert(fields);
+  }
+
+  async findUnusedByToken(token) {
+    return this.table.find((row) => row.token === token && !row.used);
+  }
+
+  /**
+   * Token được tạo gần nhất của user (tính cooldown gửi lại)
+   */
+  async findLatestForUser(userId) {
+    const [latest] = this.table
+      .filter((row) => sameId(row.user_id, userId))
+      .sort(newestFirst);
+    return latest || null;
+  }
+
+  /**
+   * Đánh dấu đã dùng, false nếu token đã được dùng trước đó
+   */
+  async markUsed(id) {
+    const updated = this.table.update((row) => sameId(row.id, id) && !row.used, {
+      used: true,
+      used_at: new Date().toISOString()
+    });
+    return updated.length > 0;
+  }
+
+  /**
+   * Đánh dấu mọi token còn lại của user là đã dùng, trả về số token
+   */
+  async markAllUsedForUser(userId) {
+    const updated = this.table.update((row) => sameId(row.user_id, userId) && !row.used, {
+      used: true,
+      used_at: new Date().toISOString()
+    });
+    return updated.length;
+  }
+}
+
+class MemoryRecoveryCodeRepository {
+  constructor(store) {
+    this.table = store.two_factor_recovery_codes;
+  }
+
+  /**
+   * Thay bộ recovery code của user bằng bộ mới (chỉ lưu hash)
+   */
+  async replaceForUser(userId, codeHashes) {
+    await this.deleteForUser(userId);
+    return codeHashes.map((codeHash) => this.table.insert({ user_id: userId, code_hash: codeHash }));
+  }
+
+  async deleteForUser(userId) {
+    return this.table.delete((row) => sameId(row.user_id, userId)).length;
+  }
+
+  /**
+   * Dùng 1 recovery code chưa dùng, false nếu sai mã hoặc mã đã được dùng
+   */
+  async claim(userId, codeHash) {
+    const updated = this.table.update(
+      (row) => sameId(row.user_id, userId) && row.code_hash === codeHash && !row.used,
+      { used: true, used_at: new Date().toISOString() }
+    );
+    return updated.length > 0;
+  }
+}
+
+class MemorySuspiciousActivityRepository {
+  constructor(store) {
+    this.table = store.suspicious_activity;
+  }
+
+  async create(fields) {
+    return this.table.insert(fields);
+  }
+}
+
+class MemoryAuditLogRepository {
+  constructor(store) {
+    this.table = store.admin_audit_log;
+  }
+
+  async create(fields) {
+    return this.table.insert(fields);
+  }
+
+  /**
+   * Audit log lọc theo người thao tác / user bị tác động / hành động (mới nhất trước)
+   */
+  async list({ actorId = null, targetUserId = null, action = null, offset = 0, limit }) {
+    const matches = this.table
+      .filter((row) => (
+        (!actorId || sameId(row.actor_id, actorId)) &&
+        (!targetUserId || sameId(row.target_user_id, targetUserId)) &&
+        (!action || row.action === action)
+      ))
+      .sort(newestFirst);
+
+    return {
+      rows: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+}
+
+class MemoryIdentityRepository {
+  constructor(store) {
+    this.table = store.user_identities;
+  }
+
+  async create(fields) {
+    return this.table.insert(fields);
+  }
+
+  async findByProviderSubject(provider, subject) {
+    return this.table.find((row) => row.provider === provider && row.subject === subject);
+  }
+
+  /**
+   * Tài khoản ngoài của user (liên kết trước đứng trước)
+   */
+  async listForUser(userId) {
+    return this.table
+      .filter((row) => sameId(row.user_id, userId))
+      .sort((a, b) => newestFirst(b, a));
+  }
+
+  async touch(id) {
+    this.table.update((row) => sameId(row.id, id), { last_used_at: new Date().toISOString() });
+  }
+
+  /**
+   * Xoá 1 liên kết của user, false nếu không tồn tại / thuộc user khác
+   */
+  async deleteForUser(id, userId) {
+    return this.table.delete((row) => sameId(row.id, id) && sameId(row.user_id, userId)).length > 0;
+  }
+}
+
+// Thao tác nhiều bảng: lỗi ở bước nào thì khôi phục mọi bảng về trước khi bắt đầu.
+// Không cô lập với request khác chạy xen giữa các bước (chỉ dùng cho test / chạy thử).
+class MemoryAccountRepository {
+  constructor(store, repositories) {
+    this.store = store;
+    this.repositories = repositories;
+  }
+
+  /**
+   * Tạo user + refresh token của phiên đầu tiên, trả về { user, refreshToken }
+   */
+  async register(user, refreshToken) {
+    return this.transaction(async ({ users, refreshTokens }) => {
+      const created = await users.create(user);
+      const token = await refreshTokens.create({ ...refreshToken, user_id: created.id });
+      return { user: created, refreshToken: token };
+    });
+  }
+
+  /**
+   * Dùng token reset: đánh dấu đã dùng, đổi mật khẩu, thu hồi mọi refresh token của user
+   * false => token đã được dùng trước đó, không ghi gì
+   */
+  async resetPassword(resetId, userId, passwordHash) {
+    return this.transaction(async ({ users, refreshTokens, passwordResets }) => {
+      const claimed = await passwordResets.markUsed(resetId);
+      if (!claimed) {
+        return false;
+      }
+
+      await users.update(userId, {
+        password: passwordHash,
+        password_reset_required: false,
+        updated_at: new Date().toISOString()
+      });
+      await refreshTokens.revokeAllForUser(userId);
+      return true;
+    });
+  }
+
+  /**
+   * Dùng token xác thực email: đánh dấu đã dùng, xác thực email, bỏ các token còn lại của user
+   * false => token đã được dùng trước đó, không ghi gì
+   */
+  async verifyEmail(verificationId, userId) {
+    return this.transaction(async ({ users, emailVerifications }) => {
+      const claimed = await emailVerifications.markUsed(verificationId);
+      if (!claimed) {
+        return false;
+      }
+
+      await users.update(userId, {
+        email_verified: true,
+        updated_at: new Date().toISOString()
+      });
+      await emailVerifications.markAllUsedForUser(userId);
+      return true;
+    });
+  }
+
+  // ============= Helper Methods =============
+
+  async transaction(work) {
+    const tables = Object.values(this.store);
+    const snapshots = tables.map((table) => table.snapshot());
+
+    try {
+      return await work(this.repositories);
+    } catch (error) {
+      tables.forEach((table, index) => table.restore(snapshots[index]));
+      throw error;
+    }
+  }
+}
+
+// ============= Helper Functions =============
+
+// ID từ route param có thể là chuỗi
+function sameId(a, b) {
+  return a !== null && a !== undefined && String(a) === String(b);
+}
+
+function matchesWhere(row, where) {
+  return Object.entries(where).every(([column, value]) => (
+    value === null ? row[column] === null || row[column] === undefined : row[column] === value
+  ));
+}
+
+// Cùng thời điểm tạo => id lớn hơn (tạo sau) đứng trước
+function newestFirst(a, b) {
+  if (a.created_at !== b.created_at) {
+    return a.created_at < b.created_at ? 1 : -1;
+  }
+  return b.id - a.id;
+}
+
+// 'id, username' (kiểu Supabase) => chỉ giữ các cột đó
+function pick(row, columns) {
+  if (!row || columns.trim() === '*') {
+    return row ? { ...row } : null;
+  }
+
+  return columns.split(',').reduce((picked, column) => {
+    const name = column.trim();
+    picked[name] = row[name] === undefined ? null : row[name];
+    return picked;
+  }, {});
+}
+
+const createRepositories = () => {
+  const store = {
+    users: new MemoryTable('users'),
+    refresh_tokens: new MemoryTable('refresh_tokens'),
+    password_resets: new MemoryTable('password_resets'),
+    login_history: new MemoryTable('login_history'),
+    email_verifications: new MemoryTable('email_verifications'),
+    two_factor_recovery_codes: new MemoryTable('two_factor_recovery_codes'),
+    suspicious_activity: new MemoryTable('suspicious_activity'),
+    admin_audit_log: new MemoryTable('admin_audit_log'),
+    user_identities: new MemoryTable('user_identities')
+  };
+
+  const repositories = {
+    users: new MemoryUserRepository(store),
+    refreshTokens: new MemoryRefreshTokenRepository(store),
+    passwordResets: new MemoryPasswordResetRepository(store),
+    loginHistory: new MemoryLoginHistoryRepository(store),
+    emailVerifications: new MemoryEmailVerificationRepository(store),
+    recoveryCodes: new MemoryRecoveryCodeRepository(store),
+    suspiciousActivity: new MemorySuspiciousActivityRepository(store),
+    auditLog: new MemoryAuditLogRepository(store),
+    identities: new MemoryIdentityRepository(store)
+  };
+
+  return {
+    ...repositories,
+    accounts: new MemoryAccountRepository(store, repositories)
+  };
+};
+
+module.exports = {
+  createRepositories
+};
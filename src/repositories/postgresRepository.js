@@ -0,0 +1,655 @@
+// src/repositories/postgresRepository.js - Repository backend Postgres (pg, DATABASE_URL)
+// Thời gian ghi từ server dạng ISO UTC (không dùng NOW()) giống backend Supabase.
+// Query tham số hoá ($1, $2...). Tên cột (columns / changes / where) chỉ đến từ code,
+// vẫn được kiểm tra bằng quoteIdentifier trước khi ghép vào SQL.
+const { getPool } = require('../config/database');
+
+class PostgresUserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findById(id, columns = '*') {
+    return this.findOne({ id }, columns);
+  }
+
+  async findByEmail(email, columns = '*') {
+    return this.findOne({ email }, columns);
+  }
+
+  async findByUsername(username, columns = '*') {
+    return this.findOne({ username }, columns);
+  }
+
+  async findActiveByUsername(username, columns = '*') {
+    return this.findOne({ username, is_active: true }, columns);
+  }
+
+  async findGuestByDevice(deviceId, columns = '*') {
+    return this.findOne({ device_id: deviceId, is_guest: true }, columns);
+  }
+
+  async findManyByIds(ids, columns = '*') {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT ${selectList(columns)} FROM users WHERE id = ANY($1)`,
+      [ids]
+    );
+    return rows;
+  }
+
+  /**
+   * Tìm theo username / email (chứa chuỗi, không phân biệt hoa thường) + lọc, mới tạo trước
+   */
+  async search({ search = null, isActive = null, emailVerified = null, role = null, createdFrom = null, createdTo = null, offset = 0, limit }, columns = '*') {
+    const conditions = [];
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    if (search) {
+      const pattern = param(`%${search}%`);
+      conditions.push(`(username ILIKE ${pattern} OR email ILIKE ${pattern})`);
+    }
+    if (isActive !== null) {
+      conditions.push(`is_active = ${param(isActive)}`);
+    }
+    if (emailVerified !== null) {
+      conditions.push(`email_verified = ${param(emailVerified)}`);
+    }
+    if (role) {
+      conditions.push(`role = ${param(role)}`);
+    }
+    if (createdFrom) {
+      conditions.push(`created_at >= ${param(createdFrom)}`);
+    }
+    if (createdTo) {
+      conditions.push(`created_at <= ${param(createdTo)}`);
+    }
+
+    const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { rows } = await this.db.query(
+      `SELECT ${selectList(columns)} FROM users ${whereSql}
+       ORDER BY created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    const { rows: [{ count }] } = await this.db.query(`SELECT COUNT(*) AS count FROM users ${whereSql}`, values);
+
+    return { rows, total: Number(count) };
+  }
+
+  /**
+   * ID tài khoản khách tạo trước `cutoff` và không login từ `cutoff` (cũ nhất trước)
+   */
+  async findInactiveGuestIds(cutoff, { offset = 0, limit }) {
+    const { rows } = await this.db.query(
+      `SELECT id FROM users
+       WHERE is_guest = true
+         AND created_at < $1
+         AND (last_login IS NULL OR last_login < $1)
+       ORDER BY created_at ASC
+       LIMIT $2 OFFSET $3`,
+      [cutoff, limit, offset]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'users', fields);
+  }
+
+  /**
+   * Cập nhật 1 user, trả về dòng sau khi cập nhật (null nếu không khớp id / where)
+   */
+  async update(id, changes, where = {}) {
+    const rows = await updateRows(this.db, 'users', changes, { id, ...where });
+    return rows[0] || null;
+  }
+
+  /**
+   * Ghi step TOTP đã dùng nếu mới hơn step cũ (chống dùng lại mã), true nếu ghi được
+   */
+  async claimTwoFactorStep(id, step) {
+    const { rowCount } = await this.db.query(
+      `UPDATE users SET two_factor_last_step = $2
+       WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)`,
+      [id, step]
+    );
+    return rowCount > 0;
+  }
+
+  async delete(id, where = {}) {
+    const { sql, values } = whereClause({ id, ...where });
+    const { rowCount } = await this.db.query(`DELETE FROM users ${sql}`, values);
+    return rowCount > 0;
+  }
+
+  /**
+   * Xoá các tài khoản (chỉ xoá nếu vẫn là khách), trả về số dòng đã xoá
+   */
+  async deleteGuests(ids) {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const { rowCount } = await this.db.query(
+      'DELETE FROM users WHERE id = ANY($1) AND is_guest = true',
+      [ids]
+    );
+    return rowCount;
+  }
+
+  // ============= Helper Methods =============
+
+  async findOne(where, columns) {
+    const { sql, values } = whereClause(where);
+    const { rows } = await this.db.query(`SELECT ${selectList(columns)} FROM users ${sql} LIMIT 1`, values);
+    return rows[0] || null;
+  }
+}
+
+class PostgresRefreshTokenRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'refresh_tokens', fields);
+  }
+
+  async findByToken(token) {
+    const { rows } = await this.db.query('SELECT * FROM refresh_tokens WHERE token = $1', [token]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Token chưa thu hồi, chưa hết hạn của user (mới nhất trước)
+   */
+  async listActiveForUser(userId, now = new Date().toISOString()) {
+    const { rows } = await this.db.query(
+      `SELECT * FROM refresh_tokens
+       WHERE user_id = $1 AND revoked = false AND expires_at > $2
+       ORDER BY created_at DESC`,
+      [userId, now]
+    );
+    return rows;
+  }
+
+  /**
+   * Trong `userIds`, những user có token được cấp từ `since` trở đi
+   */
+  async findUserIdsActiveSince(userIds, since) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const { rows } = await this.db.query(
+      'SELECT DISTINCT user_id FROM refresh_tokens WHERE user_id = ANY($1) AND created_at >= $2',
+      [userIds, since]
+    );
+    return rows.map((row) => row.user_id);
+  }
+
+  /**
+   * Thu hồi token đã được thay bằng token mới, chỉ khi token vẫn còn hiệu lực
+   * false => token đã bị thu hồi trước đó (request khác vừa rotate / dùng lại token)
+   */
+  async rotate(id, { familyId, replacedBy }) {
+    const { rowCount } = await this.db.query(
+      `UPDATE refresh_tokens
+       SET revoked = true, revoked_at = $2, family_id = $3, replaced_by = $4
+       WHERE id = $1 AND revoked = false`,
+      [id, new Date().toISOString(), familyId, replacedBy]
+    );
+    return rowCount > 0;
+  }
+
+  async revokeByToken(token) {
+    return this.revokeWhere({ token });
+  }
+
+  async revokeAllForUser(userId) {
+    return this.revokeWhere({ user_id: userId });
+  }
+
+  /**
+   * Thu hồi cả family (1 phiên đăng nhập), userId để chặn thu hồi phiên của người khác
+   */
+  async revokeFamily(familyId, userId = null) {
+    return this.revokeWhere(userId === null
+      ? { family_id: familyId }
+      : { family_id: familyId, user_id: userId });
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * Thu hồi các token còn hiệu lực khớp `where`, trả về số token đã thu hồi
+   */
+  async revokeWhere(where) {
+    const { sql, values } = whereClause({ ...where, revoked: false }, 1);
+    const { rowCount } = await this.db.query(
+      `UPDATE refresh_tokens SET revoked = true, revoked_at = $1 ${sql}`,
+      [new Date().toISOString(), ...values]
+    );
+    return rowCount;
+  }
+}
+
+class PostgresPasswordResetRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'password_resets', fields);
+  }
+
+  async findUnusedByToken(token) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM password_resets WHERE token = $1 AND used = false',
+      [token]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Đánh dấu đã dùng, false nếu token đã được dùng trước đó
+   */
+  async markUsed(id) {
+    const { rowCount } = await this.db.query(
+      'UPDATE password_resets SET used = true, used_at = $2 WHERE id = $1 AND used = false',
+      [id, new Date().toISOString()]
+    );
+    return rowCount > 0;
+  }
+}
+
+class PostgresLoginHistoryRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'login_history', fields);
+  }
+
+  /**
+   * Lịch sử đăng nhập của user (mới nhất trước)
+   */
+  async listForUser(userId, { offset = 0, limit }) {
+    const { rows } = await this.db.query(
+      `SELECT * FROM login_history
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+    const { rows: [{ count }] } = await this.db.query(
+      'SELECT COUNT(*) AS count FROM login_history WHERE user_id = $1',
+      [userId]
+    );
+
+    return { rows, total: Number(count) };
+  }
+}
+
+class PostgresEmailVerificationRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'email_verifications', fields);
+  }
+
+  async findUnusedByToken(token) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM email_verifications WHERE token = $1 AND used = false',
+      [token]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Token được tạo gần nhất của user (tính cooldown gửi lại)
+   */
+  async findLatestForUser(userId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM email_verifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [userId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Đánh dấu đã dùng, false nếu token đã được dùng trước đó
+   */
+  async markUsed(id) {
+    const { rowCount } = await this.db.query(
+      'UPDATE email_verifications SET used = true, used_at = $2 WHERE id = $1 AND used = false',
+      [id, new Date().toISOString()]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Đánh dấu mọi token còn lại của user là đã dùng, trả về số token
+   */
+  async markAllUsedForUser(userId) {
+    const { rowCount } = await this.db.query(
+      'UPDATE email_verifications SET used = true, used_at = $2 WHERE user_id = $1 AND used = false',
+      [userId, new Date().toISOString()]
+    );
+    return rowCount;
+  }
+}
+
+class PostgresRecoveryCodeRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Thay bộ recovery code của user bằng bộ mới (chỉ lưu hash)
+   */
+  async replaceForUser(userId, codeHashes) {
+    await this.deleteForUser(userId);
+
+    const { rows } = await this.db.query(
+      `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+       SELECT $1, unnest($2::text[])
+       RETURNING *`,
+      [userId, codeHashes]
+    );
+    return rows;
+  }
+
+  async deleteForUser(userId) {
+    const { rowCount } = await this.db.query(
+      'DELETE FROM two_factor_recovery_codes WHERE user_id = $1',
+      [userId]
+    );
+    return rowCount;
+  }
+
+  /**
+   * Dùng 1 recovery code chưa dùng, false nếu sai mã hoặc mã đã được dùng
+   */
+  async claim(userId, codeHash) {
+    const { rowCount } = await this.db.query(
+      `UPDATE two_factor_recovery_codes SET used = true, used_at = $3
+       WHERE user_id = $1 AND code_hash = $2 AND used = false`,
+      [userId, codeHash, new Date().toISOString()]
+    );
+    return rowCount > 0;
+  }
+}
+
+class PostgresSuspiciousActivityRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'suspicious_activity', fields);
+  }
+}
+
+class PostgresAuditLogRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'admin_audit_log', fields);
+  }
+
+  /**
+   * Audit log lọc theo người thao tác / user bị tác động / hành động (mới nhất trước)
+   */
+  async list({ actorId = null, targetUserId = null, action = null, offset = 0, limit }) {
+    const filters = {};
+    if (actorId) {
+      filters.actor_id = actorId;
+    }
+    if (targetUserId) {
+      filters.target_user_id = targetUserId;
+    }
+    if (action) {
+      filters.action = action;
+    }
+
+    const { sql, values } = whereClause(filters);
+    const { rows } = await this.db.query(
+      `SELECT * FROM admin_audit_log ${sql}
+       ORDER BY created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    const { rows: [{ count }] } = await this.db.query(`SELECT COUNT(*) AS count FROM admin_audit_log ${sql}`, values);
+
+    return { rows, total: Number(count) };
+  }
+}
+
+class PostgresIdentityRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(fields) {
+    return insertRow(this.db, 'user_identities', fields);
+  }
+
+  async findByProviderSubject(provider, subject) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM user_identities WHERE provider = $1 AND subject = $2',
+      [provider, subject]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Tài khoản ngoài của user (liên kết trước đứng trước)
+   */
+  async listForUser(userId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM user_identities WHERE user_id = $1 ORDER BY created_at ASC',
+      [userId]
+    );
+    return rows;
+  }
+
+  async touch(id) {
+    await this.db.query(
+      'UPDATE user_identities SET last_used_at = $2 WHERE id = $1',
+      [id, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Xoá 1 liên kết của user, false nếu không tồn tại / thuộc user khác
+   */
+  async deleteForUser(id, userId) {
+    const { rowCount } = await this.db.query(
+      'DELETE FROM user_identities WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return rowCount > 0;
+  }
+}
+
+// Thao tác nhiều bảng: chạy trong 1 transaction, lỗi ở bước nào cũng rollback toàn bộ
+class PostgresAccountRepository {
+  /**
+   * Tạo user + refresh token của phiên đầu tiên, trả về { user, refreshToken }
+   */
+  async register(user, refreshToken) {
+    return withTransaction(async (tx) => {
+      const created = await tx.users.create(user);
+      const token = await tx.refreshTokens.create({ ...refreshToken, user_id: created.id });
+      return { user: created, refreshToken: token };
+    });
+  }
+
+  /**
+   * Dùng token reset: đánh dấu đã dùng, đổi mật khẩu, thu hồi mọi refresh token của user
+   * false => token đã được dùng trước đó, không ghi gì
+   */
+  async resetPassword(resetId, userId, passwordHash) {
+    return withTransaction(async (tx) => {
+      const claimed = await tx.passwordResets.markUsed(resetId);
+      if (!claimed) {
+        return false;
+      }
+
+      await tx.users.update(userId, {
+        password: passwordHash,
+        password_reset_required: false,
+        updated_at: new Date().toISOString()
+      });
+      await tx.refreshTokens.revokeAllForUser(userId);
+      return true;
+    });
+  }
+
+  /**
+   * Dùng token xác thực email: đánh dấu đã dùng, xác thực email, bỏ các token còn lại của user
+   * false => token đã được dùng trước đó, không ghi gì
+   */
+  async verifyEmail(verificationId, userId) {
+    return withTransaction(async (tx) => {
+      const claimed = await tx.emailVerifications.markUsed(verificationId);
+      if (!claimed) {
+        return false;
+      }
+
+      await tx.users.update(userId, {
+        email_verified: true,
+        updated_at: new Date().toISOString()
+      });
+      await tx.emailVerifications.markAllUsedForUser(userId);
+      return true;
+    });
+  }
+}
+
+// ============= Helper Functions =============
+
+// Pool lấy lúc query (không lúc require) giống backend Supabase
+const poolQueryable = {
+  query: (sql, values = []) => getPool().query(sql, values)
+};
+
+function buildRepositories(db) {
+  return {
+    users: new PostgresUserRepository(db),
+    refreshTokens: new PostgresRefreshTokenRepository(db),
+    passwordResets: new PostgresPasswordResetRepository(db),
+    loginHistory: new PostgresLoginHistoryRepository(db),
+    emailVerifications: new PostgresEmailVerificationRepository(db),
+    recoveryCodes: new PostgresRecoveryCodeRepository(db),
+    suspiciousActivity: new PostgresSuspiciousActivityRepository(db),
+    auditLog: new PostgresAuditLogRepository(db),
+    identities: new PostgresIdentityRepository(db)
+  };
+}
+
+// work nhận bộ repository chạy trên cùng 1 connection trong BEGIN / COMMIT
+async function withTransaction(work) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(buildRepositories(client));
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function insertRow(db, table, fields) {
+  const columns = Object.keys(fields);
+  const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+  const { rows } = await db.query(
+    `INSERT INTO ${table} (${columns.map(quoteIdentifier).join(', ')})
+     VALUES (${placeholders.join(', ')})
+     RETURNING *`,
+    columns.map((column) => toDbValue(fields[column]))
+  );
+  return rows[0];
+}
+
+async function updateRows(db, table, changes, where) {
+  const columns = Object.keys(changes);
+  const assignments = columns.map((column, index) => `${quoteIdentifier(column)} = $${index + 1}`);
+  const { sql, values } = whereClause(where, columns.length);
+
+  const { rows } = await db.query(
+    `UPDATE ${table} SET ${assignments.join(', ')} ${sql} RETURNING *`,
+    [...columns.map((column) => toDbValue(changes[column])), ...values]
+  );
+  return rows;
+}
+
+// { a: 1, b: null } => WHERE "a" = $1 AND "b" IS NULL
+function whereClause(where, offset = 0) {
+  const values = [];
+  const conditions = Object.entries(where).map(([column, value]) => {
+    if (value === null) {
+      return `${quoteIdentifier(column)} IS NULL`;
+    }
+    values.push(value);
+    return `${quoteIdentifier(column)} = $${offset + values.length}`;
+  });
+
+  return {
+    sql: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values
+  };
+}
+
+// 'id, username' (kiểu Supabase) => "id", "username"
+function selectList(columns) {
+  if (columns.trim() === '*') {
+    return '*';
+  }
+  return columns.split(',').map((column) => quoteIdentifier(column.trim())).join(', ');
+}
+
+function quoteIdentifier(name) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Tên cột không hợp lệ: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+// Cột jsonb (details...) nhận object => gửi dạng JSON
+function toDbValue(value) {
+  if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+const createRepositories = () => ({
+  ...buildRepositories(poolQueryable),
+  accounts: new PostgresAccountRepository()
+});
+
+module.exports = {
+  createRepositories
+};
@@ -0,0 +1,662 @@
+// src/repositories/supabaseRepository.js - Repository backend Supabase (PostgREST)
+// Client lấy lúc gọi (không lúc require) vì Supabase chỉ sẵn sàng sau initDatabase().
+const database = require('../config/database');
+
+class SupabaseUserRepository {
+  async findById(id, columns = '*') {
+    return this.findOne({ id }, columns);
+  }
+
+  async findByEmail(email, columns = '*') {
+    return this.findOne({ email }, columns);
+  }
+
+  async findByUsername(username, columns = '*') {
+    return this.findOne({ username }, columns);
+  }
+
+  async findActiveByUsername(username, columns = '*') {
+    return this.findOne({ username, is_active: true }, columns);
+  }
+
+  async findGuestByDevice(deviceId, columns = '*') {
+    return this.findOne({ device_id: deviceId, is_guest: true }, columns);
+  }
+
+  async findManyByIds(ids, columns = '*') {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await db()
+      .from('users')
+      .select(columns)
+      .in('id', ids);
+
+    throwIfError(error);
+    return data || [];
+  }
+
+  /**
+   * Tìm theo username / email (chứa chuỗi, không phân biệt hoa thường) + lọc, mới tạo trước
+   */
+  async search({ search = null, isActive = null, emailVerified = null, role = null, createdFrom = null, createdTo = null, offset = 0, limit }, columns = '*') {
+    let query = db()
+      .from('users')
+      .select(columns, { count: 'exact' });
+
+    if (search) {
+      query = query.or(`username.ilike.%${search}%,email.ilike.%${search}%`);
+    }
+    if (isActive !== null) {
+      query = query.eq('is_active', isActive);
+    }
+    if (emailVerified !== null) {
+      query = query.eq('email_verified', emailVerified);
+    }
+    if (role) {
+      query = query.eq('role', role);
+    }
+    if (createdFrom) {
+      query = query.gte('created_at', createdFrom);
+    }
+    if (createdTo) {
+      query = query.lte('created_at', createdTo);
+    }
+
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    throwIfError(error);
+    return { rows: data || [], total: count || 0 };
+  }
+
+  /**
+   * ID tài khoản khách tạo trước `cutoff` và không login từ `cutoff` (cũ nhất trước)
+   */
+  async findInactiveGuestIds(cutoff, { offset = 0, limit }) {
+    const { data, error } = await db()
+      .from('users')
+      .select('id')
+      .eq('is_guest', true)
+      .lt('created_at', cutoff)
+      .or(`last_login.is.null,last_login.lt.${cutoff}`)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    throwIfError(error);
+    return (data || []).map((row) => row.id);
+  }
+
+  async create(fields) {
+    const { data, error } = await db()
+      .from('users')
+      .insert([fields])
+      .select()
+      .single();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Cập nhật 1 user, trả về dòng sau khi cập nhật (null nếu không khớp id / where)
+   */
+  async update(id, changes, where = {}) {
+    const { data, error } = await applyWhere(db().from('users').update(changes).eq('id', id), where)
+      .select()
+      .maybeSingle();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Ghi step TOTP đã dùng nếu mới hơn step cũ (chống dùng lại mã), true nếu ghi được
+   */
+  async claimTwoFactorStep(id, step) {
+    const { data, error } = await db()
+      .from('users')
+      .update({ two_factor_last_step: step })
+      .eq('id', id)
+      .or(`two_factor_last_step.is.null,two_factor_last_step.lt.${step}`)
+      .select('id');
+
+    throwIfError(error);
+    return Boolean(data && data.length > 0);
+  }
+
+  async delete(id, where = {}) {
+    const { data, error } = await applyWhere(db().from('users').delete().eq('id', id), where)
+      .select('id');
+
+    throwIfError(error);
+    return Boolean(data && data.length > 0);
+  }
+
+  /**
+   * Xoá các tài khoản (chỉ xoá nếu vẫn là khách), trả về số dòng đã xoá
+   */
+  async deleteGuests(ids) {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const { data, error } = await db()
+      .from('users')
+      .delete()
+      .in('id', ids)
+      .eq('is_guest', true)
+      .select('id');
+
+    throwIfError(error);
+    return (data || []).length;
+  }
+
+  // ============= Helper Methods =============
+
+  async findOne(where, columns) {
+    const { data, error } = await applyWhere(db().from('users').select(columns), where)
+      .maybeSingle();
+
+    throwIfError(error);
+    return data;
+  }
+}
+
+class SupabaseRefreshTokenRepository {
+  async create(fields) {
+    const { data, error } = await db()
+      .from('refresh_tokens')
+      .insert([fields])
+      .select()
+      .single();
+
+    throwIfError(error);
+    return data;
+  }
+
+  async findByToken(token) {
+    const { data, error } = await db()
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token', token)
+      .maybeSingle();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Token chưa thu hồi, chưa hết hạn của user (mới nhất trước)
+   */
+  async listActiveForUser(userId, now = new Date().toISOString()) {
+    const { data, error } = await db()
+      .from('refresh_tokens')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('revoked', false)
+      .gt('expires_at', now)
+      .order('created_at', { ascending: false });
+
+    throwIfError(error);
+    return data || [];
+  }
+
+  /**
+   * Trong `userIds`, những user có token được cấp từ `since` trở đi
+   */
+  async findUserIdsActiveSince(userIds, since) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await db()
+      .from('refresh_tokens')
+      .select('user_id')
+      .in('user_id', userIds)
+      .gte('created_at', since);
+
+    throwIfError(error);
+    return [...new Set((data || []).map((row) => row.user_id))];
+  }
+
+  /**
+   * Thu hồi token đã được thay bằng token mới, chỉ khi token vẫn còn hiệu lực
+   * false => token đã bị thu hồi trước đó (request khác vừa rotate / dùng lại token)
+   */
+  async rotate(id, { familyId, replacedBy }) {
+    const { data, error } = await db()
+      .from('refresh_tokens')
+      .update({
+        revoked: true,
+        revoked_at: new Date().toISOString(),
+        family_id: familyId,
+        replaced_by: replacedBy
+      })
+      .eq('id', id)
+      .eq('revoked', false)
+      .select('id');
+
+    throwIfError(error);
+    return Boolean(data && data.length > 0);
+  }
+
+  async revokeByToken(token) {
+    return this.revokeWhere({ token });
+  }
+
+  async revokeAllForUser(userId) {
+    return this.revokeWhere({ user_id: userId });
+  }
+
+  /**
+   * Thu hồi cả family (1 phiên đăng nhập), userId để chặn thu hồi phiên của người khác
+   */
+  async revokeFamily(familyId, userId = null) {
+    return this.revokeWhere(userId === null
+      ? { family_id: familyId }
+      : { family_id: familyId, user_id: userId });
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * Thu hồi các token còn hiệu lực khớp `where`, trả về số token đã thu hồi
+   */
+  async revokeWhere(where) {
+    const query = db()
+      .from('refresh_tokens')
+      .update({
+        revoked: true,
+        revoked_at: new Date().toISOString()
+      })
+      .eq('revoked', false);
+
+    const { data, error } = await applyWhere(query, where).select('id');
+
+    throwIfError(error);
+    return (data || []).length;
+  }
+}
+
+class SupabasePasswordResetRepository {
+  async create(fields) {
+    const { data, error } = await db()
+      .from('password_resets')
+      .insert([fields])
+      .select()
+      .single();
+
+    throwIfError(error);
+    return data;
+  }
+
+  async findUnusedByToken(token) {
+    const { data, error } = await db()
+      .from('password_resets')
+      .select('*')
+      .eq('token', token)
+      .eq('used', false)
+      .maybeSingle();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Đánh dấu đã dùng, false nếu token đã được dùng trước đó
+   */
+  async markUsed(id) {
+    const { data, error } = await db()
+      .from('password_resets')
+      .update({
+        used: true,
+        used_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('used', false)
+      .select('id');
+
+    throwIfError(error);
+    return Boolean(data && data.length > 0);
+  }
+}
+
+class SupabaseLoginHistoryRepository {
+  async create(fields) {
+    const { data, error } = await db()
+      .from('login_history')
+      .insert([fields])
+      .select()
+      .single();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Lịch sử đăng nhập của user (mới nhất trước)
+   */
+  async listForUser(userId, { offset = 0, limit }) {
+    const { data, count, error } = await db()
+      .from('login_history')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    throwIfError(error);
+    return { rows: data || [], total: count || 0 };
+  }
+}
+
+class SupabaseEmailVerificationRepository {
+  async create(fields) {
+    return insertRow('email_verifications', fields);
+  }
+
+  async findUnusedByToken(token) {
+    const { data, error } = await db()
+      .from('email_verifications')
+      .select('*')
+      .eq('token', token)
+      .eq('used', false)
+      .maybeSingle();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Token được tạo gần nhất của user (tính cooldown gửi lại)
+   */
+  async findLatestForUser(userId) {
+    const { data, error } = await db()
+      .from('email_verifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Đánh dấu đã dùng, false nếu token đã được dùng trước đó
+   */
+  async markUsed(id) {
+    const { data, error } = await db()
+      .from('email_verifications')
+      .update({
+        used: true,
+        used_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('used', false)
+      .select('id');
+
+    throwIfError(error);
+    return Boolean(data && data.length > 0);
+  }
+
+  /**
+   * Đánh dấu mọi token còn lại của user là đã dùng, trả về số token
+   */
+  async markAllUsedForUser(userId) {
+    const { data, error } = await db()
+      .from('email_verifications')
+      .update({
+        used: true,
+        used_at: new Date().toISOString()
+      })
+      .eq('user_id', userId)
+      .eq('used', false)
+      .select('id');
+
+    throwIfError(error);
+    return (data || []).length;
+  }
+}
+
+class SupabaseRecoveryCodeRepository {
+  /**
+   * Thay bộ recovery code của user bằng bộ mới (chỉ lưu hash)
+   */
+  async replaceForUser(userId, codeHashes) {
+    await this.deleteForUser(userId);
+
+    const { data, error } = await db()
+      .from('two_factor_recovery_codes')
+      .insert(codeHashes.map((codeHash) => ({ user_id: userId, code_hash: codeHash })))
+      .select();
+
+    throwIfError(error);
+    return data || [];
+  }
+
+  async deleteForUser(userId) {
+    const { data, error } = await db()
+      .from('two_factor_recovery_codes')
+      .delete()
+      .eq('user_id', userId)
+      .select('id');
+
+    throwIfError(error);
+    return (data || []).length;
+  }
+
+  /**
+   * Dùng 1 recovery code chưa dùng, false nếu sai mã hoặc mã đã được dùng
+   */
+  async claim(userId, codeHash) {
+    const { data, error } = await db()
+      .from('two_factor_recovery_codes')
+      .update({
+        used: true,
+        used_at: new Date().toISOString()
+      })
+      .eq('user_id', userId)
+      .eq('code_hash', codeHash)
+      .eq('used', false)
+      .select('id');
+
+    throwIfError(error);
+    return Boolean(data && data.length > 0);
+  }
+}
+
+class SupabaseSuspiciousActivityRepository {
+  async create(fields) {
+    return insertRow('suspicious_activity', fields);
+  }
+}
+
+class SupabaseAuditLogRepository {
+  async create(fields) {
+    return insertRow('admin_audit_log', fields);
+  }
+
+  /**
+   * Audit log lọc theo người thao tác / user bị tác động / hành động (mới nhất trước)
+   */
+  async list({ actorId = null, targetUserId = null, action = null, offset = 0, limit }) {
+    let query = db()
+      .from('admin_audit_log')
+      .select('*', { count: 'exact' });
+
+    if (actorId) {
+      query = query.eq('actor_id', actorId);
+    }
+    if (targetUserId) {
+      query = query.eq('target_user_id', targetUserId);
+    }
+    if (action) {
+      query = query.eq('action', action);
+    }
+
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    throwIfError(error);
+    return { rows: data || [], total: count || 0 };
+  }
+}
+
+class SupabaseIdentityRepository {
+  async create(fields) {
+    return insertRow('user_identities', fields);
+  }
+
+  async findByProviderSubject(provider, subject) {
+    const { data, error } = await db()
+      .from('user_identities')
+      .select('*')
+      .eq('provider', provider)
+      .eq('subject', subject)
+      .maybeSingle();
+
+    throwIfError(error);
+    return data;
+  }
+
+  /**
+   * Tài khoản ngoài của user (liên kết trước đứng trước)
+   */
+  async listForUser(userId) {
+    const { data, error } = await db()
+      .from('user_identities')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    throwIfError(error);
+    return data || [];
+  }
+
+  async touch(id) {
+    const { error } = await db()
+      .from('user_identities')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', id);
+
+    throwIfError(error);
+  }
+
+  /**
+   * Xoá 1 liên kết của user, false nếu không tồn tại / thuộc user khác
+   */
+  async deleteForUser(id, userId) {
+    const { data, error } = await db()
+      .from('user_identities')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id');
+
+    throwIfError(error);
+    return Boolean(data && data.length > 0);
+  }
+}
+
+// Thao tác nhiều bảng: gọi hàm SQL (migration 0011_add_account_functions, 0013_add_verify_email_function), mỗi lần gọi là 1 transaction
+class SupabaseAccountRepository {
+  /**
+   * Tạo user + refresh token của phiên đầu tiên, trả về { user, refreshToken }
+   */
+  async register(user, refreshToken) {
+    const { data, error } = await db().rpc('register_account', {
+      p_username: user.username,
+      p_email: user.email,
+      p_password: user.password,
+      p_token: refreshToken.token,
+      p_family_id: refreshToken.family_id,
+      p_expires_at: refreshToken.expires_at,
+      p_ip_address: refreshToken.ip_address,
+      p_user_agent: refreshToken.user_agent
+    });
+
+    throwIfError(error);
+    return { user: data.user, refreshToken: data.refresh_token };
+  }
+
+  /**
+   * Dùng token reset: đánh dấu đã dùng, đổi mật khẩu, thu hồi mọi refresh token của user
+   * false => token đã được dùng trước đó, không ghi gì
+   */
+  async resetPassword(resetId, userId, passwordHash) {
+    const { data, error } = await db().rpc('reset_account_password', {
+      p_reset_id: resetId,
+      p_user_id: userId,
+      p_password: passwordHash
+    });
+
+    throwIfError(error);
+    return data === true;
+  }
+
+  /**
+   * Dùng token xác thực email: đánh dấu đã dùng, xác thực email, bỏ các token còn lại của user
+   * false => token đã được dùng trước đó, không ghi gì
+   */
+  async verifyEmail(verificationId, userId) {
+    const { data, error } = await db().rpc('verify_account_email', {
+      p_verification_id: verificationId,
+      p_user_id: userId
+    });
+
+    throwIfError(error);
+    return data === true;
+  }
+}
+
+// ============= Helper Functions =============
+
+function db() {
+  return database.supabase;
+}
+
+async function insertRow(table, fields) {
+  const { data, error } = await db()
+    .from(table)
+    .insert([fields])
+    .select()
+    .single();
+
+  throwIfError(error);
+  return data;
+}
+
+function applyWhere(query, where) {
+  return Object.entries(where).reduce((current, [column, value]) => (
+    value === null ? current.is(column, null) : current.eq(column, value)
+  ), query);
+}
+
+// PGRST116 = không có dòng nào (maybeSingle / single) => không phải lỗi
+function throwIfError(error) {
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+}
+
+const createRepositories = () => ({
+  users: new SupabaseUserRepository(),
+  refreshTokens: new SupabaseRefreshTokenRepository(),
+  passwordResets: new SupabasePasswordResetRepository(),
+  loginHistory: new SupabaseLoginHistoryRepository(),
+  emailVerifications: new SupabaseEmailVerificationRepository(),
+  recoveryCodes: new SupabaseRecoveryCodeRepository(),
+  suspiciousActivity: new SupabaseSuspiciousActivityRepository(),
+  auditLog: new SupabaseAuditLogRepository(),
+  identities: new SupabaseIdentityRepository(),
+  accounts: new SupabaseAccountRepository()
+});
+
+module.exports = {
+  createRepositories
+};
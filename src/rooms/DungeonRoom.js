@@ -0,0 +1,534 @@
+// src/rooms/DungeonRoom.js - Dungeon Run Room (Server Authoritative)
+// Client chỉ gửi input (hướng di chuyển, hướng ngắm, tấn công).
+// Vị trí, sát thương, HP... đều do server mô phỏng ở tick rate cố định.
+// Run của 1 người chơi kết thúc (chết / rút lui / qua floor cuối) => server ký run ticket
+// chứa kết quả thật, client nộp ticket tới POST /api/runs (không tự khai seed, floor, số quái).
+const crypto = require('crypto');
+const { Room } = require('@colyseus/core');
+const { z } = require('zod');
+const { authenticateRoomClient } = require('./roomAuth');
+const { trackDungeon } = require('./presence');
+const { DungeonState, Player, Enemy, Projectile } = require('./schema/DungeonState');
+const DungeonService = require('../services/dungeonService');
+const { signRunTicket } = require('../utils/token');
+const {
+  TICK_INTERVAL_MS,
+  MAX_PLAYERS_PER_ROOM,
+  RECONNECT_TIMEOUT_SECONDS,
+  TILE,
+  DUNGEON,
+  PLAYER,
+  PROJECTILE,
+  ENEMY,
+  BOSS
+} = require('../config/game');
+const { logInfo, logWarn, logError } = require('../config/logger');
+
+// ============= Message Validation =============
+
+const inputMessage = z.object({
+  moveX: z.number().min(-1).max(1),
+  moveY: z.number().min(-1).max(1),
+  aimX: z.number().min(-1).max(1).optional(),
+  aimY: z.number().min(-1).max(1).optional(),
+  seq: z.number().int().nonnegative().optional()
+});
+
+const attackMessage = z.object({
+  aimX: z.number().min(-1).max(1),
+  aimY: z.number().min(-1).max(1)
+});
+
+class DungeonRoom extends Room {
+  static async onAuth(token, options, context) {
+    return authenticateRoomClient('dungeon', token, context);
+  }
+
+  onCreate(options = {}) {
+    this.maxClients = MAX_PLAYERS_PER_ROOM;
+    this.setState(new DungeonState());
+
+    // Input mới nhất của từng client (sessionId -> input)
+    this.inputs = new Map();
+    this.lastAttackAt = new Map();
+    this.lastContactAt = new Map();
+    this.projectileSpawnedAt = new Map();
+    this.entitySequence = 0;
+    this.elapsedMs = 0;
+
+    // sessionId -> thời điểm vào room (elapsedMs), ticket kết quả run đã ký
+    this.joinedAt = new Map();
+    this.runTickets = new Map();
+
+    // Seed do server chọn; chỉ cho client chỉ định seed khi không phải production (để debug/replay)
+    const seed = process.env.NODE_ENV !== 'production' && options.seed
+      ? String(options.seed)
+      : crypto.randomBytes(8).toString('hex');
+
+    this.loadFloor(seed, 1);
+
+    // Room do MatchmakingRoom tạo chỉ nhận người chơi có seat reservation
+    if (options.matchmaking) {
+      this.setPrivate(true);
+      this.setMetadata({ difficulty: options.difficulty, region: options.region });
+    }
+
+    this.onMessage('input', inputMessage, (client, message) => this.handleInput(client, message));
+    this.onMessage('attack', attackMessage, (client, message) => this.handleAttack(client, message));
+    // Rút lui: kết thúc run ở floor hiện tại và nhận ticket
+    this.onMessage('endRun', (client) => this.endRun(client.sessionId));
+    // Mọi message khác (damage, position, hp...) là "claim" từ client => từ chối
+    this.onMessage('*', (client, type) => this.rejectClientClaim(client, type));
+
+    this.setSimulationInterval((deltaTime) => this.update(deltaTime), TICK_INTERVAL_MS);
+
+    logInfo('Dungeon room created', { roomId: this.roomId });
+  }
+
+  onJoin(client) {
+    const user = client.auth;
+    const spawn = this.getSpawnPoint(this.state.players.size);
+
+    const player = new Player({
+      sessionId: client.sessionId,
+      userId: user.id,
+      username: user.username,
+      x: spawn.x,
+      y: spawn.y,
+      maxHp: PLAYER.MAX_HP
+    });
+
+    this.state.players.set(client.sessionId, player);
+    this.inputs.set(client.sessionId, { moveX: 0, moveY: 0 });
+    this.joinedAt.set(client.sessionId, this.elapsedMs);
+
+    trackDungeon(this.presence, user.id, this.roomId)
+      .catch((error) => logError('Track dungeon presence error', error, { userId: user.id }));
+
+    logInfo('Player joined dungeon', { roomId: this.roomId, userId: user.id });
+  }
+
+  async onLeave(client, code) {
+    const player = this.state.players.get(client.sessionId);
+    if (!player) {
+      return;
+    }
+
+    player.connected = false;
+    this.inputs.set(client.sessionId, { moveX: 0, moveY: 0 });
+
+    try {
+      // Cho phép Unity client reconnect khi rớt mạng ngắn
+      const reconnected = await this.allowReconnection(client, RECONNECT_TIMEOUT_SECONDS);
+      player.connected = true;
+      logInfo('Player reconnected to dungeon', { roomId: this.roomId, userId: player.userId });
+
+      // Run kết thúc lúc đang rớt mạng => gửi lại ticket
+      this.sendRunTicket(reconnected);
+    } catch (error) {
+      this.state.players.delete(client.sessionId);
+      this.inputs.delete(client.sessionId);
+      this.lastAttackAt.delete(client.sessionId);
+      this.joinedAt.delete(client.sessionId);
+      this.runTickets.delete(client.sessionId);
+      await trackDungeon(this.presence, player.userId, null);
+      logInfo('Player left dungeon', { roomId: this.roomId, userId: player.userId, code });
+    }
+  }
+
+  onDispose() {
+    logInfo('Dungeon room disposed', { roomId: this.roomId, ticks: this.state.tick });
+  }
+
+  onUncaughtException(error, methodName) {
+    logError('Dungeon room error', error, { roomId: this.roomId, method: methodName });
+  }
+
+  // ============= Client Messages =============
+
+  handleInput(client, message) {
+    const player = this.state.players.get(client.sessionId);
+    if (!player || !player.alive) {
+      return;
+    }
+
+    this.inputs.set(client.sessionId, normalizeInput(message));
+  }
+
+  handleAttack(client, message) {
+    const player = this.state.players.get(client.sessionId);
+    if (!player || !player.alive) {
+      return;
+    }
+
+    const lastAttack = this.lastAttackAt.get(client.sessionId) || -Infinity;
+    if (this.elapsedMs - lastAttack < PLAYER.ATTACK_COOLDOWN_MS) {
+      return;
+    }
+
+    const aim = normalizeVector(message.aimX, message.aimY);
+    if (!aim) {
+      return;
+    }
+
+    this.lastAttackAt.set(client.sessionId, this.elapsedMs);
+    player.facing = Math.atan2(aim.y, aim.x);
+
+    const projectile = new Projectile({
+      id: this.nextEntityId('p'),
+      ownerId: client.sessionId,
+      x: player.x,
+      y: player.y,
+      vx: aim.x * PROJECTILE.SPEED,
+      vy: aim.y * PROJECTILE.SPEED
+    });
+
+    this.state.projectiles.set(projectile.id, projectile);
+    this.projectileSpawnedAt.set(projectile.id, this.elapsedMs);
+  }
+
+  rejectClientClaim(client, type) {
+    logWarn('Rejected client-side claim', {
+      roomId: this.roomId,
+      sessionId: client.sessionId,
+      userId: client.auth && client.auth.id,
+      type
+    });
+    client.send('rejected', { type });
+  }
+
+  // ============= Simulation =============
+
+  update(deltaTime) {
+    // deltaTime do Colyseus đo; giới hạn để tránh nhảy vọt khi server lag
+    const dtMs = Math.min(deltaTime, TICK_INTERVAL_MS * 3);
+    const dt = dtMs / 1000;
+
+    this.elapsedMs += dtMs;
+    this.state.tick++;
+
+    this.updatePlayers(dt);
+    this.updateProjectiles(dt);
+    this.updateEnemies(dt);
+  }
+
+  updatePlayers(dt) {
+    this.state.players.forEach((player, sessionId) => {
+      if (!player.alive) {
+        return;
+      }
+
+      const input = this.inputs.get(sessionId);
+      if (!input) {
+        return;
+      }
+
+      if (input.moveX !== 0 || input.moveY !== 0) {
+        this.moveEntity(player, input.moveX * PLAYER.SPEED * dt, input.moveY * PLAYER.SPEED * dt, PLAYER.RADIUS);
+      }
+
+      if (input.aim) {
+        player.facing = Math.atan2(input.aim.y, input.aim.x);
+      } else if (input.moveX !== 0 || input.moveY !== 0) {
+        player.facing = Math.atan2(input.moveY, input.moveX);
+      }
+    });
+  }
+
+  updateProjectiles(dt) {
+    this.state.projectiles.forEach((projectile, id) => {
+      projectile.x += projectile.vx * dt;
+      projectile.y += projectile.vy * dt;
+
+      const expired = this.elapsedMs - this.projectileSpawnedAt.get(id) > PROJECTILE.LIFETIME_MS;
+      if (expired || !this.isWalkable(projectile.x, projectile.y)) {
+        this.removeProjectile(id);
+        return;
+      }
+
+      for (const [enemyId, enemy] of this.state.enemies) {
+        if (distance(projectile, enemy) <= PROJECTILE.RADIUS + getEnemyStats(enemy).RADIUS) {
+          this.removeProjectile(id);
+          this.damageEnemy(enemyId, enemy, PROJECTILE.DAMAGE, projectile.ownerId);
+          return;
+        }
+      }
+    });
+  }
+
+  updateEnemies(dt) {
+    this.state.enemies.forEach((enemy) => {
+      const stats = getEnemyStats(enemy);
+      const target = this.findNearestPlayer(enemy, stats.AGGRO_RANGE);
+      if (!target) {
+        return;
+      }
+
+      const { player, sessionId, dist } = target;
+
+      if (dist <= PLAYER.RADIUS + stats.RADIUS) {
+        this.applyContactDamage(enemy, player, sessionId);
+        return;
+      }
+
+      const dirX = (player.x - enemy.x) / dist;
+      const dirY = (player.y - enemy.y) / dist;
+      enemy.facing = Math.atan2(dirY, dirX);
+      this.moveEntity(enemy, dirX * stats.SPEED * dt, dirY * stats.SPEED * dt, stats.RADIUS);
+    });
+  }
+
+  removeProjectile(id) {
+    this.state.projectiles.delete(id);
+    this.projectileSpawnedAt.delete(id);
+  }
+
+  damageEnemy(enemyId, enemy, amount, attackerSessionId) {
+    enemy.hp = Math.max(0, enemy.hp - amount);
+
+    if (enemy.hp > 0) {
+      return;
+    }
+
+    this.state.enemies.delete(enemyId);
+
+    const attacker = this.state.players.get(attackerSessionId);
+    if (attacker) {
+      attacker.kills++;
+    }
+
+    this.broadcast('enemyKilled', { enemyId, by: attackerSessionId });
+
+    if (enemy.kind === 'boss') {
+      this.clearFloor();
+    }
+  }
+
+  applyContactDamage(enemy, player, sessionId) {
+    const key = `${enemy.id}:${sessionId}`;
+    const lastContact = this.lastContactAt.get(key) || -Infinity;
+    const stats = getEnemyStats(enemy);
+    if (this.elapsedMs - lastContact < stats.CONTACT_COOLDOWN_MS) {
+      return;
+    }
+
+    this.lastContactAt.set(key, this.elapsedMs);
+    player.hp = Math.max(0, player.hp - stats.CONTACT_DAMAGE);
+
+    if (player.hp === 0) {
+      player.alive = false;
+      this.inputs.set(sessionId, { moveX: 0, moveY: 0 });
+      this.broadcast('playerDied', { sessionId });
+      this.endRun(sessionId);
+    }
+  }
+
+  // ============= Run Result =============
+
+  /**
+   * Kết thúc run của 1 người chơi: ký kết quả server đã mô phỏng và gửi cho client
+   * Mỗi người chơi chỉ có 1 ticket / room (ticket đầu tiên là kết quả cuối cùng)
+   */
+  endRun(sessionId) {
+    const player = this.state.players.get(sessionId);
+    if (!player || this.runTickets.has(sessionId)) {
+      return;
+    }
+
+    // Rút lui => không chơi tiếp trong room này
+    player.alive = false;
+    this.inputs.set(sessionId, { moveX: 0, moveY: 0 });
+
+    const result = {
+      seed: this.state.floor.seed,
+      floorsCleared: this.state.floorsCleared,
+      kills: player.kills,
+      durationMs: Math.max(1, Math.round(this.elapsedMs - this.joinedAt.get(sessionId))),
+      roomId: this.roomId
+    };
+
+    this.runTickets.set(sessionId, { ticket: signRunTicket(player.userId, result), ...result });
+    logInfo('Dungeon run ended', { roomId: this.roomId, userId: player.userId, ...result });
+
+    const client = this.clients.getById(sessionId);
+    if (client) {
+      this.sendRunTicket(client);
+    }
+  }
+
+  sendRunTicket(client) {
+    const runTicket = this.runTickets.get(client.sessionId);
+    if (runTicket) {
+      const { roomId, ...payload } = runTicket;
+      client.send('runEnded', payload);
+    }
+  }
+
+  // ============= Floor & Collision =============
+
+  /**
+   * Sinh floor từ seed + depth và nạp vào state (tiles, enemies, spawn points)
+   */
+  loadFloor(seed, depth) {
+    const layout = DungeonService.generateFloor(seed, depth);
+    const floor = this.state.floor;
+
+    floor.seed = layout.seed;
+    floor.depth = layout.depth;
+    floor.version = layout.version;
+    floor.width = layout.width;
+    floor.height = layout.height;
+    floor.tiles.clear();
+    floor.tiles.push(...layout.tiles);
+
+    this.state.enemies.clear();
+    this.state.projectiles.clear();
+    this.projectileSpawnedAt.clear();
+    this.lastContactAt.clear();
+
+    layout.spawns.enemies.forEach(({ kind, x, y }) => this.spawnEnemy(kind, { x, y }, depth));
+    this.spawnEnemy(layout.spawns.boss.kind, layout.spawns.boss, depth);
+
+    this.spawnPoints = layout.spawns.players;
+    this.floorCleared = false;
+
+    logInfo('Dungeon floor loaded', { roomId: this.roomId, seed: layout.seed, depth });
+  }
+
+  /**
+   * Boss chết => qua floor tiếp theo (cùng seed, depth + 1)
+   */
+  clearFloor() {
+    if (this.floorCleared) {
+      return;
+    }
+
+    this.floorCleared = true;
+    this.state.floorsCleared++;
+    this.broadcast('floorCleared', { depth: this.state.floor.depth });
+
+    // Run tính từ floor 1 => không nhận người mới sau khi đã qua floor đầu (vẫn cho reconnect)
+    if (this.state.floorsCleared === 1) {
+      this.lock().catch((error) => logError('Lock dungeon room error', error, { roomId: this.roomId }));
+    }
+
+    if (this.state.floor.depth >= DUNGEON.MAX_DEPTH) {
+      this.state.players.forEach((player, sessionId) => this.endRun(sessionId));
+      return;
+    }
+
+    this.clock.setTimeout(() => {
+      this.loadFloor(this.state.floor.seed, this.state.floor.depth + 1);
+
+      let index = 0;
+      this.state.players.forEach((player) => {
+        const spawn = this.getSpawnPoint(index++);
+        player.x = spawn.x;
+        player.y = spawn.y;
+      });
+    }, DUNGEON.FLOOR_TRANSITION_MS);
+  }
+
+  spawnEnemy(kind, position, depth) {
+    const stats = getEnemyStats({ kind });
+    const maxHp = Math.round(stats.MAX_HP * (1 + stats.HP_PER_DEPTH * (depth - 1)));
+
+    const enemy = new Enemy({
+      id: this.nextEntityId('e'),
+      kind,
+      x: position.x,
+      y: position.y,
+      maxHp
+    });
+
+    this.state.enemies.set(enemy.id, enemy);
+  }
+
+  getSpawnPoint(index) {
+    return this.spawnPoints[index % this.spawnPoints.length];
+  }
+
+  getTile(tileX, tileY) {
+    const { width, height, tiles } = this.state.floor;
+    if (tileX < 0 || tileY < 0 || tileX >= width || tileY >= height) {
+      return TILE.WALL;
+    }
+    return tiles[tileY * width + tileX];
+  }
+
+  isWalkable(x, y) {
+    return this.getTile(Math.floor(x), Math.floor(y)) !== TILE.WALL;
+  }
+
+  // Kiểm tra 4 góc của hình bao quanh entity
+  canOccupy(x, y, radius) {
+    return this.isWalkable(x - radius, y - radius)
+      && this.isWalkable(x + radius, y - radius)
+      && this.isWalkable(x - radius, y + radius)
+      && this.isWalkable(x + radius, y + radius);
+  }
+
+  // Di chuyển từng trục để entity trượt dọc theo tường
+  moveEntity(entity, dx, dy, radius) {
+    if (dx !== 0 && this.canOccupy(entity.x + dx, entity.y, radius)) {
+      entity.x += dx;
+    }
+    if (dy !== 0 && this.canOccupy(entity.x, entity.y + dy, radius)) {
+      entity.y += dy;
+    }
+  }
+
+  findNearestPlayer(from, range) {
+    let nearest = null;
+
+    this.state.players.forEach((player, sessionId) => {
+      if (!player.alive || !player.connected) {
+        return;
+      }
+
+      const dist = distance(from, player);
+      if (dist <= range && (!nearest || dist < nearest.dist)) {
+        nearest = { player, sessionId, dist };
+      }
+    });
+
+    return nearest;
+  }
+
+  nextEntityId(prefix) {
+    this.entitySequence++;
+    return `${prefix}${this.entitySequence}`;
+  }
+}
+
+// ============= Helper Functions =============
+
+function getEnemyStats(enemy) {
+  return enemy.kind === 'boss' ? BOSS : ENEMY;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function normalizeVector(x, y) {
+  const length = Math.hypot(x, y);
+  if (length === 0) {
+    return null;
+  }
+  return { x: x / length, y: y / length };
+}
+
+// Input chéo không được nhanh hơn input thẳng
+function normalizeInput({ moveX, moveY, aimX, aimY }) {
+  const length = Math.hypot(moveX, moveY);
+  const scale = length > 1 ? 1 / length : 1;
+
+  return {
+    moveX: moveX * scale,
+    moveY: moveY * scale,
+    aim: aimX !== undefined && aimY !== undefined ? normalizeVector(aimX, aimY) : null
+  };
+}
+
+module.exports = DungeonRoom;
@@ -0,0 +1,11 @@
+// src/rooms/LobbyRoom.js - Lobby (danh sách room realtime) chỉ cho user đã đăng nhập
+const { LobbyRoom: ColyseusLobbyRoom } = require('@colyseus/core');
+const { authenticateRoomClient } = require('./roomAuth');
+
+class LobbyRoom extends ColyseusLobbyRoom {
+  static async onAuth(token, options, context) {
+    return authenticateRoomClient('lobby', token, context);
+  }
+}
+
+module.exports = LobbyRoom;
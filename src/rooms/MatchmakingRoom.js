@@ -0,0 +1,281 @@
+// src/rooms/MatchmakingRoom.js - Hàng chờ ghép nhóm co-op
+// Client join room này để vào hàng chờ, rời room (hoặc gửi 'cancel') để huỷ.
+// Khi đủ nhóm, server tạo DungeonRoom riêng và gửi seat reservation qua message 'matchFound'.
+// Party: trưởng nhóm join với { partyId } => cả party là 1 entry, thành viên khác
+// nhận 'matchFound' qua SocialRoom.
+const { Room, ServerError, ErrorCode, CloseCode, matchMaker } = require('@colyseus/core');
+const { z } = require('zod');
+const { authenticateRoomClient, reserveSeatForAuth } = require('./roomAuth');
+const MatchmakingService = require('../services/matchmakingService');
+const PlayerService = require('../services/playerService');
+const PartyService = require('../services/partyService');
+const AuthService = require('../services/authService');
+const { sendToUser } = require('./presence');
+const { MATCHMAKING } = require('../config/game');
+const { logInfo, logError } = require('../config/logger');
+
+// ============= Join Options Validation =============
+
+const queueOptions = z.object({
+  region: z.enum(MATCHMAKING.REGIONS),
+  difficulty: z.enum(MATCHMAKING.DIFFICULTIES).default(MATCHMAKING.DEFAULT_DIFFICULTY),
+  partyId: z.string().min(1).max(32).optional()
+});
+
+class MatchmakingRoom extends Room {
+  static async onAuth(token, options, context) {
+    const user = await authenticateRoomClient('matchmaking', token, context);
+
+    const parsed = queueOptions.safeParse(options || {});
+    if (!parsed.success) {
+      throw new ServerError(ErrorCode.MATCHMAKE_INVALID_CRITERIA, 'Region hoặc độ khó không hợp lệ');
+    }
+
+    let userIds = [user.id];
+
+    if (parsed.data.partyId) {
+      const party = await PartyService.getParty(matchMaker.presence, parsed.data.partyId);
+
+      if (!party) {
+        throw new ServerError(ErrorCode.MATCHMAKE_INVALID_CRITERIA, 'Party đã giải tán');
+      }
+      if (party.leaderId !== String(user.id)) {
+        throw new ServerError(ErrorCode.MATCHMAKE_INVALID_CRITERIA, 'Chỉ trưởng nhóm mới được tìm trận cho party');
+      }
+
+      userIds = party.members.map((member) => member.userId);
+    }
+
+    // Tìm trận là ranked => cả party phải xác thực email nếu server yêu cầu
+    const allowed = await Promise.all(userIds.map((userId) => AuthService.canUseFeature(userId, 'ranked')));
+    if (allowed.some((ok) => !ok)) {
+      throw new ServerError(ErrorCode.AUTH_FAILED, 'Cần xác thực email để tìm trận');
+    }
+
+    return user;
+  }
+
+  onCreate() {
+    // Hàng chờ (sessionId -> entry)
+    this.queue = new Map();
+
+    this.onMessage('status', (client) => this.sendStatus(client));
+    this.onMessage('cancel', (client) => client.leave(CloseCode.CONSENTED));
+    // Client xác nhận đã nhận seat => rời hàng chờ
+    this.onMessage('confirm', (client) => client.leave(CloseCode.CONSENTED));
+
+    this.setSimulationInterval(() => this.processQueue(), MATCHMAKING.CYCLE_MS);
+
+    logInfo('Matchmaking room created', { roomId: this.roomId });
+  }
+
+  async onJoin(client, options) {
+    const user = client.auth;
+    const { region, difficulty, partyId } = queueOptions.parse(options || {});
+
+    const party = partyId ? await PartyService.setQueued(this.presence, partyId, true) : null;
+    const members = party
+      ? party.members
+      : [{ userId: String(user.id), username: user.username, auth: user }];
+
+    // Level lấy từ profile trên server, không tin client; party dùng level trung bình
+    const profiles = await Promise.all(members.map((member) => PlayerService.findOrCreateProfile(member.userId)));
+    const level = Math.round(profiles.reduce((total, profile) => total + profile.level, 0) / profiles.length);
+
+    // 1 user chỉ có 1 chỗ trong hàng chờ => đá session cũ (ví dụ mở 2 thiết bị)
+    this.queue.forEach((entry, sessionId) => {
+      if (String(entry.userId) === String(user.id)) {
+        this.queue.delete(sessionId);
+        entry.client.leave(CloseCode.CONSENTED);
+      }
+    });
+
+    const entry = {
+      client,
+      userId: user.id,
+      username: user.username,
+      partyId: party ? party.id : null,
+      members: members.map((member, index) => ({ ...member, level: profiles[index].level })),
+      size: members.length,
+      level,
+      region,
+      difficulty,
+      queuedAt: Date.now(),
+      connected: true,
+      matching: false
+    };
+
+    this.queue.set(client.sessionId, entry);
+    this.sendStatus(client);
+
+    logInfo('Player joined matchmaking queue', { userId: user.id, partyId: entry.partyId, size: entry.size, playerLevel: level, region, difficulty });
+  }
+
+  async onLeave(client, code) {
+    const entry = this.queue.get(client.sessionId);
+    if (!entry) {
+      return;
+    }
+
+    if (code === CloseCode.CONSENTED) {
+      await this.removeEntry(entry);
+      logInfo('Player left matchmaking queue', { userId: entry.userId });
+      return;
+    }
+
+    // Rớt mạng: giữ chỗ trong hàng (không được ghép) cho tới khi reconnect hoặc hết hạn
+    entry.connected = false;
+
+    try {
+      const newClient = await this.allowReconnection(client, MATCHMAKING.RECONNECT_TIMEOUT_SECONDS);
+      entry.client = newClient;
+      entry.connected = true;
+      this.sendStatus(newClient);
+      logInfo('Player reconnected to matchmaking queue', { userId: entry.userId });
+    } catch (error) {
+      await this.removeEntry(entry);
+      logInfo('Player dropped from matchmaking queue', { userId: entry.userId, code });
+    }
+  }
+
+  onDispose() {
+    logInfo('Matchmaking room disposed', { roomId: this.roomId });
+  }
+
+  onUncaughtException(error, methodName) {
+    logError('Matchmaking room error', error, { roomId: this.roomId, method: methodName });
+  }
+
+  // ============= Queue =============
+
+  sendStatus(client) {
+    const entry = this.queue.get(client.sessionId);
+    if (!entry) {
+      return;
+    }
+
+    if (entry.matching) {
+      client.send('queueStatus', { state: 'matching' });
+      return;
+    }
+
+    client.send('queueStatus', MatchmakingService.getQueueStatus(entry, this.getWaitingEntries()));
+  }
+
+  getWaitingEntries() {
+    return [...this.queue.values()].filter((entry) => !entry.matching);
+  }
+
+  async removeEntry(entry) {
+    this.queue.delete(entry.client.sessionId);
+
+    if (entry.partyId) {
+      await PartyService.setQueued(this.presence, entry.partyId, false);
+    }
+  }
+
+  /**
+   * Party có thể đổi trong lúc chờ (kick, rời, giải tán, đổi trưởng nhóm) => đọc lại trước khi ghép
+   */
+  async refreshPartyEntry(entry) {
+    if (!entry.partyId) {
+      return true;
+    }
+
+    const party = await PartyService.getParty(this.presence, entry.partyId);
+    if (party && party.leaderId === String(entry.userId)) {
+      entry.members = entry.members.filter((member) => party.members.some((current) => current.userId === member.userId));
+      entry.size = entry.members.length;
+      return true;
+    }
+
+    this.queue.delete(entry.client.sessionId);
+    entry.client.send('queueStatus', { state: 'cancelled', reason: party ? 'Bạn không còn là trưởng nhóm' : 'Party đã giải tán' });
+    entry.client.leave(CloseCode.CONSENTED);
+    return false;
+  }
+
+  processQueue() {
+    const groups = MatchmakingService.findMatches(this.getWaitingEntries());
+
+    groups.forEach((group) => this.createMatch(group));
+
+    this.getWaitingEntries()
+      .filter((entry) => entry.connected)
+      .forEach((entry) => this.sendStatus(entry.client));
+  }
+
+  /**
+   * Tạo DungeonRoom riêng cho nhóm và giữ chỗ cho từng người
+   */
+  async createMatch(group) {
+    group.forEach((entry) => {
+      entry.matching = true;
+    });
+
+    const { difficulty } = group[0];
+    const regions = [...new Set(group.map((entry) => entry.region))];
+
+    try {
+      const valid = await Promise.all(group.map((entry) => this.refreshPartyEntry(entry)));
+      if (valid.some((ok) => !ok)) {
+        // Phần còn lại của nhóm quay về hàng chờ, ghép lại ở lượt sau
+        group.forEach((entry) => {
+          entry.matching = false;
+        });
+        return;
+      }
+
+      const room = await matchMaker.createRoom('dungeon', {
+        matchmaking: true,
+        difficulty,
+        region: regions.length === 1 ? regions[0] : 'mixed'
+      });
+
+      const players = group.flatMap((entry) => entry.members.map(({ userId, username, level }) => ({ userId, username, level })));
+
+      for (const entry of group) {
+        // Rời hàng chờ trong lúc đang tạo room => không giữ chỗ
+        if (this.queue.get(entry.client.sessionId) !== entry) {
+          continue;
+        }
+
+        for (const member of entry.members) {
+          const reservation = await reserveSeatForAuth('dungeon', room, member.auth);
+          const isQueueOwner = member.userId === String(entry.userId);
+
+          // Token bị thu hồi trong lúc chờ => không giữ chỗ
+          if (!reservation) {
+            if (isQueueOwner) {
+              entry.client.send('queueStatus', { state: 'cancelled', reason: 'Token đã bị thu hồi' });
+            }
+            continue;
+          }
+          if (isQueueOwner) {
+            entry.client.send('matchFound', { reservation, difficulty, players });
+          } else {
+            sendToUser(this.presence, member.userId, 'matchFound', { reservation, difficulty, players });
+          }
+        }
+
+        await this.removeEntry(entry);
+      }
+
+      logInfo('Match created', {
+        roomId: room.roomId,
+        difficulty,
+        regions,
+        userIds: players.map((player) => player.userId),
+        waitedSeconds: Math.floor((Date.now() - Math.min(...group.map((entry) => entry.queuedAt))) / 1000)
+      });
+    } catch (error) {
+      // Trả nhóm về hàng chờ (giữ nguyên thời gian chờ) để lượt sau ghép lại
+      group.forEach((entry) => {
+        entry.matching = false;
+      });
+      logError('Create match error', error, { userIds: group.map((entry) => entry.userId) });
+    }
+  }
+}
+
+module.exports = MatchmakingRoom;
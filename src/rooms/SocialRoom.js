@@ -0,0 +1,283 @@
+// src/rooms/SocialRoom.js - Presence bạn bè realtime & nhắn tin riêng
+// Client join room này sau khi đăng nhập và giữ kết nối suốt phiên chơi.
+// Server đẩy: 'friends' (snapshot), 'presence' ({ userId, status }), 'whisper',
+// 'party' / 'partyInvite' / 'partyLeft' / 'partyError' / 'matchFound'.
+// Sau khi đổi quan hệ qua REST (/api/friends) client gửi 'sync' để 2 bên cập nhật ngay.
+const { Room, CloseCode } = require('@colyseus/core');
+const { z } = require('zod');
+const { authenticateRoomClient } = require('./roomAuth');
+const {
+  PRESENCE_CHANNEL,
+  FRIENDS_CHANNEL,
+  USER_CHANNEL,
+  PRESENCE_STATUS,
+  getPresenceStatus,
+  trackOnlineSession,
+  publishFriendsChanged,
+  sendToUser
+} = require('./presence');
+const FriendService = require('../services/friendService');
+const PartyService = require('../services/partyService');
+const { SOCIAL, PARTY, MATCHMAKING } = require('../config/game');
+const { logInfo, logError } = require('../config/logger');
+
+// ============= Message Validation =============
+
+const userIdField = z.union([z.string(), z.number()]).transform(String);
+
+const whisperMessage = z.object({
+  toUserId: userIdField,
+  text: z.string().trim().min(1).max(SOCIAL.WHISPER_MAX_LENGTH)
+});
+
+const partyInviteMessage = z.object({
+  username: z.string().trim().min(3).max(30)
+});
+
+const partyIdMessage = z.object({
+  partyId: z.string().min(1).max(32)
+});
+
+const partyMemberMessage = z.object({
+  userId: userIdField
+});
+
+const partyStartMessage = z.object({
+  mode: z.enum(PARTY.START_MODES),
+  difficulty: z.enum(MATCHMAKING.DIFFICULTIES).default(MATCHMAKING.DEFAULT_DIFFICULTY),
+  region: z.enum(MATCHMAKING.REGIONS).optional()
+});
+
+class SocialRoom extends Room {
+  static async onAuth(token, options, context) {
+    return authenticateRoomClient('social', token, context);
+  }
+
+  onCreate() {
+    // userId -> { clients: Set<Client>, friendIds: Set<string> }
+    this.members = new Map();
+
+    this.handlePresence = (update) => this.forwardPresence(update);
+    this.handleFriendsChanged = (userIds) => userIds.forEach((userId) => this.refreshMember(userId));
+    this.handleUserMessage = (message) => this.deliverToUser(message);
+
+    this.presence.subscribe(PRESENCE_CHANNEL, this.handlePresence);
+    this.presence.subscribe(FRIENDS_CHANNEL, this.handleFriendsChanged);
+    this.presence.subscribe(USER_CHANNEL, this.handleUserMessage);
+
+    this.onMessage('sync', (client) => this.syncFriends(client));
+    this.onMessage('whisper', whisperMessage, (client, message) => this.sendWhisper(client, message));
+
+    // Party: kết quả lỗi trả về qua 'partyError' { action, code, message }
+    this.onMessage('party:create', (client) => this.handleParty(client, 'create', () => PartyService.createParty(this.presence, client.auth)));
+    this.onMessage('party:invite', partyInviteMessage, (client, { username }) => this.handleParty(client, 'invite', () => PartyService.inviteByUsername(this.presence, client.auth, username)));
+    this.onMessage('party:join', partyIdMessage, (client, { partyId }) => this.handleParty(client, 'join', () => PartyService.joinParty(this.presence, client.auth, partyId)));
+    this.onMessage('party:decline', partyIdMessage, (client, { partyId }) => this.handleParty(client, 'decline', () => PartyService.declineInvite(this.presence, client.auth, partyId)));
+    this.onMessage('party:leave', (client) => this.handleParty(client, 'leave', () => PartyService.leaveParty(this.presence, client.auth.id)));
+    this.onMessage('party:kick', partyMemberMessage, (client, { userId }) => this.handleParty(client, 'kick', () => PartyService.kickMember(this.presence, client.auth.id, userId)));
+    this.onMessage('party:promote', partyMemberMessage, (client, { userId }) => this.handleParty(client, 'promote', () => PartyService.promoteLeader(this.presence, client.auth.id, userId)));
+    this.onMessage('party:start', partyStartMessage, (client, message) => this.handleParty(client, 'start', () => PartyService.startRun(this.presence, client.auth.id, message)));
+
+    // Dự phòng khi client quên 'sync': danh sách bạn (và chặn) không bị cũ quá lâu
+    this.clock.setInterval(() => {
+      this.members.forEach((member, userId) => this.refreshMember(userId));
+    }, SOCIAL.FRIENDS_REFRESH_MS);
+
+    logInfo('Social room created', { roomId: this.roomId });
+  }
+
+  async onJoin(client) {
+    const userId = String(client.auth.id);
+
+    let member = this.members.get(userId);
+    if (!member) {
+      member = { clients: new Set(), friendIds: new Set() };
+      this.members.set(userId, member);
+    }
+    member.clients.add(client);
+
+    await this.loadFriends(userId);
+    await this.sendSnapshot(client, userId);
+    await trackOnlineSession(this.presence, userId, 1);
+
+    logInfo('Player joined social room', { userId });
+  }
+
+  async onLeave(client, code) {
+    const userId = String(client.auth.id);
+    const member = this.members.get(userId);
+    if (!member) {
+      return;
+    }
+
+    if (code !== CloseCode.CONSENTED) {
+      try {
+        // Rớt mạng ngắn => không báo offline cho bạn bè
+        const newClient = await this.allowReconnection(client, SOCIAL.RECONNECT_TIMEOUT_SECONDS);
+        member.clients.delete(client);
+        member.clients.add(newClient);
+        await this.sendSnapshot(newClient, userId);
+        return;
+      } catch (error) {
+        // Hết hạn reconnect => offline như bình thường
+      }
+    }
+
+    member.clients.delete(client);
+    if (member.clients.size === 0) {
+      this.members.delete(userId);
+    }
+
+    await trackOnlineSession(this.presence, userId, -1);
+
+    // Offline hẳn => rời party (trưởng nhóm được chuyển cho người khác)
+    if (await getPresenceStatus(this.presence, userId) === PRESENCE_STATUS.OFFLINE) {
+      await PartyService.leaveParty(this.presence, userId, 'disconnected');
+    }
+
+    logInfo('Player left social room', { userId, code });
+  }
+
+  onDispose() {
+    this.presence.unsubscribe(PRESENCE_CHANNEL, this.handlePresence);
+    this.presence.unsubscribe(FRIENDS_CHANNEL, this.handleFriendsChanged);
+    this.presence.unsubscribe(USER_CHANNEL, this.handleUserMessage);
+    logInfo('Social room disposed', { roomId: this.roomId });
+  }
+
+  onUncaughtException(error, methodName) {
+    logError('Social room error', error, { roomId: this.roomId, method: methodName });
+  }
+
+  // ============= Friends & Presence =============
+
+  async loadFriends(userId) {
+    const member = this.members.get(userId);
+    if (!member) {
+      return [];
+    }
+
+    const friendIds = await FriendService.getFriendIds(userId);
+    const previous = member.friendIds;
+    member.friendIds = new Set(friendIds.map(String));
+
+    // Danh sách thay đổi (kết bạn / xoá bạn / chặn)
+    return [...new Set([...previous, ...member.friendIds])]
+      .filter((friendId) => previous.has(friendId) !== member.friendIds.has(friendId));
+  }
+
+  async sendSnapshot(client, userId) {
+    const result = await FriendService.getFriends(userId);
+    if (!result.success) {
+      return;
+    }
+
+    const friends = await Promise.all(result.data.friends.map(async (friend) => ({
+      userId: String(friend.userId),
+      username: friend.username,
+      status: await getPresenceStatus(this.presence, friend.userId)
+    })));
+
+    client.send('friends', {
+      friends,
+      incomingRequests: result.data.incoming.length
+    });
+
+    // Reconnect => nhận lại party hiện tại
+    const party = await PartyService.getPartyOfUser(this.presence, userId);
+    if (party) {
+      client.send('party', PartyService.formatParty(party));
+    }
+  }
+
+  async refreshMember(userId) {
+    try {
+      const member = this.members.get(userId);
+      if (!member) {
+        return;
+      }
+
+      const changed = await this.loadFriends(userId);
+      if (changed.length > 0) {
+        await Promise.all([...member.clients].map((client) => this.sendSnapshot(client, userId)));
+      }
+    } catch (error) {
+      logError('Refresh social member error', error, { userId });
+    }
+  }
+
+  /**
+   * Client vừa đổi quan hệ qua REST => cập nhật mình và báo phía bên kia
+   */
+  async syncFriends(client) {
+    const userId = String(client.auth.id);
+
+    try {
+      const changed = await this.loadFriends(userId);
+      await this.sendSnapshot(client, userId);
+
+      if (changed.length > 0) {
+        publishFriendsChanged(this.presence, changed);
+      }
+    } catch (error) {
+      logError('Sync friends error', error, { userId });
+    }
+  }
+
+  forwardPresence({ userId, status }) {
+    this.members.forEach((member) => {
+      if (member.friendIds.has(userId)) {
+        member.clients.forEach((client) => client.send('presence', { userId, status }));
+      }
+    });
+  }
+
+  // ============= Whisper =============
+
+  async sendWhisper(client, { toUserId, text }) {
+    const fromUserId = String(client.auth.id);
+    const member = this.members.get(fromUserId);
+
+    try {
+      // Chỉ nhắn cho bạn bè; kiểm tra lại chặn trên database cho chắc
+      if (!member || !member.friendIds.has(toUserId) || await FriendService.isBlocked(fromUserId, toUserId)) {
+        client.send('whisperFailed', { toUserId, message: 'Chỉ có thể nhắn tin cho bạn bè' });
+        return;
+      }
+
+      if (await getPresenceStatus(this.presence, toUserId) === PRESENCE_STATUS.OFFLINE) {
+        client.send('whisperFailed', { toUserId, message: 'Người chơi đang offline' });
+        return;
+      }
+
+      sendToUser(this.presence, toUserId, 'whisper', {
+        fromUserId,
+        fromUsername: client.auth.username,
+        text,
+        sentAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logError('Send whisper error', error, { fromUserId, toUserId });
+      client.send('whisperFailed', { toUserId, message: 'Lỗi server khi gửi tin nhắn' });
+    }
+  }
+
+  // ============= Party =============
+
+  async handleParty(client, action, run) {
+    const result = await run();
+
+    if (!result.success) {
+      client.send('partyError', { action, code: result.code, message: result.message });
+    }
+  }
+
+  deliverToUser({ userId, type, payload }) {
+    const member = this.members.get(userId);
+    if (member) {
+      member.clients.forEach((client) => client.send(type, payload));
+    }
+  }
+}
+
+module.exports = SocialRoom;
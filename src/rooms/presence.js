@@ -0,0 +1,86 @@
+// src/rooms/presence.js - Trạng thái online của người chơi (dùng Colyseus Presence)
+// Lưu trong presence (LocalPresence / RedisPresence) để mọi room, mọi process đều thấy:
+//   social:online  (hash userId -> số session SocialRoom đang mở)
+//   social:dungeon (hash userId -> roomId của DungeonRoom đang chơi)
+// Mỗi lần đổi trạng thái => publish lên PRESENCE_CHANNEL cho SocialRoom đẩy tới bạn bè.
+
+const PRESENCE_CHANNEL = 'social:presence';
+const FRIENDS_CHANNEL = 'social:friends';
+const USER_CHANNEL = 'social:user';
+const ONLINE_KEY = 'social:online';
+const DUNGEON_KEY = 'social:dungeon';
+
+const PRESENCE_STATUS = {
+  ONLINE: 'online',
+  IN_DUNGEON: 'in_dungeon',
+  OFFLINE: 'offline'
+};
+
+const getPresenceStatus = async (presence, userId) => {
+  if (await presence.hget(DUNGEON_KEY, String(userId))) {
+    return PRESENCE_STATUS.IN_DUNGEON;
+  }
+
+  const sessions = Number(await presence.hget(ONLINE_KEY, String(userId))) || 0;
+  return sessions > 0 ? PRESENCE_STATUS.ONLINE : PRESENCE_STATUS.OFFLINE;
+};
+
+const publishPresence = async (presence, userId) => {
+  const status = await getPresenceStatus(presence, userId);
+  presence.publish(PRESENCE_CHANNEL, { userId: String(userId), status });
+};
+
+/**
+ * SocialRoom gọi khi 1 session của user mở (+1) hoặc đóng (-1)
+ */
+const trackOnlineSession = async (presence, userId, delta) => {
+  const sessions = await presence.hincrby(ONLINE_KEY, String(userId), delta);
+
+  if (sessions <= 0) {
+    await presence.hdel(ONLINE_KEY, String(userId));
+  }
+
+  // Chỉ báo khi chuyển online <-> offline
+  if ((delta > 0 && sessions === delta) || sessions <= 0) {
+    await publishPresence(presence, userId);
+  }
+};
+
+/**
+ * DungeonRoom gọi khi user vào (roomId) hoặc rời hẳn (null) dungeon
+ */
+const trackDungeon = async (presence, userId, roomId) => {
+  if (roomId) {
+    await presence.hset(DUNGEON_KEY, String(userId), roomId);
+  } else {
+    await presence.hdel(DUNGEON_KEY, String(userId));
+  }
+
+  await publishPresence(presence, userId);
+};
+
+/**
+ * Báo SocialRoom (mọi process) tải lại danh sách bạn của các user này
+ */
+const publishFriendsChanged = (presence, userIds) => {
+  presence.publish(FRIENDS_CHANNEL, userIds.map(String));
+};
+
+/**
+ * Gửi message tới mọi session SocialRoom của 1 user (whisper, party...)
+ */
+const sendToUser = (presence, userId, type, payload) => {
+  presence.publish(USER_CHANNEL, { userId: String(userId), type, payload });
+};
+
+module.exports = {
+  PRESENCE_CHANNEL,
+  FRIENDS_CHANNEL,
+  USER_CHANNEL,
+  PRESENCE_STATUS,
+  getPresenceStatus,
+  trackOnlineSession,
+  trackDungeon,
+  publishFriendsChanged,
+  sendToUser
+};
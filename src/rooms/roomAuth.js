@@ -0,0 +1,62 @@
+// src/rooms/roomAuth.js - Xác thực client Colyseus bằng access token của REST API
+const { ServerError, ErrorCode, matchMaker } = require('@colyseus/core');
+const { logInfo } = require('../config/logger');
+const { verifyAccessToken } = require('../utils/token');
+
+/**
+ * Dùng trong static onAuth() của các room (chạy lúc matchmaking, trước khi cấp seat)
+ * Token được Unity client gửi qua `client.auth.token` (Authorization: Bearer)
+ * Trả về { id, email, username, role, permissions, ... } và Colyseus gắn vào client.auth
+ */
+const authenticateRoomClient = async (roomName, token, context = {}) => {
+  if (!token) {
+    logInfo('Room auth failed: No token provided', { room: roomName, ip: context.ip });
+    throw new ServerError(ErrorCode.AUTH_FAILED, 'Token không hợp lệ');
+  }
+
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      logInfo('Room auth failed: Token expired', { room: roomName, ip: context.ip });
+      throw new ServerError(ErrorCode.AUTH_FAILED, 'Token đã hết hạn');
+    }
+
+    logInfo('Room auth failed: Invalid token', { room: roomName, ip: context.ip, error: error.message });
+    throw new ServerError(ErrorCode.AUTH_FAILED, 'Token không hợp lệ');
+  }
+
+  // Require lúc dùng: LobbyRoom / DungeonRoom được load trước initDatabase()
+  const AccessControlService = require('../services/accessControlService');
+
+  if (!(await AccessControlService.isAccessTokenCurrent(user))) {
+    logInfo('Room auth failed: Token revoked', { room: roomName, userId: user.id });
+    throw new ServerError(ErrorCode.AUTH_FAILED, 'Token đã bị thu hồi');
+  }
+
+  logInfo('Room auth successful', { room: roomName, userId: user.id });
+  return user;
+};
+
+/**
+ * Giữ chỗ trong room thay cho user (party, hàng chờ ghép nhóm)
+ * reserveSeatFor() không chạy onAuth => kiểm tra lại token_version của auth đã lưu,
+ * token bị thu hồi (đổi role, ban...) từ lúc lưu tới giờ thì không giữ chỗ (trả về null)
+ * `auth` là object authenticateRoomClient trả về, được gắn nguyên vào client.auth trong room đích
+ */
+const reserveSeatForAuth = async (roomName, room, auth) => {
+  const AccessControlService = require('../services/accessControlService');
+
+  if (!(await AccessControlService.isAccessTokenCurrent(auth))) {
+    logInfo('Seat reservation skipped: Token revoked', { room: roomName, userId: auth.id });
+    return null;
+  }
+
+  return matchMaker.reserveSeatFor(room, {}, auth);
+};
+
+module.exports = {
+  authenticateRoomClient,
+  reserveSeatForAuth
+};
@@ -0,0 +1,129 @@
+// src/rooms/schema/DungeonState.js - Colyseus Schema cho DungeonRoom
+// Mọi field ở đây do server ghi, client chỉ đọc (đồng bộ qua patch)
+const { Schema, MapSchema, ArraySchema, defineTypes } = require('@colyseus/schema');
+
+class Player extends Schema {
+  constructor({ sessionId, userId, username, x = 0, y = 0, maxHp = 100 } = {}) {
+    super();
+    this.sessionId = sessionId;
+    this.userId = String(userId);
+    this.username = username;
+    this.x = x;
+    this.y = y;
+    this.facing = 0; // radian
+    this.hp = maxHp;
+    this.maxHp = maxHp;
+    this.alive = true;
+    this.connected = true;
+    this.kills = 0;
+  }
+}
+
+defineTypes(Player, {
+  sessionId: 'string',
+  userId: 'string',
+  username: 'string',
+  x: 'float32',
+  y: 'float32',
+  facing: 'float32',
+  hp: 'int16',
+  maxHp: 'int16',
+  alive: 'boolean',
+  connected: 'boolean',
+  kills: 'uint16'
+});
+
+class Enemy extends Schema {
+  constructor({ id, kind = 'slime', x = 0, y = 0, maxHp = 60 } = {}) {
+    super();
+    this.id = id;
+    this.kind = kind;
+    this.x = x;
+    this.y = y;
+    this.facing = 0;
+    this.hp = maxHp;
+    this.maxHp = maxHp;
+  }
+}
+
+defineTypes(Enemy, {
+  id: 'string',
+  kind: 'string',
+  x: 'float32',
+  y: 'float32',
+  facing: 'float32',
+  hp: 'int16',
+  maxHp: 'int16'
+});
+
+class Projectile extends Schema {
+  constructor({ id, ownerId, x = 0, y = 0, vx = 0, vy = 0 } = {}) {
+    super();
+    this.id = id;
+    this.ownerId = ownerId;
+    this.x = x;
+    this.y = y;
+    this.vx = vx;
+    this.vy = vy;
+  }
+}
+
+defineTypes(Projectile, {
+  id: 'string',
+  ownerId: 'string',
+  x: 'float32',
+  y: 'float32',
+  vx: 'float32',
+  vy: 'float32'
+});
+
+class FloorLayout extends Schema {
+  constructor() {
+    super();
+    this.seed = '';
+    this.depth = 1;
+    this.version = 0;
+    this.width = 0;
+    this.height = 0;
+    // tiles[y * width + x] - xem TILE trong config/game.js
+    this.tiles = new ArraySchema();
+  }
+}
+
+defineTypes(FloorLayout, {
+  seed: 'string',
+  depth: 'uint16',
+  version: 'uint8',
+  width: 'uint16',
+  height: 'uint16',
+  tiles: ['uint8']
+});
+
+class DungeonState extends Schema {
+  constructor() {
+    super();
+    this.players = new MapSchema();
+    this.enemies = new MapSchema();
+    this.projectiles = new MapSchema();
+    this.floor = new FloorLayout();
+    this.floorsCleared = 0;
+    this.tick = 0;
+  }
+}
+
+defineTypes(DungeonState, {
+  players: { map: Player },
+  enemies: { map: Enemy },
+  projectiles: { map: Projectile },
+  floor: FloorLayout,
+  floorsCleared: 'uint16',
+  tick: 'uint32'
+});
+
+module.exports = {
+  Player,
+  Enemy,
+  Projectile,
+  FloorLayout,
+  DungeonState
+};
@@ -0,0 +1,186 @@
+// src/routes/adminRoutes.js - Admin / Moderator Routes
+// Mỗi route cần quyền cụ thể (requirePermission), role -> quyền khai báo ở src/config/roles.js.
+// Admin đầu tiên được cấp trực tiếp trong database: UPDATE users SET role = 'admin' WHERE email = '...'
+// Mọi thao tác được ghi vào audit log (GET /api/admin/audit-log).
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const requirePermission = require('../middlewares/permissionMiddleware');
+const { ROLES, PERMISSIONS, ADMIN } = require('../config/roles');
+const { validationMessage } = require('../utils/i18n');
+
+// ============= Validation Rules =============
+
+const userIdValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('USER_ID_INVALID'))
+    .toInt()
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('PAGE_INVALID'))
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: ADMIN.MAX_PAGE_SIZE })
+    .withMessage(validationMessage('LIMIT_RANGE', { min: 1, max: ADMIN.MAX_PAGE_SIZE }))
+    .toInt()
+];
+
+const listUsersValidation = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage(validationMessage('SEARCH_LENGTH', { max: 100 }))
+    .matches(/^[a-zA-Z0-9_@.+-]+$/)
+    .withMessage(validationMessage('SEARCH_FORMAT')),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage(validationMessage('BOOLEAN_INVALID', { field: 'active' }))
+    .toBoolean(),
+  query('verified')
+    .optional()
+    .isBoolean()
+    .withMessage(validationMessage('BOOLEAN_INVALID', { field: 'verified' }))
+    .toBoolean(),
+  query('role')
+    .optional()
+    .isIn(Object.values(ROLES))
+    .withMessage(validationMessage('ROLE_INVALID', { roles: Object.values(ROLES).join(', ') })),
+  query('createdFrom')
+    .optional()
+    .isISO8601()
+    .withMessage(validationMessage('DATE_INVALID', { field: 'createdFrom' })),
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .withMessage(validationMessage('DATE_INVALID', { field: 'createdTo' })),
+  ...paginationValidation
+];
+
+const reasonValidation = [
+  ...userIdValidation,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage(validationMessage('REASON_LENGTH', { max: 500 }))
+];
+
+const changeRoleValidation = [
+  ...userIdValidation,
+  body('role')
+    .isIn(Object.values(ROLES))
+    .withMessage(validationMessage('ROLE_INVALID', { roles: Object.values(ROLES).join(', ') }))
+];
+
+const auditLogValidation = [
+  query('actorId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('ACTOR_ID_INVALID'))
+    .toInt(),
+  query('targetUserId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('TARGET_USER_ID_INVALID'))
+    .toInt(),
+  query('action')
+    .optional()
+    .matches(/^[a-z_.]+$/)
+    .withMessage(validationMessage('ACTION_INVALID')),
+  ...paginationValidation
+];
+
+// ============= Protected Routes (Cần Bearer Token + quyền) =============
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Danh sách user (tìm theo username / email, lọc theo trạng thái, role, ngày tạo)
+ * @access  Private (users:read)
+ * @header  Authorization: Bearer {accessToken}
+ * @query   { search?, active?, verified?, role?, createdFrom?, createdTo?, page = 1, limit = 20 }
+ * @return  { page, limit, total, users }
+ */
+router.get('/users', authMiddleware, requirePermission(PERMISSIONS.USERS_READ), listUsersValidation, adminController.listUsers);
+
+/**
+ * @route   GET /api/admin/users/:userId
+ * @desc    Chi tiết user
+ * @access  Private (users:read)
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.get('/users/:userId', authMiddleware, requirePermission(PERMISSIONS.USERS_READ), userIdValidation, adminController.getUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/ban
+ * @desc    Khoá tài khoản (is_active = false) và đăng xuất khỏi mọi thiết bị
+ * @access  Private (users:ban)
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { reason? }
+ */
+router.post('/users/:userId/ban', authMiddleware, requirePermission(PERMISSIONS.USERS_BAN), reasonValidation, adminController.banUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/unban
+ * @desc    Mở khoá tài khoản
+ * @access  Private (users:ban)
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { reason? }
+ */
+router.post('/users/:userId/unban', authMiddleware, requirePermission(PERMISSIONS.USERS_BAN), reasonValidation, adminController.unbanUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/force-logout
+ * @desc    Đăng xuất user khỏi mọi thiết bị (access token đang dùng cũng bị vô hiệu)
+ * @access  Private (users:force_logout)
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.post('/users/:userId/force-logout', authMiddleware, requirePermission(PERMISSIONS.USERS_FORCE_LOGOUT), userIdValidation, adminController.forceLogout);
+
+/**
+ * @route   POST /api/admin/users/:userId/force-password-reset
+ * @desc    Buộc đặt lại mật khẩu: đăng xuất mọi thiết bị, chặn login tới khi reset, gửi email reset
+ * @access  Private (users:force_password_reset)
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.post('/users/:userId/force-password-reset', authMiddleware, requirePermission(PERMISSIONS.USERS_FORCE_PASSWORD_RESET), userIdValidation, adminController.forcePasswordReset);
+
+/**
+ * @route   GET /api/admin/users/:userId/login-history
+ * @desc    Lịch sử đăng nhập của user (mới nhất trước, kèm vị trí gần đúng theo IP)
+ * @access  Private (users:login_history)
+ * @header  Authorization: Bearer {accessToken}
+ * @query   { page = 1, limit = 20 }
+ */
+router.get('/users/:userId/login-history', authMiddleware, requirePermission(PERMISSIONS.USERS_LOGIN_HISTORY), userIdValidation, paginationValidation, adminController.getLoginHistory);
+
+/**
+ * @route   PUT /api/admin/users/:userId/role
+ * @desc    Đổi role của user (access token cũ của user đó bị vô hiệu ngay)
+ * @access  Private (users:role)
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { role: 'player' | 'moderator' | 'admin' }
+ * @return  { userId, role, previousRole }
+ */
+router.put('/users/:userId/role', authMiddleware, requirePermission(PERMISSIONS.USERS_ROLE_UPDATE), changeRoleValidation, adminController.changeUserRole);
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Nhật ký thao tác quản trị (mới nhất trước)
+ * @access  Private (audit:read)
+ * @header  Authorization: Bearer {accessToken}
+ * @query   { actorId?, targetUserId?, action?, page = 1, limit = 20 }
+ * @return  { page, limit, total, entries }
+ */
+router.get('/audit-log', authMiddleware, requirePermission(PERMISSIONS.AUDIT_READ), auditLogValidation, adminController.getAuditLog);
+
+module.exports = router;
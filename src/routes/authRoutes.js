@@ -1,9 +1,14 @@
 // src/routes/authRoutes.js - Complete Auth Routes
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
+const identityController = require('../controllers/identityController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const bruteForceProtection = require('../middlewares/bruteForceMiddleware');
+const { verifyTwoFactorToken } = require('../utils/token');
+const { validationMessage } = require('../utils/i18n');
+const I18N = require('../config/i18n');
 
 // ============= Validation Rules =============
 
@@ -11,62 +16,141 @@ const registerValidation = [
   body('username')
     .trim()
     .isLength({ min: 3, max: 30 })
-    .withMessage('Username phải từ 3-30 ký tự')
+    .withMessage(validationMessage('USERNAME_LENGTH', { min: 3, max: 30 }))
     .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username chỉ chứa chữ, số và dấu gạch dưới'),
+    .withMessage(validationMessage('USERNAME_FORMAT')),
   body('email')
     .trim()
     .isEmail()
-    .withMessage('Email không hợp lệ')
+    .withMessage(validationMessage('EMAIL_INVALID'))
     .normalizeEmail(),
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Mật khẩu phải có ít nhất 6 ký tự')
+    .withMessage(validationMessage('PASSWORD_MIN_LENGTH', { min: 6 }))
+];
+
+const guestLoginValidation = [
+  body('deviceId')
+    .trim()
+    .isLength({ min: 8, max: 128 })
+    .withMessage(validationMessage('DEVICE_ID_LENGTH', { min: 8, max: 128 }))
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage(validationMessage('DEVICE_ID_INVALID'))
 ];
 
 const loginValidation = [
   body('email')
     .trim()
     .isEmail()
-    .withMessage('Email không hợp lệ')
+    .withMessage(validationMessage('EMAIL_INVALID'))
     .normalizeEmail(),
   body('password')
     .notEmpty()
-    .withMessage('Mật khẩu không được để trống')
+    .withMessage(validationMessage('PASSWORD_REQUIRED'))
 ];
 
 const changePasswordValidation = [
   body('oldPassword')
     .notEmpty()
-    .withMessage('Mật khẩu cũ không được để trống'),
+    .withMessage(validationMessage('OLD_PASSWORD_REQUIRED')),
   body('newPassword')
     .isLength({ min: 6 })
-    .withMessage('Mật khẩu mới phải có ít nhất 6 ký tự')
-    .custom((value, { req }) => {
-      if (value === req.body.oldPassword) {
-        throw new Error('Mật khẩu mới phải khác mật khẩu cũ');
-      }
-      return true;
-    })
+    .withMessage(validationMessage('NEW_PASSWORD_MIN_LENGTH', { min: 6 }))
+    .custom((value, { req }) => value !== req.body.oldPassword)
+    .withMessage(validationMessage('NEW_PASSWORD_SAME_AS_OLD'))
 ];
 
 const forgotPasswordValidation = [
   body('email')
     .trim()
     .isEmail()
-    .withMessage('Email không hợp lệ')
+    .withMessage(validationMessage('EMAIL_INVALID'))
     .normalizeEmail()
 ];
 
 const resetPasswordValidation = [
   body('token')
     .notEmpty()
-    .withMessage('Token không được để trống'),
+    .withMessage(validationMessage('TOKEN_REQUIRED')),
   body('newPassword')
     .isLength({ min: 6 })
-    .withMessage('Mật khẩu mới phải có ít nhất 6 ký tự')
+    .withMessage(validationMessage('NEW_PASSWORD_MIN_LENGTH', { min: 6 }))
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage(validationMessage('TOKEN_REQUIRED'))
+];
+
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage(validationMessage('CHALLENGE_TOKEN_REQUIRED')),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage(validationMessage('CODE_REQUIRED'))
+];
+
+const confirmTwoFactorValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage(validationMessage('CODE_FORMAT'))
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage(validationMessage('PASSWORD_REQUIRED')),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage(validationMessage('CODE_REQUIRED'))
+];
+
+const identityTokenValidation = [
+  param('provider')
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage(validationMessage('PROVIDER_INVALID')),
+  body('idToken')
+    .isString()
+    .notEmpty()
+    .withMessage(validationMessage('ID_TOKEN_REQUIRED'))
+];
+
+// user_identities.id là SERIAL
+const identityIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('IDENTITY_ID_INVALID'))
+    .toInt()
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isUUID()
+    .withMessage(validationMessage('SESSION_ID_INVALID'))
+];
+
+// null => bỏ ngôn ngữ đã chọn, response theo Accept-Language
+const updateLocaleValidation = [
+  body('locale')
+    .optional({ values: 'null' })
+    .isIn(I18N.LOCALES)
+    .withMessage(validationMessage('LOCALE_INVALID', { locales: I18N.LOCALES.join(', ') }))
 ];
 
+// Đếm lần nhập sai mã 2FA theo user của challenge token (token hỏng => chỉ đếm theo IP)
+const twoFactorAccount = (req) => {
+  try {
+    return verifyTwoFactorToken(req.body.challengeToken).userId;
+  } catch (error) {
+    return null;
+  }
+};
+
 // ============= Public Routes (Không cần authentication) =============
 
 /**
@@ -79,12 +163,49 @@ router.post('/register', registerValidation, authController.register);
 
 /**
  * @route   POST /api/auth/login
- * @desc    Đăng nhập
+ * @desc    Đăng nhập (giới hạn số lần sai theo IP và tài khoản)
  * @access  Public
+ * @header  X-Challenge-Token, X-Challenge-Solution (khi server trả 428)
  * @body    { email, password }
+ * @return  { accessToken, refreshToken, user } hoặc { twoFactorRequired, challengeToken, expiresAt } nếu bật 2FA
+ */
+router.post('/login', loginValidation, bruteForceProtection('login', { accountField: 'email' }), authController.login);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Hoàn tất đăng nhập khi tài khoản bật 2FA (mã TOTP hoặc recovery code)
+ * @access  Public
+ * @header  X-Challenge-Token, X-Challenge-Solution (khi server trả 428)
+ * @body    { challengeToken, code }
  * @return  { accessToken, refreshToken, user }
  */
-router.post('/login', loginValidation, authController.login);
+router.post('/login/2fa', loginTwoFactorValidation, bruteForceProtection('login-2fa', { accountField: twoFactorAccount }), authController.loginTwoFactor);
+
+/**
+ * @route   POST /api/auth/guest
+ * @desc    Đăng nhập khách theo device ID (lần đầu tự tạo tài khoản khách)
+ * @access  Public
+ * @body    { deviceId }
+ * @return  { accessToken, refreshToken, user }
+ */
+router.post('/guest', guestLoginValidation, authController.guestLogin);
+
+/**
+ * @route   GET /api/auth/oauth/providers
+ * @desc    Danh sách phương thức đăng nhập ngoài đang bật (google, apple, steam...)
+ * @access  Public
+ * @return  { providers }
+ */
+router.get('/oauth/providers', identityController.getProviders);
+
+/**
+ * @route   POST /api/auth/oauth/:provider
+ * @desc    Đăng nhập bằng tài khoản ngoài (ID token / Steam session ticket), lần đầu tự tạo user
+ * @access  Public
+ * @body    { idToken }
+ * @return  { accessToken, refreshToken, user, isNewUser } hoặc { twoFactorRequired, challengeToken, expiresAt } nếu bật 2FA
+ */
+router.post('/oauth/:provider', identityTokenValidation, identityController.loginWithProvider);
 
 /**
  * @route   POST /api/auth/logout
@@ -96,10 +217,10 @@ router.post('/logout', authController.logout);
 
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh access token bằng refresh token
+ * @desc    Refresh access token bằng refresh token (rotation: token cũ bị thu hồi, dùng token mới trả về)
  * @access  Public
  * @body    { refreshToken }
- * @return  { accessToken }
+ * @return  { accessToken, refreshToken }
  */
 router.post('/refresh-token', authController.refreshToken);
 
@@ -107,17 +228,27 @@ router.post('/refresh-token', authController.refreshToken);
  * @route   POST /api/auth/forgot-password
  * @desc    Yêu cầu reset password (gửi email với token)
  * @access  Public
+ * @header  X-Challenge-Token, X-Challenge-Solution (khi server trả 428)
  * @body    { email }
  */
-router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
+router.post('/forgot-password', forgotPasswordValidation, bruteForceProtection('forgot-password', { accountField: 'email', countAll: true }), authController.forgotPassword);
 
 /**
  * @route   POST /api/auth/reset-password
  * @desc    Reset password với token từ email
  * @access  Public
+ * @header  X-Challenge-Token, X-Challenge-Solution (khi server trả 428)
  * @body    { token, newPassword }
  */
-router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
+router.post('/reset-password', resetPasswordValidation, bruteForceProtection('reset-password'), authController.resetPassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Xác thực email với token từ email
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/verify-email', verifyEmailValidation, authController.verifyEmail);
 
 // ============= Protected Routes (Cần Bearer Token) =============
 
@@ -138,6 +269,16 @@ router.get('/me', authMiddleware, authController.getUserInfo);
  */
 router.post('/change-password', authMiddleware, changePasswordValidation, authController.changePassword);
 
+/**
+ * @route   PUT /api/auth/me/locale
+ * @desc    Chọn ngôn ngữ cho message response / email (ưu tiên hơn Accept-Language)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { locale } - 'vi' | 'en', null => theo Accept-Language
+ * @return  { locale, accessToken } - dùng access token mới để áp dụng ngay
+ */
+router.put('/me/locale', authMiddleware, updateLocaleValidation, authController.updateLocale);
+
 /**
  * @route   POST /api/auth/logout-all
  * @desc    Đăng xuất khỏi tất cả thiết bị (revoke all refresh tokens)
@@ -146,4 +287,94 @@ router.post('/change-password', authMiddleware, changePasswordValidation, authCo
  */
 router.post('/logout-all', authMiddleware, authController.logoutAllDevices);
 
+/**
+ * @route   POST /api/auth/upgrade
+ * @desc    Nâng cấp tài khoản khách thành tài khoản đầy đủ (giữ nguyên user ID và tiến trình, validate như đăng ký)
+ * @access  Private (tài khoản khách)
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { username, email, password }
+ * @return  { accessToken, refreshToken, user }
+ */
+router.post('/upgrade', authMiddleware, registerValidation, authController.upgradeGuest);
+
+/**
+ * @route   GET /api/auth/identities
+ * @desc    Danh sách tài khoản ngoài đã liên kết
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @return  { identities: [{ id, provider, email, linkedAt, lastUsedAt }], total }
+ */
+router.get('/identities', authMiddleware, identityController.listIdentities);
+
+/**
+ * @route   POST /api/auth/identities/:provider
+ * @desc    Liên kết thêm tài khoản ngoài vào tài khoản hiện tại
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { idToken }
+ */
+router.post('/identities/:provider', authMiddleware, identityTokenValidation, identityController.linkIdentity);
+
+/**
+ * @route   DELETE /api/auth/identities/:id
+ * @desc    Huỷ liên kết tài khoản ngoài (phải còn ít nhất 1 cách đăng nhập)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.delete('/identities/:id', authMiddleware, identityIdValidation, identityController.unlinkIdentity);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Gửi lại email xác thực (có cooldown)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.post('/resend-verification', authMiddleware, authController.resendVerification);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Danh sách thiết bị đang đăng nhập (IP, vị trí gần đúng, lần dùng cuối)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @return  { sessions: [{ id, ipAddress, userAgent, location, lastUsedAt, expiresAt, current }], total }
+ */
+router.get('/sessions', authMiddleware, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Đăng xuất 1 thiết bị (thu hồi refresh token của phiên đó)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.delete('/sessions/:id', authMiddleware, sessionIdValidation, authController.revokeSession);
+
+/**
+ * @route   POST /api/auth/2fa/enroll
+ * @desc    Bắt đầu bật xác thực 2 bước (tạo secret + URI cho app authenticator)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @return  { secret, otpauthUri, digits, period }
+ */
+router.post('/2fa/enroll', authMiddleware, authController.enrollTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Xác nhận bật 2FA bằng mã từ app, nhận recovery codes (chỉ hiện 1 lần)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { code }
+ * @return  { recoveryCodes }
+ */
+router.post('/2fa/confirm', authMiddleware, confirmTwoFactorValidation, authController.confirmTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Tắt xác thực 2 bước (cần mật khẩu và mã TOTP / recovery code)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @header  X-Challenge-Token, X-Challenge-Solution (khi server trả 428)
+ * @body    { password, code }
+ */
+router.post('/2fa/disable', authMiddleware, disableTwoFactorValidation, bruteForceProtection('2fa-disable', { accountField: (req) => req.user.id }), authController.disableTwoFactor);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// src/routes/dungeonRoutes.js - Dungeon Routes
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const dungeonController = require('../controllers/dungeonController');
+const { DUNGEON } = require('../config/game');
+const { validationMessage } = require('../utils/i18n');
+
+// ============= Validation Rules =============
+
+const floorValidation = [
+  query('seed')
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage(validationMessage('SEED_LENGTH', { min: 1, max: 64 }))
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage(validationMessage('SEED_FORMAT')),
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: DUNGEON.MAX_DEPTH })
+    .withMessage(validationMessage('DEPTH_RANGE', { min: 1, max: DUNGEON.MAX_DEPTH }))
+    .toInt()
+];
+
+// ============= Public Routes =============
+
+/**
+ * @route   GET /api/dungeon/floor
+ * @desc    Sinh floor từ seed và độ sâu (cùng seed => cùng layout)
+ * @access  Public
+ * @query   { seed, depth = 1 }
+ * @return  { version, seed, depth, width, height, tiles, rooms, corridors, doors, spawns, treasure: [{ x, y, tier, roomId, drops }] }
+ */
+router.get('/floor', floorValidation, dungeonController.getFloor);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// src/routes/friendRoutes.js - Friends & Blocking Routes
+// Presence (online / in_dungeon / offline) được đẩy realtime qua SocialRoom trên game server
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const friendController = require('../controllers/friendController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { validationMessage } = require('../utils/i18n');
+
+// ============= Validation Rules =============
+
+const sendRequestValidation = [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage(validationMessage('USERNAME_LENGTH', { min: 3, max: 30 }))
+];
+
+const requestIdValidation = [
+  param('requestId')
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('REQUEST_ID_INVALID'))
+    .toInt()
+];
+
+const userIdValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('USER_ID_INVALID'))
+    .toInt()
+];
+
+// ============= Protected Routes (Cần Bearer Token) =============
+
+/**
+ * @route   GET /api/friends
+ * @desc    Danh sách bạn bè, lời mời đến và lời mời đã gửi
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.get('/', authMiddleware, friendController.getFriends);
+
+/**
+ * @route   GET /api/friends/blocked
+ * @desc    Danh sách người chơi đã chặn
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.get('/blocked', authMiddleware, friendController.getBlocked);
+
+/**
+ * @route   POST /api/friends/requests
+ * @desc    Gửi lời mời kết bạn (người kia đã mời mình => chấp nhận luôn)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { username }
+ */
+router.post('/requests', authMiddleware, sendRequestValidation, friendController.sendRequest);
+
+/**
+ * @route   POST /api/friends/requests/:requestId/accept
+ * @desc    Chấp nhận lời mời kết bạn
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.post('/requests/:requestId/accept', authMiddleware, requestIdValidation, friendController.acceptRequest);
+
+/**
+ * @route   POST /api/friends/requests/:requestId/decline
+ * @desc    Từ chối lời mời kết bạn
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.post('/requests/:requestId/decline', authMiddleware, requestIdValidation, friendController.declineRequest);
+
+/**
+ * @route   DELETE /api/friends/:userId
+ * @desc    Huỷ kết bạn hoặc huỷ lời mời đang chờ
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.delete('/:userId', authMiddleware, userIdValidation, friendController.removeFriend);
+
+/**
+ * @route   POST /api/friends/:userId/block
+ * @desc    Chặn người chơi (người bị chặn không thể mời, nhắn tin hay xem presence)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.post('/:userId/block', authMiddleware, userIdValidation, friendController.blockUser);
+
+/**
+ * @route   DELETE /api/friends/:userId/block
+ * @desc    Bỏ chặn người chơi
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.delete('/:userId/block', authMiddleware, userIdValidation, friendController.unblockUser);
+
+module.exports = router;
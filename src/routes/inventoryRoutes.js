@@ -0,0 +1,96 @@
+// src/routes/inventoryRoutes.js - Inventory & Equipment Routes
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const inventoryController = require('../controllers/inventoryController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { EQUIPMENT_SLOTS } = require('../config/items');
+const { validationMessage } = require('../utils/i18n');
+
+// ============= Validation Rules =============
+
+const itemIdValidation = param('itemId')
+  .isInt({ min: 1 })
+  .withMessage(validationMessage('ITEM_ID_INVALID'))
+  .toInt();
+
+const equipValidation = [
+  itemIdValidation,
+  body('slot')
+    .optional()
+    .isIn(Object.keys(EQUIPMENT_SLOTS))
+    .withMessage(validationMessage('SLOT_INVALID'))
+];
+
+const splitValidation = [
+  itemIdValidation,
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('QUANTITY_INVALID'))
+    .toInt()
+];
+
+const discardValidation = [
+  itemIdValidation,
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('QUANTITY_INVALID'))
+    .toInt()
+];
+
+// ============= Public Routes =============
+
+/**
+ * @route   GET /api/inventory/templates
+ * @desc    Danh sách item template (kèm version để client biết khi nào cần tải lại)
+ * @access  Public
+ */
+router.get('/templates', inventoryController.getTemplates);
+
+// ============= Protected Routes (Cần Bearer Token) =============
+
+/**
+ * @route   GET /api/inventory
+ * @desc    Lấy túi đồ và trang bị hiện tại
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.get('/', authMiddleware, inventoryController.getInventory);
+
+/**
+ * @route   POST /api/inventory/:itemId/equip
+ * @desc    Trang bị item (weapon, armor, trinket1, trinket2)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { slot? }
+ */
+router.post('/:itemId/equip', authMiddleware, equipValidation, inventoryController.equipItem);
+
+/**
+ * @route   POST /api/inventory/:itemId/unequip
+ * @desc    Tháo trang bị
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.post('/:itemId/unequip', authMiddleware, [itemIdValidation], inventoryController.unequipItem);
+
+/**
+ * @route   POST /api/inventory/:itemId/split
+ * @desc    Tách stack
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { quantity }
+ */
+router.post('/:itemId/split', authMiddleware, splitValidation, inventoryController.splitStack);
+
+/**
+ * @route   POST /api/inventory/:itemId/discard
+ * @desc    Vứt item (không truyền quantity => vứt cả stack)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { quantity? }
+ */
+router.post('/:itemId/discard', authMiddleware, discardValidation, inventoryController.discardItem);
+
+module.exports = router;
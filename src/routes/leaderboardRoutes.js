@@ -0,0 +1,71 @@
+// src/routes/leaderboardRoutes.js - Leaderboard Routes
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const leaderboardController = require('../controllers/leaderboardController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { LEADERBOARD } = require('../config/game');
+const { validationMessage } = require('../utils/i18n');
+
+// ============= Validation Rules =============
+
+const boardValidation = [
+  param('board')
+    .isIn(Object.keys(LEADERBOARD.BOARDS))
+    .withMessage(validationMessage('BOARD_INVALID')),
+  query('period')
+    .optional()
+    .isIn(LEADERBOARD.PERIODS)
+    .withMessage(validationMessage('PERIOD_INVALID', { periods: LEADERBOARD.PERIODS.join(', ') })),
+  query('season')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('SEASON_INVALID'))
+    .toInt()
+];
+
+const listValidation = [
+  ...boardValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('PAGE_INVALID'))
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: LEADERBOARD.MAX_PAGE_SIZE })
+    .withMessage(validationMessage('LIMIT_RANGE', { min: 1, max: LEADERBOARD.MAX_PAGE_SIZE }))
+    .toInt()
+];
+
+const myRankValidation = [
+  ...boardValidation,
+  query('range')
+    .optional()
+    .isInt({ min: 0, max: 25 })
+    .withMessage(validationMessage('RANGE_INVALID', { min: 0, max: 25 }))
+    .toInt()
+];
+
+// ============= Public Routes =============
+
+/**
+ * @route   GET /api/leaderboards/:board
+ * @desc    Bảng xếp hạng (deepest_floor, fastest_clear, highest_score)
+ * @access  Public
+ * @query   { period = alltime|weekly|season, season?, page = 1, limit = 20 }
+ */
+router.get('/:board', listValidation, leaderboardController.getBoard);
+
+// ============= Protected Routes (Cần Bearer Token) =============
+
+/**
+ * @route   GET /api/leaderboards/:board/me
+ * @desc    Hạng của tôi và các người chơi xung quanh
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @query   { period = alltime|weekly|season, season?, range = 5 }
+ */
+router.get('/:board/me', authMiddleware, myRankValidation, leaderboardController.getMyRank);
+
+module.exports = router;
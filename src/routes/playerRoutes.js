@@ -0,0 +1,44 @@
+// src/routes/playerRoutes.js - Player Profile Routes
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const playerController = require('../controllers/playerController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { CLASSES } = require('../config/game');
+const { validationMessage } = require('../utils/i18n');
+
+// ============= Validation Rules =============
+
+const updateProfileValidation = [
+  body('selectedClass')
+    .optional()
+    .isIn(CLASSES.map((item) => item.id))
+    .withMessage(validationMessage('CLASS_INVALID')),
+  body('selectedSkin')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage(validationMessage('SKIN_INVALID'))
+];
+
+// ============= Protected Routes (Cần Bearer Token) =============
+
+/**
+ * @route   GET /api/players/me
+ * @desc    Lấy profile nhân vật (level, xp, gold, souls, class, skin, stats)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ */
+router.get('/me', authMiddleware, playerController.getMyProfile);
+
+/**
+ * @route   PATCH /api/players/me
+ * @desc    Đổi class / skin đang chọn (phải đã mở khoá)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { selectedClass?, selectedSkin? }
+ */
+router.patch('/me', authMiddleware, updateProfileValidation, playerController.updateMyProfile);
+
+module.exports = router;
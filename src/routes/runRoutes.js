@@ -0,0 +1,86 @@
+// src/routes/runRoutes.js - Run History & Submission Routes
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const runController = require('../controllers/runController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { CLASSES, RUNS } = require('../config/game');
+const { validationMessage } = require('../utils/i18n');
+
+// ============= Validation Rules =============
+
+const submitRunValidation = [
+  body('ticket')
+    .isString()
+    .notEmpty()
+    .withMessage(validationMessage('RUN_TICKET_REQUIRED')),
+  body('classId')
+    .isIn(CLASSES.map((item) => item.id))
+    .withMessage(validationMessage('CLASS_INVALID')),
+  body('loot')
+    .optional()
+    .isArray({ max: RUNS.MAX_LOOT_ENTRIES })
+    .withMessage(validationMessage('LOOT_INVALID', { max: RUNS.MAX_LOOT_ENTRIES })),
+  body('loot.*.templateId')
+    .isString()
+    .withMessage(validationMessage('ITEM_TEMPLATE_INVALID')),
+  body('loot.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('QUANTITY_INVALID'))
+    .toInt(),
+  body('loot.*.rarity')
+    .optional()
+    .isString()
+    .withMessage(validationMessage('RARITY_INVALID')),
+  body('loot.*.affixes')
+    .optional()
+    .isArray()
+    .withMessage(validationMessage('AFFIXES_INVALID')),
+  body('loot.*.affixes.*')
+    .isObject()
+    .withMessage(validationMessage('AFFIX_INVALID')),
+  body('loot.*.affixes.*.id')
+    .isString()
+    .withMessage(validationMessage('AFFIX_ID_INVALID')),
+  body('loot.*.affixes.*.value')
+    .isInt()
+    .withMessage(validationMessage('AFFIX_VALUE_INVALID'))
+    .toInt()
+];
+
+const historyValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(validationMessage('PAGE_INVALID'))
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage(validationMessage('LIMIT_RANGE', { min: 1, max: 100 }))
+    .toInt()
+];
+
+// ============= Protected Routes (Cần Bearer Token) =============
+
+/**
+ * @route   POST /api/runs
+ * @desc    Nộp kết quả run đã kết thúc: ticket do DungeonRoom gửi (message 'runEnded') + loot đã nhặt
+ *          (loot phải khớp drop trong rương sinh từ seed, xem GET /api/dungeon/floor)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @body    { ticket, classId, loot?: [{ templateId, quantity?, rarity?, affixes?: [{ id, value }] }] }
+ */
+router.post('/', authMiddleware, submitRunValidation, runController.submitRun);
+
+/**
+ * @route   GET /api/runs/me
+ * @desc    Lịch sử run của tôi (mới nhất trước)
+ * @access  Private
+ * @header  Authorization: Bearer {accessToken}
+ * @query   { page = 1, limit = 20 }
+ */
+router.get('/me', authMiddleware, historyValidation, runController.getMyRuns);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+// server.js - Colyseus Realtime Game Server
+require('dotenv').config();
+
+const express = require('express');
+const cors = require('cors');
+const { Server } = require('@colyseus/core');
+const { WebSocketTransport } = require('@colyseus/ws-transport');
+const { monitor } = require('@colyseus/monitor');
+
+const { initDatabase, closeDatabase, isDatabaseReady } = require('./config/database');
+const Migrator = require('./database/migrator');
+const { logInfo, logWarn, logError } = require('./config/logger');
+const morganMiddleware = require('./middlewares/morganMiddleware');
+const monitorAuthMiddleware = require('./middlewares/monitorAuthMiddleware');
+const LobbyRoom = require('./rooms/LobbyRoom');
+const DungeonRoom = require('./rooms/DungeonRoom');
+
+let gameServer = null;
+
+/**
+ * Đăng ký các room
+ * Room cần database (qua services) được require sau khi initDatabase() - giống loadRoutes() ở app.js
+ */
+const defineRooms = (server) => {
+  server.define('lobby', LobbyRoom);
+  server.define('dungeon', DungeonRoom);
+
+  // Matchmaking / social đọc bảng game qua Supabase client (DB_BACKEND chỉ đổi bảng tài khoản)
+  if (!isDatabaseReady()) {
+    console.warn('⚠️ WARNING: Supabase not connected, skipping matchmaking / social rooms');
+    logWarn('Game rooms skipped: Supabase not connected', { backend: process.env.DB_BACKEND || 'supabase' });
+    return;
+  }
+
+  try {
+    const MatchmakingRoom = require('./rooms/MatchmakingRoom');
+    server.define('matchmaking', MatchmakingRoom);
+    console.log('✅ Matchmaking room đã được đăng ký.');
+  } catch (roomError) {
+    console.error('❌ Lỗi khi tải matchmaking room:', roomError);
+    console.warn('⚠️ WARNING: Matchmaking room failed to load, continuing without matchmaking');
+  }
+
+  try {
+    const SocialRoom = require('./rooms/SocialRoom');
+    server.define('social', SocialRoom);
+    console.log('✅ Social room đã được đăng ký.');
+  } catch (roomError) {
+    console.error('❌ Lỗi khi tải social room:', roomError);
+    console.warn('⚠️ WARNING: Social room failed to load, continuing without friend presence');
+  }
+};
+
+/**
+ * Cấu hình các HTTP route đi kèm WebSocket server
+ */
+const configureExpress = (app) => {
+  app.use(cors({
+    origin: process.env.CORS_ORIGIN || '*',
+    credentials: true
+  }));
+  app.use(express.json());
+  app.use(morganMiddleware);
+
+  // Colyseus Monitor - chỉ admin (Basic Auth)
+  app.use('/colyseus', monitorAuthMiddleware, monitor());
+
+  app.get('/', (req, res) => {
+    res.json({
+      success: true,
+      message: 'SoulDungeon Game Server',
+      version: '1.0.0',
+      endpoints: {
+        monitor: '/colyseus'
+      }
+    });
+  });
+};
+
+/**
+ * Khởi động Game Server
+ */
+const startGameServer = async () => {
+  const WS_PORT = process.env.WS_PORT || 2567;
+
+  try {
+    await initDatabase();
+  } catch (dbError) {
+    logError('Database initialization failed, game server continuing without database', dbError);
+    console.warn('⚠️ WARNING: Database connection failed, will continue without database support');
+  }
+
+  // Sau initDatabase: backend Supabase kiểm tra migration qua client vừa kết nối
+  if (!(await Migrator.verifyOnStartup())) {
+    throw new Error('Database migrations are pending');
+  }
+
+  gameServer = new Server({
+    transport: new WebSocketTransport({
+      pingInterval: Number(process.env.WS_PING_INTERVAL) || 3000,
+      pingMaxRetries: 3
+    }),
+    // Tự xử lý shutdown bên dưới (giống app.js)
+    gracefullyShutdown: false,
+    greet: false,
+    express: configureExpress
+  });
+
+  defineRooms(gameServer);
+
+  await gameServer.listen(WS_PORT);
+
+  console.log('\n╔════════════════════════════════════════════════════════╗');
+  console.log('║            🎮 SoulDungeon Game Server 🎮             ║');
+  console.log('╠════════════════════════════════════════════════════════╣');
+  console.log(`║  🔌 WebSocket: ws://localhost:${WS_PORT}`.padEnd(57) + '║');
+  console.log(`║  📊 Monitor: http://localhost:${WS_PORT}/colyseus`.padEnd(57) + '║');
+  console.log(`║  📝 Environment: ${process.env.NODE_ENV || 'development'}`.padEnd(57) + '║');
+  console.log('╚════════════════════════════════════════════════════════╝\n');
+
+  logInfo('Game Server started successfully', {
+    port: WS_PORT,
+    environment: process.env.NODE_ENV || 'development'
+  });
+
+  return gameServer;
+};
+
+// ============= Graceful Shutdown =============
+const gracefulShutdown = async (signal) => {
+  logInfo(`${signal} signal received: closing game server`);
+  console.log(`\n🛑 ${signal} received, shutting down game server gracefully...`);
+
+  try {
+    // Dispose tất cả room và đóng transport
+    if (gameServer) {
+      await gameServer.gracefullyShutdown(false);
+    }
+  } catch (err) {
+    logError('Error shutting down game server', err);
+  }
+
+  try {
+    await closeDatabase();
+  } catch (err) {
+    logError('Error closing database', err);
+  }
+
+  process.exit(0);
+};
+
+if (require.main === module) {
+  process.on('unhandledRejection', (reason) => {
+    console.error('\n❌ WS: Unhandled Rejection:', reason);
+    logError('WS: Unhandled Rejection', reason instanceof Error ? reason : new Error(String(reason)));
+  });
+
+  process.on('uncaughtException', (error) => {
+    console.error('\n❌ WS: Uncaught Exception:', error);
+    logError('WS: Uncaught Exception', error);
+    setTimeout(() => {
+      process.exit(1);
+    }, 1000);
+  });
+
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  startGameServer().catch((err) => {
+    console.error('❌ Failed to start game server:', err);
+    logError('Failed to start game server', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { startGameServer };
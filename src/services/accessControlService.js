@@ -0,0 +1,139 @@
+// src/services/accessControlService.js - Role của user và thu hồi access token
+// Access token là JWT không lưu ở server => mỗi user có cột token_version, token mang claim tv.
+// authMiddleware / roomAuth so tv với token_version hiện tại; tăng token_version = mọi access token
+// cũ của user bị từ chối, client refresh để nhận token mới (role / quyền mới).
+const repositories = require('../repositories');
+const { logInfo, logError, logAuth } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const { ROLES, TOKEN_VERSION_CACHE_MS } = require('../config/roles');
+
+// userId -> { version, expiresAt } (version null = user không tồn tại)
+const versionCache = new Map();
+
+const MAX_BUMP_ATTEMPTS = 3;
+
+class AccessControlService {
+  /**
+   * Access token còn hiệu lực không (user còn tồn tại và token_version khớp)
+   */
+  static async isAccessTokenCurrent(decoded) {
+    const version = await this.getTokenVersion(decoded.id);
+    return version !== null && version === decoded.tokenVersion;
+  }
+
+  /**
+   * token_version hiện tại của user (cache TOKEN_VERSION_CACHE_MS), null nếu user không tồn tại
+   */
+  static async getTokenVersion(userId, now = Date.now()) {
+    const key = String(userId);
+    const cached = versionCache.get(key);
+
+    if (cached && cached.expiresAt > now) {
+      return cached.version;
+    }
+
+    const user = await repositories.users.findById(userId, 'token_version');
+
+    const version = user ? user.token_version || 0 : null;
+    versionCache.set(key, { version, expiresAt: now + TOKEN_VERSION_CACHE_MS });
+
+    return version;
+  }
+
+  /**
+   * Vô hiệu hoá mọi access token đã cấp cho user (refresh token không bị ảnh hưởng)
+   * `changes` được ghi cùng lúc với việc tăng token_version
+   */
+  static async invalidateAccessTokens(userId, changes = {}) {
+    for (let attempt = 1; attempt <= MAX_BUMP_ATTEMPTS; attempt++) {
+      const user = await repositories.users.findById(userId, 'token_version');
+
+      if (!user) {
+        return null;
+      }
+
+      const version = (user.token_version || 0) + 1;
+
+      // Chỉ ghi nếu chưa ai tăng token_version từ lúc đọc
+      const updated = await repositories.users.update(userId, {
+        ...changes,
+        token_version: version,
+        updated_at: new Date().toISOString()
+      }, { token_version: user.token_version || 0 });
+
+      if (updated) {
+        versionCache.delete(String(userId));
+        logInfo('Access tokens invalidated', { userId, tokenVersion: version });
+        return version;
+      }
+    }
+
+    throw new Error(`Không cập nhật được token_version sau ${MAX_BUMP_ATTEMPTS} lần thử`);
+  }
+
+  /**
+   * Đổi role của user, access token cũ mang role cũ bị vô hiệu ngay
+   * actor = { id, role } (role lấy từ access token)
+   */
+  static async changeRole(actor, userId, role) {
+    const actorId = actor.id;
+
+    try {
+      logInfo('Change role attempt', { actorId, userId, role });
+
+      if (!Object.values(ROLES).includes(role)) {
+        return failure('ROLE_INVALID');
+      }
+
+      // Tránh admin tự hạ quyền rồi không còn ai quản trị
+      if (String(actorId) === String(userId)) {
+        return failure('ROLE_SELF_CHANGE');
+      }
+
+      // Cùng kiểm tra thứ bậc với các thao tác admin khác: chỉ đổi role của user có role thấp hơn actor
+      // (require trong hàm vì AdminService require service này)
+      const AdminService = require('./adminService');
+      const target = await AdminService.findManageableUser(actor, userId);
+
+      if (!target.success) {
+        return target;
+      }
+
+      const { user } = target;
+
+      if (user.role === role) {
+        return failure('ROLE_UNCHANGED');
+      }
+
+      await this.invalidateAccessTokens(userId, { role });
+
+      logAuth('role_changed', userId, user.email, true, { actorId, from: user.role, to: role });
+      logInfo('Change role successful', { actorId, userId, from: user.role, to: role });
+
+      return {
+        success: true,
+        messageKey: 'ROLE_CHANGED',
+        data: {
+          userId: user.id,
+          role,
+          previousRole: user.role
+        }
+      };
+    } catch (error) {
+      logError('Change role error', error, { actorId, userId, role });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+}
+
+// Dọn cache hết hạn để Map không lớn dần theo số user từng gọi API
+setInterval(() => {
+  const now = Date.now();
+  versionCache.forEach((entry, key) => {
+    if (entry.expiresAt <= now) {
+      versionCache.delete(key);
+    }
+  });
+}, TOKEN_VERSION_CACHE_MS * 6).unref();
+
+module.exports = AccessControlService;
@@ -0,0 +1,336 @@
+// src/services/adminService.js - Quản trị user (tìm kiếm, khoá, buộc đăng xuất / đổi mật khẩu...)
+// actor = { id, role, ipAddress } của admin / moderator đang thao tác.
+// Mọi thao tác (kể cả xem) được ghi vào bảng admin_audit_log.
+const repositories = require('../repositories');
+const { logInfo, logError, logAuth } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const { ROLE_RANK, ROLES } = require('../config/roles');
+const { lookupLocation } = require('../utils/geoip');
+const AuthService = require('./authService');
+const AccessControlService = require('./accessControlService');
+const MailService = require('./mailService');
+
+const USER_COLUMNS = 'id, username, email, role, is_active, email_verified, is_guest, two_factor_enabled, password_reset_required, created_at, updated_at, last_login, login_count';
+
+class AdminService {
+  /**
+   * Danh sách user: tìm theo username / email, lọc theo trạng thái và ngày tạo
+   */
+  static async listUsers(actor, { search = null, isActive = null, emailVerified = null, role = null, createdFrom = null, createdTo = null, page = 1, limit }) {
+    try {
+      const { rows: users, total } = await repositories.users.search({
+        search,
+        isActive,
+        emailVerified,
+        role,
+        createdFrom,
+        createdTo,
+        offset: (page - 1) * limit,
+        limit
+      }, USER_COLUMNS);
+
+      await this.recordAudit(actor, 'users.list', null, { search, isActive, emailVerified, role, createdFrom, createdTo, page, limit });
+
+      return {
+        success: true,
+        data: {
+          page,
+          limit,
+          total,
+          users
+        }
+      };
+    } catch (error) {
+      logError('Admin list users error', error, { actorId: actor.id });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Chi tiết 1 user
+   */
+  static async getUser(actor, userId) {
+    try {
+      const user = await this.findUser(userId);
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      await this.recordAudit(actor, 'users.view', userId);
+
+      return {
+        success: true,
+        data: user
+      };
+    } catch (error) {
+      logError('Admin get user error', error, { actorId: actor.id, userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Khoá tài khoản (is_active = false), đăng xuất khỏi mọi thiết bị ngay
+   */
+  static async banUser(actor, userId, reason = null) {
+    try {
+      const target = await this.findManageableUser(actor, userId);
+      if (!target.success) {
+        return target;
+      }
+
+      if (!target.user.is_active) {
+        return failure('ACCOUNT_ALREADY_BANNED');
+      }
+
+      await AccessControlService.invalidateAccessTokens(userId, { is_active: false });
+      await AuthService.logoutAllDevices(userId);
+
+      await this.recordAudit(actor, 'users.ban', userId, { reason });
+      logInfo('User banned', { actorId: actor.id, userId, reason });
+
+      return {
+        success: true,
+        messageKey: 'USER_BANNED'
+      };
+    } catch (error) {
+      logError('Admin ban user error', error, { actorId: actor.id, userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Mở khoá tài khoản
+   */
+  static async unbanUser(actor, userId, reason = null) {
+    try {
+      const target = await this.findManageableUser(actor, userId);
+      if (!target.success) {
+        return target;
+      }
+
+      if (target.user.is_active) {
+        return failure('ACCOUNT_NOT_BANNED');
+      }
+
+      await repositories.users.update(userId, {
+        is_active: true,
+        updated_at: new Date().toISOString()
+      });
+
+      await this.recordAudit(actor, 'users.unban', userId, { reason });
+      logInfo('User unbanned', { actorId: actor.id, userId, reason });
+
+      return {
+        success: true,
+        messageKey: 'USER_UNBANNED'
+      };
+    } catch (error) {
+      logError('Admin unban user error', error, { actorId: actor.id, userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Buộc đăng xuất: thu hồi mọi refresh token và vô hiệu access token đang dùng
+   */
+  static async forceLogout(actor, userId) {
+    try {
+      const target = await this.findManageableUser(actor, userId);
+      if (!target.success) {
+        return target;
+      }
+
+      await AccessControlService.invalidateAccessTokens(userId);
+      await AuthService.logoutAllDevices(userId);
+
+      await this.recordAudit(actor, 'users.force_logout', userId);
+      logInfo('User force logged out', { actorId: actor.id, userId });
+
+      return {
+        success: true,
+        messageKey: 'USER_SESSIONS_REVOKED'
+      };
+    } catch (error) {
+      logError('Admin force logout error', error, { actorId: actor.id, userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Buộc đổi mật khẩu: đăng xuất mọi thiết bị, chặn login bằng mật khẩu cũ, gửi email reset
+   */
+  static async forcePasswordReset(actor, userId, locale = null) {
+    try {
+      const target = await this.findManageableUser(actor, userId);
+      if (!target.success) {
+        return target;
+      }
+
+      const { user } = target;
+
+      if (!user.email) {
+        return failure('USER_EMAIL_MISSING');
+      }
+
+      await AccessControlService.invalidateAccessTokens(userId, { password_reset_required: true });
+      await AuthService.logoutAllDevices(userId);
+
+      const resetToken = await AuthService.createPasswordReset(userId);
+      MailService.sendPasswordReset(user, resetToken, locale);
+
+      await this.recordAudit(actor, 'users.force_password_reset', userId);
+      logInfo('User forced to reset password', { actorId: actor.id, userId });
+
+      return {
+        success: true,
+        messageKey: 'USER_PASSWORD_RESET_FORCED'
+      };
+    } catch (error) {
+      logError('Admin force password reset error', error, { actorId: actor.id, userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Đổi role (ghi audit, logic nằm ở AccessControlService)
+   */
+  static async changeRole(actor, userId, role) {
+    // Chỉ admin gán được role admin (hiện chỉ admin có quyền users:role, chặn thêm cho chắc)
+    if (role === ROLES.ADMIN && actor.role !== ROLES.ADMIN) {
+      return failure('ADMIN_GRANT_FORBIDDEN');
+    }
+
+    const result = await AccessControlService.changeRole(actor, userId, role);
+
+    if (result.success) {
+      await this.recordAudit(actor, 'users.change_role', userId, {
+        from: result.data.previousRole,
+        to: result.data.role
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Lịch sử đăng nhập của user (mới nhất trước)
+   */
+  static async getLoginHistory(actor, userId, { page = 1, limit }) {
+    try {
+      const user = await this.findUser(userId);
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      const { rows: history, total } = await repositories.loginHistory.listForUser(userId, {
+        offset: (page - 1) * limit,
+        limit
+      });
+
+      await this.recordAudit(actor, 'users.view_login_history', userId, { page, limit });
+
+      return {
+        success: true,
+        data: {
+          page,
+          limit,
+          total,
+          history: history.map((entry) => ({
+            id: entry.id,
+            ipAddress: entry.ip_address,
+            userAgent: entry.user_agent,
+            location: lookupLocation(entry.ip_address),
+            success: entry.success,
+            createdAt: entry.created_at
+          }))
+        }
+      };
+    } catch (error) {
+      logError('Admin get login history error', error, { actorId: actor.id, userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Xem audit log (lọc theo người thao tác / user bị tác động / hành động)
+   */
+  static async getAuditLog(actor, { actorId = null, targetUserId = null, action = null, page = 1, limit }) {
+    try {
+      const offset = (page - 1) * limit;
+
+      const { rows: entries, total } = await repositories.auditLog.list({ actorId, targetUserId, action, offset, limit });
+
+      await this.recordAudit(actor, 'audit.view', null, { actorId, targetUserId, action, page, limit });
+
+      return {
+        success: true,
+        data: {
+          page,
+          limit,
+          total,
+          entries
+        }
+      };
+    } catch (error) {
+      logError('Admin get audit log error', error, { actorId: actor.id });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  static async findUser(userId) {
+    return repositories.users.findById(userId, USER_COLUMNS);
+  }
+
+  /**
+   * User tồn tại và actor được phép thao tác (không phải chính mình, role thấp hơn actor)
+   */
+  static async findManageableUser(actor, userId) {
+    if (String(actor.id) === String(userId)) {
+      return failure('ADMIN_SELF_ACTION');
+    }
+
+    const user = await this.findUser(userId);
+    if (!user) {
+      return failure('USER_NOT_FOUND');
+    }
+
+    if (!canManage(actor.role, user.role)) {
+      return failure('ADMIN_TARGET_OUTRANKS');
+    }
+
+    return {
+      success: true,
+      user
+    };
+  }
+
+  /**
+   * Ghi audit log (lỗi ghi không làm hỏng thao tác, nhưng vẫn còn trong log file)
+   */
+  static async recordAudit(actor, action, targetUserId = null, details = {}) {
+    logAuth(`admin:${action}`, targetUserId, null, true, { actorId: actor.id, actorRole: actor.role, ip: actor.ipAddress, details });
+
+    try {
+      await repositories.auditLog.create({
+        actor_id: actor.id,
+        actor_role: actor.role,
+        action,
+        target_user_id: targetUserId,
+        details,
+        ip_address: actor.ipAddress
+      });
+    } catch (error) {
+      logError('Record admin audit error', error, { actorId: actor.id, action, targetUserId });
+    }
+  }
+}
+
+// ============= Helper Functions =============
+
+function canManage(actorRole, targetRole) {
+  return (ROLE_RANK[actorRole] || 0) > (ROLE_RANK[targetRole] || 0);
+}
+
+module.exports = AdminService;
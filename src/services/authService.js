@@ -1,113 +1,75 @@
 // src/services/authService.js - Timezone Fixed
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { supabase } = require('../config/database');
-const { logInfo, logError } = require('../config/logger');
+const repositories = require('../repositories');
+const { logInfo, logWarn, logError, logAuth } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const { signAccessToken, signTwoFactorToken, verifyTwoFactorToken } = require('../utils/token');
+const { lookupLocation } = require('../utils/geoip');
+const totp = require('../utils/totp');
+const { EMAIL_VERIFICATION, PASSWORD_RESET, TWO_FACTOR, GUEST } = require('../config/auth');
+const MailService = require('./mailService');
+const ThrottleService = require('./throttleService');
 
 class AuthService {
   /**
    * Register
    */
-  static async register(username, email, password) {
+  static async register(username, email, password, locale = null) {
     try {
       logInfo('Register attempt', { username, email });
 
-      const { data: existingEmail, error: emailCheckError } = await supabase
-        .from('users')
-        .select('id')
-        .eq('email', email)
-        .maybeSingle();
-
-      if (emailCheckError && emailCheckError.code !== 'PGRST116') {
-        throw emailCheckError;
-      }
-
-      if (existingEmail) {
-        logInfo('Register failed: Email already exists', { email });
-        return {
-          success: false,
-          message: 'Email đã được sử dụng'
-        };
-      }
-
-      const { data: existingUsername, error: usernameCheckError } = await supabase
-        .from('users')
-        .select('id')
-        .eq('username', username)
-        .maybeSingle();
-
-      if (usernameCheckError && usernameCheckError.code !== 'PGRST116') {
-        throw usernameCheckError;
-      }
-
-      if (existingUsername) {
-        logInfo('Register failed: Username already exists', { username });
-        return {
-          success: false,
-          message: 'Username đã được sử dụng'
-        };
+      const conflict = await this.findAccountConflict(email, username);
+      if (conflict) {
+        logInfo('Register failed: Account already exists', { username, email, reason: conflict });
+        return failure(conflict);
       }
 
       const hashedPassword = await bcrypt.hash(password, 10);
 
-      const { data: newUser, error: insertError } = await supabase
-        .from('users')
-        .insert([
-          {
-            username,
-            email,
-            password: hashedPassword,
-            is_active: true,
-            email_verified: false,
-            login_count: 0
-          }
-        ])
-        .select()
-        .single();
+      // User + refresh token ghi cùng 1 transaction => không còn user tạo xong mà không có phiên
+      const sessionId = crypto.randomUUID();
+      const { user: newUser, refreshToken: tokenRow } = await repositories.accounts.register(
+        { username, email, password: hashedPassword },
+        newRefreshToken({ familyId: sessionId })
+      );
 
-      if (insertError) {
-        logError('Insert user error', insertError, { username, email });
-        throw insertError;
-      }
+      const accessToken = signAccessToken(newUser, sessionId);
+      const refreshToken = tokenRow.token;
 
-      const { accessToken, refreshToken } = await this.generateTokens(newUser);
+      // Lỗi tạo token xác thực không làm hỏng đăng ký, user có thể yêu cầu gửi lại
+      const verificationToken = await this.createEmailVerification(newUser.id)
+        .catch((error) => {
+          logError('Create email verification error', error, { userId: newUser.id });
+          return null;
+        });
 
-      delete newUser.password;
+      if (verificationToken) {
+        // Không await: gửi mail (có retry) không làm chậm response
+        MailService.sendEmailVerification(newUser, verificationToken, locale);
+      }
 
       logInfo('Register successful', { userId: newUser.id, email });
 
       return {
         success: true,
-        message: 'Đăng ký thành công',
+        messageKey: 'REGISTERED',
         data: {
           accessToken,
           refreshToken,
-          user: newUser
+          user: toPublicUser(newUser),
+          verificationToken: process.env.NODE_ENV === 'development' ? verificationToken : undefined
         }
       };
     } catch (error) {
       logError('Register error', error, { username, email });
-      
-      if (error.code === '23505') {
-        if (error.message.includes('users_email_key')) {
-          return {
-            success: false,
-            message: 'Email đã được sử dụng'
-          };
-        }
-        if (error.message.includes('users_username_key')) {
-          return {
-            success: false,
-            message: 'Username đã được sử dụng'
-          };
-        }
+
+      const conflict = uniqueViolationCode(error);
+      if (conflict) {
+        return failure(conflict);
       }
 
-      return {
-        success: false,
-        message: 'Lỗi server khi đăng ký'
-      };
+      return failure('INTERNAL_ERROR');
     }
   }
 
@@ -118,74 +80,266 @@ class AuthService {
     try {
       logInfo('Login attempt', { email, ip: ipAddress });
 
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('*')
-        .eq('email', email)
-        .maybeSingle();
-
-      if (error && error.code !== 'PGRST116') {
-        throw error;
-      }
+      const user = await repositories.users.findByEmail(email);
 
       if (!user) {
         await this.logLoginHistory(null, ipAddress, userAgent, false);
         logInfo('Login failed: User not found', { email });
-        return {
-          success: false,
-          message: 'Email hoặc mật khẩu không đúng'
-        };
+        return failure('AUTH_INVALID_CREDENTIALS');
       }
 
       if (!user.is_active) {
         logInfo('Login failed: Account locked', { email, userId: user.id });
-        return {
-          success: false,
-          message: 'Tài khoản đã bị khóa. Vui lòng liên hệ admin.'
-        };
+        return failure('AUTH_ACCOUNT_LOCKED');
       }
 
-      const isPasswordValid = await bcrypt.compare(password, user.password);
+      // Tài khoản khách / chỉ đăng nhập bằng tài khoản ngoài không có mật khẩu
+      const isPasswordValid = Boolean(user.password) && await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
         await this.logLoginHistory(user.id, ipAddress, userAgent, false);
         logInfo('Login failed: Invalid password', { email });
-        return {
-          success: false,
-          message: 'Email hoặc mật khẩu không đúng'
-        };
+        return failure('AUTH_INVALID_CREDENTIALS');
+      }
+
+      // Admin yêu cầu đổi mật khẩu (nghi lộ mật khẩu) => phải reset qua email trước
+      if (user.password_reset_required) {
+        logInfo('Login failed: Password reset required', { email, userId: user.id });
+        return failure('AUTH_PASSWORD_RESET_REQUIRED');
+      }
+
+      return await this.startSession(user, ipAddress, userAgent);
+    } catch (error) {
+      logError('Login error', error, { email });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Login bước 2: challenge token (từ /login) + mã TOTP hoặc recovery code
+   */
+  static async loginWithTwoFactor(challengeToken, code, ipAddress = null, userAgent = null) {
+    try {
+      logInfo('Login 2FA attempt', { ip: ipAddress });
+
+      let challenge;
+      try {
+        challenge = verifyTwoFactorToken(challengeToken);
+      } catch (error) {
+        logInfo('Login 2FA failed: Invalid challenge token', { error: error.message });
+        return failure('TWO_FACTOR_CHALLENGE_EXPIRED');
+      }
+
+      const { userId } = challenge;
+
+      // Mỗi challenge token chỉ được nhập mã MAX_CHALLENGE_ATTEMPTS lần (trừ lượt trước khi kiểm tra mã
+      // => gửi song song cũng không vượt), hết lượt => phải đăng nhập lại bằng mật khẩu
+      const attemptKey = `login-2fa:challenge:${challenge.challengeId}`;
+      if (!ThrottleService.takeAttempt(attemptKey, TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS, challenge.expiresAt)) {
+        logInfo('Login 2FA failed: Challenge attempts exhausted', { userId });
+        return failure('TWO_FACTOR_CHALLENGE_EXPIRED');
       }
 
-      await supabase
-        .from('users')
-        .update({ 
-          last_login: new Date().toISOString(),
-          login_count: user.login_count + 1
-        })
-        .eq('id', user.id);
+      const user = await repositories.users.findById(userId);
 
-      const { accessToken, refreshToken } = await this.generateTokens(user, ipAddress, userAgent);
+      // 2FA bị tắt / tài khoản bị khoá sau khi nhận challenge token
+      if (!user || !user.is_active || !user.two_factor_enabled) {
+        logInfo('Login 2FA failed: User unavailable', { userId });
+        return failure('TWO_FACTOR_CHALLENGE_EXPIRED');
+      }
+
+      const method = await this.verifySecondFactor(user, code);
+      if (!method) {
+        await this.logLoginHistory(user.id, ipAddress, userAgent, false);
+        logInfo('Login 2FA failed: Invalid code', { userId });
+        return failure('TWO_FACTOR_INVALID_CODE');
+      }
 
-      await this.logLoginHistory(user.id, ipAddress, userAgent, true);
+      // Challenge token đã dùng xong, không đăng nhập lại được bằng token này
+      ThrottleService.exhaustAttempts(attemptKey);
 
-      delete user.password;
+      logInfo('Login 2FA verified', { userId, method });
 
-      logInfo('Login successful', { userId: user.id, email });
+      return await this.completeLogin(user, ipAddress, userAgent);
+    } catch (error) {
+      logError('Login 2FA error', error);
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Guest Login - chơi thử không cần đăng ký
+   * Mỗi device ID gắn với 1 tài khoản khách: lần đầu tạo mới, lần sau đăng nhập lại tài khoản đó
+   */
+  static async loginAsGuest(deviceId, ipAddress = null, userAgent = null) {
+    try {
+      logInfo('Guest login attempt', { deviceId, ip: ipAddress });
+
+      let guest = await this.findGuestByDevice(deviceId);
+
+      if (!guest) {
+        try {
+          guest = await repositories.users.create({
+            username: GUEST.USERNAME_PREFIX + crypto.randomBytes(6).toString('hex'),
+            email: null,
+            password: null,
+            is_guest: true,
+            device_id: deviceId,
+            is_active: true,
+            email_verified: false,
+            login_count: 0
+          });
+          logInfo('Guest account created', { userId: guest.id, deviceId });
+        } catch (insertError) {
+          // 2 request cùng device ID tạo song song => request sau dùng tài khoản request trước đã tạo
+          if (insertError.code !== '23505' || !insertError.message.includes('device_id')) {
+            throw insertError;
+          }
+          guest = await this.findGuestByDevice(deviceId);
+        }
+      }
+
+      if (!guest.is_active) {
+        logInfo('Guest login failed: Account locked', { userId: guest.id });
+        return failure('AUTH_ACCOUNT_LOCKED');
+      }
+
+      return await this.completeLogin(guest, ipAddress, userAgent);
+    } catch (error) {
+      logError('Guest login error', error, { deviceId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Upgrade Guest - gắn username / email / mật khẩu vào tài khoản khách
+   * Giữ nguyên user ID nên profile, inventory, bảng xếp hạng, bạn bè... không đổi
+   */
+  static async upgradeGuest(userId, username, email, password, locale = null, ipAddress = null, userAgent = null) {
+    try {
+      logInfo('Upgrade guest attempt', { userId, username, email });
+
+      const user = await repositories.users.findById(userId, 'id, is_guest');
+
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (!user.is_guest) {
+        return failure('AUTH_ALREADY_REGISTERED');
+      }
+
+      const conflict = await this.findAccountConflict(email, username);
+      if (conflict) {
+        logInfo('Upgrade guest failed: Account already exists', { userId, reason: conflict });
+        return failure(conflict);
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Chỉ cập nhật khi vẫn là khách => 2 request nâng cấp song song thì request sau thất bại
+      const upgraded = await repositories.users.update(userId, {
+        username,
+        email,
+        password: hashedPassword,
+        is_guest: false,
+        device_id: null,
+        email_verified: false,
+        updated_at: new Date().toISOString()
+      }, { is_guest: true });
+
+      if (!upgraded) {
+        return failure('AUTH_ALREADY_REGISTERED');
+      }
+
+      // Token cũ mang claim guest => thu hồi và cấp token mới
+      await this.logoutAllDevices(userId);
+      const { accessToken, refreshToken } = await this.generateTokens(upgraded, ipAddress, userAgent);
+
+      const verificationToken = await this.createEmailVerification(userId)
+        .catch((verificationError) => {
+          logError('Create email verification error', verificationError, { userId });
+          return null;
+        });
+
+      if (verificationToken) {
+        MailService.sendEmailVerification(upgraded, verificationToken, locale);
+      }
+
+      logAuth('guest_upgraded', userId, email, true);
+      logInfo('Upgrade guest successful', { userId, email });
 
       return {
         success: true,
-        message: 'Đăng nhập thành công',
+        messageKey: 'GUEST_UPGRADED',
         data: {
           accessToken,
           refreshToken,
-          user
+          user: toPublicUser(upgraded),
+          verificationToken: process.env.NODE_ENV === 'development' ? verificationToken : undefined
         }
       };
     } catch (error) {
-      logError('Login error', error, { email });
+      logError('Upgrade guest error', error, { userId, username, email });
+
+      const conflict = uniqueViolationCode(error);
+      if (conflict) {
+        return failure(conflict);
+      }
+
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Xoá tài khoản khách không hoạt động quá GUEST.INACTIVE_DAYS ngày (chạy định kỳ)
+   * Hoạt động = lần login cuối hoặc lần refresh token cuối.
+   * Dữ liệu liên quan (profile, inventory, refresh token...) bị xoá theo ON DELETE CASCADE.
+   */
+  static async cleanupInactiveGuests() {
+    try {
+      const cutoff = new Date(Date.now() - GUEST.INACTIVE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      let offset = 0;
+      let deleted = 0;
+
+      while (true) {
+        const candidateIds = await repositories.users.findInactiveGuestIds(cutoff, {
+          offset,
+          limit: GUEST.CLEANUP_BATCH_SIZE
+        });
+
+        if (candidateIds.length === 0) {
+          break;
+        }
+
+        // Vẫn refresh token gần đây (game mở liên tục, không login lại) => còn hoạt động
+        const recentUserIds = await repositories.refreshTokens.findUserIdsActiveSince(candidateIds, cutoff);
+
+        const activeIds = new Set(recentUserIds.map(String));
+        const staleIds = candidateIds.filter((id) => !activeIds.has(String(id)));
+
+        if (staleIds.length > 0) {
+          deleted += await repositories.users.deleteGuests(staleIds);
+        }
+
+        if (candidateIds.length < GUEST.CLEANUP_BATCH_SIZE) {
+          break;
+        }
+
+        // Dòng đã xoá biến mất khỏi kết quả => chỉ bỏ qua các tài khoản còn hoạt động
+        offset += activeIds.size;
+      }
+
+      if (deleted > 0) {
+        logInfo('Inactive guests cleaned up', { deleted, cutoff });
+      }
+
       return {
-        success: false,
-        message: 'Lỗi server khi đăng nhập'
+        success: true,
+        data: { deleted }
       };
+    } catch (error) {
+      logError('Cleanup inactive guests error', error);
+      return failure('INTERNAL_ERROR');
     }
   }
 
@@ -197,36 +351,19 @@ class AuthService {
       logInfo('Logout attempt');
 
       if (!refreshToken) {
-        return {
-          success: false,
-          message: 'Refresh token không được để trống'
-        };
+        return failure('REFRESH_TOKEN_MISSING');
       }
 
-      const { error } = await supabase
-        .from('refresh_tokens')
-        .update({ 
-          revoked: true,
-          revoked_at: new Date().toISOString()
-        })
-        .eq('token', refreshToken)
-        .eq('revoked', false);
-
-      if (error) {
-        throw error;
-      }
+      await repositories.refreshTokens.revokeByToken(refreshToken);
 
       logInfo('Logout successful');
       return {
         success: true,
-        message: 'Đăng xuất thành công'
+        messageKey: 'LOGGED_OUT'
       };
     } catch (error) {
       logError('Logout error', error);
-      return {
-        success: false,
-        message: 'Lỗi khi đăng xuất'
-      };
+      return failure('INTERNAL_ERROR');
     }
   }
 
@@ -237,117 +374,100 @@ class AuthService {
     try {
       logInfo('Logout all devices', { userId });
 
-      const { error } = await supabase
-        .from('refresh_tokens')
-        .update({ 
-          revoked: true,
-          revoked_at: new Date().toISOString()
-        })
-        .eq('user_id', userId)
-        .eq('revoked', false);
-
-      if (error) {
-        throw error;
-      }
+      await repositories.refreshTokens.revokeAllForUser(userId);
 
       logInfo('Logout all devices successful', { userId });
       return {
         success: true,
-        message: 'Đã đăng xuất khỏi tất cả thiết bị'
+        messageKey: 'LOGGED_OUT_ALL'
       };
     } catch (error) {
       logError('Logout all devices error', error, { userId });
-      return {
-        success: false,
-        message: 'Lỗi khi đăng xuất'
-      };
+      return failure('INTERNAL_ERROR');
     }
   }
 
   /**
    * Refresh Access Token
+   * Mỗi lần refresh cấp refresh token mới (cùng family), token cũ bị thu hồi.
+   * Token đã rotate mà bị dùng lại => coi như bị đánh cắp, thu hồi cả family.
    */
-  static async refreshAccessToken(refreshToken) {
+  static async refreshAccessToken(refreshToken, ipAddress = null, userAgent = null) {
     try {
       logInfo('Refresh token attempt');
 
       if (!refreshToken) {
-        return {
-          success: false,
-          message: 'Refresh token không được để trống'
-        };
+        return failure('REFRESH_TOKEN_MISSING');
       }
 
-      const { data: tokenData, error } = await supabase
-        .from('refresh_tokens')
-        .select('*')
-        .eq('token', refreshToken)
-        .eq('revoked', false)
-        .maybeSingle();
+      const tokenData = await repositories.refreshTokens.findByToken(refreshToken);
 
-      if (error && error.code !== 'PGRST116') {
-        throw error;
+      if (!tokenData) {
+        logInfo('Refresh token failed: Token not found');
+        return failure('REFRESH_TOKEN_INVALID');
       }
 
-      if (!tokenData) {
-        logInfo('Refresh token failed: Token not found or revoked');
-        return {
-          success: false,
-          message: 'Refresh token không hợp lệ hoặc đã bị thu hồi'
-        };
+      if (tokenData.revoked) {
+        if (tokenData.replaced_by) {
+          await this.handleRefreshTokenReuse(tokenData, ipAddress, userAgent);
+          return failure('SESSION_COMPROMISED');
+        }
+
+        logInfo('Refresh token failed: Token revoked', { userId: tokenData.user_id });
+        return failure('REFRESH_TOKEN_INVALID');
       }
 
-      // ✅ FIX: Force UTC timezone
-      const expiresAt = new Date(tokenData.expires_at + 'Z');
-      if (expiresAt < new Date()) {
+      if (toUtcDate(tokenData.expires_at) < new Date()) {
         logInfo('Refresh token failed: Token expired');
-        return {
-          success: false,
-          message: 'Refresh token đã hết hạn. Vui lòng đăng nhập lại.'
-        };
+        return failure('REFRESH_TOKEN_EXPIRED');
       }
 
-      const { data: user, error: userError } = await supabase
-        .from('users')
-        .select('id, username, email, is_active')
-        .eq('id', tokenData.user_id)
-        .maybeSingle();
+      const user = await repositories.users.findById(
+        tokenData.user_id,
+        'id, username, email, is_active, is_guest, role, token_version, locale'
+      );
 
-      if (userError || !user) {
-        return {
-          success: false,
-          message: 'User không tồn tại'
-        };
+      if (!user) {
+        return failure('USER_NOT_FOUND');
       }
 
       if (!user.is_active) {
-        return {
-          success: false,
-          message: 'Tài khoản đã bị khóa'
-        };
+        return failure('AUTH_ACCOUNT_LOCKED');
       }
 
-      const accessToken = jwt.sign(
-        { id: user.id, email: user.email, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '15m' }
-      );
+      // Token cấp trước khi có rotation chưa có family => mở family mới từ token này
+      const familyId = tokenData.family_id || crypto.randomUUID();
 
-      logInfo('Refresh token successful', { userId: user.id });
+      const tokens = await this.generateTokens(user, ipAddress, userAgent, {
+        familyId,
+        parentId: tokenData.id
+      });
+
+      // Chỉ thu hồi nếu token cũ vẫn còn hiệu lực => 2 request refresh cùng 1 token
+      // thì request sau không cập nhật được dòng nào và bị coi là dùng lại
+      const rotated = await repositories.refreshTokens.rotate(tokenData.id, {
+        familyId,
+        replacedBy: tokens.refreshTokenId
+      });
+
+      if (!rotated) {
+        await this.handleRefreshTokenReuse(tokenData, ipAddress, userAgent);
+        return failure('SESSION_COMPROMISED');
+      }
+
+      logInfo('Refresh token successful', { userId: user.id, familyId });
 
       return {
         success: true,
-        message: 'Refresh token thành công',
+        messageKey: 'TOKEN_REFRESHED',
         data: {
-          accessToken
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken
         }
       };
     } catch (error) {
       logError('Refresh token error', error);
-      return {
-        success: false,
-        message: 'Lỗi khi refresh token'
-      };
+      return failure('INTERNAL_ERROR');
     }
   }
 
@@ -356,21 +476,13 @@ class AuthService {
    */
   static async getUserInfo(userId) {
     try {
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('id, username, email, created_at, updated_at, last_login, login_count, email_verified, is_active')
-        .eq('id', userId)
-        .maybeSingle();
-
-      if (error && error.code !== 'PGRST116') {
-        throw error;
-      }
+      const user = await repositories.users.findById(
+        userId,
+        'id, username, email, created_at, updated_at, last_login, login_count, email_verified, is_active, is_guest, role, two_factor_enabled, locale'
+      );
 
       if (!user) {
-        return {
-          success: false,
-          message: 'User không tồn tại'
-        };
+        return failure('USER_NOT_FOUND');
       }
 
       return {
@@ -379,10 +491,38 @@ class AuthService {
       };
     } catch (error) {
       logError('Get user info error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Update Locale - ngôn ngữ response / email của user (null => theo Accept-Language)
+   * Trả access token mới mang claim lng để áp dụng ngay, token cũ dùng ngôn ngữ cũ tới khi hết hạn
+   */
+  static async updateLocale(userId, locale, sessionId = null) {
+    try {
+      const user = await repositories.users.update(userId, {
+        locale,
+        updated_at: new Date().toISOString()
+      });
+
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      logInfo('Locale updated', { userId, locale });
+
       return {
-        success: false,
-        message: 'Lỗi server'
+        success: true,
+        messageKey: 'LOCALE_UPDATED',
+        data: {
+          locale: user.locale,
+          accessToken: signAccessToken(user, sessionId)
+        }
       };
+    } catch (error) {
+      logError('Update locale error', error, { userId });
+      return failure('INTERNAL_ERROR');
     }
   }
 
@@ -393,41 +533,28 @@ class AuthService {
     try {
       logInfo('Change password attempt', { userId });
 
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('password')
-        .eq('id', userId)
-        .maybeSingle();
+      const user = await repositories.users.findById(userId, 'password');
 
-      if (error || !user) {
-        return {
-          success: false,
-          message: 'User không tồn tại'
-        };
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (!user.password) {
+        return failure('AUTH_PASSWORD_NOT_SET');
       }
 
       const isPasswordValid = await bcrypt.compare(oldPassword, user.password);
       if (!isPasswordValid) {
         logInfo('Change password failed: Invalid old password', { userId });
-        return {
-          success: false,
-          message: 'Mật khẩu cũ không đúng'
-        };
+        return failure('AUTH_WRONG_PASSWORD');
       }
 
       const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-      const { error: updateError } = await supabase
-        .from('users')
-        .update({ 
-          password: hashedPassword,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', userId);
-
-      if (updateError) {
-        throw updateError;
-      }
+      await repositories.users.update(userId, {
+        password: hashedPassword,
+        updated_at: new Date().toISOString()
+      });
 
       await this.logoutAllDevices(userId);
 
@@ -435,14 +562,11 @@ class AuthService {
 
       return {
         success: true,
-        message: 'Đổi mật khẩu thành công. Vui lòng đăng nhập lại trên tất cả thiết bị.'
+        messageKey: 'PASSWORD_CHANGED'
       };
     } catch (error) {
       logError('Change password error', error, { userId });
-      return {
-        success: false,
-        message: 'Lỗi server khi đổi mật khẩu'
-      };
+      return failure('INTERNAL_ERROR');
     }
   }
 
@@ -450,57 +574,36 @@ class AuthService {
    * Forgot Password
    * ✅ FIX: Lưu timestamp với 'Z' để force UTC
    */
-  static async forgotPassword(email) {
+  static async forgotPassword(email, locale = null) {
     try {
       logInfo('Forgot password attempt', { email });
 
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('id, email, username')
-        .eq('email', email)
-        .maybeSingle();
-
-      if (error && error.code !== 'PGRST116') {
-        throw error;
-      }
+      const user = await repositories.users.findByEmail(email, 'id, email, username');
 
+      // Cùng 1 message cho mọi trường hợp => không lộ email có tồn tại hay không
       if (!user) {
         logInfo('Forgot password: User not found', { email });
         return {
           success: true,
-          message: 'Nếu email tồn tại trong hệ thống, link reset password đã được gửi đến email của bạn'
+          messageKey: 'PASSWORD_RESET_REQUESTED'
         };
       }
 
-      const resetToken = crypto.randomBytes(32).toString('hex');
-      const expiresAt = new Date(Date.now() + 3600000); // 1 hour
-
-      // ✅ FIX: Lưu với 'Z' để force UTC
-      const { error: insertError } = await supabase
-        .from('password_resets')
-        .insert([{
-          user_id: user.id,
-          token: resetToken,
-          expires_at: expiresAt.toISOString() // Có 'Z' ở cuối
-        }]);
-
-      if (insertError) {
-        throw insertError;
-      }
+      const resetToken = await this.createPasswordReset(user.id);
 
       logInfo('Password reset token generated', { userId: user.id });
 
+      // Không await: thời gian response giống trường hợp email không tồn tại
+      MailService.sendPasswordReset(user, resetToken, locale);
+
       return {
         success: true,
-        message: 'Link reset password đã được gửi đến email của bạn',
+        messageKey: 'PASSWORD_RESET_REQUESTED',
         data: process.env.NODE_ENV === 'development' ? { resetToken } : undefined
       };
     } catch (error) {
       logError('Forgot password error', error, { email });
-      return {
-        success: false,
-        message: 'Lỗi server khi tạo reset token'
-      };
+      return failure('INTERNAL_ERROR');
     }
   }
 
@@ -513,29 +616,14 @@ class AuthService {
       logInfo('Reset password attempt');
 
       if (!resetToken) {
-        return {
-          success: false,
-          message: 'Token không được để trống'
-        };
+        return failure('PASSWORD_RESET_TOKEN_INVALID');
       }
 
-      const { data: resetData, error } = await supabase
-        .from('password_resets')
-        .select('*')
-        .eq('token', resetToken)
-        .eq('used', false)
-        .maybeSingle();
-
-      if (error && error.code !== 'PGRST116') {
-        throw error;
-      }
+      const resetData = await repositories.passwordResets.findUnusedByToken(resetToken);
 
       if (!resetData) {
         logInfo('Reset password failed: Invalid or used token');
-        return {
-          success: false,
-          message: 'Token không hợp lệ hoặc đã được sử dụng'
-        };
+        return failure('PASSWORD_RESET_TOKEN_INVALID');
       }
 
       // ✅ FIX: Force UTC timezone bằng cách thêm 'Z' nếu chưa có
@@ -551,103 +639,603 @@ class AuthService {
           expiresAt: expiresAt.toISOString(),
           now: now.toISOString()
         });
-        return {
-          success: false,
-          message: 'Token đã hết hạn. Vui lòng yêu cầu reset password lại.'
-        };
+        return failure('PASSWORD_RESET_TOKEN_EXPIRED');
       }
 
       // Hash new password
       const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-      // Update password
-      const { error: updateError } = await supabase
-        .from('users')
-        .update({ 
-          password: hashedPassword,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', resetData.user_id);
+      // Đánh dấu token đã dùng + đổi mật khẩu + thu hồi mọi refresh token trong 1 transaction
+      // => lỗi giữa chừng không để lại token reset dùng lại được
+      const redeemed = await repositories.accounts.resetPassword(resetData.id, resetData.user_id, hashedPassword);
 
-      if (updateError) {
-        throw updateError;
+      if (!redeemed) {
+        logInfo('Reset password failed: Token used concurrently', { userId: resetData.user_id });
+        return failure('PASSWORD_RESET_TOKEN_INVALID');
       }
 
-      // Mark token as used
-      await supabase
-        .from('password_resets')
-        .update({ 
-          used: true,
-          used_at: new Date().toISOString()
-        })
-        .eq('id', resetData.id);
-
-      // Revoke all refresh tokens
-      await this.logoutAllDevices(resetData.user_id);
-
       logInfo('Reset password successful', { userId: resetData.user_id });
 
       return {
         success: true,
-        message: 'Đặt lại mật khẩu thành công. Vui lòng đăng nhập với mật khẩu mới.'
+        messageKey: 'PASSWORD_RESET'
       };
     } catch (error) {
       logError('Reset password error', error);
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Verify Email
+   * Token dùng 1 lần và có hạn giống password_resets
+   */
+  static async verifyEmail(verificationToken) {
+    try {
+      logInfo('Verify email attempt');
+
+      if (!verificationToken) {
+        return failure('EMAIL_VERIFICATION_TOKEN_INVALID');
+      }
+
+      const verification = await repositories.emailVerifications.findUnusedByToken(verificationToken);
+
+      if (!verification) {
+        logInfo('Verify email failed: Invalid or used token');
+        return failure('EMAIL_VERIFICATION_TOKEN_INVALID');
+      }
+
+      if (toUtcDate(verification.expires_at) < new Date()) {
+        logInfo('Verify email failed: Token expired', { userId: verification.user_id });
+        return failure('EMAIL_VERIFICATION_TOKEN_EXPIRED');
+      }
+
+      // Giành token trước (chỉ 1 request đánh dấu được used = false => true), rồi mới xác thực email
+      // + bỏ các token cũ còn lại của user, tất cả trong 1 transaction
+      const redeemed = await repositories.accounts.verifyEmail(verification.id, verification.user_id);
+
+      if (!redeemed) {
+        logInfo('Verify email failed: Token used concurrently', { userId: verification.user_id });
+        return failure('EMAIL_VERIFICATION_TOKEN_INVALID');
+      }
+
+      logInfo('Verify email successful', { userId: verification.user_id });
+
       return {
-        success: false,
-        message: 'Lỗi server khi reset password'
+        success: true,
+        messageKey: 'EMAIL_VERIFIED'
       };
+    } catch (error) {
+      logError('Verify email error', error);
+      return failure('INTERNAL_ERROR');
     }
   }
 
-  // ============= Helper Methods =============
+  /**
+   * Resend Verification Email (có cooldown)
+   */
+  static async resendVerification(userId, locale = null) {
+    try {
+      logInfo('Resend verification attempt', { userId });
+
+      const user = await repositories.users.findById(userId, 'id, email, username, email_verified');
+
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (user.email_verified) {
+        return failure('EMAIL_ALREADY_VERIFIED');
+      }
+
+      const lastVerification = await repositories.emailVerifications.findLatestForUser(userId);
+
+      if (lastVerification) {
+        const waitMs = toUtcDate(lastVerification.created_at).getTime() + EMAIL_VERIFICATION.RESEND_COOLDOWN_MS - Date.now();
+
+        if (waitMs > 0) {
+          logInfo('Resend verification failed: Cooldown', { userId });
+          return failure('EMAIL_RESEND_COOLDOWN', { params: { seconds: Math.ceil(waitMs / 1000) } });
+        }
+      }
+
+      const verificationToken = await this.createEmailVerification(user.id);
+
+      logInfo('Verification token regenerated', { userId });
+
+      MailService.sendEmailVerification(user, verificationToken, locale);
+
+      return {
+        success: true,
+        messageKey: 'VERIFICATION_RESENT',
+        data: process.env.NODE_ENV === 'development' ? { verificationToken } : undefined
+      };
+    } catch (error) {
+      logError('Resend verification error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Kiểm tra user được dùng tính năng (EMAIL_VERIFICATION.FEATURES) chưa
+   * Tính năng không nằm trong EMAIL_VERIFICATION_REQUIRED_FOR => luôn được dùng
+   */
+  static async canUseFeature(userId, feature) {
+    if (!EMAIL_VERIFICATION.REQUIRED_FOR.includes(feature)) {
+      return true;
+    }
+
+    const user = await repositories.users.findById(userId, 'email_verified');
+
+    return Boolean(user && user.email_verified);
+  }
+
+  /**
+   * Get Sessions - mỗi family refresh token còn hiệu lực là 1 thiết bị đang đăng nhập
+   */
+  static async getSessions(userId, currentSessionId = null) {
+    try {
+      const tokens = await repositories.refreshTokens.listActiveForUser(userId);
+
+      // Token mới nhất của family được tạo ở lần login / refresh gần nhất = lần dùng cuối
+      const sessions = tokens.map((token) => ({
+        id: token.family_id,
+        ipAddress: token.ip_address,
+        userAgent: token.user_agent,
+        location: lookupLocation(token.ip_address),
+        lastUsedAt: token.created_at,
+        expiresAt: token.expires_at,
+        current: Boolean(currentSessionId) && token.family_id === currentSessionId
+      }));
+
+      return {
+        success: true,
+        data: {
+          sessions,
+          total: sessions.length
+        }
+      };
+    } catch (error) {
+      logError('Get sessions error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Revoke Session - đăng xuất 1 thiết bị
+   */
+  static async revokeSession(userId, sessionId) {
+    try {
+      logInfo('Revoke session attempt', { userId, sessionId });
+
+      const revoked = await repositories.refreshTokens.revokeFamily(sessionId, userId);
+
+      if (revoked === 0) {
+        return failure('SESSION_NOT_FOUND');
+      }
+
+      logInfo('Revoke session successful', { userId, sessionId });
+
+      return {
+        success: true,
+        messageKey: 'SESSION_REVOKED'
+      };
+    } catch (error) {
+      logError('Revoke session error', error, { userId, sessionId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Bật 2FA bước 1: tạo secret mới (chưa có hiệu lực tới khi confirm)
+   */
+  static async enrollTwoFactor(userId) {
+    try {
+      logInfo('Enroll 2FA attempt', { userId });
+
+      const user = await repositories.users.findById(userId, 'id, email, is_guest, two_factor_enabled');
+
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (user.is_guest) {
+        return failure('TWO_FACTOR_GUEST_NOT_ALLOWED');
+      }
+
+      if (user.two_factor_enabled) {
+        return failure('TWO_FACTOR_ALREADY_ENABLED');
+      }
+
+      const secret = totp.generateSecret(TWO_FACTOR.SECRET_BYTES);
+
+      await repositories.users.update(userId, {
+        two_factor_secret: secret,
+        two_factor_last_step: null,
+        updated_at: new Date().toISOString()
+      });
+
+      logInfo('2FA secret generated', { userId });
+
+      return {
+        success: true,
+        messageKey: 'TWO_FACTOR_ENROLL_STARTED',
+        data: {
+          secret,
+          otpauthUri: totp.buildOtpauthUri({
+            secret,
+            account: user.email,
+            issuer: TWO_FACTOR.ISSUER,
+            digits: TWO_FACTOR.DIGITS,
+            period: TWO_FACTOR.PERIOD_SECONDS
+          }),
+          digits: TWO_FACTOR.DIGITS,
+          period: TWO_FACTOR.PERIOD_SECONDS
+        }
+      };
+    } catch (error) {
+      logError('Enroll 2FA error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Bật 2FA bước 2: nhập mã từ app để xác nhận, trả về recovery codes (chỉ hiện 1 lần)
+   */
+  static async confirmTwoFactor(userId, code) {
+    try {
+      logInfo('Confirm 2FA attempt', { userId });
+
+      const user = await repositories.users.findById(
+        userId,
+        'id, email, two_factor_enabled, two_factor_secret, two_factor_last_step'
+      );
+
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (user.two_factor_enabled) {
+        return failure('TWO_FACTOR_ALREADY_ENABLED');
+      }
+
+      if (!user.two_factor_secret) {
+        return failure('TWO_FACTOR_NOT_STARTED');
+      }
+
+      const step = totp.verifyCode(user.two_factor_secret, code, totpOptions(user));
+      if (step === null) {
+        logInfo('Confirm 2FA failed: Invalid code', { userId });
+        return failure('TWO_FACTOR_INVALID_CODE');
+      }
+
+      await repositories.users.update(userId, {
+        two_factor_enabled: true,
+        two_factor_last_step: step,
+        updated_at: new Date().toISOString()
+      });
+
+      const recoveryCodes = await this.createRecoveryCodes(userId);
+
+      logAuth('2fa_enabled', userId, user.email, true);
+      logInfo('Confirm 2FA successful', { userId });
+
+      return {
+        success: true,
+        messageKey: 'TWO_FACTOR_ENABLED',
+        data: {
+          recoveryCodes
+        }
+      };
+    } catch (error) {
+      logError('Confirm 2FA error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
 
-  static async generateTokens(user, ipAddress = null, userAgent = null) {
+  /**
+   * Tắt 2FA: cần nhập lại mật khẩu và mã TOTP / recovery code
+   */
+  static async disableTwoFactor(userId, password, code) {
     try {
-      const accessToken = jwt.sign(
-        { 
-          id: user.id, 
-          email: user.email,
-          username: user.username 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '15m' }
+      logInfo('Disable 2FA attempt', { userId });
+
+      const user = await repositories.users.findById(
+        userId,
+        'id, email, password, two_factor_enabled, two_factor_secret, two_factor_last_step'
       );
 
-      const refreshToken = crypto.randomBytes(64).toString('hex');
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (!user.two_factor_enabled) {
+        return failure('TWO_FACTOR_NOT_ENABLED');
+      }
+
+      const isPasswordValid = Boolean(user.password) && await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        logInfo('Disable 2FA failed: Invalid password', { userId });
+        return failure('AUTH_WRONG_PASSWORD');
+      }
+
+      const method = await this.verifySecondFactor(user, code);
+      if (!method) {
+        logInfo('Disable 2FA failed: Invalid code', { userId });
+        return failure('TWO_FACTOR_INVALID_CODE');
+      }
+
+      await repositories.users.update(userId, {
+        two_factor_enabled: false,
+        two_factor_secret: null,
+        two_factor_last_step: null,
+        updated_at: new Date().toISOString()
+      });
+
+      await repositories.recoveryCodes.deleteForUser(userId);
+
+      logAuth('2fa_disabled', userId, user.email, true, { method });
+      logInfo('Disable 2FA successful', { userId });
+
+      return {
+        success: true,
+        messageKey: 'TWO_FACTOR_DISABLED'
+      };
+    } catch (error) {
+      logError('Disable 2FA error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * Đã xác minh danh tính bước 1 (mật khẩu / tài khoản ngoài)
+   * Bật 2FA => chưa cấp token, client hoàn tất đăng nhập qua /api/auth/login/2fa
+   */
+  static async startSession(user, ipAddress, userAgent) {
+    if (user.two_factor_enabled) {
+      const { challengeToken, expiresAt } = signTwoFactorToken(user.id);
+
+      logInfo('Login requires 2FA', { userId: user.id });
+      return {
+        success: true,
+        messageKey: 'TWO_FACTOR_REQUIRED',
+        data: {
+          twoFactorRequired: true,
+          challengeToken,
+          expiresAt
+        }
+      };
+    }
+
+    return this.completeLogin(user, ipAddress, userAgent);
+  }
+
+  /**
+   * Email / username đã có người dùng => trả về mã lỗi, không thì null
+   */
+  static async findAccountConflict(email, username) {
+    if (await repositories.users.findByEmail(email, 'id')) {
+      return 'AUTH_EMAIL_TAKEN';
+    }
+
+    if (await repositories.users.findByUsername(username, 'id')) {
+      return 'AUTH_USERNAME_TAKEN';
+    }
+
+    return null;
+  }
+
+  static async findGuestByDevice(deviceId) {
+    return repositories.users.findGuestByDevice(deviceId);
+  }
+
+  /**
+   * Đã qua mọi bước xác thực: cập nhật thống kê login và cấp token
+   */
+  static async completeLogin(user, ipAddress, userAgent) {
+    await repositories.users.update(user.id, {
+      last_login: new Date().toISOString(),
+      login_count: user.login_count + 1
+    });
+
+    const { accessToken, refreshToken } = await this.generateTokens(user, ipAddress, userAgent);
+
+    await this.logLoginHistory(user.id, ipAddress, userAgent, true);
+
+    logInfo('Login successful', { userId: user.id, email: user.email });
 
-      await supabase
-        .from('refresh_tokens')
-        .insert([{
-          user_id: user.id,
-          token: refreshToken,
-          expires_at: expiresAt.toISOString(),
-          ip_address: ipAddress,
-          user_agent: userAgent
-        }]);
+    return {
+      success: true,
+      messageKey: 'LOGIN_SUCCESS',
+      data: {
+        accessToken,
+        refreshToken,
+        user: toPublicUser(user)
+      }
+    };
+  }
+
+  /**
+   * Kiểm tra mã 2FA: mã TOTP hoặc recovery code
+   * Trả về 'totp' / 'recovery' nếu hợp lệ, null nếu sai
+   */
+  static async verifySecondFactor(user, code) {
+    const step = totp.verifyCode(user.two_factor_secret, code, totpOptions(user));
+
+    if (step !== null) {
+      // Chỉ ghi nếu step mới hơn step đã dùng => 2 request cùng 1 mã thì request sau thất bại
+      const claimed = await repositories.users.claimTwoFactorStep(user.id, step);
+      return claimed ? 'totp' : null;
+    }
+
+    const claimed = await repositories.recoveryCodes.claim(user.id, hashRecoveryCode(code));
+    return claimed ? 'recovery' : null;
+  }
+
+  /**
+   * Tạo bộ recovery code mới (xoá bộ cũ), chỉ lưu hash
+   */
+  static async createRecoveryCodes(userId) {
+    const recoveryCodes = Array.from({ length: TWO_FACTOR.RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    await repositories.recoveryCodes.replaceForUser(userId, recoveryCodes.map(hashRecoveryCode));
+
+    return recoveryCodes;
+  }
+
+  static async createPasswordReset(userId) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET.TOKEN_TTL_MS);
+
+    // ✅ FIX: Lưu với 'Z' để force UTC
+    await repositories.passwordResets.create({
+      user_id: userId,
+      token: resetToken,
+      expires_at: expiresAt.toISOString() // Có 'Z' ở cuối
+    });
+
+    return resetToken;
+  }
+
+  static async createEmailVerification(userId) {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION.TOKEN_TTL_MS);
+
+    await repositories.emailVerifications.create({
+      user_id: userId,
+      token: verificationToken,
+      expires_at: expiresAt.toISOString()
+    });
+
+    return verificationToken;
+  }
+
+  /**
+   * Cấp access token + refresh token mới
+   * Login / register bắt đầu family mới, refresh thì nối tiếp family của token cũ
+   */
+  static async generateTokens(user, ipAddress = null, userAgent = null, { familyId = null, parentId = null } = {}) {
+    try {
+      const sessionId = familyId || crypto.randomUUID();
+      const accessToken = signAccessToken(user, sessionId);
+
+      const tokenRow = await repositories.refreshTokens.create({
+        user_id: user.id,
+        ...newRefreshToken({ familyId: sessionId, parentId, ipAddress, userAgent })
+      });
 
-      return { accessToken, refreshToken };
+      return { accessToken, refreshToken: tokenRow.token, refreshTokenId: tokenRow.id };
     } catch (error) {
       logError('Generate tokens error', error);
       throw error;
     }
   }
 
+  /**
+   * Refresh token đã rotate bị dùng lại: thu hồi cả family và ghi security event
+   */
+  static async handleRefreshTokenReuse(tokenData, ipAddress, userAgent) {
+    // Token cấp trước khi có rotation chưa có family => thu hồi mọi phiên của user cho chắc
+    if (tokenData.family_id) {
+      await repositories.refreshTokens.revokeFamily(tokenData.family_id);
+    } else {
+      await repositories.refreshTokens.revokeAllForUser(tokenData.user_id);
+    }
+
+    await this.logSecurityEvent(tokenData.user_id, 'refresh_token_reuse', {
+      familyId: tokenData.family_id,
+      tokenId: tokenData.id
+    }, ipAddress, userAgent);
+  }
+
+  static async logSecurityEvent(userId, reason, details, ipAddress, userAgent) {
+    try {
+      logWarn('Security event', { userId, reason, ip: ipAddress, ...details });
+      logAuth(reason, userId, null, false, { ip: ipAddress, userAgent, ...details });
+
+      await repositories.suspiciousActivity.create({
+        user_id: userId,
+        reason,
+        details,
+        ip_address: ipAddress,
+        user_agent: userAgent
+      });
+    } catch (error) {
+      logError('Log security event error', error);
+    }
+  }
+
   static async logLoginHistory(userId, ipAddress, userAgent, success) {
     try {
-      await supabase
-        .from('login_history')
-        .insert([{
-          user_id: userId,
-          ip_address: ipAddress,
-          user_agent: userAgent,
-          success
-        }]);
+      await repositories.loginHistory.create({
+        user_id: userId,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        success
+      });
     } catch (error) {
       logError('Log login history error', error);
     }
   }
 }
 
+// ============= Helper Functions =============
+
+// Lỗi unique constraint của bảng users => mã lỗi cho client
+function uniqueViolationCode(error) {
+  if (error.code !== '23505') {
+    return null;
+  }
+  if (error.message.includes('users_email_key')) {
+    return 'AUTH_EMAIL_TAKEN';
+  }
+  if (error.message.includes('users_username_key')) {
+    return 'AUTH_USERNAME_TAKEN';
+  }
+  return null;
+}
+
+// Dòng refresh_tokens mới (chưa có user_id), hạn 7 ngày
+function newRefreshToken({ familyId, parentId = null, ipAddress = null, userAgent = null }) {
+  return {
+    token: crypto.randomBytes(64).toString('hex'),
+    family_id: familyId,
+    parent_id: parentId,
+    expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    ip_address: ipAddress,
+    user_agent: userAgent
+  };
+}
+
+// Bỏ các cột bí mật trước khi trả user về client
+function toPublicUser(user) {
+  const { password, two_factor_secret, two_factor_last_step, device_id, ...publicUser } = user;
+  return publicUser;
+}
+
+function totpOptions(user) {
+  return {
+    digits: TWO_FACTOR.DIGITS,
+    period: TWO_FACTOR.PERIOD_SECONDS,
+    window: TWO_FACTOR.WINDOW,
+    lastStep: user.two_factor_last_step ?? null
+  };
+}
+
+// Recovery code không phân biệt hoa thường, bỏ qua dấu gạch / khoảng trắng
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Cột timestamp không có timezone => coi là UTC
+function toUtcDate(value) {
+  return new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : value + 'Z');
+}
+
 module.exports = AuthService;
\ No newline at end of file
@@ -0,0 +1,312 @@
+// src/services/dungeonService.js - Procedural Dungeon Floor Generator
+// Cùng (seed, depth) luôn cho cùng layout: Unity có thể tự sinh lại từ seed
+// và server dùng lại để replay / kiểm tra kết quả run.
+const { createRng } = require('../utils/random');
+const { TILE, DUNGEON } = require('../config/game');
+const { logError } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const LootService = require('./lootService');
+
+const ENEMY_KINDS_BY_DEPTH = [
+  { minDepth: 1, kinds: ['slime'] },
+  { minDepth: 3, kinds: ['slime', 'skeleton'] },
+  { minDepth: 5, kinds: ['slime', 'skeleton', 'wraith'] }
+];
+
+class DungeonService {
+  /**
+   * Sinh floor từ seed và độ sâu (pure function, không đụng database)
+   */
+  static generateFloor(seed, depth = 1) {
+    const normalizedSeed = String(seed);
+    const rng = createRng(`${normalizedSeed}:${depth}`);
+
+    const width = Math.min(DUNGEON.BASE_WIDTH + depth * 2, DUNGEON.MAX_WIDTH);
+    const height = Math.min(DUNGEON.BASE_HEIGHT + depth * 2, DUNGEON.MAX_HEIGHT);
+    const tiles = new Array(width * height).fill(TILE.WALL);
+
+    // 1. Đặt phòng
+    const rooms = placeRooms(rng, width, height, depth);
+    rooms.forEach((room) => carveRoom(tiles, width, room));
+
+    // 2. Nối phòng bằng hành lang
+    const corridors = connectRooms(rng, rooms);
+    corridors.forEach((corridor) => {
+      corridor.path = carveCorridor(rng, tiles, width, rooms[corridor.from], rooms[corridor.to]);
+    });
+
+    // 3. Cửa = ô walkable nằm trên viền ngoài của phòng
+    const doors = [];
+    rooms.forEach((room) => {
+      findRoomEntrances(tiles, width, height, room).forEach(({ x, y }) => {
+        tiles[y * width + x] = TILE.DOOR;
+        doors.push({ x, y, roomId: room.id });
+      });
+    });
+
+    // 4. Phòng bắt đầu / boss / kho báu
+    const startRoom = rooms[0];
+    const bossRoom = findFarthestRoom(rooms, corridors, startRoom.id);
+    startRoom.type = 'start';
+    bossRoom.type = 'boss';
+
+    rooms.forEach((room) => {
+      if (room.type === 'normal' && rng.chance(DUNGEON.TREASURE_ROOM_CHANCE)) {
+        room.type = 'treasure';
+      }
+    });
+
+    // 5. Điểm spawn và kho báu
+    const spawns = {
+      players: getPlayerSpawns(startRoom),
+      enemies: [],
+      boss: { ...getRoomCenter(bossRoom), kind: 'boss', roomId: bossRoom.id }
+    };
+    const treasure = [];
+    const enemyKinds = getEnemyKinds(depth);
+
+    rooms.forEach((room) => {
+      if (room.type === 'normal' || room.type === 'treasure') {
+        const count = rng.int(1, Math.min(2 + Math.floor(depth / 3), DUNGEON.MAX_ENEMIES_PER_ROOM));
+        for (let i = 0; i < count; i++) {
+          spawns.enemies.push({ ...randomPointInRoom(rng, room), kind: rng.pick(enemyKinds), roomId: room.id });
+        }
+      }
+
+      if (room.type === 'treasure') {
+        treasure.push({ ...randomPointInRoom(rng, room), tier: rng.chance(0.2) ? 'rare' : 'common', roomId: room.id });
+      }
+    });
+
+    treasure.push({ ...getRoomCenter(bossRoom), tier: 'boss', roomId: bossRoom.id });
+
+    // 6. Loot trong rương (RNG riêng, không ảnh hưởng layout)
+    treasure.forEach((chest, index) => {
+      chest.drops = LootService.rollTreasure(normalizedSeed, depth, index, chest.tier);
+    });
+
+    return {
+      version: DUNGEON.GENERATOR_VERSION,
+      seed: normalizedSeed,
+      depth,
+      width,
+      height,
+      tiles,
+      rooms,
+      corridors,
+      doors,
+      spawns,
+      treasure
+    };
+  }
+
+  /**
+   * Get Floor (REST tooling)
+   */
+  static async getFloor(seed, depth) {
+    try {
+      const floor = this.generateFloor(seed, depth);
+
+      return {
+        success: true,
+        messageKey: 'FLOOR_GENERATED',
+        data: floor
+      };
+    } catch (error) {
+      logError('Generate floor error', error, { seed, depth });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+}
+
+// ============= Generator Helpers =============
+
+function placeRooms(rng, width, height, depth) {
+  const targetCount = Math.min(DUNGEON.MIN_ROOMS + Math.floor(depth / 2), DUNGEON.MAX_ROOMS);
+  const placed = [];
+
+  for (let attempt = 0; attempt < DUNGEON.PLACEMENT_ATTEMPTS && placed.length < targetCount; attempt++) {
+    const roomWidth = rng.int(DUNGEON.ROOM_MIN_SIZE, DUNGEON.ROOM_MAX_WIDTH);
+    const roomHeight = rng.int(DUNGEON.ROOM_MIN_SIZE, DUNGEON.ROOM_MAX_HEIGHT);
+    const candidate = {
+      x: rng.int(1, width - roomWidth - 1),
+      y: rng.int(1, height - roomHeight - 1),
+      width: roomWidth,
+      height: roomHeight
+    };
+
+    if (!placed.some((room) => roomsOverlap(room, candidate, DUNGEON.ROOM_PADDING))) {
+      placed.push(candidate);
+    }
+  }
+
+  // Sắp xếp trái -> phải để id ổn định và phòng đầu tiên là phòng bắt đầu
+  return placed
+    .sort((a, b) => a.x - b.x || a.y - b.y)
+    .map((room, index) => ({ id: index, type: 'normal', ...room }));
+}
+
+function roomsOverlap(a, b, padding) {
+  return a.x - padding < b.x + b.width
+    && a.x + a.width + padding > b.x
+    && a.y - padding < b.y + b.height
+    && a.y + a.height + padding > b.y;
+}
+
+function carveRoom(tiles, width, room) {
+  for (let y = room.y; y < room.y + room.height; y++) {
+    for (let x = room.x; x < room.x + room.width; x++) {
+      tiles[y * width + x] = TILE.FLOOR;
+    }
+  }
+}
+
+/**
+ * Mỗi phòng nối với phòng gần nhất phía trước nó (cây khung),
+ * thêm vài hành lang phụ để tạo vòng lặp
+ */
+function connectRooms(rng, rooms) {
+  const corridors = [];
+
+  for (let i = 1; i < rooms.length; i++) {
+    const byDistance = rooms
+      .slice(0, i)
+      .map((other) => ({ id: other.id, dist: squaredDistance(getRoomCell(rooms[i]), getRoomCell(other)) }))
+      .sort((a, b) => a.dist - b.dist || a.id - b.id);
+
+    corridors.push({ from: byDistance[0].id, to: rooms[i].id });
+
+    if (byDistance.length > 1 && rng.chance(DUNGEON.EXTRA_CORRIDOR_CHANCE)) {
+      corridors.push({ from: byDistance[1].id, to: rooms[i].id });
+    }
+  }
+
+  return corridors;
+}
+
+// Hành lang chữ L giữa tâm 2 phòng
+function carveCorridor(rng, tiles, width, fromRoom, toRoom) {
+  const start = getRoomCell(fromRoom);
+  const end = getRoomCell(toRoom);
+  const horizontalFirst = rng.chance(0.5);
+  const corner = horizontalFirst ? { x: end.x, y: start.y } : { x: start.x, y: end.y };
+  const path = [];
+
+  const carveLine = (from, to) => {
+    const stepX = Math.sign(to.x - from.x);
+    const stepY = Math.sign(to.y - from.y);
+    let x = from.x;
+    let y = from.y;
+
+    while (true) {
+      if (tiles[y * width + x] === TILE.WALL) {
+        tiles[y * width + x] = TILE.FLOOR;
+        path.push({ x, y });
+      }
+      if (x === to.x && y === to.y) {
+        break;
+      }
+      x += stepX;
+      y += stepY;
+    }
+  };
+
+  carveLine(start, corner);
+  carveLine(corner, end);
+
+  return path;
+}
+
+function findRoomEntrances(tiles, width, height, room) {
+  const entrances = [];
+  const isWalkable = (x, y) => x >= 0 && y >= 0 && x < width && y < height && tiles[y * width + x] !== TILE.WALL;
+
+  // Viền ngoài (bỏ 4 góc)
+  for (let x = room.x; x < room.x + room.width; x++) {
+    if (isWalkable(x, room.y - 1)) entrances.push({ x, y: room.y - 1 });
+    if (isWalkable(x, room.y + room.height)) entrances.push({ x, y: room.y + room.height });
+  }
+  for (let y = room.y; y < room.y + room.height; y++) {
+    if (isWalkable(room.x - 1, y)) entrances.push({ x: room.x - 1, y });
+    if (isWalkable(room.x + room.width, y)) entrances.push({ x: room.x + room.width, y });
+  }
+
+  return entrances;
+}
+
+// BFS trên đồ thị hành lang; hoà thì chọn phòng rộng hơn
+function findFarthestRoom(rooms, corridors, startId) {
+  const adjacency = new Map(rooms.map((room) => [room.id, []]));
+  corridors.forEach(({ from, to }) => {
+    adjacency.get(from).push(to);
+    adjacency.get(to).push(from);
+  });
+
+  const distances = new Map([[startId, 0]]);
+  const queue = [startId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    adjacency.get(current).forEach((next) => {
+      if (!distances.has(next)) {
+        distances.set(next, distances.get(current) + 1);
+        queue.push(next);
+      }
+    });
+  }
+
+  let farthest = rooms[rooms.length - 1];
+  rooms.forEach((room) => {
+    if (room.id === startId) {
+      return;
+    }
+    const dist = distances.get(room.id);
+    const best = distances.get(farthest.id);
+    if (dist > best || (dist === best && room.width * room.height > farthest.width * farthest.height)) {
+      farthest = room;
+    }
+  });
+
+  return farthest;
+}
+
+function getEnemyKinds(depth) {
+  return ENEMY_KINDS_BY_DEPTH.filter((entry) => depth >= entry.minDepth).pop().kinds;
+}
+
+// Ô nguyên ở giữa phòng (dùng cho hành lang)
+function getRoomCell(room) {
+  return {
+    x: room.x + Math.floor(room.width / 2),
+    y: room.y + Math.floor(room.height / 2)
+  };
+}
+
+// Toạ độ world (tâm ô) ở giữa phòng
+function getRoomCenter(room) {
+  const cell = getRoomCell(room);
+  return { x: cell.x + 0.5, y: cell.y + 0.5 };
+}
+
+function getPlayerSpawns(room) {
+  const center = getRoomCell(room);
+  return [
+    { x: center.x, y: center.y },
+    { x: center.x + 1, y: center.y },
+    { x: center.x, y: center.y + 1 },
+    { x: center.x + 1, y: center.y + 1 }
+  ].map(({ x, y }) => ({ x: Math.min(x, room.x + room.width - 1) + 0.5, y: Math.min(y, room.y + room.height - 1) + 0.5 }));
+}
+
+// Không spawn sát tường
+function randomPointInRoom(rng, room) {
+  return {
+    x: rng.int(room.x + 1, room.x + room.width - 2) + 0.5,
+    y: rng.int(room.y + 1, room.y + room.height - 2) + 0.5
+  };
+}
+
+function squaredDistance(a, b) {
+  return (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+}
+
+module.exports = DungeonService;
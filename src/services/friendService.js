@@ -0,0 +1,426 @@
+// src/services/friendService.js - Friends, Friend Requests & Blocking
+// Bảng friendships: 1 dòng / quan hệ có hướng (requester_id -> addressee_id)
+// status = 'pending' | 'accepted' | 'blocked' (blocked: requester_id là người chặn)
+const { supabase } = require('../config/database');
+const repositories = require('../repositories');
+const { logInfo, logError } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const { SOCIAL } = require('../config/game');
+
+class FriendService {
+  /**
+   * Get Friends - bạn bè + lời mời đến / đi
+   */
+  static async getFriends(userId) {
+    try {
+      const rows = await this.findUserRelations(userId);
+      const otherId = (row) => (String(row.requester_id) === String(userId) ? row.addressee_id : row.requester_id);
+
+      const friends = rows
+        .filter((row) => row.status === 'accepted')
+        .map((row) => ({ userId: otherId(row), since: row.responded_at || row.created_at }));
+
+      const incoming = rows
+        .filter((row) => row.status === 'pending' && String(row.addressee_id) === String(userId))
+        .map((row) => ({ requestId: row.id, userId: row.requester_id, createdAt: row.created_at }));
+
+      const outgoing = rows
+        .filter((row) => row.status === 'pending' && String(row.requester_id) === String(userId))
+        .map((row) => ({ requestId: row.id, userId: row.addressee_id, createdAt: row.created_at }));
+
+      return {
+        success: true,
+        data: {
+          friends: await this.attachUsernames(friends),
+          incoming: await this.attachUsernames(incoming),
+          outgoing: await this.attachUsernames(outgoing)
+        }
+      };
+    } catch (error) {
+      logError('Get friends error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Get Blocked Users
+   */
+  static async getBlocked(userId) {
+    try {
+      const { data: rows, error } = await supabase
+        .from('friendships')
+        .select('addressee_id, created_at')
+        .eq('requester_id', userId)
+        .eq('status', 'blocked');
+
+      if (error) {
+        throw error;
+      }
+
+      const blocked = (rows || []).map((row) => ({ userId: row.addressee_id, blockedAt: row.created_at }));
+
+      return {
+        success: true,
+        data: await this.attachUsernames(blocked)
+      };
+    } catch (error) {
+      logError('Get blocked users error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Send Friend Request (theo username)
+   * Nếu người kia đã gửi lời mời cho mình => chấp nhận luôn
+   */
+  static async sendRequest(userId, username) {
+    try {
+      logInfo('Friend request attempt', { userId, username });
+
+      const target = await repositories.users.findActiveByUsername(username, 'id, username');
+
+      if (!target) {
+        return failure('PLAYER_NOT_FOUND');
+      }
+
+      if (String(target.id) === String(userId)) {
+        return failure('FRIEND_SELF');
+      }
+
+      const relations = await this.findRelations(userId, target.id);
+
+      // Không tiết lộ ai chặn ai
+      if (relations.some((row) => row.status === 'blocked')) {
+        return failure('FRIEND_REQUEST_BLOCKED');
+      }
+
+      if (relations.some((row) => row.status === 'accepted')) {
+        return failure('FRIEND_ALREADY_FRIENDS');
+      }
+
+      if (relations.some((row) => String(row.requester_id) === String(userId))) {
+        return failure('FRIEND_REQUEST_ALREADY_SENT');
+      }
+
+      const incoming = relations.find((row) => String(row.requester_id) === String(target.id));
+      if (incoming) {
+        return this.acceptRequest(userId, incoming.id);
+      }
+
+      if (await this.countFriends(userId) >= SOCIAL.MAX_FRIENDS) {
+        return failure('FRIEND_LIST_FULL', { params: { max: SOCIAL.MAX_FRIENDS } });
+      }
+
+      const { data: request, error: insertError } = await supabase
+        .from('friendships')
+        .insert([{
+          requester_id: userId,
+          addressee_id: target.id,
+          status: 'pending'
+        }])
+        .select()
+        .single();
+
+      if (insertError) {
+        if (insertError.code === '23505') {
+          return failure('FRIEND_REQUEST_ALREADY_SENT');
+        }
+        throw insertError;
+      }
+
+      logInfo('Friend request sent', { userId, targetId: target.id });
+
+      return {
+        success: true,
+        messageKey: 'FRIEND_REQUEST_SENT',
+        data: {
+          requestId: request.id,
+          userId: target.id,
+          username: target.username
+        }
+      };
+    } catch (error) {
+      logError('Send friend request error', error, { userId, username });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Accept Friend Request (chỉ người nhận)
+   */
+  static async acceptRequest(userId, requestId) {
+    try {
+      const request = await this.findIncomingRequest(userId, requestId);
+
+      if (!request) {
+        return failure('FRIEND_REQUEST_NOT_FOUND');
+      }
+
+      if (await this.countFriends(userId) >= SOCIAL.MAX_FRIENDS) {
+        return failure('FRIEND_LIST_FULL', { params: { max: SOCIAL.MAX_FRIENDS } });
+      }
+
+      const now = new Date().toISOString();
+
+      const { error } = await supabase
+        .from('friendships')
+        .update({
+          status: 'accepted',
+          responded_at: now,
+          updated_at: now
+        })
+        .eq('id', request.id);
+
+      if (error) {
+        throw error;
+      }
+
+      logInfo('Friend request accepted', { userId, requesterId: request.requester_id });
+
+      return {
+        success: true,
+        messageKey: 'FRIEND_REQUEST_ACCEPTED',
+        data: {
+          userId: request.requester_id
+        }
+      };
+    } catch (error) {
+      logError('Accept friend request error', error, { userId, requestId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Decline Friend Request (chỉ người nhận) - xoá để có thể mời lại sau
+   */
+  static async declineRequest(userId, requestId) {
+    try {
+      const request = await this.findIncomingRequest(userId, requestId);
+
+      if (!request) {
+        return failure('FRIEND_REQUEST_NOT_FOUND');
+      }
+
+      await this.deleteRelation(request.id);
+
+      logInfo('Friend request declined', { userId, requesterId: request.requester_id });
+
+      return {
+        success: true,
+        messageKey: 'FRIEND_REQUEST_DECLINED'
+      };
+    } catch (error) {
+      logError('Decline friend request error', error, { userId, requestId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Remove Friend - huỷ kết bạn hoặc huỷ lời mời đang chờ (cả 2 chiều)
+   */
+  static async removeFriend(userId, otherUserId) {
+    try {
+      const relations = await this.findRelations(userId, otherUserId);
+      const removable = relations.filter((row) => row.status !== 'blocked');
+
+      if (removable.length === 0) {
+        return failure('FRIEND_NOT_FRIENDS');
+      }
+
+      for (const row of removable) {
+        await this.deleteRelation(row.id);
+      }
+
+      logInfo('Friend removed', { userId, otherUserId });
+
+      return {
+        success: true,
+        messageKey: 'FRIEND_REMOVED'
+      };
+    } catch (error) {
+      logError('Remove friend error', error, { userId, otherUserId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Block User - xoá quan hệ bạn bè / lời mời và chặn
+   */
+  static async blockUser(userId, otherUserId) {
+    try {
+      if (String(userId) === String(otherUserId)) {
+        return failure('BLOCK_SELF');
+      }
+
+      const target = await repositories.users.findById(otherUserId, 'id');
+
+      if (!target) {
+        return failure('PLAYER_NOT_FOUND');
+      }
+
+      const relations = await this.findRelations(userId, otherUserId);
+
+      if (relations.some((row) => row.status === 'blocked' && String(row.requester_id) === String(userId))) {
+        return failure('BLOCK_ALREADY_BLOCKED');
+      }
+
+      // Giữ lại dòng chặn của phía bên kia (nếu có)
+      for (const row of relations.filter((item) => item.status !== 'blocked')) {
+        await this.deleteRelation(row.id);
+      }
+
+      const { error: insertError } = await supabase
+        .from('friendships')
+        .insert([{
+          requester_id: userId,
+          addressee_id: otherUserId,
+          status: 'blocked'
+        }]);
+
+      if (insertError) {
+        throw insertError;
+      }
+
+      logInfo('User blocked', { userId, blockedUserId: otherUserId });
+
+      return {
+        success: true,
+        messageKey: 'PLAYER_BLOCKED'
+      };
+    } catch (error) {
+      logError('Block user error', error, { userId, otherUserId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Unblock User
+   */
+  static async unblockUser(userId, otherUserId) {
+    try {
+      const relations = await this.findRelations(userId, otherUserId);
+      const block = relations.find((row) => row.status === 'blocked' && String(row.requester_id) === String(userId));
+
+      if (!block) {
+        return failure('BLOCK_NOT_BLOCKED');
+      }
+
+      await this.deleteRelation(block.id);
+
+      logInfo('User unblocked', { userId, unblockedUserId: otherUserId });
+
+      return {
+        success: true,
+        messageKey: 'PLAYER_UNBLOCKED'
+      };
+    } catch (error) {
+      logError('Unblock user error', error, { userId, otherUserId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * Id bạn bè (dùng cho presence realtime)
+   */
+  static async getFriendIds(userId) {
+    const rows = await this.findUserRelations(userId);
+
+    return rows
+      .filter((row) => row.status === 'accepted')
+      .map((row) => (String(row.requester_id) === String(userId) ? row.addressee_id : row.requester_id));
+  }
+
+  /**
+   * Có bên nào chặn bên nào không (dùng trước khi mời / nhắn tin)
+   */
+  static async isBlocked(userId, otherUserId) {
+    const relations = await this.findRelations(userId, otherUserId);
+    return relations.some((row) => row.status === 'blocked');
+  }
+
+  static async areFriends(userId, otherUserId) {
+    const relations = await this.findRelations(userId, otherUserId);
+    return relations.some((row) => row.status === 'accepted');
+  }
+
+  static async findRelations(userId, otherUserId) {
+    const { data: rows, error } = await supabase
+      .from('friendships')
+      .select('*')
+      .in('requester_id', [userId, otherUserId])
+      .in('addressee_id', [userId, otherUserId]);
+
+    if (error) {
+      throw error;
+    }
+
+    return (rows || []).filter((row) => String(row.requester_id) !== String(row.addressee_id));
+  }
+
+  static async findUserRelations(userId) {
+    const { data: rows, error } = await supabase
+      .from('friendships')
+      .select('*')
+      .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return rows || [];
+  }
+
+  static async findIncomingRequest(userId, requestId) {
+    const { data: request, error } = await supabase
+      .from('friendships')
+      .select('*')
+      .eq('id', requestId)
+      .eq('addressee_id', userId)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return request;
+  }
+
+  static async countFriends(userId) {
+    const friendIds = await this.getFriendIds(userId);
+    return friendIds.length;
+  }
+
+  static async deleteRelation(relationId) {
+    const { error } = await supabase
+      .from('friendships')
+      .delete()
+      .eq('id', relationId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  static async attachUsernames(entries) {
+    if (entries.length === 0) {
+      return entries;
+    }
+
+    const userIds = [...new Set(entries.map((entry) => entry.userId))];
+
+    const users = await repositories.users.findManyByIds(userIds, 'id, username');
+
+    const usernames = new Map(users.map((user) => [String(user.id), user.username]));
+
+    return entries.map((entry) => ({
+      ...entry,
+      username: usernames.get(String(entry.userId)) || null
+    }));
+  }
+}
+
+module.exports = FriendService;
@@ -0,0 +1,286 @@
+// src/services/identityService.js - Đăng nhập / liên kết tài khoản ngoài (Google, Apple, Steam...)
+// Bảng user_identities: mỗi dòng là 1 tài khoản ngoài (provider + subject) gắn với 1 user,
+// 1 user có thể liên kết nhiều tài khoản ngoài. Verify token nằm trong src/identity/providers.js.
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { logInfo, logError, logAuth } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const { getProvider, listProviders } = require('../identity/providers');
+const AuthService = require('./authService');
+
+class IdentityService {
+  /**
+   * Danh sách provider đang bật
+   */
+  static getProviders() {
+    return {
+      success: true,
+      data: {
+        providers: listProviders()
+      }
+    };
+  }
+
+  /**
+   * Đăng nhập bằng tài khoản ngoài
+   * Chưa liên kết với user nào => tạo user mới (không mật khẩu)
+   */
+  static async loginWithProvider(providerName, idToken, ipAddress = null, userAgent = null) {
+    try {
+      logInfo('Identity login attempt', { provider: providerName, ip: ipAddress });
+
+      const verified = await this.verifyToken(providerName, idToken);
+      if (!verified.success) {
+        return verified;
+      }
+
+      const { profile } = verified;
+      let identity = await this.findIdentity(providerName, profile.subject);
+      let isNewUser = false;
+
+      if (!identity) {
+        const created = await this.createUserWithIdentity(providerName, profile);
+        if (!created.success) {
+          return created;
+        }
+
+        identity = created.identity;
+        isNewUser = created.isNewUser;
+      }
+
+      const user = await repositories.users.findById(identity.user_id);
+
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (!user.is_active) {
+        logInfo('Identity login failed: Account locked', { userId: user.id });
+        return failure('AUTH_ACCOUNT_LOCKED');
+      }
+
+      await repositories.identities.touch(identity.id);
+
+      const result = await AuthService.startSession(user, ipAddress, userAgent);
+
+      if (result.success) {
+        result.data.isNewUser = isNewUser;
+      }
+
+      return result;
+    } catch (error) {
+      logError('Identity login error', error, { provider: providerName });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Danh sách tài khoản ngoài đã liên kết
+   */
+  static async listIdentities(userId) {
+    try {
+      const identities = await repositories.identities.listForUser(userId);
+
+      return {
+        success: true,
+        data: {
+          identities: identities.map(formatIdentity),
+          total: identities.length
+        }
+      };
+    } catch (error) {
+      logError('List identities error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Liên kết tài khoản ngoài vào user đang đăng nhập
+   * Tài khoản khách liên kết xong => thành tài khoản thường (không bị dọn khi không hoạt động)
+   */
+  static async linkIdentity(userId, providerName, idToken) {
+    try {
+      logInfo('Link identity attempt', { userId, provider: providerName });
+
+      const verified = await this.verifyToken(providerName, idToken);
+      if (!verified.success) {
+        return verified;
+      }
+
+      const { profile } = verified;
+      const existing = await this.findIdentity(providerName, profile.subject);
+
+      if (existing) {
+        return failure(String(existing.user_id) === String(userId)
+          ? 'IDENTITY_ALREADY_LINKED'
+          : 'IDENTITY_LINKED_TO_OTHER');
+      }
+
+      let identity;
+      try {
+        identity = await repositories.identities.create({
+          user_id: userId,
+          provider: providerName,
+          subject: profile.subject,
+          email: profile.email
+        });
+      } catch (error) {
+        // Request khác vừa liên kết cùng tài khoản ngoài
+        if (error.code === '23505') {
+          return failure('IDENTITY_LINKED_TO_OTHER');
+        }
+        throw error;
+      }
+
+      await repositories.users.update(userId, {
+        is_guest: false,
+        device_id: null,
+        updated_at: new Date().toISOString()
+      }, { is_guest: true });
+
+      logAuth('identity_linked', userId, profile.email, true, { provider: providerName });
+      logInfo('Link identity successful', { userId, provider: providerName });
+
+      return {
+        success: true,
+        messageKey: 'IDENTITY_LINKED',
+        data: formatIdentity(identity)
+      };
+    } catch (error) {
+      logError('Link identity error', error, { userId, provider: providerName });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Huỷ liên kết (phải còn ít nhất 1 cách đăng nhập: mật khẩu hoặc tài khoản ngoài khác)
+   */
+  static async unlinkIdentity(userId, identityId) {
+    try {
+      logInfo('Unlink identity attempt', { userId, identityId });
+
+      const identities = await repositories.identities.listForUser(userId);
+
+      const identity = identities.find((item) => String(item.id) === String(identityId));
+      if (!identity) {
+        return failure('IDENTITY_NOT_FOUND');
+      }
+
+      const user = await repositories.users.findById(userId, 'id, email, password');
+
+      if (!user) {
+        return failure('USER_NOT_FOUND');
+      }
+
+      if (!user.password && identities.length <= 1) {
+        return failure('IDENTITY_LAST_LOGIN_METHOD');
+      }
+
+      await repositories.identities.deleteForUser(identity.id, userId);
+
+      logAuth('identity_unlinked', userId, user.email, true, { provider: identity.provider });
+      logInfo('Unlink identity successful', { userId, provider: identity.provider });
+
+      return {
+        success: true,
+        messageKey: 'IDENTITY_UNLINKED'
+      };
+    } catch (error) {
+      logError('Unlink identity error', error, { userId, identityId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  static async verifyToken(providerName, idToken) {
+    const provider = getProvider(providerName);
+    if (!provider) {
+      return failure('IDENTITY_PROVIDER_UNSUPPORTED');
+    }
+
+    try {
+      return {
+        success: true,
+        profile: await provider.verify(idToken)
+      };
+    } catch (error) {
+      logInfo('Identity token rejected', { provider: providerName, error: error.message });
+      return failure('IDENTITY_TOKEN_INVALID');
+    }
+  }
+
+  static async findIdentity(providerName, subject) {
+    return repositories.identities.findByProviderSubject(providerName, subject);
+  }
+
+  /**
+   * Tạo user mới cho tài khoản ngoài chưa liên kết
+   * Email provider đã xác thực và chưa ai dùng => gắn vào user (coi như đã xác thực)
+   * Email đã có tài khoản => không tự gộp (tránh chiếm tài khoản), user phải đăng nhập rồi liên kết
+   */
+  static async createUserWithIdentity(providerName, profile) {
+    const email = profile.emailVerified ? profile.email : null;
+
+    if (email) {
+      if (await repositories.users.findByEmail(email, 'id')) {
+        logInfo('Identity login failed: Email already registered', { provider: providerName, email });
+        return failure('IDENTITY_EMAIL_REGISTERED');
+      }
+    }
+
+    const user = await repositories.users.create({
+      username: `${providerName}_${crypto.randomBytes(6).toString('hex')}`,
+      email,
+      password: null,
+      is_active: true,
+      email_verified: Boolean(email),
+      login_count: 0
+    });
+
+    let identity;
+    try {
+      identity = await repositories.identities.create({
+        user_id: user.id,
+        provider: providerName,
+        subject: profile.subject,
+        email: profile.email
+      });
+    } catch (error) {
+      // Request khác vừa tạo liên kết cho cùng tài khoản ngoài => bỏ user thừa, dùng liên kết đó
+      await repositories.users.delete(user.id);
+
+      if (error.code === '23505') {
+        return {
+          success: true,
+          identity: await this.findIdentity(providerName, profile.subject),
+          isNewUser: false
+        };
+      }
+      throw error;
+    }
+
+    logAuth('identity_registered', user.id, email, true, { provider: providerName });
+    logInfo('User created from identity', { userId: user.id, provider: providerName });
+
+    return {
+      success: true,
+      identity,
+      isNewUser: true
+    };
+  }
+}
+
+// ============= Helper Functions =============
+
+function formatIdentity(identity) {
+  return {
+    id: identity.id,
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.created_at,
+    lastUsedAt: identity.last_used_at
+  };
+}
+
+module.exports = IdentityService;
@@ -0,0 +1,387 @@
+// src/services/inventoryService.js - Server-Authoritative Inventory & Equipment
+// Bảng inventory_items: mỗi dòng là 1 item instance (hoặc 1 stack)
+// equipped_slot = null | 'weapon' | 'armor' | 'trinket1' | 'trinket2'
+const { supabase } = require('../config/database');
+const { logInfo, logError } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const PlayerService = require('./playerService');
+const {
+  ITEM_CATALOG_VERSION,
+  EQUIPMENT_SLOTS,
+  INVENTORY_CAPACITY,
+  getTemplate,
+  getRarity,
+  getAffix
+} = require('../config/items');
+
+class InventoryService {
+  /**
+   * Get Inventory
+   */
+  static async getInventory(userId) {
+    try {
+      const items = await this.findItems(userId);
+
+      const equipment = {};
+      Object.keys(EQUIPMENT_SLOTS).forEach((slot) => {
+        equipment[slot] = items.find((item) => item.equipped_slot === slot) || null;
+      });
+
+      return {
+        success: true,
+        data: {
+          catalogVersion: ITEM_CATALOG_VERSION,
+          capacity: INVENTORY_CAPACITY,
+          items,
+          equipment
+        }
+      };
+    } catch (error) {
+      logError('Get inventory error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Equip Item
+   * Không truyền slot => tự chọn slot phù hợp (trinket ưu tiên ô trống)
+   */
+  static async equipItem(userId, itemId, slot = null) {
+    try {
+      logInfo('Equip item attempt', { userId, itemId, slot });
+
+      const item = await this.findOwnedItem(userId, itemId);
+
+      if (!item) {
+        return failure('ITEM_NOT_FOUND');
+      }
+
+      const template = getTemplate(item.template_id);
+      const allowedSlots = Object.keys(EQUIPMENT_SLOTS).filter((key) => template && EQUIPMENT_SLOTS[key] === template.type);
+
+      if (allowedSlots.length === 0) {
+        return failure('ITEM_NOT_EQUIPPABLE');
+      }
+
+      if (slot && !allowedSlots.includes(slot)) {
+        return failure('ITEM_SLOT_MISMATCH');
+      }
+
+      if (item.durability !== null && item.durability <= 0) {
+        return failure('ITEM_BROKEN');
+      }
+
+      const profile = await PlayerService.findOrCreateProfile(userId);
+      if (profile.level < template.levelRequired) {
+        return failure('ITEM_LEVEL_REQUIRED', { params: { level: template.levelRequired } });
+      }
+
+      // Chọn slot + gỡ item đang nằm trong slot đích + trang bị trong 1 transaction
+      // (migration 0016_add_equip_function, unique index 1 item / slot)
+      const { data, error } = await supabase.rpc('equip_inventory_item', {
+        p_user_id: userId,
+        p_item_id: item.id,
+        p_slot: slot,
+        p_allowed_slots: allowedSlots
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      if (data.error) {
+        return failure(data.error);
+      }
+
+      logInfo('Equip item successful', { userId, itemId, slot: data.item.equipped_slot });
+
+      return {
+        success: true,
+        messageKey: 'ITEM_EQUIP_SUCCESS',
+        data: data.item
+      };
+    } catch (error) {
+      logError('Equip item error', error, { userId, itemId, slot });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Unequip Item
+   */
+  static async unequipItem(userId, itemId) {
+    try {
+      const item = await this.findOwnedItem(userId, itemId);
+
+      if (!item) {
+        return failure('ITEM_NOT_FOUND');
+      }
+
+      if (!item.equipped_slot) {
+        return failure('ITEM_NOT_EQUIPPED');
+      }
+
+      const updated = await this.updateItem(userId, item.id, { equipped_slot: null });
+
+      logInfo('Unequip item successful', { userId, itemId });
+
+      return {
+        success: true,
+        messageKey: 'ITEM_UNEQUIP_SUCCESS',
+        data: updated
+      };
+    } catch (error) {
+      logError('Unequip item error', error, { userId, itemId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Split Stack - tách `quantity` item ra thành stack mới
+   */
+  static async splitStack(userId, itemId, quantity) {
+    try {
+      const items = await this.findItems(userId);
+      const item = items.find((entry) => String(entry.id) === String(itemId));
+
+      if (!item) {
+        return failure('ITEM_NOT_FOUND');
+      }
+
+      const template = getTemplate(item.template_id);
+      if (!template || !template.stackable) {
+        return failure('ITEM_NOT_SPLITTABLE');
+      }
+
+      if (quantity <= 0 || quantity >= item.quantity) {
+        return failure('ITEM_INVALID_SPLIT');
+      }
+
+      if (items.length >= INVENTORY_CAPACITY) {
+        return failure('INVENTORY_FULL');
+      }
+
+      // Trừ số lượng + tạo stack mới trong cùng 1 transaction (migration 0014_add_inventory_functions)
+      const { data, error } = await supabase.rpc('split_inventory_stack', {
+        p_user_id: userId,
+        p_item_id: item.id,
+        p_quantity: quantity,
+        p_capacity: INVENTORY_CAPACITY
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      // Stack / số ô đã đổi giữa lúc đọc và lúc tách
+      if (data.error) {
+        return failure(data.error);
+      }
+
+      logInfo('Split stack successful', { userId, itemId, quantity });
+
+      return {
+        success: true,
+        messageKey: 'STACK_SPLIT',
+        data: data.item
+      };
+    } catch (error) {
+      logError('Split stack error', error, { userId, itemId, quantity });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Discard Item - không truyền quantity => bỏ cả stack
+   */
+  static async discardItem(userId, itemId, quantity = null) {
+    try {
+      const item = await this.findOwnedItem(userId, itemId);
+
+      if (!item) {
+        return failure('ITEM_NOT_FOUND');
+      }
+
+      if (item.equipped_slot) {
+        return failure('ITEM_EQUIPPED');
+      }
+
+      if (quantity !== null && (quantity <= 0 || quantity > item.quantity)) {
+        return failure('ITEM_INVALID_QUANTITY');
+      }
+
+      // Trừ / xoá có điều kiện theo số lượng hiện tại trong database, không ghi lại số lượng vừa đọc
+      const { data, error } = await supabase.rpc('discard_inventory_item', {
+        p_user_id: userId,
+        p_item_id: item.id,
+        p_quantity: quantity
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      if (data.error) {
+        return failure(data.error);
+      }
+
+      logInfo('Discard item successful', { userId, itemId, quantity });
+
+      return {
+        success: true,
+        messageKey: 'ITEM_DISCARDED'
+      };
+    } catch (error) {
+      logError('Discard item error', error, { userId, itemId, quantity });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Add Item (chỉ gọi từ server - loot, phần thưởng)
+   * Item stack được gộp vào stack có sẵn trước khi tạo stack mới
+   */
+  static async addItem(userId, { templateId, quantity = 1, rarity = 'common', affixes = [] }) {
+    try {
+      const validation = this.validateItemGrant({ templateId, quantity, rarity, affixes });
+      if (!validation.valid) {
+        return failure(validation.code);
+      }
+
+      // Gộp stack + tạo stack mới trong 1 transaction, kiểm tra đủ ô cho cả lượt thêm trước khi ghi
+      const { data: added, error } = await supabase.rpc('add_inventory_item', {
+        p_user_id: userId,
+        ...this.grantParams({ templateId, quantity, rarity, affixes }),
+        p_catalog_version: ITEM_CATALOG_VERSION,
+        p_capacity: INVENTORY_CAPACITY
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      if (!added) {
+        return failure('INVENTORY_FULL');
+      }
+
+      logInfo('Item added to inventory', { userId, templateId, quantity, rarity });
+
+      return {
+        success: true,
+        messageKey: 'ITEM_ADDED'
+      };
+    } catch (error) {
+      logError('Add item error', error, { userId, templateId, quantity });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * Kiểm tra item grant khớp với catalog (template, rarity, affix và khoảng giá trị)
+   */
+  static validateItemGrant({ templateId, quantity, rarity, affixes }) {
+    const template = getTemplate(templateId);
+    if (!template) {
+      return { valid: false, code: 'ITEM_TEMPLATE_NOT_FOUND' };
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { valid: false, code: 'ITEM_INVALID_QUANTITY' };
+    }
+
+    const rarityInfo = getRarity(rarity);
+    if (!rarityInfo || !template.rarities.includes(rarity)) {
+      return { valid: false, code: 'ITEM_INVALID_RARITY' };
+    }
+
+    if (!Array.isArray(affixes)) {
+      return { valid: false, code: 'ITEM_INVALID_AFFIX' };
+    }
+
+    if (affixes.length > rarityInfo.maxAffixes) {
+      return { valid: false, code: 'ITEM_TOO_MANY_AFFIXES' };
+    }
+
+    // Affix sai dạng (null, thiếu id / value) => lỗi validate, không phải lỗi server
+    const hasInvalidAffix = affixes.some((affix) => {
+      const definition = affix && typeof affix.id === 'string' ? getAffix(affix.id) : null;
+      return !definition || !Number.isInteger(affix.value) || affix.value < definition.min || affix.value > definition.max;
+    });
+
+    if (hasInvalidAffix) {
+      return { valid: false, code: 'ITEM_INVALID_AFFIX' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Tham số add_inventory_item cho 1 item grant đã validate (stack tối đa, độ bền theo rarity)
+   */
+  static grantParams({ templateId, quantity, rarity, affixes }) {
+    const template = getTemplate(templateId);
+
+    return {
+      p_template_id: templateId,
+      p_quantity: quantity,
+      p_max_stack: template.stackable ? template.maxStack : 1,
+      p_rarity: rarity,
+      p_affixes: affixes,
+      p_durability: template.maxDurability
+        ? Math.round(template.maxDurability * getRarity(rarity).durabilityMultiplier)
+        : null
+    };
+  }
+
+  static async findItems(userId) {
+    const { data: items, error } = await supabase
+      .from('inventory_items')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return items || [];
+  }
+
+  static async findOwnedItem(userId, itemId) {
+    const { data: item, error } = await supabase
+      .from('inventory_items')
+      .select('*')
+      .eq('id', itemId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return item;
+  }
+
+  static async updateItem(userId, itemId, updates) {
+    const { data: item, error } = await supabase
+      .from('inventory_items')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', itemId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return item;
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,317 @@
+// src/services/leaderboardService.js - Global & Seasonal Leaderboards
+// Bảng leaderboard_entries: 1 dòng / (board, period_key, user_id) giữ kết quả tốt nhất.
+// Chỉ được ghi qua recordRunResult() sau khi run đã được server kiểm tra.
+const { supabase } = require('../config/database');
+const repositories = require('../repositories');
+const { logInfo, logError } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const { LEADERBOARD } = require('../config/game');
+
+class LeaderboardService {
+  /**
+   * Get Board (phân trang)
+   */
+  static async getBoard(board, { period = 'alltime', season = null, page = 1, limit = LEADERBOARD.DEFAULT_PAGE_SIZE } = {}) {
+    try {
+      const periodKey = this.resolvePeriodKey(period, season);
+      if (!periodKey) {
+        return failure('NO_ACTIVE_SEASON');
+      }
+
+      const pageSize = Math.min(limit, LEADERBOARD.MAX_PAGE_SIZE);
+      const offset = (page - 1) * pageSize;
+      const ascending = LEADERBOARD.BOARDS[board].order === 'asc';
+
+      const { data: entries, count, error } = await supabase
+        .from('leaderboard_entries')
+        .select('user_id, value, run_id, achieved_at', { count: 'exact' })
+        .eq('board', board)
+        .eq('period_key', periodKey)
+        .order('value', { ascending })
+        .order('achieved_at', { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      const ranked = (entries || []).map((entry, index) => ({ rank: offset + index + 1, ...entry }));
+
+      return {
+        success: true,
+        data: {
+          board,
+          period,
+          periodKey,
+          page,
+          limit: pageSize,
+          total: count || 0,
+          entries: await this.attachUsernames(ranked)
+        }
+      };
+    } catch (error) {
+      logError('Get leaderboard error', error, { board, period, season });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Get My Rank - hạng của user và các user xung quanh
+   */
+  static async getMyRank(userId, board, { period = 'alltime', season = null, range = LEADERBOARD.NEIGHBOR_RANGE } = {}) {
+    try {
+      const periodKey = this.resolvePeriodKey(period, season);
+      if (!periodKey) {
+        return failure('NO_ACTIVE_SEASON');
+      }
+
+      const { data: myEntry, error } = await supabase
+        .from('leaderboard_entries')
+        .select('user_id, value, run_id, achieved_at')
+        .eq('board', board)
+        .eq('period_key', periodKey)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      if (!myEntry) {
+        return {
+          success: true,
+          data: {
+            board,
+            period,
+            periodKey,
+            rank: null,
+            entries: []
+          }
+        };
+      }
+
+      const rank = await this.computeRank(board, periodKey, myEntry);
+      const ascending = LEADERBOARD.BOARDS[board].order === 'asc';
+      const offset = Math.max(0, rank - 1 - range);
+
+      const { data: neighbors, error: neighborsError } = await supabase
+        .from('leaderboard_entries')
+        .select('user_id, value, run_id, achieved_at')
+        .eq('board', board)
+        .eq('period_key', periodKey)
+        .order('value', { ascending })
+        .order('achieved_at', { ascending: true })
+        .range(offset, rank - 1 + range);
+
+      if (neighborsError) {
+        throw neighborsError;
+      }
+
+      const ranked = (neighbors || []).map((entry, index) => ({
+        rank: offset + index + 1,
+        ...entry,
+        isMe: String(entry.user_id) === String(userId)
+      }));
+
+      return {
+        success: true,
+        data: {
+          board,
+          period,
+          periodKey,
+          rank,
+          entries: await this.attachUsernames(ranked)
+        }
+      };
+    } catch (error) {
+      logError('Get my rank error', error, { userId, board, period });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Record Run Result (chỉ gọi từ server sau khi run đã được xác thực)
+   */
+  static async recordRunResult(userId, { runId, floorsCleared, durationMs, score, cleared, finishedAt = new Date() }) {
+    try {
+      const values = {
+        deepest_floor: floorsCleared,
+        highest_score: score
+      };
+      if (cleared) {
+        values.fastest_clear = durationMs;
+      }
+
+      const periodKeys = LEADERBOARD.PERIODS
+        .map((period) => this.resolvePeriodKey(period, null, finishedAt))
+        .filter(Boolean);
+
+      for (const [board, value] of Object.entries(values)) {
+        for (const periodKey of periodKeys) {
+          await this.upsertBest(userId, board, periodKey, value, runId);
+        }
+      }
+
+      logInfo('Leaderboards updated', { userId, runId });
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      logError('Record run result error', error, { userId, runId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * alltime | week-2026-W42 | season-2
+   */
+  static resolvePeriodKey(period, season = null, date = new Date()) {
+    if (period === 'alltime') {
+      return 'alltime';
+    }
+
+    if (period === 'weekly') {
+      const { year, week } = getIsoWeek(date);
+      return `week-${year}-W${String(week).padStart(2, '0')}`;
+    }
+
+    if (period === 'season') {
+      if (season) {
+        return `season-${season}`;
+      }
+      const current = LEADERBOARD.SEASONS.find((item) => new Date(item.startsAt) <= date && date < new Date(item.endsAt));
+      return current ? `season-${current.id}` : null;
+    }
+
+    return null;
+  }
+
+  static async computeRank(board, periodKey, entry) {
+    const ascending = LEADERBOARD.BOARDS[board].order === 'asc';
+
+    const betterQuery = supabase
+      .from('leaderboard_entries')
+      .select('*', { count: 'exact', head: true })
+      .eq('board', board)
+      .eq('period_key', periodKey);
+
+    const { count: betterCount, error } = ascending
+      ? await betterQuery.lt('value', entry.value)
+      : await betterQuery.gt('value', entry.value);
+
+    if (error) {
+      throw error;
+    }
+
+    // Bằng điểm => ai đạt trước xếp trên
+    const { count: tiedBefore, error: tieError } = await supabase
+      .from('leaderboard_entries')
+      .select('*', { count: 'exact', head: true })
+      .eq('board', board)
+      .eq('period_key', periodKey)
+      .eq('value', entry.value)
+      .lt('achieved_at', entry.achieved_at);
+
+    if (tieError) {
+      throw tieError;
+    }
+
+    return (betterCount || 0) + (tiedBefore || 0) + 1;
+  }
+
+  static async upsertBest(userId, board, periodKey, value, runId) {
+    const { data: existing, error } = await supabase
+      .from('leaderboard_entries')
+      .select('id, value')
+      .eq('board', board)
+      .eq('period_key', periodKey)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+
+    if (!existing) {
+      const { error: insertError } = await supabase
+        .from('leaderboard_entries')
+        .insert([{
+          user_id: userId,
+          board,
+          period_key: periodKey,
+          value,
+          run_id: runId,
+          achieved_at: now
+        }]);
+
+      // 2 run kết thúc cùng lúc => dòng đã có, so sánh lại
+      if (insertError && insertError.code === '23505') {
+        return this.upsertBest(userId, board, periodKey, value, runId);
+      }
+      if (insertError) {
+        throw insertError;
+      }
+      return;
+    }
+
+    const ascending = LEADERBOARD.BOARDS[board].order === 'asc';
+    const isBetter = ascending ? value < existing.value : value > existing.value;
+    if (!isBetter) {
+      return;
+    }
+
+    const { error: updateError } = await supabase
+      .from('leaderboard_entries')
+      .update({
+        value,
+        run_id: runId,
+        achieved_at: now
+      })
+      .eq('id', existing.id);
+
+    if (updateError) {
+      throw updateError;
+    }
+  }
+
+  /**
+   * Lấy username từ bảng users lúc đọc => đổi tên hiển thị đúng ngay
+   */
+  static async attachUsernames(entries) {
+    if (entries.length === 0) {
+      return entries;
+    }
+
+    const userIds = [...new Set(entries.map((entry) => entry.user_id))];
+
+    const users = await repositories.users.findManyByIds(userIds, 'id, username');
+
+    const usernames = new Map(users.map((user) => [String(user.id), user.username]));
+
+    return entries.map((entry) => ({
+      ...entry,
+      username: usernames.get(String(entry.user_id)) || null
+    }));
+  }
+}
+
+// ============= Helper Functions =============
+
+// Tuần ISO-8601 theo UTC (tuần bắt đầu thứ 2)
+function getIsoWeek(date) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayOfWeek = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - dayOfWeek);
+
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+
+  return { year: target.getUTCFullYear(), week };
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,95 @@
+// src/services/lootService.js - Loot trong rương, sinh từ seed (deterministic giống dungeonService)
+// Unity sinh lại được để hiển thị rương, server dùng để kiểm tra loot client nhận khi nộp run.
+// RNG riêng cho từng rương => thêm / đổi loot không làm lệch layout floor.
+const { createRng } = require('../utils/random');
+const { RUNS } = require('../config/game');
+const { getAllTemplates, getAllAffixIds, getRarity, getAffix } = require('../config/items');
+
+class LootService {
+  /**
+   * Drop của rương thứ `index` trên floor (seed, depth)
+   * Trả về [{ templateId, quantity, rarity, affixes: [{ id, value }] }]
+   */
+  static rollTreasure(seed, depth, index, tier) {
+    const rng = createRng(`${seed}:${depth}:treasure:${index}`);
+    const candidates = getAllTemplates().filter((template) => (
+      template.dropMinDepth <= depth && (!template.bossOnly || tier === 'boss')
+    ));
+
+    const drops = [];
+    for (let i = 0; i < RUNS.DROPS_PER_TREASURE[tier]; i++) {
+      const template = rng.pick(candidates);
+      const rarity = rollRarity(rng, template.rarities, tier);
+
+      drops.push({
+        templateId: template.id,
+        quantity: template.stackable ? rng.int(1, Math.min(template.maxStack, RUNS.MAX_DROP_STACK)) : 1,
+        rarity,
+        affixes: rollAffixes(rng, getRarity(rarity).maxAffixes)
+      });
+    }
+
+    return drops;
+  }
+
+  /**
+   * Ghép từng item client nhận với 1 drop chưa dùng (cùng template, rarity, affix, số lượng không vượt drop)
+   * Trả về item đầu tiên không ghép được, null nếu ghép được hết
+   */
+  static findUnmatchedClaim(claims, drops) {
+    const available = drops.map((drop) => ({ key: dropKey(drop), quantity: drop.quantity }));
+
+    for (const claim of claims) {
+      const key = dropKey(claim);
+      const index = available.findIndex((drop) => drop.key === key && drop.quantity >= claim.quantity);
+      if (index === -1) {
+        return claim;
+      }
+      available.splice(index, 1);
+    }
+
+    return null;
+  }
+}
+
+// ============= Helper Functions =============
+
+// Rarity của template xếp từ thấp tới cao: rương thường nghiêng về thấp, rương boss nghiêng về cao
+function rollRarity(rng, rarities, tier) {
+  const first = rng.int(0, rarities.length - 1);
+  const second = rng.int(0, rarities.length - 1);
+
+  if (tier === 'common') {
+    return rarities[Math.min(first, second)];
+  }
+  if (tier === 'boss') {
+    return rarities[Math.max(first, second)];
+  }
+  return rarities[first];
+}
+
+// Affix không trùng nhau, sắp theo id
+function rollAffixes(rng, maxAffixes) {
+  const pool = getAllAffixIds();
+  const count = rng.int(0, Math.min(maxAffixes, pool.length));
+  const affixes = [];
+
+  for (let i = 0; i < count; i++) {
+    const [id] = pool.splice(rng.int(0, pool.length - 1), 1);
+    const definition = getAffix(id);
+    affixes.push({ id, value: rng.int(definition.min, definition.max) });
+  }
+
+  return affixes.sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+// Thứ tự affix client gửi không quan trọng
+function dropKey({ templateId, rarity, affixes }) {
+  const affixKey = [...affixes]
+    .sort((a, b) => (a.id < b.id ? -1 : 1))
+    .map((affix) => `${affix.id}:${affix.value}`)
+    .join(',');
+  return `${templateId}|${rarity}|${affixKey}`;
+}
+
+module.exports = LootService;
@@ -0,0 +1,108 @@
+// src/services/mailService.js - Gửi email (reset password, xác thực email)
+// Transport chọn qua MAIL_TRANSPORT (smtp / file / console), nội dung trong src/mail/templates.js.
+// Không bao giờ throw: lỗi gửi được retry rồi log, response API không phụ thuộc kết quả gửi
+// (tránh lộ email có tồn tại trong hệ thống hay không).
+const MAIL = require('../config/mail');
+const { EMAIL_VERIFICATION, PASSWORD_RESET } = require('../config/auth');
+const { createTransport } = require('../mail/transports');
+const { renderTemplate } = require('../mail/templates');
+const { logInfo, logWarn, logError } = require('../config/logger');
+const { failure } = require('../utils/errors');
+
+let transport = null;
+
+class MailService {
+  /**
+   * Gửi email reset password
+   */
+  static async sendPasswordReset(user, resetToken, locale) {
+    return this.send({
+      to: user.email,
+      template: 'passwordReset',
+      locale,
+      params: {
+        username: user.username,
+        token: resetToken,
+        link: buildLink(MAIL.LINKS.RESET_PASSWORD, resetToken),
+        expiresInMinutes: Math.round(PASSWORD_RESET.TOKEN_TTL_MS / 60000)
+      },
+      meta: { userId: user.id }
+    });
+  }
+
+  /**
+   * Gửi email xác thực
+   */
+  static async sendEmailVerification(user, verificationToken, locale) {
+    return this.send({
+      to: user.email,
+      template: 'emailVerification',
+      locale,
+      params: {
+        username: user.username,
+        token: verificationToken,
+        link: buildLink(MAIL.LINKS.VERIFY_EMAIL, verificationToken),
+        expiresInHours: Math.round(EMAIL_VERIFICATION.TOKEN_TTL_MS / 3600000)
+      },
+      meta: { userId: user.id }
+    });
+  }
+
+  /**
+   * Render template rồi gửi, lỗi thì thử lại tối đa MAIL.RETRY.MAX_ATTEMPTS lần
+   */
+  static async send({ to, template, locale, params, meta = {} }) {
+    const resolvedLocale = MAIL.LOCALES.includes(locale) ? locale : MAIL.DEFAULT_LOCALE;
+
+    try {
+      const content = renderTemplate(template, resolvedLocale, params);
+      const message = { from: MAIL.FROM, to, ...content };
+      const mailer = this.getTransport();
+
+      for (let attempt = 1; attempt <= MAIL.RETRY.MAX_ATTEMPTS; attempt++) {
+        try {
+          await mailer.send(message);
+
+          logInfo('Mail sent', { ...meta, template, locale: resolvedLocale, transport: mailer.name, attempt });
+          return {
+            success: true,
+            message: 'Đã gửi email'
+          };
+        } catch (error) {
+          logWarn('Mail send attempt failed', { ...meta, template, attempt, error: error.message });
+
+          if (attempt < MAIL.RETRY.MAX_ATTEMPTS) {
+            await sleep(MAIL.RETRY.BASE_DELAY_MS * 2 ** (attempt - 1));
+          }
+        }
+      }
+
+      logError('Mail send failed', new Error(`Gửi email thất bại sau ${MAIL.RETRY.MAX_ATTEMPTS} lần`), { ...meta, template });
+    } catch (error) {
+      logError('Mail send error', error, { ...meta, template });
+    }
+
+    return failure('MAIL_DELIVERY_FAILED');
+  }
+
+  // ============= Helper Methods =============
+
+  static getTransport() {
+    if (!transport) {
+      transport = createTransport(MAIL);
+    }
+    return transport;
+  }
+}
+
+// ============= Helper Functions =============
+
+function buildLink(template, token) {
+  return template.replace('{token}', encodeURIComponent(token));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = MailService;
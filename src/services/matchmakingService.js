@@ -0,0 +1,121 @@
+// src/services/matchmakingService.js - Co-op Matchmaking Rules
+// Luật ghép nhóm (pure functions, không đụng database).
+// Hàng chờ thật nằm trong MatchmakingRoom; mỗi entry có dạng
+// { userId, username, level, size, region, difficulty, queuedAt, connected }
+// Party vào hàng chờ như 1 entry (size = số thành viên, level = level trung bình).
+const { MATCHMAKING, PROGRESSION } = require('../config/game');
+
+class MatchmakingService {
+  /**
+   * Luật ghép hiện tại của 1 entry - chờ càng lâu luật càng rộng
+   */
+  static getMatchRules(entry, now = Date.now()) {
+    const waitedMs = now - entry.queuedAt;
+    const widenSteps = Math.floor(waitedMs / MATCHMAKING.LEVEL_BAND_WIDEN_MS);
+
+    return {
+      levelBand: Math.min(
+        MATCHMAKING.BASE_LEVEL_BAND + widenSteps * MATCHMAKING.LEVEL_BAND_STEP,
+        MATCHMAKING.MAX_LEVEL_BAND
+      ),
+      anyRegion: waitedMs >= MATCHMAKING.ANY_REGION_AFTER_MS,
+      minPlayers: waitedMs >= MATCHMAKING.PARTIAL_GROUP_AFTER_MS
+        ? MATCHMAKING.MIN_PLAYERS
+        : MATCHMAKING.MAX_PLAYERS
+    };
+  }
+
+  /**
+   * 2 entry ghép được với nhau khi cùng độ khó và thoả luật của người chờ lâu hơn
+   */
+  static isCompatible(a, b, now = Date.now()) {
+    if (a.difficulty !== b.difficulty) {
+      return false;
+    }
+
+    const rulesA = this.getMatchRules(a, now);
+    const rulesB = this.getMatchRules(b, now);
+
+    if (Math.abs(a.level - b.level) > Math.max(rulesA.levelBand, rulesB.levelBand)) {
+      return false;
+    }
+
+    return a.region === b.region || rulesA.anyRegion || rulesB.anyRegion;
+  }
+
+  /**
+   * Ghép nhóm: người chờ lâu nhất làm "anchor", lần lượt thêm người hợp với cả nhóm
+   * Trả về danh sách nhóm đủ điều kiện vào dungeon
+   */
+  static findMatches(entries, now = Date.now()) {
+    const waiting = entries
+      .filter((entry) => entry.connected)
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+    const matched = new Set();
+    const groups = [];
+
+    waiting.forEach((anchor) => {
+      if (matched.has(anchor)) {
+        return;
+      }
+
+      const group = [anchor];
+      for (const candidate of waiting) {
+        if (countPlayers(group) >= MATCHMAKING.MAX_PLAYERS) {
+          break;
+        }
+        if (candidate === anchor || matched.has(candidate)) {
+          continue;
+        }
+        if (countPlayers(group) + entrySize(candidate) > MATCHMAKING.MAX_PLAYERS) {
+          continue;
+        }
+        if (group.every((member) => this.isCompatible(member, candidate, now))) {
+          group.push(candidate);
+        }
+      }
+
+      if (countPlayers(group) >= this.getMatchRules(anchor, now).minPlayers) {
+        group.forEach((entry) => matched.add(entry));
+        groups.push(group);
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Trạng thái hàng chờ gửi về client
+   */
+  static getQueueStatus(entry, entries, now = Date.now()) {
+    const rules = this.getMatchRules(entry, now);
+
+    return {
+      state: 'searching',
+      waitedSeconds: Math.floor((now - entry.queuedAt) / 1000),
+      playersInQueue: countPlayers(entries),
+      compatiblePlayers: countPlayers(entries.filter((other) => other !== entry && other.connected && this.isCompatible(entry, other, now))),
+      partySize: entrySize(entry),
+      difficulty: entry.difficulty,
+      region: rules.anyRegion ? 'any' : entry.region,
+      levelRange: {
+        min: Math.max(1, entry.level - rules.levelBand),
+        max: Math.min(PROGRESSION.MAX_LEVEL, entry.level + rules.levelBand)
+      },
+      minPlayers: rules.minPlayers,
+      maxPlayers: MATCHMAKING.MAX_PLAYERS
+    };
+  }
+}
+
+// ============= Helper Functions =============
+
+function entrySize(entry) {
+  return entry.size || 1;
+}
+
+function countPlayers(entries) {
+  return entries.reduce((total, entry) => total + entrySize(entry), 0);
+}
+
+module.exports = MatchmakingService;
@@ -0,0 +1,535 @@
+// src/services/partyService.js - Party System (nhóm trước khi vào dungeon)
+// Party lưu trong Colyseus presence (không gắn với kết nối) nên client rớt mạng
+// ngắn rồi reconnect vẫn còn party. Mọi thay đổi được đẩy tới thành viên qua SocialRoom.
+//   party:<partyId> = JSON { id, leaderId, members[], invites[], status, createdAt }
+//   party:user      = hash userId -> partyId
+// Nhiều room / process có thể sửa cùng 1 party => mọi thay đổi chạy trong lock (party:lock:*).
+const crypto = require('crypto');
+const { matchMaker } = require('@colyseus/core');
+const repositories = require('../repositories');
+const { logInfo, logError } = require('../config/logger');
+const FriendService = require('./friendService');
+const { sendToUser, getPresenceStatus, PRESENCE_STATUS } = require('../rooms/presence');
+const { reserveSeatForAuth } = require('../rooms/roomAuth');
+const { PARTY, MATCHMAKING } = require('../config/game');
+const { failure } = require('../utils/errors');
+
+const PARTY_USER_KEY = 'party:user';
+const LOCK_TTL_SECONDS = 5;
+const LOCK_RETRY_MS = 25;
+const LOCK_MAX_ATTEMPTS = 80;
+// Chỉ xoá lock khi còn đúng token của người giữ
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+class PartyService {
+  /**
+   * Create Party - người tạo là trưởng nhóm
+   */
+  static async createParty(presence, user) {
+    try {
+      return await withLock(presence, `user:${user.id}`, async () => {
+        if (await this.getPartyIdOfUser(presence, user.id)) {
+          return failure('ALREADY_IN_PARTY');
+        }
+
+        const party = {
+          id: crypto.randomBytes(6).toString('hex'),
+          leaderId: String(user.id),
+          members: [toMember(user)],
+          invites: [],
+          status: 'idle',
+          createdAt: new Date().toISOString()
+        };
+
+        await this.saveParty(presence, party);
+        await presence.hset(PARTY_USER_KEY, String(user.id), party.id);
+        this.publishParty(presence, party);
+
+        logInfo('Party created', { partyId: party.id, leaderId: party.leaderId });
+
+        return {
+          success: true,
+          message: 'Đã tạo party',
+          data: formatParty(party)
+        };
+      });
+    } catch (error) {
+      logError('Create party error', error, { userId: user.id });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Invite - trưởng nhóm mời bạn bè (theo username) đang online
+   */
+  static async inviteByUsername(presence, user, username) {
+    try {
+      const target = await repositories.users.findActiveByUsername(username, 'id, username');
+
+      return await this.updatePartyOfUser(presence, user.id, async (party) => {
+        if (party.leaderId !== String(user.id)) {
+          return failure('NOT_LEADER');
+        }
+        if (party.members.length >= PARTY.MAX_SIZE) {
+          return failure('PARTY_FULL', { params: { max: PARTY.MAX_SIZE } });
+        }
+        if (!target) {
+          return failure('PLAYER_NOT_FOUND');
+        }
+
+        const targetId = String(target.id);
+
+        if (party.members.some((member) => member.userId === targetId)) {
+          return failure('ALREADY_MEMBER');
+        }
+
+        // Bị chặn => không phải bạn bè, trả cùng lỗi để không lộ việc chặn
+        if (!await FriendService.areFriends(user.id, targetId) || await FriendService.isBlocked(user.id, targetId)) {
+          return failure('NOT_FRIEND');
+        }
+
+        if (await getPresenceStatus(presence, targetId) === PRESENCE_STATUS.OFFLINE) {
+          return failure('PLAYER_OFFLINE');
+        }
+
+        const invite = {
+          userId: targetId,
+          username: target.username,
+          invitedBy: String(user.id),
+          expiresAt: new Date(Date.now() + PARTY.INVITE_TTL_MS).toISOString()
+        };
+
+        party.invites = activeInvites(party).filter((item) => item.userId !== targetId);
+        party.invites.push(invite);
+        await this.saveParty(presence, party);
+
+        sendToUser(presence, targetId, 'partyInvite', {
+          partyId: party.id,
+          from: { userId: String(user.id), username: user.username },
+          members: party.members.length,
+          expiresAt: invite.expiresAt
+        });
+        this.publishParty(presence, party);
+
+        logInfo('Party invite sent', { partyId: party.id, targetId });
+
+        return {
+          success: true,
+          message: 'Đã gửi lời mời vào party',
+          data: formatParty(party)
+        };
+      });
+    } catch (error) {
+      logError('Party invite error', error, { userId: user.id, username });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Join Party (chấp nhận lời mời)
+   */
+  static async joinParty(presence, user, partyId) {
+    const userId = String(user.id);
+
+    try {
+      // Lock user trước rồi mới tới party (cùng thứ tự với createParty)
+      return await withLock(presence, `user:${userId}`, async () => {
+        if (await this.getPartyIdOfUser(presence, userId)) {
+          return failure('ALREADY_IN_PARTY');
+        }
+
+        return this.updateParty(presence, partyId, async (party) => {
+          if (!activeInvites(party).some((invite) => invite.userId === userId)) {
+            return failure('INVITE_NOT_FOUND');
+          }
+          if (party.members.length >= PARTY.MAX_SIZE) {
+            return failure('PARTY_FULL', { params: { max: PARTY.MAX_SIZE } });
+          }
+          if (party.status === 'queued') {
+            return failure('PARTY_QUEUED');
+          }
+
+          party.invites = activeInvites(party).filter((invite) => invite.userId !== userId);
+          party.members.push(toMember(user));
+
+          await this.saveParty(presence, party);
+          await presence.hset(PARTY_USER_KEY, userId, party.id);
+          this.publishParty(presence, party);
+
+          logInfo('Player joined party', { partyId: party.id, userId });
+
+          return {
+            success: true,
+            message: 'Đã vào party',
+            data: formatParty(party)
+          };
+        });
+      });
+    } catch (error) {
+      logError('Join party error', error, { userId, partyId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Decline Invite
+   */
+  static async declineInvite(presence, user, partyId) {
+    const userId = String(user.id);
+
+    try {
+      return await this.updateParty(presence, partyId, async (party) => {
+        if (!activeInvites(party).some((invite) => invite.userId === userId)) {
+          return failure('INVITE_NOT_FOUND');
+        }
+
+        party.invites = activeInvites(party).filter((invite) => invite.userId !== userId);
+        await this.saveParty(presence, party);
+
+        sendToUser(presence, party.leaderId, 'partyInviteDeclined', { partyId: party.id, userId, username: user.username });
+        this.publishParty(presence, party);
+
+        return {
+          success: true,
+          message: 'Đã từ chối lời mời'
+        };
+      });
+    } catch (error) {
+      logError('Decline party invite error', error, { userId, partyId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Leave Party - trưởng nhóm rời => chuyển cho người vào sớm nhất, hết người => giải tán
+   * reason: 'left' | 'disconnected'
+   */
+  static async leaveParty(presence, userId, reason = 'left') {
+    try {
+      return await this.updatePartyOfUser(presence, userId, async (party) => {
+        await this.removeMember(presence, party, String(userId), reason);
+
+        return {
+          success: true,
+          message: 'Đã rời party'
+        };
+      });
+    } catch (error) {
+      logError('Leave party error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Kick Member (chỉ trưởng nhóm)
+   */
+  static async kickMember(presence, leaderId, targetUserId) {
+    try {
+      return await this.updatePartyOfUser(presence, leaderId, async (party) => {
+        if (party.leaderId !== String(leaderId)) {
+          return failure('NOT_LEADER');
+        }
+        if (String(targetUserId) === String(leaderId) || !party.members.some((member) => member.userId === String(targetUserId))) {
+          return failure('NOT_MEMBER');
+        }
+
+        await this.removeMember(presence, party, String(targetUserId), 'kicked');
+
+        logInfo('Party member kicked', { partyId: party.id, leaderId, targetUserId });
+
+        return {
+          success: true,
+          message: 'Đã mời thành viên ra khỏi party'
+        };
+      });
+    } catch (error) {
+      logError('Kick party member error', error, { leaderId, targetUserId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Promote Leader (chuyển quyền trưởng nhóm)
+   */
+  static async promoteLeader(presence, leaderId, targetUserId) {
+    try {
+      return await this.updatePartyOfUser(presence, leaderId, async (party) => {
+        if (party.leaderId !== String(leaderId)) {
+          return failure('NOT_LEADER');
+        }
+        if (String(targetUserId) === String(leaderId) || !party.members.some((member) => member.userId === String(targetUserId))) {
+          return failure('NOT_MEMBER');
+        }
+
+        party.leaderId = String(targetUserId);
+        await this.saveParty(presence, party);
+        this.publishParty(presence, party);
+
+        logInfo('Party leader changed', { partyId: party.id, from: leaderId, to: targetUserId });
+
+        return {
+          success: true,
+          message: 'Đã chuyển quyền trưởng nhóm'
+        };
+      });
+    } catch (error) {
+      logError('Promote party leader error', error, { leaderId, targetUserId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Start Run
+   * - private: tạo DungeonRoom riêng và giữ chỗ cho cả party
+   * - matchmaking: báo trưởng nhóm join MatchmakingRoom với partyId (cả party là 1 entry)
+   */
+  static async startRun(presence, leaderId, { mode, difficulty = MATCHMAKING.DEFAULT_DIFFICULTY, region }) {
+    try {
+      return await this.updatePartyOfUser(presence, leaderId, async (party) => {
+        if (party.leaderId !== String(leaderId)) {
+          return failure('NOT_LEADER');
+        }
+        if (party.status === 'queued') {
+          return failure('PARTY_QUEUED');
+        }
+
+        const statuses = await Promise.all(party.members.map((member) => getPresenceStatus(presence, member.userId)));
+        if (statuses.some((status) => status !== PRESENCE_STATUS.ONLINE)) {
+          return failure('MEMBERS_NOT_READY');
+        }
+
+        if (mode === 'matchmaking') {
+          if (!region) {
+            return failure('REGION_REQUIRED');
+          }
+
+          sendToUser(presence, party.leaderId, 'partyQueue', { partyId: party.id, region, difficulty });
+
+          return {
+            success: true,
+            message: 'Trưởng nhóm đang vào hàng chờ',
+            data: formatParty(party)
+          };
+        }
+
+        const room = await matchMaker.createRoom('dungeon', {
+          matchmaking: true,
+          difficulty,
+          partyId: party.id
+        });
+
+        await this.sendReservations(presence, room, party.members, { difficulty });
+
+        logInfo('Party private run started', { partyId: party.id, roomId: room.roomId });
+
+        return {
+          success: true,
+          message: 'Đã tạo dungeon cho party',
+          data: formatParty(party)
+        };
+      });
+    } catch (error) {
+      logError('Start party run error', error, { leaderId, mode });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Đánh dấu party đang / hết tìm trận (MatchmakingRoom gọi)
+   * Trả về party sau khi cập nhật, null nếu party đã giải tán
+   */
+  static async setQueued(presence, partyId, queued) {
+    const result = await this.updateParty(presence, partyId, async (party) => {
+      party.status = queued ? 'queued' : 'idle';
+      await this.saveParty(presence, party);
+      this.publishParty(presence, party);
+
+      return { success: true, data: party };
+    });
+
+    return result.success ? result.data : null;
+  }
+
+  // ============= Helper Methods =============
+
+  static async getParty(presence, partyId) {
+    const raw = await presence.get(`party:${partyId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  static async getPartyIdOfUser(presence, userId) {
+    return presence.hget(PARTY_USER_KEY, String(userId));
+  }
+
+  static async getPartyOfUser(presence, userId) {
+    const partyId = await this.getPartyIdOfUser(presence, userId);
+    if (!partyId) {
+      return null;
+    }
+
+    const party = await this.getParty(presence, partyId);
+    if (!party) {
+      // Party đã bị xoá nhưng index còn sót
+      await presence.hdel(PARTY_USER_KEY, String(userId));
+    }
+
+    return party;
+  }
+
+  static async saveParty(presence, party) {
+    await presence.set(`party:${party.id}`, JSON.stringify(party));
+  }
+
+  /**
+   * Đọc lại party trong lock rồi gọi update(party)
+   */
+  static async updateParty(presence, partyId, update) {
+    return withLock(presence, `party:${partyId}`, async () => {
+      const party = await this.getParty(presence, partyId);
+      if (!party) {
+        return failure('PARTY_DISBANDED');
+      }
+
+      return update(party);
+    });
+  }
+
+  static async updatePartyOfUser(presence, userId, update) {
+    const partyId = await this.getPartyIdOfUser(presence, userId);
+    if (!partyId) {
+      return failure('NOT_IN_PARTY');
+    }
+
+    return this.updateParty(presence, partyId, async (party) => {
+      // Đã rời party trong lúc chờ lock
+      if (!party.members.some((member) => member.userId === String(userId))) {
+        return failure('NOT_IN_PARTY');
+      }
+
+      return update(party);
+    });
+  }
+
+  static async removeMember(presence, party, userId, reason) {
+    party.members = party.members.filter((member) => member.userId !== userId);
+    await presence.hdel(PARTY_USER_KEY, userId);
+    sendToUser(presence, userId, 'partyLeft', { partyId: party.id, reason });
+
+    if (party.members.length === 0) {
+      await presence.del(`party:${party.id}`);
+      logInfo('Party disbanded', { partyId: party.id });
+      return;
+    }
+
+    if (party.leaderId === userId) {
+      party.leaderId = party.members[0].userId;
+      logInfo('Party leader handed off', { partyId: party.id, leaderId: party.leaderId });
+    }
+
+    await this.saveParty(presence, party);
+    this.publishParty(presence, party);
+  }
+
+  /**
+   * Giữ chỗ trong room cho từng thành viên và gửi qua SocialRoom
+   * Thành viên có token đã bị thu hồi thì không được giữ chỗ
+   */
+  static async sendReservations(presence, room, members, details = {}) {
+    for (const member of members) {
+      const reservation = await reserveSeatForAuth(room.name, room, member.auth);
+      if (reservation) {
+        sendToUser(presence, member.userId, 'matchFound', { reservation, ...details });
+      }
+    }
+  }
+
+  static formatParty(party) {
+    return formatParty(party);
+  }
+
+  static publishParty(presence, party) {
+    const snapshot = formatParty(party);
+    party.members.forEach((member) => sendToUser(presence, member.userId, 'party', snapshot));
+  }
+}
+
+// ============= Helper Functions =============
+
+/**
+ * Lock trên presence: đặt key kèm TTL trong 1 bước (chỉ khi chưa có) => process chết giữa chừng
+ * không khoá party mãi mãi. Mỗi lần giữ lock có token riêng, chỉ xoá key khi còn đúng token
+ * => không xoá nhầm lock của người khác đã lấy sau khi TTL hết.
+ */
+async function withLock(presence, name, run) {
+  const key = `party:lock:${name}`;
+  const token = crypto.randomUUID();
+
+  for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
+    if (await acquireLock(presence, key, token)) {
+      try {
+        return await run();
+      } finally {
+        await releaseLock(presence, key, token);
+      }
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  throw new Error(`Timeout waiting for lock ${key}`);
+}
+
+// Presence không có SET NX / xoá có điều kiện:
+//   RedisPresence - dùng thẳng Redis client (presence.pub): SET NX EX và script so token rồi mới DEL
+//   LocalPresence - 1 process, get / setex / del chạy đồng bộ nên không có gì xen giữa kiểm tra và ghi
+async function acquireLock(presence, key, token) {
+  if (presence.pub) {
+    return await presence.pub.set(key, token, 'EX', LOCK_TTL_SECONDS, 'NX') === 'OK';
+  }
+
+  if (presence.get(key) !== undefined) {
+    return false;
+  }
+  presence.setex(key, token, LOCK_TTL_SECONDS);
+  return true;
+}
+
+async function releaseLock(presence, key, token) {
+  if (presence.pub) {
+    await presence.pub.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+    return;
+  }
+
+  if (presence.get(key) === token) {
+    presence.del(key);
+  }
+}
+
+function toMember(user) {
+  return {
+    userId: String(user.id),
+    username: user.username,
+    // Auth đầy đủ từ onAuth (role, permissions, tokenVersion...), dùng lại khi giữ chỗ vào DungeonRoom
+    auth: user,
+    joinedAt: new Date().toISOString()
+  };
+}
+
+function activeInvites(party) {
+  const now = Date.now();
+  return party.invites.filter((invite) => new Date(invite.expiresAt).getTime() > now);
+}
+
+// Thông tin gửi cho client (không kèm auth)
+function formatParty(party) {
+  return {
+    id: party.id,
+    leaderId: party.leaderId,
+    status: party.status,
+    members: party.members.map(({ userId, username, joinedAt }) => ({ userId, username, joinedAt })),
+    invites: activeInvites(party).map(({ userId, username, expiresAt }) => ({ userId, username, expiresAt })),
+    maxSize: PARTY.MAX_SIZE
+  };
+}
+
+module.exports = PartyService;
@@ -0,0 +1,254 @@
+// src/services/playerService.js - Player Profile & Progression
+// Bảng player_profiles (1-1 với users): level, xp, gold, souls,
+// unlocked_classes, selected_class, selected_skin, stats
+const { supabase } = require('../config/database');
+const { logInfo, logError } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const { xpToNextLevel, applyExperience } = require('../utils/progression');
+const {
+  PROGRESSION,
+  DEFAULT_CLASS,
+  DEFAULT_SKIN,
+  CLASSES,
+  SKINS
+} = require('../config/game');
+
+const DEFAULT_STATS = {
+  runsPlayed: 0,
+  runsCleared: 0,
+  deepestFloor: 0,
+  totalKills: 0,
+  playTimeSeconds: 0
+};
+
+const MAX_REWARD_ATTEMPTS = 3;
+
+class PlayerService {
+  /**
+   * Get Profile (tự tạo profile cho user chưa có)
+   */
+  static async getProfile(userId) {
+    try {
+      const profile = await this.findOrCreateProfile(userId);
+
+      return {
+        success: true,
+        data: this.formatProfile(profile)
+      };
+    } catch (error) {
+      logError('Get player profile error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Update Profile
+   * Client chỉ được đổi lựa chọn (class, skin); level/xp/gold do server quản lý
+   */
+  static async updateProfile(userId, { selectedClass, selectedSkin }) {
+    try {
+      logInfo('Update player profile attempt', { userId, selectedClass, selectedSkin });
+
+      const profile = await this.findOrCreateProfile(userId);
+      const updates = {};
+
+      if (selectedClass !== undefined) {
+        if (!profile.unlocked_classes.includes(selectedClass)) {
+          return failure('CLASS_LOCKED');
+        }
+        updates.selected_class = selectedClass;
+      }
+
+      if (selectedSkin !== undefined) {
+        const skin = SKINS.find((item) => item.id === selectedSkin);
+        if (!skin) {
+          return failure('SKIN_NOT_FOUND');
+        }
+        if (profile.level < skin.minLevel) {
+          return failure('SKIN_LEVEL_REQUIRED', { params: { level: skin.minLevel } });
+        }
+        updates.selected_skin = selectedSkin;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return failure('PROFILE_NOTHING_TO_UPDATE');
+      }
+
+      const { data: updated, error } = await supabase
+        .from('player_profiles')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      logInfo('Update player profile successful', { userId });
+
+      return {
+        success: true,
+        messageKey: 'PROFILE_UPDATED',
+        data: this.formatProfile(updated)
+      };
+    } catch (error) {
+      logError('Update player profile error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Grant Rewards (chỉ gọi từ server - ví dụ khi run kết thúc)
+   * Cộng XP theo curve, gold, souls và mở khoá class theo level mới
+   */
+  static async grantRewards(userId, { xp = 0, gold = 0, souls = 0 } = {}) {
+    try {
+      for (let attempt = 1; attempt <= MAX_REWARD_ATTEMPTS; attempt++) {
+        const profile = await this.findOrCreateProfile(userId);
+        const { params, levelsGained } = this.prepareRewards(profile, { xp, gold, souls });
+
+        // Level / xp chỉ ghi nếu chưa đổi từ lúc đọc, gold / souls cộng trên dòng hiện tại
+        // (migration 0015_add_player_progress_functions)
+        const { data: updated, error } = await supabase.rpc('grant_player_rewards', {
+          p_user_id: userId,
+          ...params
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        // Lần cộng khác vừa đổi level / xp => đọc lại rồi tính lại
+        if (!updated) {
+          continue;
+        }
+
+        if (levelsGained > 0) {
+          logInfo('Player leveled up', { userId, newLevel: updated.level, levelsGained });
+        }
+
+        return {
+          success: true,
+          data: {
+            profile: this.formatProfile(updated),
+            levelsGained
+          }
+        };
+      }
+
+      throw new Error(`Không cộng được phần thưởng sau ${MAX_REWARD_ATTEMPTS} lần thử`);
+    } catch (error) {
+      logError('Grant rewards error', error, { userId, xp, gold, souls });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Record Run Stats (chỉ gọi từ server sau khi run đã được xác thực)
+   */
+  static async recordRunStats(userId, { floorsCleared, kills, durationMs, cleared }) {
+    try {
+      await this.findOrCreateProfile(userId);
+
+      // Cộng trong câu UPDATE, không ghi lại stats vừa đọc
+      const { error } = await supabase.rpc('record_player_run_stats', {
+        p_user_id: userId,
+        p_floors_cleared: floorsCleared,
+        p_kills: kills,
+        p_play_time_seconds: Math.floor(durationMs / 1000),
+        p_cleared: Boolean(cleared)
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      logError('Record run stats error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  static async findOrCreateProfile(userId) {
+    const { data: profile, error } = await supabase
+      .from('player_profiles')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (profile) {
+      return profile;
+    }
+
+    const { data: created, error: insertError } = await supabase
+      .from('player_profiles')
+      .insert([{
+        user_id: userId,
+        level: 1,
+        xp: 0,
+        gold: PROGRESSION.STARTING_GOLD,
+        souls: PROGRESSION.STARTING_SOULS,
+        unlocked_classes: [DEFAULT_CLASS],
+        selected_class: DEFAULT_CLASS,
+        selected_skin: DEFAULT_SKIN,
+        stats: DEFAULT_STATS
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      // 2 request cùng tạo profile => lấy bản đã được tạo
+      if (insertError.code === '23505') {
+        return this.findOrCreateProfile(userId);
+      }
+      throw insertError;
+    }
+
+    logInfo('Player profile created', { userId });
+    return created;
+  }
+
+  /**
+   * Tham số grant_player_rewards tính từ profile vừa đọc: level / XP mới theo curve,
+   * các class mở ở level mới; p_expected_* là giá trị đã dùng để tính
+   */
+  static prepareRewards(profile, { xp = 0, gold = 0, souls = 0 }) {
+    const progress = applyExperience(profile.level, profile.xp, xp);
+
+    return {
+      levelsGained: progress.levelsGained,
+      params: {
+        p_expected_level: profile.level,
+        p_expected_xp: profile.xp,
+        p_level: progress.level,
+        p_xp: progress.xp,
+        p_gold: Math.floor(gold),
+        p_souls: Math.floor(souls),
+        p_unlocked_classes: CLASSES.filter((item) => item.minLevel <= progress.level).map((item) => item.id)
+      }
+    };
+  }
+
+  static formatProfile(profile) {
+    return {
+      ...profile,
+      stats: { ...DEFAULT_STATS, ...profile.stats },
+      xp_to_next_level: xpToNextLevel(profile.level)
+    };
+  }
+}
+
+module.exports = PlayerService;
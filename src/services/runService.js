@@ -0,0 +1,454 @@
+// src/services/runService.js - Run History & Result Submission
+// Bảng game_runs: mỗi dòng là 1 run đã được server chấp nhận.
+// Seed, floor đã qua, số quái và thời gian lấy từ run ticket do DungeonRoom ký, client chỉ chọn class
+// và khai loot đã nhặt (phải khớp drop sinh từ seed, xem lootService).
+// Bảng suspicious_activity: ghi lại các lần nộp kết quả bất khả thi (giống login_history).
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/database');
+const repositories = require('../repositories');
+const { logInfo, logWarn, logError } = require('../config/logger');
+const { failure } = require('../utils/errors');
+const DungeonService = require('./dungeonService');
+const PlayerService = require('./playerService');
+const InventoryService = require('./inventoryService');
+const LeaderboardService = require('./leaderboardService');
+const AuthService = require('./authService');
+const LootService = require('./lootService');
+const { verifyRunTicket } = require('../utils/token');
+const { getTemplate, ITEM_CATALOG_VERSION, INVENTORY_CAPACITY } = require('../config/items');
+const {
+  TILE,
+  MAX_PLAYERS_PER_ROOM,
+  DUNGEON,
+  PLAYER,
+  PROJECTILE,
+  BOSS,
+  RUNS
+} = require('../config/game');
+
+const MAX_SAVE_ATTEMPTS = 3;
+
+class RunService {
+  /**
+   * Submit Run - đọc kết quả từ run ticket, kiểm tra theo seed + thời gian rồi ghi nhận
+   * submission = { ticket, classId, loot }
+   */
+  static async submitRun(userId, { ticket, classId, loot }, ipAddress = null, userAgent = null) {
+    let run = null;
+
+    try {
+      const { result, suspicious } = this.readTicket(ticket, userId);
+
+      if (!result) {
+        // Ticket hết hạn (nộp muộn, mất mạng) không phải gian lận => chỉ ghi khi chữ ký sai / ticket của user khác
+        if (suspicious) {
+          await this.flagSuspicious(userId, 'invalid_run_ticket', {}, ipAddress, userAgent);
+        }
+        return failure('RUN_TICKET_INVALID');
+      }
+
+      const { finishedAt, ...ticketRun } = result;
+      run = { ...ticketRun, classId, loot };
+
+      logInfo('Run submission attempt', { userId, seed: run.seed, floorsCleared: run.floorsCleared });
+
+      const profile = await PlayerService.findOrCreateProfile(userId);
+      const startedAt = new Date(finishedAt.getTime() - run.durationMs);
+
+      // Cùng seed chỉ được nộp 1 lần
+      const { data: duplicate, error: duplicateError } = await supabase
+        .from('game_runs')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('seed', run.seed)
+        .maybeSingle();
+
+      if (duplicateError && duplicateError.code !== 'PGRST116') {
+        throw duplicateError;
+      }
+
+      if (duplicate) {
+        await this.flagSuspicious(userId, 'duplicate_seed', { seed: run.seed }, ipAddress, userAgent);
+        return failure('RUN_ALREADY_SUBMITTED');
+      }
+
+      const lastRun = await this.findLastRun(userId);
+      const validation = this.validateRun(run, profile, lastRun, startedAt);
+
+      if (!validation.valid) {
+        await this.flagSuspicious(userId, validation.reason, {
+          seed: run.seed,
+          floorsCleared: run.floorsCleared,
+          kills: run.kills,
+          durationMs: run.durationMs,
+          ...validation.details
+        }, ipAddress, userAgent);
+
+        return failure(validation.code);
+      }
+
+      const cleared = run.floorsCleared >= RUNS.CLEAR_DEPTH;
+      const score = calculateScore(run, cleared);
+      const rewards = calculateRewards(run);
+
+      const saved = await this.saveRun(userId, profile, {
+        seed: run.seed,
+        generator_version: DUNGEON.GENERATOR_VERSION,
+        class_id: run.classId,
+        floors_cleared: run.floorsCleared,
+        kills: run.kills,
+        duration_ms: run.durationMs,
+        loot: run.loot,
+        score,
+        cleared,
+        started_at: startedAt.toISOString(),
+        finished_at: finishedAt.toISOString(),
+        ip_address: ipAddress
+      }, rewards, run.loot);
+
+      // 2 request nộp cùng seed cùng lúc
+      if (!saved) {
+        return failure('RUN_ALREADY_SUBMITTED');
+      }
+
+      const savedRun = saved.run;
+      const lootResults = run.loot.map((item, index) => {
+        const added = saved.lootAdded[index];
+        const rejected = added ? {} : failure('INVENTORY_FULL');
+        return { templateId: item.templateId, added, code: rejected.code, message: rejected.message };
+      });
+
+      // Chưa xác thực email (khi bật EMAIL_VERIFICATION_REQUIRED_FOR=ranked) => không lên bảng xếp hạng
+      const ranked = await AuthService.canUseFeature(userId, 'ranked');
+      if (ranked) {
+        await LeaderboardService.recordRunResult(userId, {
+          runId: savedRun.id,
+          floorsCleared: run.floorsCleared,
+          durationMs: run.durationMs,
+          score,
+          cleared,
+          finishedAt
+        });
+      }
+
+      logInfo('Run submission accepted', { userId, runId: savedRun.id, score, ranked });
+
+      return {
+        success: true,
+        messageKey: 'RUN_SUBMITTED',
+        data: {
+          run: savedRun,
+          rewards,
+          levelsGained: saved.levelsGained,
+          loot: lootResults,
+          ranked
+        }
+      };
+    } catch (error) {
+      logError('Submit run error', error, { userId, seed: run && run.seed });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Get My Runs (mới nhất trước)
+   */
+  static async getMyRuns(userId, { page = 1, limit = RUNS.HISTORY_PAGE_SIZE } = {}) {
+    try {
+      const offset = (page - 1) * limit;
+
+      const { data: runs, count, error } = await supabase
+        .from('game_runs')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('finished_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: {
+          page,
+          limit,
+          total: count || 0,
+          runs: runs || []
+        }
+      };
+    } catch (error) {
+      logError('Get run history error', error, { userId });
+      return failure('INTERNAL_ERROR');
+    }
+  }
+
+  // ============= Helper Methods =============
+
+  /**
+   * Run ticket hợp lệ và cấp cho chính user này => { result } (kết quả run)
+   * Không thì { result: null, suspicious }: suspicious = false khi ticket chỉ hết hạn
+   */
+  static readTicket(ticket, userId) {
+    try {
+      const result = verifyRunTicket(ticket);
+      if (String(result.userId) !== String(userId)) {
+        logWarn('Run ticket belongs to another user', { userId, ticketUserId: result.userId });
+        return { result: null, suspicious: true };
+      }
+
+      return {
+        result: {
+          seed: result.seed,
+          floorsCleared: result.floorsCleared,
+          kills: result.kills,
+          durationMs: result.durationMs,
+          finishedAt: result.finishedAt
+        }
+      };
+    } catch (error) {
+      logInfo('Run ticket rejected', { userId, error: error.message });
+      return { result: null, suspicious: !(error instanceof jwt.TokenExpiredError) };
+    }
+  }
+
+  /**
+   * Ghi run + phần thưởng + stats + loot trong 1 transaction (migration 0017_add_submit_run_function)
+   * Level / xp đổi giữa lúc đọc profile và lúc ghi => đọc lại rồi thử lại
+   * Trả về { run, levelsGained, lootAdded }, null nếu seed đã được nộp
+   */
+  static async saveRun(userId, profile, record, rewards, loot) {
+    const lootParams = loot.map((item) => InventoryService.grantParams(item));
+    let current = profile;
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const { params, levelsGained } = PlayerService.prepareRewards(current, rewards);
+
+      const { data, error } = await supabase.rpc('submit_game_run', {
+        p_user_id: userId,
+        ...params,
+        p_run: record,
+        p_loot: lootParams,
+        p_catalog_version: ITEM_CATALOG_VERSION,
+        p_capacity: INVENTORY_CAPACITY
+      });
+
+      if (error) {
+        if (error.code === '23505') {
+          return null;
+        }
+        throw error;
+      }
+
+      if (!data.error) {
+        if (levelsGained > 0) {
+          logInfo('Player leveled up', { userId, newLevel: current.level + levelsGained, levelsGained });
+        }
+
+        return { run: data.run, levelsGained, lootAdded: data.loot_added };
+      }
+
+      // PROFILE_CHANGED: lần cộng khác vừa đổi level / xp
+      current = await PlayerService.findOrCreateProfile(userId);
+    }
+
+    throw new Error(`Không ghi nhận được run sau ${MAX_SAVE_ATTEMPTS} lần thử`);
+  }
+
+  /**
+   * Dựng lại các floor từ seed và kiểm tra kết quả có thể đạt được hay không
+   * Trả về { valid, reason, message, details }
+   */
+  static validateRun(run, profile, lastRun, startedAt) {
+    if (!profile.unlocked_classes.includes(run.classId)) {
+      return invalid('locked_class', 'CLASS_LOCKED', { classId: run.classId });
+    }
+
+    if (run.durationMs > RUNS.MAX_DURATION_MS) {
+      return invalid('duration_too_long', 'RUN_DURATION_INVALID');
+    }
+
+    // Không thể chơi 2 run chồng lên nhau
+    if (lastRun && new Date(lastRun.finished_at) > startedAt) {
+      return invalid('overlapping_runs', 'RUN_OVERLAPPING', { lastRunId: lastRun.id });
+    }
+
+    // Các floor đã qua + floor đang chơi dở lúc kết thúc
+    const reachedDepth = Math.min(run.floorsCleared + 1, DUNGEON.MAX_DEPTH);
+    const floors = [];
+    for (let depth = 1; depth <= reachedDepth; depth++) {
+      floors.push(DungeonService.generateFloor(run.seed, depth));
+    }
+    const clearedFloors = floors.slice(0, run.floorsCleared);
+
+    const minDurationMs = Math.floor(RUNS.MIN_TIME_TOLERANCE * (
+      clearedFloors.reduce((total, floor) => total + getMinimumClearTimeMs(floor), 0)
+      + Math.max(0, run.floorsCleared - 1) * DUNGEON.FLOOR_TRANSITION_MS
+    ));
+
+    if (run.durationMs < minDurationMs) {
+      return invalid('too_fast', 'RUN_TOO_FAST', { minDurationMs });
+    }
+
+    // Quái thường của mọi floor đã tới + boss của các floor đã qua
+    const maxKills = floors.reduce((total, floor) => total + floor.spawns.enemies.length, 0) + clearedFloors.length;
+    if (run.kills > maxKills) {
+      return invalid('too_many_kills', 'RUN_TOO_MANY_KILLS', { maxKills });
+    }
+
+    return this.validateLoot(run, floors);
+  }
+
+  /**
+   * Loot phải là drop trong rương của các floor đã tới (rương boss chỉ khi đã hạ boss floor đó),
+   * mỗi drop chỉ nhận 1 lần
+   */
+  static validateLoot(run, floors) {
+    const drops = floors.flatMap((floor) => floor.treasure
+      .filter((chest) => chest.tier !== 'boss' || floor.depth <= run.floorsCleared)
+      .flatMap((chest) => chest.drops));
+    const maxLootEntries = Math.min(drops.length, RUNS.MAX_LOOT_ENTRIES);
+
+    if (run.loot.length > maxLootEntries) {
+      return invalid('too_much_loot', 'RUN_TOO_MUCH_LOOT', { maxLootEntries });
+    }
+
+    const reachedDepth = floors.length;
+
+    for (const item of run.loot) {
+      const grant = InventoryService.validateItemGrant(item);
+      if (!grant.valid) {
+        return invalid('invalid_loot', grant.code, { templateId: item.templateId });
+      }
+
+      const template = getTemplate(item.templateId);
+
+      if (template.dropMinDepth > reachedDepth) {
+        return invalid('impossible_loot', 'RUN_LOOT_TOO_DEEP', { templateId: item.templateId });
+      }
+
+      // Item của boss => phải hạ boss ở floor đủ sâu
+      if (template.bossOnly && template.dropMinDepth > run.floorsCleared) {
+        return invalid('impossible_loot', 'RUN_LOOT_BOSS_ALIVE', { templateId: item.templateId });
+      }
+
+      if (item.quantity > (template.stackable ? template.maxStack : 1)) {
+        return invalid('invalid_loot', 'ITEM_INVALID_QUANTITY', { templateId: item.templateId });
+      }
+    }
+
+    const unmatched = LootService.findUnmatchedClaim(run.loot, drops);
+    if (unmatched) {
+      return invalid('impossible_loot', 'RUN_LOOT_NOT_DROPPED', {
+        templateId: unmatched.templateId,
+        rarity: unmatched.rarity
+      });
+    }
+
+    return { valid: true };
+  }
+
+  static async findLastRun(userId) {
+    const { data: runs, error } = await supabase
+      .from('game_runs')
+      .select('id, finished_at')
+      .eq('user_id', userId)
+      .order('finished_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return runs && runs.length > 0 ? runs[0] : null;
+  }
+
+  static async flagSuspicious(userId, reason, details, ipAddress, userAgent) {
+    try {
+      logWarn('Suspicious run submission', { userId, reason, ...details });
+
+      await repositories.suspiciousActivity.create({
+        user_id: userId,
+        reason,
+        details,
+        ip_address: ipAddress,
+        user_agent: userAgent
+      });
+    } catch (error) {
+      logError('Flag suspicious activity error', error);
+    }
+  }
+}
+
+// ============= Helper Functions =============
+
+function invalid(reason, code, details = {}) {
+  return { valid: false, reason, code, details };
+}
+
+/**
+ * Thời gian tối thiểu để hạ boss của 1 floor:
+ * đi từ spawn tới tầm bắn boss + đủ phát bắn khi cả party cùng bắn
+ */
+function getMinimumClearTimeMs(floor) {
+  const pathLength = findPathLength(floor, floor.spawns.players[0], floor.spawns.boss);
+  const range = PROJECTILE.SPEED * PROJECTILE.LIFETIME_MS / 1000;
+  const travelMs = Math.max(0, pathLength - range) / PLAYER.SPEED * 1000;
+
+  // Cùng công thức HP với DungeonRoom.spawnEnemy
+  const bossHp = Math.round(BOSS.MAX_HP * (1 + BOSS.HP_PER_DEPTH * (floor.depth - 1)));
+  const volleys = Math.ceil(Math.ceil(bossHp / PROJECTILE.DAMAGE) / MAX_PLAYERS_PER_ROOM);
+  const attackMs = Math.max(0, volleys - 1) * PLAYER.ATTACK_COOLDOWN_MS;
+
+  return travelMs + attackMs;
+}
+
+// BFS 8 hướng trên tile map, mỗi bước tính 1 ô (luôn <= quãng đường thật)
+function findPathLength(floor, from, to) {
+  const { width, height, tiles } = floor;
+  const start = Math.floor(from.y) * width + Math.floor(from.x);
+  const goal = Math.floor(to.y) * width + Math.floor(to.x);
+  const distances = new Map([[start, 0]]);
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    if (current === goal) {
+      return distances.get(current);
+    }
+
+    const x = current % width;
+    const y = Math.floor(current / width);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const next = ny * width + nx;
+        if ((dx || dy) && nx >= 0 && ny >= 0 && nx < width && ny < height
+          && tiles[next] !== TILE.WALL && !distances.has(next)) {
+          distances.set(next, distances.get(current) + 1);
+          queue.push(next);
+        }
+      }
+    }
+  }
+
+  // Generator luôn nối mọi phòng, không tới được => không ràng buộc thời gian di chuyển
+  return 0;
+}
+
+function calculateScore(run, cleared) {
+  return run.floorsCleared * RUNS.SCORE.PER_FLOOR
+    + run.kills * RUNS.SCORE.PER_KILL
+    + (cleared ? RUNS.SCORE.CLEAR_BONUS : 0);
+}
+
+function calculateRewards(run) {
+  return {
+    xp: run.floorsCleared * RUNS.REWARDS.XP_PER_FLOOR + run.kills * RUNS.REWARDS.XP_PER_KILL,
+    gold: run.floorsCleared * RUNS.REWARDS.GOLD_PER_FLOOR + run.kills * RUNS.REWARDS.GOLD_PER_KILL,
+    souls: run.floorsCleared * RUNS.REWARDS.SOULS_PER_FLOOR
+  };
+}
+
+module.exports = RunService;
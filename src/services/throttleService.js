@@ -0,0 +1,271 @@
+// src/services/throttleService.js - Chống brute-force (sliding window + lockout + challenge)
+// State giữ trong bộ nhớ của process API, mỗi key có dạng
+//   { failures: [timestamp], pending, lockedUntil, lockouts, lastLockoutAt }
+// pending = số lần thử đã qua check() nhưng chưa có kết quả, tính như thất bại khi check()
+// => request gửi song song không cùng lọt qua trước khi lần thất bại đầu tiên được ghi.
+// Key theo IP ('login:ip:1.2.3.4') và theo tài khoản ('login:account:a@x.com').
+// Tài khoản được nhận diện bằng email người dùng nhập (không tra database) nên email
+// không tồn tại cũng bị đếm và khoá y hệt => không lộ tài khoản có tồn tại hay không.
+const crypto = require('crypto');
+const { BRUTE_FORCE } = require('../config/auth');
+const { logWarn } = require('../config/logger');
+
+const entries = new Map();
+// Challenge đã dùng (token -> hết hạn) để không dùng lại được
+const usedChallenges = new Map();
+// Số lượt thử cố định theo key (vd. 1 challenge token 2FA): key -> { remaining, expiresAt }
+const attemptBudgets = new Map();
+
+class ThrottleService {
+  /**
+   * Trạng thái hiện tại của các key: bị khoá bao lâu, có cần challenge không
+   */
+  static check(keys, now = Date.now()) {
+    let retryAfterMs = 0;
+    let challengeRequired = false;
+
+    keys.forEach(({ key, maxFailures }) => {
+      const entry = getEntry(key, now);
+      if (!entry) {
+        return;
+      }
+
+      const attempts = entry.failures.length + entry.pending;
+
+      if (entry.lockedUntil > now) {
+        retryAfterMs = Math.max(retryAfterMs, entry.lockedUntil - now);
+      } else if (attempts >= maxFailures) {
+        retryAfterMs = Math.max(retryAfterMs, BRUTE_FORCE.PENDING_RETRY_AFTER_MS);
+      }
+      if (attempts >= BRUTE_FORCE.CHALLENGE_AFTER) {
+        challengeRequired = true;
+      }
+    });
+
+    return {
+      locked: retryAfterMs > 0,
+      retryAfterMs,
+      challengeRequired
+    };
+  }
+
+  /**
+   * Giữ chỗ 1 lần thử trước khi xử lý request (gọi ngay sau check(), cùng 1 tick)
+   */
+  static reserve(keys, now = Date.now()) {
+    keys.forEach(({ key }) => {
+      const entry = getEntry(key, now) || createEntry(key);
+      entry.pending += 1;
+    });
+  }
+
+  /**
+   * Trả lần thử đã giữ chỗ kèm kết quả: 'failure' | 'success' | null (không tính, vd. lỗi server)
+   */
+  static release(keys, outcome, now = Date.now()) {
+    keys.forEach(({ key }) => {
+      const entry = entries.get(key);
+      if (entry) {
+        entry.pending = Math.max(entry.pending - 1, 0);
+      }
+    });
+
+    if (outcome === 'failure') {
+      this.recordFailure(keys, now);
+    } else if (outcome === 'success') {
+      this.recordSuccess(keys);
+    }
+  }
+
+  /**
+   * Ghi nhận 1 lần thất bại, vượt ngưỡng => khoá (thời gian tăng gấp đôi mỗi lần)
+   */
+  static recordFailure(keys, now = Date.now()) {
+    keys.forEach(({ key, maxFailures }) => {
+      const entry = getEntry(key, now) || createEntry(key);
+      entry.failures.push(now);
+
+      if (entry.failures.length < maxFailures) {
+        return;
+      }
+
+      entry.lockouts = now - entry.lastLockoutAt < BRUTE_FORCE.LOCKOUT_RESET_MS ? entry.lockouts + 1 : 1;
+      entry.lastLockoutAt = now;
+      entry.lockedUntil = now + Math.min(
+        BRUTE_FORCE.LOCKOUT_BASE_MS * 2 ** (entry.lockouts - 1),
+        BRUTE_FORCE.LOCKOUT_MAX_MS
+      );
+      entry.failures = [];
+
+      logWarn('Brute-force lockout', { key, lockouts: entry.lockouts, lockedUntil: new Date(entry.lockedUntil).toISOString() });
+    });
+  }
+
+  /**
+   * Thành công => xoá số lần thất bại (giữ lại lịch sử khoá để lần sau khoá lâu hơn)
+   */
+  static recordSuccess(keys) {
+    keys.forEach(({ key }) => {
+      const entry = entries.get(key);
+      if (entry) {
+        entry.failures = [];
+      }
+    });
+  }
+
+  /**
+   * Tạo challenge proof-of-work: client tìm nonce sao cho
+   * sha256(`${token}:${nonce}`) có ít nhất `difficulty` bit 0 ở đầu
+   * Token được ký HMAC nên server không cần lưu challenge đã phát
+   */
+  static createChallenge(scope, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+      scope,
+      nonce: crypto.randomBytes(16).toString('hex'),
+      expiresAt: now + BRUTE_FORCE.CHALLENGE_TTL_MS
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${sign(payload)}`,
+      algorithm: 'sha256',
+      difficulty: BRUTE_FORCE.CHALLENGE_DIFFICULTY_BITS,
+      expiresAt: new Date(now + BRUTE_FORCE.CHALLENGE_TTL_MS).toISOString()
+    };
+  }
+
+  /**
+   * Kiểm tra lời giải challenge (mỗi token chỉ dùng 1 lần)
+   */
+  static verifyChallenge(scope, token, solution, now = Date.now()) {
+    if (!token || solution === undefined || solution === null || usedChallenges.has(token)) {
+      return false;
+    }
+
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+      return false;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      return false;
+    }
+
+    if (data.scope !== scope || data.expiresAt < now) {
+      return false;
+    }
+
+    const hash = crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+    if (leadingZeroBits(hash) < BRUTE_FORCE.CHALLENGE_DIFFICULTY_BITS) {
+      return false;
+    }
+
+    usedChallenges.set(token, data.expiresAt);
+    return true;
+  }
+
+  /**
+   * Dùng 1 lượt thử của key có số lượt cố định (lần đầu gọi tạo maxAttempts lượt, hết hạn lúc expiresAt)
+   * Lượt bị trừ trước khi kiểm tra nên request song song không dùng quá số lượt; hết lượt => false
+   */
+  static takeAttempt(key, maxAttempts, expiresAt, now = Date.now()) {
+    let budget = attemptBudgets.get(key);
+
+    if (!budget || budget.expiresAt < now) {
+      budget = { remaining: maxAttempts, expiresAt };
+      attemptBudgets.set(key, budget);
+    }
+
+    if (budget.remaining <= 0) {
+      return false;
+    }
+
+    budget.remaining -= 1;
+    return true;
+  }
+
+  /**
+   * Bỏ mọi lượt còn lại của key (vd. challenge token đã dùng đăng nhập thành công)
+   */
+  static exhaustAttempts(key) {
+    const budget = attemptBudgets.get(key);
+    if (budget) {
+      budget.remaining = 0;
+    }
+  }
+
+  /**
+   * Dọn key hết hạn (gọi định kỳ)
+   */
+  static cleanup(now = Date.now()) {
+    entries.forEach((entry, key) => {
+      pruneFailures(entry, now);
+
+      const lockoutExpired = now - entry.lastLockoutAt >= BRUTE_FORCE.LOCKOUT_RESET_MS;
+      if (entry.failures.length === 0 && entry.pending === 0 && entry.lockedUntil <= now && lockoutExpired) {
+        entries.delete(key);
+      }
+    });
+
+    usedChallenges.forEach((expiresAt, token) => {
+      if (expiresAt < now) {
+        usedChallenges.delete(token);
+      }
+    });
+
+    attemptBudgets.forEach((budget, key) => {
+      if (budget.expiresAt < now) {
+        attemptBudgets.delete(key);
+      }
+    });
+  }
+}
+
+// ============= Helper Functions =============
+
+function createEntry(key) {
+  const entry = { failures: [], pending: 0, lockedUntil: 0, lockouts: 0, lastLockoutAt: 0 };
+  entries.set(key, entry);
+  return entry;
+}
+
+function getEntry(key, now) {
+  const entry = entries.get(key);
+  if (entry) {
+    pruneFailures(entry, now);
+  }
+  return entry;
+}
+
+function pruneFailures(entry, now) {
+  entry.failures = entry.failures.filter((timestamp) => now - timestamp < BRUTE_FORCE.WINDOW_MS);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+setInterval(() => ThrottleService.cleanup(), BRUTE_FORCE.CLEANUP_INTERVAL_MS).unref();
+
+module.exports = ThrottleService;
@@ -0,0 +1,74 @@
+// src/utils/errors.js - Lỗi ứng dụng có mã cố định (mã + status ở src/config/errors.js, message ở src/locales)
+// Service trả kết quả thất bại bằng failure('CODE'), controller chuyển sang AppError.fromResult(result)
+// rồi next(error) => errorHandler dựng response { success: false, code, message, errors? }
+// với message theo ngôn ngữ của request. message trên AppError / failure() là ngôn ngữ mặc định (để log).
+const { ERRORS } = require('../config/errors');
+const { DEFAULT_LOCALE } = require('../config/i18n');
+const { translate } = require('./i18n');
+
+class AppError extends Error {
+  /**
+   * @param {string} code - mã trong ERRORS (vd. 'AUTH_INVALID_CREDENTIALS')
+   * @param {object} [options]
+   * @param {object} [options.params] - giá trị thay {name} trong message
+   * @param {*} [options.details] - trả về client trong `errors` (vd. lỗi validation từng field)
+   */
+  constructor(code, { params = {}, details = null } = {}) {
+    const definition = getDefinition(code);
+    super(translate(DEFAULT_LOCALE, `errors.${code}`, params));
+
+    this.name = 'AppError';
+    this.code = code;
+    this.status = definition.status;
+    this.params = params;
+    this.details = details;
+  }
+
+  /**
+   * Kết quả thất bại của service ({ success: false, code, params?, details? }) => AppError
+   */
+  static fromResult(result) {
+    return new AppError(result.code || 'INTERNAL_ERROR', {
+      params: result.params,
+      details: result.details
+    });
+  }
+}
+
+/**
+ * Kết quả thất bại cho service: { success: false, code, message, params?, details? }
+ */
+const failure = (code, { params = null, details = null } = {}) => {
+  getDefinition(code);
+
+  const result = {
+    success: false,
+    code,
+    message: translate(DEFAULT_LOCALE, `errors.${code}`, params)
+  };
+
+  if (params !== null) {
+    result.params = params;
+  }
+  if (details !== null) {
+    result.details = details;
+  }
+
+  return result;
+};
+
+// ============= Helper Functions =============
+
+// Mã sai là lỗi code => throw ngay thay vì trả message rỗng cho client
+function getDefinition(code) {
+  const definition = ERRORS[code];
+  if (!definition) {
+    throw new Error(`Mã lỗi không tồn tại: ${code}`);
+  }
+  return definition;
+}
+
+module.exports = {
+  AppError,
+  failure
+};
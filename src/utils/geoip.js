@@ -0,0 +1,43 @@
+// src/utils/geoip.js - Vị trí gần đúng từ địa chỉ IP (database offline của geoip-lite)
+
+let geoip = null;
+
+// IP nội bộ / loopback không tra được vị trí
+const PRIVATE_IP = /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|::1$|fc|fd|fe80)/i;
+
+/**
+ * Trả về { country, region, city, timezone } hoặc null nếu không tra được
+ */
+const lookupLocation = (ipAddress) => {
+  if (!ipAddress) {
+    return null;
+  }
+
+  // IPv4 qua socket IPv6 có dạng ::ffff:1.2.3.4
+  const ip = ipAddress.replace(/^::ffff:/, '');
+
+  if (PRIVATE_IP.test(ip)) {
+    return { country: null, region: null, city: null, timezone: null, private: true };
+  }
+
+  // Load lần đầu mới đọc database (~100MB) vào bộ nhớ
+  if (!geoip) {
+    geoip = require('geoip-lite');
+  }
+
+  const result = geoip.lookup(ip);
+  if (!result) {
+    return null;
+  }
+
+  return {
+    country: result.country || null,
+    region: result.region || null,
+    city: result.city || null,
+    timezone: result.timezone || null
+  };
+};
+
+module.exports = {
+  lookupLocation
+};
@@ -0,0 +1,48 @@
+// src/utils/i18n.js - Dịch message theo ngôn ngữ (key dạng 'errors.TOKEN_EXPIRED', 'validation.EMAIL_INVALID')
+const I18N = require('../config/i18n');
+
+const CATALOGS = Object.fromEntries(
+  I18N.LOCALES.map((locale) => [locale, require(`../locales/${locale}`)])
+);
+
+/**
+ * Ngôn ngữ được hỗ trợ, không thì ngôn ngữ mặc định
+ */
+const resolveLocale = (locale) => (I18N.LOCALES.includes(locale) ? locale : I18N.DEFAULT_LOCALE);
+
+/**
+ * Message theo ngôn ngữ, thiếu key => bản ngôn ngữ mặc định => chính key
+ */
+const translate = (locale, key, params = {}) => {
+  const template = lookup(CATALOGS[resolveLocale(locale)], key)
+    ?? lookup(CATALOGS[I18N.DEFAULT_LOCALE], key)
+    ?? key;
+
+  return formatMessage(template, params || {});
+};
+
+/**
+ * Message lỗi validation cho express-validator (.withMessage), dịch theo req.locale lúc validate
+ */
+const validationMessage = (key, params = {}) => (value, { req }) => (
+  translate(req.locale, `validation.${key}`, params)
+);
+
+// ============= Helper Functions =============
+
+function lookup(catalog, key) {
+  const [section, name] = key.split('.');
+  return catalog[section]?.[name];
+}
+
+function formatMessage(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined ? match : String(params[name])
+  ));
+}
+
+module.exports = {
+  resolveLocale,
+  translate,
+  validationMessage
+};
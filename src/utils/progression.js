@@ -0,0 +1,43 @@
+// src/utils/progression.js - XP / Level Curve (server-side)
+// Nơi duy nhất giữ curve: PlayerService tính level / XP mới ở đây rồi mới ghi xuống database
+const { PROGRESSION } = require('../config/game');
+
+/**
+ * XP cần để đi từ `level` lên `level + 1`
+ */
+const xpToNextLevel = (level) => {
+  if (level >= PROGRESSION.MAX_LEVEL) {
+    return 0;
+  }
+  return Math.round(PROGRESSION.BASE_XP * Math.pow(level, PROGRESSION.EXPONENT));
+};
+
+/**
+ * Cộng XP và xử lý lên level (có thể lên nhiều level một lần)
+ * `xp` là XP hiện có trong level hiện tại
+ */
+const applyExperience = (level, xp, amount) => {
+  let newLevel = level;
+  let newXp = xp + Math.max(0, Math.floor(amount));
+
+  while (newLevel < PROGRESSION.MAX_LEVEL && newXp >= xpToNextLevel(newLevel)) {
+    newXp -= xpToNextLevel(newLevel);
+    newLevel++;
+  }
+
+  // Max level thì không tích XP nữa
+  if (newLevel >= PROGRESSION.MAX_LEVEL) {
+    newXp = 0;
+  }
+
+  return {
+    level: newLevel,
+    xp: newXp,
+    levelsGained: newLevel - level
+  };
+};
+
+module.exports = {
+  xpToNextLevel,
+  applyExperience
+};
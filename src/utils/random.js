@@ -0,0 +1,46 @@
+// src/utils/random.js - Seeded PRNG (deterministic)
+// Cùng seed => cùng chuỗi số trên mọi máy. Unity port lại đúng thuật toán này.
+
+/**
+ * Hash chuỗi thành seed 32-bit (xmur3)
+ */
+const hashSeed = (str) => {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+};
+
+/**
+ * Tạo PRNG từ seed (mulberry32)
+ */
+const createRng = (seed) => {
+  let state = hashSeed(String(seed));
+
+  // Số thực trong [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Số nguyên trong [min, max]
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  const chance = (probability) => next() < probability;
+
+  const pick = (items) => items[int(0, items.length - 1)];
+
+  return { next, int, chance, pick };
+};
+
+module.exports = {
+  hashSeed,
+  createRng
+};
@@ -18,13 +18,18 @@ const successResponse = (res, message = 'Success', data = null, statusCode = 200
 
 /**
  * Error Response
+ * code: mã lỗi cố định (src/config/errors.js) để client xử lý theo mã thay vì message
  */
-const errorResponse = (res, message = 'Error', statusCode = 500, errors = null) => {
+const errorResponse = (res, message = 'Error', statusCode = 500, errors = null, code = null) => {
   const response = {
     success: false,
     message
   };
 
+  if (code !== null) {
+    response.code = code;
+  }
+
   if (errors !== null) {
     response.errors = errors;
   }
@@ -0,0 +1,142 @@
+// src/utils/token.js - JWT Access Token Helpers
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { TWO_FACTOR } = require('../config/auth');
+const { RUNS } = require('../config/game');
+const { DEFAULT_ROLE, getRolePermissions } = require('../config/roles');
+
+// Token tạm của bước 2FA có claim purpose, không được dùng thay access token
+const TWO_FACTOR_PURPOSE = '2fa_login';
+const RUN_TICKET_PURPOSE = 'run_result';
+
+/**
+ * Ký access token cho user
+ * Dùng chung cho login, register và refresh token
+ * sessionId = family của refresh token (để đánh dấu phiên hiện tại trong /api/auth/sessions)
+ * tv = token_version của user, đổi role => token_version tăng => token cũ bị authMiddleware từ chối
+ * lng = ngôn ngữ user đã chọn (không có => response theo Accept-Language)
+ */
+const signAccessToken = (user, sessionId = null) => {
+  const role = user.role || DEFAULT_ROLE;
+
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      role,
+      permissions: getRolePermissions(role),
+      tv: user.token_version || 0,
+      guest: user.is_guest || undefined,
+      sid: sessionId || undefined,
+      lng: user.locale || undefined
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+/**
+ * Verify access token (REST middleware và Colyseus onAuth)
+ * Throw JsonWebTokenError / TokenExpiredError nếu token không hợp lệ
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+
+  return {
+    id: decoded.id,
+    email: decoded.email,
+    username: decoded.username,
+    role: decoded.role || DEFAULT_ROLE,
+    permissions: decoded.permissions || [],
+    tokenVersion: decoded.tv || 0,
+    isGuest: Boolean(decoded.guest),
+    sessionId: decoded.sid || null,
+    locale: decoded.lng || null
+  };
+};
+
+/**
+ * Ký token tạm sau khi đúng mật khẩu nhưng tài khoản bật 2FA
+ * Client gửi lại token này cùng mã TOTP / recovery code tới /api/auth/login/2fa
+ */
+const signTwoFactorToken = (userId) => {
+  // jti: AuthService đếm số lần nhập mã theo từng challenge token
+  const challengeToken = jwt.sign(
+    { id: userId, purpose: TWO_FACTOR_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR.CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+  );
+
+  return {
+    challengeToken,
+    expiresAt: new Date(jwt.decode(challengeToken).exp * 1000).toISOString()
+  };
+};
+
+/**
+ * Verify token tạm của bước 2FA, trả về userId, challengeId (jti) và thời điểm hết hạn
+ * Throw JsonWebTokenError / TokenExpiredError nếu token không hợp lệ
+ */
+const verifyTwoFactorToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== TWO_FACTOR_PURPOSE) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+
+  if (!decoded.jti) {
+    throw new jwt.JsonWebTokenError('jwt id required');
+  }
+
+  return {
+    userId: decoded.id,
+    challengeId: decoded.jti,
+    expiresAt: decoded.exp * 1000
+  };
+};
+
+/**
+ * Ký kết quả run do DungeonRoom mô phỏng (seed, floor đã qua, số quái hạ, thời gian)
+ * Client nộp ticket này tới POST /api/runs, không tự khai các con số
+ */
+const signRunTicket = (userId, { seed, floorsCleared, kills, durationMs, roomId }) => jwt.sign(
+  { id: userId, purpose: RUN_TICKET_PURPOSE, seed, floorsCleared, kills, durationMs, rid: roomId },
+  process.env.JWT_SECRET,
+  { expiresIn: RUNS.TICKET_TTL }
+);
+
+/**
+ * Verify run ticket, trả về kết quả run + thời điểm kết thúc (lúc ký)
+ * Throw JsonWebTokenError / TokenExpiredError nếu ticket không hợp lệ
+ */
+const verifyRunTicket = (ticket) => {
+  const decoded = jwt.verify(ticket, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== RUN_TICKET_PURPOSE) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+
+  return {
+    userId: decoded.id,
+    seed: decoded.seed,
+    floorsCleared: decoded.floorsCleared,
+    kills: decoded.kills,
+    durationMs: decoded.durationMs,
+    roomId: decoded.rid,
+    finishedAt: new Date(decoded.iat * 1000)
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  signRunTicket,
+  verifyRunTicket
+};
@@ -0,0 +1,120 @@
+// src/utils/totp.js - TOTP (RFC 6238) cho xác thực 2 bước
+// Tương thích Google Authenticator / Authy: HMAC-SHA1, secret base32
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Tạo secret ngẫu nhiên (base32)
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * URI để app authenticator quét QR: otpauth://totp/Issuer:account?secret=...
+ */
+const buildOtpauthUri = ({ secret, account, issuer, digits, period }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+/**
+ * Mã TOTP tại time step `step` (= floor(unixSeconds / period))
+ */
+const generateCode = (secret, step, digits) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Kiểm tra mã, chấp nhận lệch ±window step (đồng hồ điện thoại lệch)
+ * Trả về step khớp hoặc null. Step <= lastStep bị từ chối => mỗi mã chỉ dùng 1 lần
+ */
+const verifyCode = (secret, code, { digits, period, window, lastStep = null, now = Date.now() }) => {
+  if (!secret || typeof code !== 'string' || !new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(now / 1000 / period);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastStep !== null && step <= lastStep) {
+      continue;
+    }
+
+    const expected = generateCode(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// ============= Helper Functions =============
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secret base32 không hợp lệ');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  verifyCode
+};
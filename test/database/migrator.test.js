@@ -0,0 +1,96 @@
+// test/database/migrator.test.js - Kiểm tra migration lúc khởi động theo DB_BACKEND
+// Backend supabase (mặc định) không có DATABASE_URL => đọc schema_migrations qua Supabase client giả.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../../src/config/database');
+
+// Supabase client verifyOnStartup dùng, thay được trong từng test
+let currentClient = null;
+const originalGetDatabase = database.getDatabase;
+database.getDatabase = () => {
+  if (!currentClient) {
+    throw new Error('Database not initialized. Call initDatabase() first.');
+  }
+  return currentClient;
+};
+
+const Migrator = require('../../src/database/migrator');
+
+// Chỉ hỗ trợ from().select().order() mà migrator dùng
+const supabaseClient = (result) => ({
+  from: () => ({
+    select: () => ({
+      order: async () => result
+    })
+  })
+});
+
+const appliedRows = (migrations) => migrations.map((migration) => ({
+  version: migration.version,
+  name: migration.name,
+  checksum: migration.checksum,
+  applied_at: new Date().toISOString()
+}));
+
+describe('Migrator.verifyOnStartup', () => {
+  const originalEnv = { DB_BACKEND: process.env.DB_BACKEND, DATABASE_URL: process.env.DATABASE_URL };
+  const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+
+  before(() => {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    Object.assign(console, originalConsole);
+  });
+
+  beforeEach(() => {
+    delete process.env.DB_BACKEND;
+    delete process.env.DATABASE_URL;
+    currentClient = null;
+  });
+
+  it('supabase, không có DATABASE_URL, đã chạy hết migration => true', async () => {
+    currentClient = supabaseClient({ data: appliedRows(Migrator.loadMigrations()), error: null });
+
+    assert.equal(await Migrator.verifyOnStartup(), true);
+  });
+
+  it('supabase, còn migration chưa chạy => false', async () => {
+    currentClient = supabaseClient({ data: appliedRows(Migrator.loadMigrations().slice(0, -1)), error: null });
+
+    assert.equal(await Migrator.verifyOnStartup(), false);
+  });
+
+  it('supabase, chưa có bảng schema_migrations => mọi migration chưa chạy', async () => {
+    currentClient = supabaseClient({ data: null, error: { code: 'PGRST205', message: 'not found' } });
+
+    const report = await Migrator.status({ supabase: currentClient });
+
+    assert.equal(report.pending.length, Migrator.loadMigrations().length);
+    assert.equal(await Migrator.verifyOnStartup(), false);
+  });
+
+  it('supabase chưa kết nối => false', async () => {
+    assert.equal(await Migrator.verifyOnStartup(), false);
+  });
+
+  it('memory => bỏ qua kiểm tra', async () => {
+    process.env.DB_BACKEND = 'memory';
+
+    assert.equal(await Migrator.verifyOnStartup(), true);
+  });
+
+  after(() => {
+    Object.assign(process.env, originalEnv);
+    Object.entries(originalEnv)
+      .filter(([, value]) => value === undefined)
+      .forEach(([key]) => delete process.env[key]);
+  });
+});
+
+after(() => {
+  database.getDatabase = originalGetDatabase;
+});
@@ -0,0 +1,56 @@
+// test/fixtures/identityProvider.js - Provider đăng nhập ngoài giả cho test, không gọi mạng
+// Bật provider local (src/config/oauth.js) với PUBLIC_KEY của cặp key sinh lúc chạy test,
+// test tự ký ID token bằng private key tương ứng.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAUTH = require('../../src/config/oauth');
+
+const PROVIDER = 'local';
+
+const createKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const { publicKey, privateKey } = createKeyPair();
+
+/**
+ * Bật provider local với public key test, chặn fetch (verify không được lấy JWKS qua mạng)
+ * Trả về hàm khôi phục cấu hình cũ
+ */
+const enableFakeProvider = () => {
+  const config = OAUTH.PROVIDERS[PROVIDER];
+  const previous = { ENABLED: config.ENABLED, PUBLIC_KEY: config.PUBLIC_KEY };
+  const previousFetch = global.fetch;
+
+  Object.assign(config, { ENABLED: true, PUBLIC_KEY: publicKey });
+  global.fetch = async (url) => {
+    throw new Error(`Test không được gọi mạng: ${url}`);
+  };
+
+  return () => {
+    Object.assign(config, previous);
+    global.fetch = previousFetch;
+  };
+};
+
+/**
+ * ID token của provider local, key khác => chữ ký sai
+ */
+const signIdToken = ({ subject, email = null, emailVerified = false }, key = privateKey) => {
+  const config = OAUTH.PROVIDERS[PROVIDER];
+
+  return jwt.sign(
+    { sub: subject, email, email_verified: emailVerified },
+    key,
+    { algorithm: 'RS256', issuer: config.ISSUERS[0], audience: config.AUDIENCE, expiresIn: '5m' }
+  );
+};
+
+module.exports = {
+  PROVIDER,
+  createKeyPair,
+  enableFakeProvider,
+  signIdToken
+};
@@ -0,0 +1,279 @@
+// test/repositories/accounts.test.js - accounts.register / resetPassword / verifyEmail: tất cả hoặc không gì
+// Giả lập lỗi giữa các bước rồi kiểm tra không còn dòng nào được ghi.
+//   memory   - luôn chạy
+//   postgres - pool giả ghi lại câu SQL (luôn chạy, kiểm tra BEGIN / ROLLBACK trên cùng 1 connection)
+//              + database thật nếu có TEST_DATABASE_URL (chạy migration trước)
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+const database = require('../../src/config/database');
+
+const INJECTED = 'lỗi giả lập';
+
+// Pool postgres repository dùng, thay được trong từng test
+let currentPool = null;
+const originalGetPool = database.getPool;
+database.getPool = () => currentPool;
+
+const { createRepositories } = require('../../src/repositories');
+const Migrator = require('../../src/database/migrator');
+
+const throwInjected = async () => {
+  throw new Error(INJECTED);
+};
+
+const refreshTokenFields = (token) => ({
+  token,
+  family_id: 'family-1',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  ip_address: '127.0.0.1',
+  user_agent: 'test'
+});
+
+describe('accounts (memory)', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createRepositories('memory');
+  });
+
+  it('register: lỗi sau users.create => không còn user lẫn refresh token', async () => {
+    repositories.refreshTokens.create = throwInjected;
+
+    await assert.rejects(
+      repositories.accounts.register({ username: 'alice', email: 'alice@example.com', password: 'hash' }, refreshTokenFields('t1')),
+      { message: INJECTED }
+    );
+
+    assert.equal(await repositories.users.findByUsername('alice'), null);
+    assert.equal(await repositories.refreshTokens.findByToken('t1'), null);
+  });
+
+  it('register: không lỗi => ghi cả user và refresh token', async () => {
+    const { user, refreshToken } = await repositories.accounts.register(
+      { username: 'alice', email: 'alice@example.com', password: 'hash' },
+      refreshTokenFields('t1')
+    );
+
+    assert.equal(refreshToken.user_id, user.id);
+    assert.ok(await repositories.users.findByUsername('alice'));
+  });
+
+  describe('resetPassword', () => {
+    let user;
+    let reset;
+
+    beforeEach(async () => {
+      user = await repositories.users.create({ username: 'bob', email: 'bob@example.com', password: 'old-hash' });
+      await repositories.refreshTokens.create({ ...refreshTokenFields('session'), user_id: user.id });
+      reset = await repositories.passwordResets.create({
+        user_id: user.id,
+        token: 'reset-token',
+        expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      });
+    });
+
+    const assertUnchanged = async () => {
+      assert.ok(await repositories.passwordResets.findUnusedByToken('reset-token'), 'token reset vẫn dùng được');
+      assert.equal((await repositories.users.findById(user.id)).password, 'old-hash');
+      assert.equal((await repositories.refreshTokens.findByToken('session')).revoked, false);
+    };
+
+    it('lỗi sau khi đánh dấu token đã dùng => token vẫn dùng được, mật khẩu không đổi', async () => {
+      repositories.users.update = throwInjected;
+
+      await assert.rejects(repositories.accounts.resetPassword(reset.id, user.id, 'new-hash'), { message: INJECTED });
+      await assertUnchanged();
+    });
+
+    it('lỗi sau khi đổi mật khẩu => mật khẩu cũ được giữ nguyên', async () => {
+      repositories.refreshTokens.revokeAllForUser = throwInjected;
+
+      await assert.rejects(repositories.accounts.resetPassword(reset.id, user.id, 'new-hash'), { message: INJECTED });
+      await assertUnchanged();
+    });
+
+    it('token đã dùng => false, không ghi gì', async () => {
+      await repositories.passwordResets.markUsed(reset.id);
+
+      assert.equal(await repositories.accounts.resetPassword(reset.id, user.id, 'new-hash'), false);
+      assert.equal((await repositories.users.findById(user.id)).password, 'old-hash');
+    });
+  });
+
+  it('verifyEmail: lỗi sau khi đánh dấu token đã dùng => token vẫn dùng được, email chưa xác thực', async () => {
+    const user = await repositories.users.create({ username: 'carol', email: 'carol@example.com', password: 'hash' });
+    const verification = await repositories.emailVerifications.create({
+      user_id: user.id,
+      token: 'verify-token',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+    repositories.users.update = throwInjected;
+
+    await assert.rejects(repositories.accounts.verifyEmail(verification.id, user.id), { message: INJECTED });
+
+    assert.ok(await repositories.emailVerifications.findUnusedByToken('verify-token'));
+    assert.equal((await repositories.users.findById(user.id)).email_verified, false);
+  });
+});
+
+describe('accounts (postgres, pool giả)', () => {
+  let statements;
+  let released;
+  let failOn;
+
+  // Chỉ trả về đủ dòng để repository chạy tiếp, ghi lại câu SQL chạy trên connection của transaction
+  const client = {
+    query: async (sql) => {
+      const statement = sql.trim().replace(/\s+/g, ' ');
+      statements.push(statement);
+
+      if (failOn && failOn.test(statement)) {
+        throw new Error(INJECTED);
+      }
+      return { rows: [{ id: 1, user_id: 1 }], rowCount: 1 };
+    },
+    release: () => {
+      released++;
+    }
+  };
+
+  const fakePool = {
+    connect: async () => client,
+    query: async () => {
+      throw new Error('query ngoài transaction');
+    }
+  };
+
+  const statementTypes = () => statements.map((statement) => statement.split(' ').slice(0, 3).join(' '));
+
+  beforeEach(() => {
+    statements = [];
+    released = 0;
+    failOn = null;
+    currentPool = fakePool;
+  });
+
+  it('register: lỗi sau INSERT users => ROLLBACK, không COMMIT', async () => {
+    failOn = /^INSERT INTO refresh_tokens/;
+    const { accounts } = createRepositories('postgres');
+
+    await assert.rejects(
+      accounts.register({ username: 'alice', email: 'alice@example.com', password: 'hash' }, refreshTokenFields('t1')),
+      { message: INJECTED }
+    );
+
+    assert.deepEqual(statementTypes(), ['BEGIN', 'INSERT INTO users', 'INSERT INTO refresh_tokens', 'ROLLBACK']);
+    assert.equal(released, 1);
+  });
+
+  it('resetPassword: lỗi sau khi đánh dấu token đã dùng => ROLLBACK', async () => {
+    failOn = /^UPDATE users/;
+    const { accounts } = createRepositories('postgres');
+
+    await assert.rejects(accounts.resetPassword(1, 1, 'new-hash'), { message: INJECTED });
+
+    assert.deepEqual(statementTypes(), ['BEGIN', 'UPDATE password_resets SET', 'UPDATE users SET', 'ROLLBACK']);
+    assert.equal(released, 1);
+  });
+
+  it('resetPassword: không lỗi => mọi bước chạy trên cùng connection rồi COMMIT', async () => {
+    const { accounts } = createRepositories('postgres');
+
+    assert.equal(await accounts.resetPassword(1, 1, 'new-hash'), true);
+
+    assert.deepEqual(statementTypes(), [
+      'BEGIN',
+      'UPDATE password_resets SET',
+      'UPDATE users SET',
+      'UPDATE refresh_tokens SET',
+      'COMMIT'
+    ]);
+    assert.equal(released, 1);
+  });
+
+  it('verifyEmail: lỗi sau khi đánh dấu token đã dùng => ROLLBACK', async () => {
+    failOn = /^UPDATE users/;
+    const { accounts } = createRepositories('postgres');
+
+    await assert.rejects(accounts.verifyEmail(1, 1), { message: INJECTED });
+
+    assert.deepEqual(statementTypes(), ['BEGIN', 'UPDATE email_verifications SET', 'UPDATE users SET', 'ROLLBACK']);
+  });
+});
+
+describe('accounts (postgres, TEST_DATABASE_URL)', { skip: !process.env.TEST_DATABASE_URL && 'cần TEST_DATABASE_URL' }, () => {
+  let pool;
+  let failOn;
+  let suffix;
+
+  // Connection thật, nhưng câu SQL khớp failOn bị ném lỗi thay vì chạy
+  const failingPool = () => ({
+    query: (sql, values) => pool.query(sql, values),
+    connect: async () => {
+      const connection = await pool.connect();
+      return {
+        query: (sql, values) => (failOn && failOn.test(sql.trim())
+          ? Promise.reject(new Error(INJECTED))
+          : connection.query(sql, values)),
+        release: () => connection.release()
+      };
+    }
+  });
+
+  const countRows = async (sql, values) => {
+    const { rows: [{ count }] } = await pool.query(sql, values);
+    return Number(count);
+  };
+
+  before(async () => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL, max: 2 });
+    await Migrator.up({ pool });
+  });
+
+  after(async () => {
+    await pool.query('DELETE FROM users WHERE username LIKE $1', ['tx_test_%']);
+    await pool.end();
+  });
+
+  beforeEach(() => {
+    failOn = null;
+    suffix = `${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+    currentPool = failingPool();
+  });
+
+  it('register: lỗi sau INSERT users => không còn user', async () => {
+    failOn = /^INSERT INTO refresh_tokens/;
+    const { accounts } = createRepositories('postgres');
+    const username = `tx_test_${suffix}`;
+
+    await assert.rejects(
+      accounts.register({ username, email: `${username}@example.com`, password: 'hash' }, refreshTokenFields(`t_${suffix}`)),
+      { message: INJECTED }
+    );
+
+    assert.equal(await countRows('SELECT COUNT(*) AS count FROM users WHERE username = $1', [username]), 0);
+    assert.equal(await countRows('SELECT COUNT(*) AS count FROM refresh_tokens WHERE token = $1', [`t_${suffix}`]), 0);
+  });
+
+  it('resetPassword: lỗi sau khi đánh dấu token đã dùng => token vẫn dùng được, mật khẩu không đổi', async () => {
+    const repositories = createRepositories('postgres');
+    const user = await repositories.users.create({ username: `tx_test_${suffix}`, email: `tx_${suffix}@example.com`, password: 'old-hash' });
+    const reset = await repositories.passwordResets.create({
+      user_id: user.id,
+      token: `reset_${suffix}`,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+
+    failOn = /^UPDATE users/;
+    await assert.rejects(repositories.accounts.resetPassword(reset.id, user.id, 'new-hash'), { message: INJECTED });
+
+    failOn = null;
+    assert.ok(await repositories.passwordResets.findUnusedByToken(`reset_${suffix}`));
+    assert.equal((await repositories.users.findById(user.id)).password, 'old-hash');
+  });
+});
+
+after(() => {
+  database.getPool = originalGetPool;
+});
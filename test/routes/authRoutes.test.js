@@ -0,0 +1,119 @@
+// test/routes/authRoutes.test.js - Gọi route /api/auth qua HTTP (validation + auth middleware + controller)
+// Express app dựng giống app.js với repository memory, không cần database.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-for-auth-routes-tests';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const repositories = require('../../src/repositories');
+const authRoutes = require('../../src/routes/authRoutes');
+const localeMiddleware = require('../../src/middlewares/localeMiddleware');
+const { notFoundHandler, errorHandler } = require('../../src/middlewares/errorHandler');
+const { signAccessToken, signTwoFactorToken } = require('../../src/utils/token');
+const totp = require('../../src/utils/totp');
+const { BRUTE_FORCE } = require('../../src/config/auth');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(localeMiddleware);
+  app.use('/api/auth', authRoutes);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('authRoutes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = createApp().listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    repositories.useRepositories(repositories.createRepositories('memory'));
+  });
+
+  const request = (method, path, user) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${signAccessToken(user)}` }
+  });
+
+  describe('POST /login/2fa', () => {
+    it('gửi mã sai song song => chỉ CHALLENGE_AFTER request tới controller, còn lại phải giải challenge', async () => {
+      const user = await repositories.users.create({
+        username: 'alice',
+        email: 'alice@example.com',
+        password: 'hash',
+        is_active: true,
+        two_factor_enabled: true,
+        two_factor_secret: totp.generateSecret()
+      });
+      const { challengeToken } = signTwoFactorToken(user.id);
+      // Giả lập độ trễ database để các request chồng lên nhau như khi chạy thật
+      const { users } = repositories;
+      const findById = users.findById.bind(users);
+      users.findById = async (...args) => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return findById(...args);
+      };
+
+      const responses = await Promise.all(Array.from({ length: 10 }, () => fetch(`${baseUrl}/login/2fa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken, code: 'aaaaa-bbbbb' })
+      })));
+      const codes = await Promise.all(responses.map(async (response) => (await response.json()).code));
+
+      assert.equal(codes.filter((code) => code === 'TWO_FACTOR_INVALID_CODE').length, BRUTE_FORCE.CHALLENGE_AFTER);
+      assert.ok(codes.filter((code) => code !== 'TWO_FACTOR_INVALID_CODE').every((code) => code === 'CHALLENGE_REQUIRED'));
+    });
+  });
+
+  describe('DELETE /identities/:id', () => {
+    const createUserWithIdentity = async () => {
+      const user = await repositories.users.create({ username: 'alice', email: 'alice@example.com', password: 'hash' });
+      const identity = await repositories.identities.create({ user_id: user.id, provider: 'local', subject: 'sub-1' });
+      return { user, identity };
+    };
+
+    it('id số nguyên của user_identities => huỷ liên kết', async () => {
+      const { user, identity } = await createUserWithIdentity();
+
+      const response = await request('DELETE', `/identities/${identity.id}`, user);
+
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).success, true);
+      assert.deepEqual(await repositories.identities.listForUser(user.id), []);
+    });
+
+    it('id không phải số nguyên dương => 400 VALIDATION_FAILED', async () => {
+      const { user } = await createUserWithIdentity();
+
+      for (const id of ['abc', '0', '1.5', '3f1c2b9e-8a4d-4c1e-9f3a-2b7d6e5c4a10']) {
+        const response = await request('DELETE', `/identities/${id}`, user);
+
+        assert.equal(response.status, 400, id);
+        assert.equal((await response.json()).code, 'VALIDATION_FAILED');
+      }
+      assert.equal((await repositories.identities.listForUser(user.id)).length, 1);
+    });
+
+    it('liên kết của user khác => 404 IDENTITY_NOT_FOUND', async () => {
+      const { identity } = await createUserWithIdentity();
+      const other = await repositories.users.create({ username: 'bob', email: 'bob@example.com', password: 'hash' });
+
+      const response = await request('DELETE', `/identities/${identity.id}`, other);
+
+      assert.equal(response.status, 404);
+      assert.equal((await response.json()).code, 'IDENTITY_NOT_FOUND');
+    });
+  });
+});
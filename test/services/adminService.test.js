@@ -0,0 +1,55 @@
+// test/services/adminService.test.js - Đổi role: thứ bậc giữa actor và user bị đổi
+// Repository memory, không cần database.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../../src/repositories');
+const AdminService = require('../../src/services/adminService');
+const { ROLES } = require('../../src/config/roles');
+
+describe('AdminService.changeRole', () => {
+  let admin;
+
+  const createUser = (username, role) => repositories.users.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'hash',
+    role,
+    token_version: 0
+  });
+
+  const actorOf = (user) => ({ id: user.id, role: user.role, ipAddress: '127.0.0.1' });
+
+  beforeEach(async () => {
+    repositories.useRepositories(repositories.createRepositories('memory'));
+    admin = await createUser('alice', ROLES.ADMIN);
+  });
+
+  it('admin đổi role player => thành công, access token cũ bị vô hiệu', async () => {
+    const player = await createUser('bob', ROLES.PLAYER);
+
+    const result = await AdminService.changeRole(actorOf(admin), player.id, ROLES.MODERATOR);
+    const updated = await repositories.users.findById(player.id);
+
+    assert.equal(result.success, true);
+    assert.equal(updated.role, ROLES.MODERATOR);
+    assert.equal(updated.token_version, 1);
+  });
+
+  it('admin đổi role admin khác => ADMIN_TARGET_OUTRANKS, role giữ nguyên', async () => {
+    const otherAdmin = await createUser('carol', ROLES.ADMIN);
+
+    const result = await AdminService.changeRole(actorOf(admin), otherAdmin.id, ROLES.PLAYER);
+    const unchanged = await repositories.users.findById(otherAdmin.id);
+
+    assert.equal(result.code, 'ADMIN_TARGET_OUTRANKS');
+    assert.equal(unchanged.role, ROLES.ADMIN);
+    assert.equal(unchanged.token_version, 0);
+  });
+
+  it('tự đổi role của chính mình => ROLE_SELF_CHANGE', async () => {
+    const result = await AdminService.changeRole(actorOf(admin), admin.id, ROLES.PLAYER);
+
+    assert.equal(result.code, 'ROLE_SELF_CHANGE');
+    assert.equal((await repositories.users.findById(admin.id)).role, ROLES.ADMIN);
+  });
+});
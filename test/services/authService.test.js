@@ -0,0 +1,82 @@
+// test/services/authService.test.js - Bước 2 đăng nhập (2FA): giới hạn số lần nhập mã theo challenge token
+// Repository memory, không cần database.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-for-auth-service-tests';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../../src/repositories');
+const AuthService = require('../../src/services/authService');
+const totp = require('../../src/utils/totp');
+const { signTwoFactorToken } = require('../../src/utils/token');
+const { TWO_FACTOR } = require('../../src/config/auth');
+
+const WRONG_CODE = 'aaaaa-bbbbb';
+
+describe('AuthService.loginWithTwoFactor', () => {
+  let user;
+
+  beforeEach(async () => {
+    repositories.useRepositories(repositories.createRepositories('memory'));
+    user = await repositories.users.create({
+      username: 'alice',
+      email: 'alice@example.com',
+      password: 'hash',
+      is_active: true,
+      login_count: 0,
+      two_factor_enabled: true,
+      two_factor_secret: totp.generateSecret()
+    });
+  });
+
+  const currentCode = () => totp.generateCode(
+    user.two_factor_secret,
+    Math.floor(Date.now() / 1000 / TWO_FACTOR.PERIOD_SECONDS),
+    TWO_FACTOR.DIGITS
+  );
+
+  it('mã đúng => đăng nhập, dùng lại challenge token => TWO_FACTOR_CHALLENGE_EXPIRED', async () => {
+    const { challengeToken } = signTwoFactorToken(user.id);
+    const [recoveryCode] = await AuthService.createRecoveryCodes(user.id);
+
+    const first = await AuthService.loginWithTwoFactor(challengeToken, currentCode());
+    const reused = await AuthService.loginWithTwoFactor(challengeToken, recoveryCode);
+
+    assert.equal(first.success, true);
+    assert.ok(first.data.accessToken);
+    assert.equal(reused.code, 'TWO_FACTOR_CHALLENGE_EXPIRED');
+  });
+
+  it('sai hết số lần cho phép => mã đúng cũng bị từ chối', async () => {
+    const { challengeToken } = signTwoFactorToken(user.id);
+
+    for (let attempt = 0; attempt < TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS; attempt++) {
+      assert.equal((await AuthService.loginWithTwoFactor(challengeToken, WRONG_CODE)).code, 'TWO_FACTOR_INVALID_CODE');
+    }
+
+    const result = await AuthService.loginWithTwoFactor(challengeToken, currentCode());
+
+    assert.equal(result.code, 'TWO_FACTOR_CHALLENGE_EXPIRED');
+  });
+
+  it('nhập mã song song => không vượt số lần cho phép', async () => {
+    const { challengeToken } = signTwoFactorToken(user.id);
+
+    const results = await Promise.all(
+      Array.from({ length: TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS * 2 }, () => AuthService.loginWithTwoFactor(challengeToken, WRONG_CODE))
+    );
+
+    assert.equal(results.filter((result) => result.code === 'TWO_FACTOR_INVALID_CODE').length, TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS);
+    assert.equal(results.filter((result) => result.code === 'TWO_FACTOR_CHALLENGE_EXPIRED').length, TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS);
+  });
+
+  it('mỗi challenge token có số lần riêng', async () => {
+    const { challengeToken: exhausted } = signTwoFactorToken(user.id);
+    for (let attempt = 0; attempt < TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS; attempt++) {
+      await AuthService.loginWithTwoFactor(exhausted, WRONG_CODE);
+    }
+
+    const result = await AuthService.loginWithTwoFactor(signTwoFactorToken(user.id).challengeToken, currentCode());
+
+    assert.equal(result.success, true);
+  });
+});
@@ -0,0 +1,154 @@
+// test/services/identityService.test.js - Đăng nhập / liên kết / huỷ liên kết tài khoản ngoài
+// Provider local giả (test/fixtures/identityProvider.js) + repository memory, không cần database hay mạng.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-for-identity-service-tests';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const repositories = require('../../src/repositories');
+const IdentityService = require('../../src/services/identityService');
+const { PROVIDER, createKeyPair, enableFakeProvider, signIdToken } = require('../fixtures/identityProvider');
+
+describe('IdentityService (provider local)', () => {
+  let restoreProvider;
+
+  before(() => {
+    restoreProvider = enableFakeProvider();
+  });
+
+  after(() => {
+    restoreProvider();
+  });
+
+  beforeEach(() => {
+    repositories.useRepositories(repositories.createRepositories('memory'));
+  });
+
+  const login = (profile) => IdentityService.loginWithProvider(PROVIDER, signIdToken(profile), '127.0.0.1', 'test');
+
+  const createPasswordUser = () => repositories.users.create({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'hash'
+  });
+
+  describe('loginWithProvider', () => {
+    it('tài khoản ngoài mới => tạo user, email đã xác thực được gắn vào user', async () => {
+      const result = await login({ subject: 'sub-1', email: 'new@example.com', emailVerified: true });
+
+      assert.equal(result.success, true);
+      assert.equal(result.data.isNewUser, true);
+      assert.ok(result.data.accessToken);
+      assert.equal(result.data.user.email, 'new@example.com');
+      assert.equal(result.data.user.email_verified, true);
+    });
+
+    it('đăng nhập lại => cùng user, không tạo user mới', async () => {
+      const first = await login({ subject: 'sub-1' });
+      const second = await login({ subject: 'sub-1' });
+
+      assert.equal(second.success, true);
+      assert.equal(second.data.isNewUser, false);
+      assert.equal(second.data.user.id, first.data.user.id);
+      assert.ok((await repositories.identities.findByProviderSubject(PROVIDER, 'sub-1')).last_used_at);
+    });
+
+    it('email provider đã có tài khoản => không tự gộp', async () => {
+      await createPasswordUser();
+
+      const result = await login({ subject: 'sub-1', email: 'alice@example.com', emailVerified: true });
+
+      assert.equal(result.code, 'IDENTITY_EMAIL_REGISTERED');
+    });
+
+    it('token ký bằng key khác => IDENTITY_TOKEN_INVALID', async () => {
+      const token = signIdToken({ subject: 'sub-1' }, createKeyPair().privateKey);
+
+      const result = await IdentityService.loginWithProvider(PROVIDER, token);
+
+      assert.equal(result.code, 'IDENTITY_TOKEN_INVALID');
+    });
+
+    it('provider chưa bật => IDENTITY_PROVIDER_UNSUPPORTED', async () => {
+      const result = await IdentityService.loginWithProvider('unknown', signIdToken({ subject: 'sub-1' }));
+
+      assert.equal(result.code, 'IDENTITY_PROVIDER_UNSUPPORTED');
+    });
+  });
+
+  describe('linkIdentity', () => {
+    it('liên kết thêm tài khoản ngoài thứ 2', async () => {
+      const { data } = await login({ subject: 'sub-1' });
+
+      const result = await IdentityService.linkIdentity(data.user.id, PROVIDER, signIdToken({ subject: 'sub-2' }));
+
+      assert.equal(result.success, true);
+      const listed = await IdentityService.listIdentities(data.user.id);
+      assert.equal(listed.data.total, 2);
+    });
+
+    it('tài khoản ngoài đã liên kết với chính user / user khác => lỗi tương ứng', async () => {
+      const user = await createPasswordUser();
+      const { data: other } = await login({ subject: 'sub-other' });
+      await IdentityService.linkIdentity(user.id, PROVIDER, signIdToken({ subject: 'sub-1' }));
+
+      const again = await IdentityService.linkIdentity(user.id, PROVIDER, signIdToken({ subject: 'sub-1' }));
+      const taken = await IdentityService.linkIdentity(user.id, PROVIDER, signIdToken({ subject: 'sub-other' }));
+
+      assert.equal(again.code, 'IDENTITY_ALREADY_LINKED');
+      assert.equal(taken.code, 'IDENTITY_LINKED_TO_OTHER');
+      assert.equal((await IdentityService.listIdentities(other.user.id)).data.total, 1);
+    });
+
+    it('tài khoản khách liên kết => thành tài khoản thường', async () => {
+      const guest = await repositories.users.create({ username: 'guest_1', is_guest: true, device_id: 'device-1' });
+
+      await IdentityService.linkIdentity(guest.id, PROVIDER, signIdToken({ subject: 'sub-1' }));
+
+      const user = await repositories.users.findById(guest.id);
+      assert.equal(user.is_guest, false);
+      assert.equal(user.device_id, null);
+    });
+  });
+
+  describe('unlinkIdentity', () => {
+    it('còn tài khoản ngoài khác => huỷ liên kết được', async () => {
+      const { data } = await login({ subject: 'sub-1' });
+      await IdentityService.linkIdentity(data.user.id, PROVIDER, signIdToken({ subject: 'sub-2' }));
+      const { data: { identities: [identity] } } = await IdentityService.listIdentities(data.user.id);
+
+      const result = await IdentityService.unlinkIdentity(data.user.id, identity.id);
+
+      assert.equal(result.success, true);
+      assert.equal(await repositories.identities.findByProviderSubject(PROVIDER, 'sub-1'), null);
+    });
+
+    it('cách đăng nhập cuối cùng (không mật khẩu) => IDENTITY_LAST_LOGIN_METHOD', async () => {
+      const { data } = await login({ subject: 'sub-1' });
+      const { data: { identities: [identity] } } = await IdentityService.listIdentities(data.user.id);
+
+      const result = await IdentityService.unlinkIdentity(data.user.id, identity.id);
+
+      assert.equal(result.code, 'IDENTITY_LAST_LOGIN_METHOD');
+      assert.ok(await repositories.identities.findByProviderSubject(PROVIDER, 'sub-1'));
+    });
+
+    it('user có mật khẩu => huỷ được cả tài khoản ngoài duy nhất', async () => {
+      const user = await createPasswordUser();
+      const { data: identity } = await IdentityService.linkIdentity(user.id, PROVIDER, signIdToken({ subject: 'sub-1' }));
+
+      const result = await IdentityService.unlinkIdentity(user.id, identity.id);
+
+      assert.equal(result.success, true);
+    });
+
+    it('liên kết của user khác => IDENTITY_NOT_FOUND', async () => {
+      const user = await createPasswordUser();
+      const { data } = await login({ subject: 'sub-1' });
+      const { data: { identities: [identity] } } = await IdentityService.listIdentities(data.user.id);
+
+      const result = await IdentityService.unlinkIdentity(user.id, identity.id);
+
+      assert.equal(result.code, 'IDENTITY_NOT_FOUND');
+    });
+  });
+});
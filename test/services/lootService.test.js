@@ -0,0 +1,101 @@
+// test/services/lootService.test.js - Drop trong rương sinh từ seed + run ticket do DungeonRoom ký
+// Không cần database: chỉ sinh floor / loot và ký / verify JWT.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-for-loot-service-tests';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const LootService = require('../../src/services/lootService');
+const DungeonService = require('../../src/services/dungeonService');
+const { signAccessToken, verifyAccessToken, signRunTicket, verifyRunTicket } = require('../../src/utils/token');
+
+describe('LootService', () => {
+  describe('rollTreasure', () => {
+    it('cùng seed / depth / rương => cùng drop', () => {
+      assert.deepEqual(
+        LootService.rollTreasure('seed-1', 3, 0, 'rare'),
+        LootService.rollTreasure('seed-1', 3, 0, 'rare')
+      );
+    });
+
+    it('số drop theo loại rương, affix không trùng và sắp theo id', () => {
+      const drops = LootService.rollTreasure('seed-1', 12, 0, 'boss');
+
+      assert.equal(drops.length, 3);
+      for (const drop of drops) {
+        const ids = drop.affixes.map((affix) => affix.id);
+        assert.deepEqual(ids, [...new Set(ids)].sort());
+      }
+    });
+
+    it('floor sinh từ seed gắn drop vào từng rương', () => {
+      const floor = DungeonService.generateFloor('seed-1', 1);
+
+      assert.ok(floor.treasure.length > 0);
+      assert.ok(floor.treasure.every((chest) => chest.drops.length > 0));
+    });
+  });
+
+  describe('findUnmatchedClaim', () => {
+    const drops = [
+      { templateId: 'health_potion', quantity: 3, rarity: 'common', affixes: [] },
+      { templateId: 'rusty_sword', quantity: 1, rarity: 'rare', affixes: [{ id: 'sharp', value: 4 }, { id: 'swift', value: 2 }] }
+    ];
+
+    it('khớp drop (thứ tự affix không quan trọng, số lượng <= drop) => null', () => {
+      const claims = [
+        { templateId: 'rusty_sword', quantity: 1, rarity: 'rare', affixes: [{ id: 'swift', value: 2 }, { id: 'sharp', value: 4 }] },
+        { templateId: 'health_potion', quantity: 2, rarity: 'common', affixes: [] }
+      ];
+
+      assert.equal(LootService.findUnmatchedClaim(claims, drops), null);
+    });
+
+    it('nhận 1 drop 2 lần => trả về item thừa', () => {
+      const claim = { templateId: 'health_potion', quantity: 1, rarity: 'common', affixes: [] };
+
+      assert.equal(LootService.findUnmatchedClaim([claim, claim], drops), claim);
+    });
+
+    it('sai rarity / affix / số lượng => trả về item đó', () => {
+      const claims = [
+        { templateId: 'rusty_sword', quantity: 1, rarity: 'legendary', affixes: [{ id: 'sharp', value: 4 }, { id: 'swift', value: 2 }] },
+        { templateId: 'rusty_sword', quantity: 1, rarity: 'rare', affixes: [{ id: 'sharp', value: 5 }, { id: 'swift', value: 2 }] },
+        { templateId: 'health_potion', quantity: 4, rarity: 'common', affixes: [] }
+      ];
+
+      for (const claim of claims) {
+        assert.equal(LootService.findUnmatchedClaim([claim], drops), claim);
+      }
+    });
+  });
+});
+
+describe('run ticket', () => {
+  const result = { seed: 'seed-1', floorsCleared: 2, kills: 7, durationMs: 90000, roomId: 'room-1' };
+
+  it('ký rồi verify => đúng kết quả run và user', () => {
+    const ticket = verifyRunTicket(signRunTicket(42, result));
+
+    assert.equal(ticket.userId, 42);
+    assert.equal(ticket.seed, 'seed-1');
+    assert.equal(ticket.floorsCleared, 2);
+    assert.equal(ticket.kills, 7);
+    assert.equal(ticket.durationMs, 90000);
+    assert.equal(ticket.roomId, 'room-1');
+    assert.ok(ticket.finishedAt instanceof Date);
+  });
+
+  it('access token không dùng làm ticket được và ngược lại', () => {
+    const accessToken = signAccessToken({ id: 42, email: 'a@example.com', username: 'alice' });
+
+    assert.throws(() => verifyRunTicket(accessToken), jwt.JsonWebTokenError);
+    assert.throws(() => verifyAccessToken(signRunTicket(42, result)), jwt.JsonWebTokenError);
+  });
+
+  it('ticket client tự ký (sai secret) => bị từ chối', () => {
+    const forged = jwt.sign({ id: 42, purpose: 'run_result', ...result }, 'other-secret');
+
+    assert.throws(() => verifyRunTicket(forged), jwt.JsonWebTokenError);
+  });
+});
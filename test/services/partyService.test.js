@@ -0,0 +1,98 @@
+// test/services/partyService.test.js - Lock party trên presence + giữ chỗ DungeonRoom cho thành viên
+// LocalPresence thật của Colyseus + repository memory, không cần Redis hay database.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalPresence } = require('@colyseus/core');
+const repositories = require('../../src/repositories');
+const { USER_CHANNEL } = require('../../src/rooms/presence');
+
+// friendService đọc Supabase client lúc load, các test này không mời bạn bè nên thay bằng module rỗng
+require.cache[require.resolve('../../src/services/friendService')] = { exports: {} };
+const PartyService = require('../../src/services/partyService');
+
+const LOCK_KEY = 'party:lock:user:1';
+
+const roomUser = (user, tokenVersion = 0) => ({
+  id: user.id,
+  email: user.email,
+  username: user.username,
+  role: 'moderator',
+  permissions: ['reports:read'],
+  tokenVersion,
+  isGuest: false,
+  sessionId: null,
+  locale: null
+});
+
+describe('PartyService', () => {
+  let presence;
+
+  beforeEach(() => {
+    presence = new LocalPresence();
+    repositories.useRepositories(repositories.createRepositories('memory'));
+  });
+
+  afterEach(() => {
+    // TTL của lock còn chạy sau khi đã nhả => dọn để process test thoát ngay
+    Object.values(presence.timeouts).forEach(clearTimeout);
+  });
+
+  describe('lock', () => {
+    it('nhiều request tạo party cùng lúc => chỉ 1 party', async () => {
+      const user = { id: 1, email: 'a@example.com', username: 'alice' };
+
+      const results = await Promise.all([1, 2, 3, 4, 5].map(() => PartyService.createParty(presence, user)));
+
+      assert.equal(results.filter((result) => result.success).length, 1);
+      assert.ok(results.filter((result) => !result.success).every((result) => result.code === 'ALREADY_IN_PARTY'));
+    });
+
+    it('lock hết TTL và bị người khác lấy => không xoá lock của người đó', async () => {
+      const user = { id: 1, email: 'a@example.com', username: 'alice' };
+      const hset = presence.hset.bind(presence);
+      // Đang giữ lock thì TTL hết, request khác lấy lock
+      presence.hset = async (...args) => {
+        presence.del(LOCK_KEY);
+        presence.setex(LOCK_KEY, 'other-holder', 5);
+        return hset(...args);
+      };
+
+      const result = await PartyService.createParty(presence, user);
+
+      assert.equal(result.success, true);
+      assert.equal(presence.get(LOCK_KEY), 'other-holder');
+    });
+
+    it('lock bị giữ tới khi hết TTL => chờ rồi lấy được', async () => {
+      presence.setex(LOCK_KEY, 'crashed-holder', 1);
+
+      const result = await PartyService.createParty(presence, { id: 1, email: 'a@example.com', username: 'alice' });
+
+      assert.equal(result.success, true);
+    });
+  });
+
+  describe('giữ chỗ cho thành viên', () => {
+    it('thành viên giữ nguyên auth từ onAuth (role, permissions, tokenVersion)', async () => {
+      const user = await repositories.users.create({ username: 'alice', email: 'a@example.com', password: 'hash' });
+      const auth = roomUser(user);
+      const { data } = await PartyService.createParty(presence, auth);
+
+      const party = await PartyService.getParty(presence, data.id);
+
+      assert.deepEqual(party.members[0].auth, auth);
+    });
+
+    it('token của thành viên đã bị thu hồi => không giữ chỗ, không gửi matchFound', async () => {
+      const user = await repositories.users.create({ username: 'bob', email: 'b@example.com', password: 'hash' });
+      await repositories.users.update(user.id, { token_version: 1 });
+      const sent = [];
+      await presence.subscribe(USER_CHANNEL, (message) => sent.push(message));
+
+      const member = { userId: String(user.id), username: user.username, auth: roomUser(user) };
+      await PartyService.sendReservations(presence, { roomId: 'room-1', name: 'dungeon' }, [member]);
+
+      assert.deepEqual(sent, []);
+    });
+  });
+});